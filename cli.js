@@ -1,43 +1,202 @@
 #!/usr/bin/env node
 
 // Load environment variables from .env file
-require('dotenv').config();
+require('dotenv').config({ quiet: true });
 
-const { Command } = require('commander');
+const { Command, Option, InvalidArgumentError } = require('commander');
 const path = require('path');
 const fs = require('fs');
 const { createApplication } = require('./index');
 const defaultConfig = require('./config/default.config');
+const { getTestFileName } = require('./lib/utils/module-format');
+const {
+  OUTPUT_FORMATS,
+  CliOutput,
+  describeFile,
+  createFileRecord,
+  createResult,
+  formatUsage,
+  formatStopReason,
+  parseReportOption,
+  createAnalysis,
+  createBatchAnalyses
+} = require('./lib/utils/cli-output');
 
 const program = new Command();
 
+/**
+ * Exit codes shared by all commands
+ */
+const EXIT_CODES = {
+  SUCCESS: 0, // Every file was processed
+  FAILURE: 1, // A file failed or the run errored
+  USAGE: 2 // Invalid arguments
+};
+
+/**
+ * Whether the arguments name one file rather than several or a glob
+ * @param {Array<string>} files - File arguments
+ * @returns {boolean} True for a single file
+ */
+function isSingleFile(files) {
+  return files.length === 1 && !files[0].includes('*') && !files[0].includes('?');
+}
+
+/**
+ * Create the output writer for a command
+ * @param {Object} options - Command options (`--json` is shorthand for `--output-format json`)
+ * @returns {CliOutput} Output writer
+ */
+function createOutput(options) {
+  return new CliOutput(options.json ? 'json' : program.opts().outputFormat);
+}
+
+/**
+ * Load the configuration of a command
+ * Merges the file named by --config over the defaults. Machine-readable
+ * output turns console logging off and sends Stryker's console output to
+ * stderr, so stdout holds only the result.
+ * @param {Object} options - Command options
+ * @param {CliOutput} output - Output writer
+ * @returns {Object} Configuration
+ */
+function loadConfig(options, output) {
+  let config = { ...defaultConfig };
+
+  if (options.config) {
+    const configPath = path.resolve(options.config);
+    if (fs.existsSync(configPath)) {
+      config = { ...config, ...require(configPath) };
+    }
+  }
+
+  if (!output.isText) {
+    config.logging = { ...config.logging, console: false };
+    config.mutation = { ...config.mutation, logToStderr: true };
+  }
+
+  return config;
+}
+
+/**
+ * Write the mutation reports requested with --report
+ * @param {Object} app - Application instance
+ * @param {CliOutput} output - Output writer
+ * @param {Array<Object>} analyses - Analyses ({ sourceFile, testFile, mutationResult, error })
+ * @returns {Promise<Array<Object>>} Written reports ({ format, path, files }), empty without --report
+ */
+async function writeReports(app, output, analyses) {
+  const reports = program.opts().report || [];
+  if (reports.length === 0) return [];
+
+  const written = await app.exportReports(reports, analyses);
+  if (output.isText) {
+    written.forEach(report => console.log(`📄 ${report.format} report: ${report.path}`));
+  }
+  return written;
+}
+
+/**
+ * Parse a budget limit option
+ * @param {string} value - Option value
+ * @returns {number} Positive limit
+ */
+function parseLimit(value) {
+  const limit = Number(value);
+  if (!Number.isFinite(limit) || limit <= 0) {
+    throw new InvalidArgumentError('Must be a positive number.');
+  }
+  return limit;
+}
+
+/**
+ * Add the budget options to a command
+ * @param {Command} command - Command
+ * @returns {Command} Command
+ */
+function addBudgetOptions(command) {
+  return command
+    .option('--max-cost <usd>', 'Stop before the LLM spend of the session exceeds this many USD', parseLimit)
+    .option('--max-tokens <count>', 'Stop before the session uses more LLM tokens than this', parseLimit)
+    .option('--max-file-cost <usd>', 'Stop improving a file before its LLM spend exceeds this many USD', parseLimit)
+    .option('--max-file-tokens <count>', 'Stop improving a file before it uses more LLM tokens than this', parseLimit);
+}
+
+/**
+ * Get the budget limits set by the options of a command
+ * @param {Object} options - Command options
+ * @param {Object} budget - Limits to start from
+ * @returns {Object} Limits ({ maxCost, maxTokens, perFile: { maxCost, maxTokens } })
+ */
+function getBudgetOptions(options, budget = {}) {
+  const limits = { ...budget, perFile: { ...budget.perFile } };
+
+  if (options.maxCost !== undefined) limits.maxCost = options.maxCost;
+  if (options.maxTokens !== undefined) limits.maxTokens = options.maxTokens;
+  if (options.maxFileCost !== undefined) limits.perFile.maxCost = options.maxFileCost;
+  if (options.maxFileTokens !== undefined) limits.perFile.maxTokens = options.maxFileTokens;
+
+  return limits;
+}
+
+/**
+ * Apply the budget options of a command to the configuration
+ * @param {Object} config - Configuration
+ * @param {Object} options - Command options
+ */
+function applyBudgetOptions(config, options) {
+  config.budget = getBudgetOptions(options, config.budget);
+}
+
 program
   .name('mutant-test-gen')
   .description('Automated mutation testing with LLM-guided test generation')
-  .version('1.0.0');
+  .version('1.0.0')
+  .addOption(
+    new Option('--output-format <format>', 'Output format: text, json (result object) or ndjson (progress events, then the result)')
+      .choices(OUTPUT_FORMATS)
+      .default('text')
+  )
+  .addOption(
+    new Option('--report <format:path>', 'Also write a mutation report of generate, improve, analyze, check and resume: junit, sarif or markdown (repeatable)')
+      .argParser((value, previous) => {
+        try {
+          return parseReportOption(value, previous);
+        } catch (error) {
+          throw new InvalidArgumentError(error.message);
+        }
+      })
+  )
+  // Argument errors share the usage exit code
+  .exitOverride(error => process.exit(error.exitCode === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE));
 
-program
+addBudgetOptions(program
   .command('generate')
   .description('Generate tests for source files using LLM and mutation testing')
-  .argument('<files...>', 'Source file(s) or glob pattern(s) to generate tests for')
+  .argument('[files...]', 'Source file(s) or glob pattern(s) to generate tests for (with --changed: limits the changed files)')
   .option('-c, --config <path>', 'Path to configuration file')
   .option('-o, --output <dir>', 'Output directory for generated tests (default: tests)')
   .option('-f, --feedback', 'Enable feedback loop for iterative test improvement')
   .option('-t, --target <score>', 'Target mutation score (0-100)', '80')
   .option('-i, --iterations <count>', 'Maximum feedback iterations', '5')
-  .option('-m, --model <name>', 'LLM model to use', 'gpt-4')
+  .option('-m, --model <name>', 'LLM model to use (default: from config)')
+  .option('--framework <name>', 'Test framework: jest, vitest or mocha (default: from config)')
+  .option('--no-baseline', 'Skip running and repairing the generated tests before mutation analysis')
+  .option('--no-incremental', 'Ignore cached mutation results and re-run every mutant')
+  .option('--targeted', 'With --feedback, add one verified test per survived mutant instead of bulk improvements')
+  .option('--changed', 'Only process source files changed since the base branch, mutating only the changed lines')
+  .option('--base <ref>', 'Branch or commit --changed compares with (default: main)'))
   .action(async (files, options) => {
+    const output = createOutput(options);
+
+    if (!options.changed && files.length === 0) {
+      console.error('\n✗ Error: Give source files to generate tests for, or use --changed\n');
+      process.exit(EXIT_CODES.USAGE);
+    }
+
     try {
       // Load configuration
-      let config = { ...defaultConfig };
-
-      if (options.config) {
-        const configPath = path.resolve(options.config);
-        if (fs.existsSync(configPath)) {
-          const userConfig = require(configPath);
-          config = { ...config, ...userConfig };
-        }
-      }
+      const config = loadConfig(options, output);
 
       // Override with CLI options
       if (options.output) {
@@ -56,26 +215,87 @@ program
       if (options.model) {
         config.llm.model = options.model;
       }
+      if (options.framework) {
+        config.testing = { ...config.testing, framework: options.framework };
+      }
+      if (options.baseline === false) {
+        config.baseline = { ...config.baseline, enabled: false };
+      }
+      if (options.targeted) {
+        config.improvement = { ...config.improvement, mode: 'targeted' };
+      }
+      if (options.incremental === false) {
+        config.mutation = { ...config.mutation, incremental: false };
+      }
+      applyBudgetOptions(config, options);
 
       // Initialize application
       const app = createApplication(config);
 
       // Determine if single file or batch
-      const isSingleFile = files.length === 1 && !files[0].includes('*') && !files[0].includes('?');
-
       let result;
-      if (isSingleFile) {
+      let report;
+      let analyses;
+      if (options.changed) {
+        // Changed files since the base branch
+        const outputDir = config.paths.output || 'tests';
+        const base = options.base || config.vcs?.base || 'main';
+
+        if (output.isText) {
+          console.log(`\n📝 Processing source files changed since ${base}`);
+          console.log(`📁 Output directory: ${path.resolve(outputDir)}\n`);
+        }
+
+        result = await app.generateChanged({
+          base,
+          patterns: files,
+          outputDir,
+          concurrency: config.concurrency || 3,
+          useFeedbackLoop: config.useFeedbackLoop || false,
+          onProgress: event => output.event(event)
+        });
+        report = createResult('generate', result.files.map(describeFile), {
+          base,
+          sessionId: result.sessionId,
+          duration: result.duration,
+          stopReason: result.stopReason,
+          budgetExceeded: result.budgetExceeded
+        });
+        analyses = createBatchAnalyses(result);
+
+        if (output.isText && result.totalFiles === 0) {
+          console.log(`✅ No source files changed since ${base}\n`);
+          await writeReports(app, output, analyses);
+          await app.cleanup();
+          process.exit(EXIT_CODES.SUCCESS);
+        }
+
+        result = {
+          success: result.failedFiles === 0 && result.pendingFiles === 0,
+          outputDir: path.resolve(outputDir),
+          sessionId: result.sessionId,
+          stopReason: result.stopReason,
+          budgetExceeded: result.budgetExceeded,
+          summary: {
+            totalFiles: result.totalFiles,
+            successful: result.successfulFiles,
+            failed: result.failedFiles,
+            pending: result.pendingFiles,
+            duration: result.duration
+          }
+        };
+      } else if (isSingleFile(files)) {
         // Single file processing
         const sourcePath = path.resolve(files[0]);
         const outputDir = config.paths.output || 'tests';
-        const outputPath = path.join(
-          outputDir,
-          path.basename(sourcePath, '.js') + '.test.js'
-        );
+        const outputPath = path.join(outputDir, getTestFileName(sourcePath));
 
-        console.log(`\n📝 Generating tests for: ${sourcePath}`);
-        console.log(`📁 Output directory: ${path.resolve(outputDir)}`);
-        console.log(`📄 Test file: ${path.basename(outputPath)}\n`);
+        if (output.isText) {
+          console.log(`\n📝 Generating tests for: ${sourcePath}`);
+          console.log(`📁 Output directory: ${path.resolve(outputDir)}`);
+          console.log(`📄 Test file: ${path.basename(outputPath)}\n`);
+        }
+        output.event({ type: 'file:start', file: { sourcePath, outputPath: path.resolve(outputPath), status: 'running' } });
 
         result = await app.generateTests({
           sourcePath,
@@ -85,10 +305,20 @@ program
           maxIterations: config.maxIterations
         });
 
+        const file = createFileRecord(sourcePath, path.resolve(outputPath), result);
+        output.event({ type: file.status === 'completed' ? 'file:complete' : 'file:failed', file });
+        report = createResult('generate', [describeFile(file)], {
+          stopReason: result.stopReason || null,
+          budgetExceeded: result.budgetExceeded || null
+        });
+        analyses = [createAnalysis(sourcePath, path.resolve(outputPath), result)];
+
         result = {
           success: result.success,
           outputPath: path.resolve(outputPath),
           sourcePath: sourcePath,
+          stopReason: result.stopReason,
+          budgetExceeded: result.budgetExceeded,
           summary: {
             totalFiles: 1,
             successful: result.success ? 1 : 0,
@@ -99,28 +329,51 @@ program
         // Batch processing
         const outputDir = config.paths.output || 'tests';
 
-        console.log(`\n📝 Batch processing ${files.length} file pattern(s)`);
-        console.log(`📁 Output directory: ${path.resolve(outputDir)}\n`);
+        if (output.isText) {
+          console.log(`\n📝 Batch processing ${files.length} file pattern(s)`);
+          console.log(`📁 Output directory: ${path.resolve(outputDir)}\n`);
+        }
 
         result = await app.batchProcess({
           sourcePattern: files.join(','),
           outputDir: outputDir,
           mode: 'generate',
-          concurrency: config.concurrency || 3
+          concurrency: config.concurrency || 3,
+          useFeedbackLoop: config.useFeedbackLoop || false,
+          onProgress: event => output.event(event)
         });
+        report = createResult('generate', result.files.map(describeFile), {
+          sessionId: result.sessionId,
+          duration: result.duration,
+          stopReason: result.stopReason,
+          budgetExceeded: result.budgetExceeded
+        });
+        analyses = createBatchAnalyses(result);
 
         result = {
-          success: result.failedFiles === 0,
+          success: result.failedFiles === 0 && result.pendingFiles === 0,
           outputDir: path.resolve(outputDir),
+          sessionId: result.sessionId,
+          stopReason: result.stopReason,
+          budgetExceeded: result.budgetExceeded,
           summary: {
             totalFiles: result.totalFiles,
             successful: result.successfulFiles,
             failed: result.failedFiles,
+            pending: result.pendingFiles,
             duration: result.duration
           }
         };
       }
 
+      const reports = await writeReports(app, output, analyses);
+
+      if (!output.isText) {
+        output.result({ ...report, ...(reports.length > 0 && { reports }) });
+        await app.cleanup();
+        process.exit(report.success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE);
+      }
+
       if (result.success) {
         console.log('\n✅ Test generation completed successfully!');
         console.log(`\n📊 Summary:`);
@@ -130,6 +383,12 @@ program
         if (result.summary.duration) {
           console.log(`  Duration: ${Math.floor(result.summary.duration / 1000)}s`);
         }
+        if (formatUsage(report.summary)) {
+          console.log(`  ${formatUsage(report.summary)}`);
+        }
+        if (formatStopReason(result)) {
+          console.log(`\n⏸  ${formatStopReason(result)}`);
+        }
 
         if (result.outputPath) {
           // Single file
@@ -151,11 +410,30 @@ program
       } else {
         console.error('\n❌ Test generation failed');
         console.error(`  Successful: ${result.summary.successful}/${result.summary.totalFiles}`);
-        console.error(`  Failed: ${result.summary.failed}/${result.summary.totalFiles}\n`);
+        console.error(`  Failed: ${result.summary.failed}/${result.summary.totalFiles}`);
+        if (result.summary.pending) {
+          console.error(`  Not processed: ${result.summary.pending}/${result.summary.totalFiles}`);
+        }
+        if (formatUsage(report.summary)) {
+          console.error(`  ${formatUsage(report.summary)}`);
+        }
+        if (formatStopReason(result)) {
+          console.error(`\n⏸  ${formatStopReason(result)}`);
+        }
+        console.error('');
+        if (result.sessionId && result.stopReason === 'budget') {
+          console.error(`💡 Continue with a larger budget: mutant-test-gen resume ${result.sessionId} --max-cost <usd>\n`);
+        } else if (result.sessionId) {
+          console.error(`💡 Retry the failed files with: mutant-test-gen resume ${result.sessionId}\n`);
+        }
         await app.cleanup();
         process.exit(1);
       }
     } catch (error) {
+      if (!output.isText) {
+        output.error('generate', error);
+        process.exit(EXIT_CODES.FAILURE);
+      }
       console.error('\n✗ Error:', error.message);
       if (error.stack) {
         console.error(error.stack);
@@ -164,6 +442,678 @@ program
     }
   });
 
+addBudgetOptions(program
+  .command('resume')
+  .description('Continue an interrupted batch: process unfinished files and skip completed ones')
+  .argument('[sessionId]', 'Session to resume (omit to list saved sessions)')
+  .option('-c, --config <path>', 'Path to configuration file')
+  .option('-f, --feedback', 'Enable feedback loop for iterative test improvement'))
+  .action(async (sessionId, options) => {
+    const output = createOutput(options);
+
+    try {
+      const config = loadConfig(options, output);
+      const app = createApplication(config);
+
+      if (!sessionId) {
+        const sessions = await app.listSessions();
+        if (!output.isText) {
+          output.result({ command: 'resume', success: true, sessions });
+        } else if (sessions.length === 0) {
+          console.log('\nNo saved sessions\n');
+        } else {
+          console.log('\n📋 Saved sessions:');
+          sessions.forEach(session => {
+            console.log(`  ${session.sessionId}  ${session.status}  ${session.completedFiles}/${session.totalFiles} files  (${session.mode}, updated ${session.updatedAt})`);
+          });
+          console.log('\n💡 Run: mutant-test-gen resume <sessionId>\n');
+        }
+        await app.cleanup();
+        process.exit(0);
+      }
+
+      if (output.isText) {
+        console.log(`\n🔁 Resuming session: ${sessionId}\n`);
+      }
+
+      const result = await app.resumeSession({
+        sessionId,
+        concurrency: config.concurrency || 3,
+        // The session's own settings apply unless overridden here
+        useFeedbackLoop: options.feedback,
+        budget: getBudgetOptions(options),
+        onProgress: event => output.event(event)
+      });
+      const reports = await writeReports(app, output, createBatchAnalyses(result));
+      const report = createResult('resume', result.files.map(describeFile), {
+        sessionId: result.sessionId,
+        skippedFiles: result.skippedFiles,
+        duration: result.duration,
+        stopReason: result.stopReason,
+        budgetExceeded: result.budgetExceeded,
+        ...(reports.length > 0 && { reports })
+      });
+
+      if (output.isText) {
+        console.log(`\n📊 Summary:`);
+        console.log(`  Total files: ${result.totalFiles}`);
+        console.log(`  Skipped (already completed): ${result.skippedFiles}`);
+        console.log(`  Successful: ${result.successfulFiles}`);
+        console.log(`  Failed: ${result.failedFiles}`);
+        if (result.pendingFiles > 0) {
+          console.log(`  Not processed: ${result.pendingFiles}`);
+        }
+        if (formatUsage(report.summary)) {
+          console.log(`  ${formatUsage(report.summary)}`);
+        }
+        if (formatStopReason(result)) {
+          console.log(`\n⏸  ${formatStopReason(result)}`);
+          console.log(`💡 Continue with a larger budget: mutant-test-gen resume ${result.sessionId} --max-cost <usd>`);
+        }
+        console.log('');
+      } else {
+        output.result(report);
+      }
+
+      await app.cleanup();
+      process.exit(result.failedFiles === 0 && result.pendingFiles === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE);
+    } catch (error) {
+      if (output.isText) {
+        console.error('\n✗ Error:', error.message);
+      } else {
+        output.error('resume', error);
+      }
+      process.exit(EXIT_CODES.FAILURE);
+    }
+  });
+
+addBudgetOptions(program
+  .command('improve')
+  .description('Improve existing tests so they kill the mutants that survive them')
+  .argument('<files...>', 'Source file(s) or glob pattern(s) whose tests to improve')
+  .option('-c, --config <path>', 'Path to configuration file')
+  .option('--tests <file>', 'Test file for a single source file (default: <tests-dir>/<name>.test.js)')
+  .option('--tests-dir <dir>', 'Directory holding the existing tests (default: tests)')
+  .option('--no-incremental', 'Ignore cached mutation results and re-run every mutant')
+  .option('--json', 'Shorthand for --output-format json'))
+  .action(async (files, options) => {
+    const output = createOutput(options);
+
+    try {
+      const config = loadConfig(options, output);
+
+      if (options.incremental === false) {
+        config.mutation = { ...config.mutation, incremental: false };
+      }
+      applyBudgetOptions(config, options);
+
+      if (options.tests && !isSingleFile(files)) {
+        console.error('\n✗ Error: --tests takes one source file; use --tests-dir for several\n');
+        process.exit(EXIT_CODES.USAGE);
+      }
+
+      const app = createApplication(config);
+      const testsDir = options.testsDir || config.paths.output || 'tests';
+
+      if (isSingleFile(files)) {
+        const sourcePath = path.resolve(files[0]);
+        const testPath = path.resolve(options.tests || path.join(testsDir, getTestFileName(sourcePath)));
+
+        if (output.isText) {
+          console.log(`\n🔧 Improving tests for: ${sourcePath}`);
+          console.log(`📄 Test file: ${testPath}\n`);
+        }
+
+        output.event({ type: 'file:start', file: { sourcePath, outputPath: testPath, status: 'running' } });
+        const result = await app.improveTests({ sourcePath, testPath });
+        const file = createFileRecord(sourcePath, testPath, result);
+        output.event({ type: 'file:complete', file });
+        const reports = await writeReports(app, output, [createAnalysis(sourcePath, testPath, result)]);
+        const report = createResult('improve', [{
+          ...describeFile(file),
+          originalScore: result.originalScore,
+          survivedMutantsKilled: result.survivedMutantsKilled,
+          newTestCases: result.newTestCases
+        }], {
+          stopReason: result.stopReason,
+          budgetExceeded: result.budgetExceeded,
+          ...(reports.length > 0 && { reports })
+        });
+
+        if (!output.isText) {
+          output.result(report);
+        } else {
+          console.log(`📊 Mutation score: ${result.originalScore.toFixed(2)}% → ${result.improvedScore.toFixed(2)}%`);
+          console.log(`  Survived mutants killed: ${result.survivedMutantsKilled}`);
+          console.log(`  New test cases: ${result.newTestCases}`);
+          if (formatUsage(report.summary)) {
+            console.log(`  ${formatUsage(report.summary)}`);
+          }
+          if (formatStopReason(result)) {
+            console.log(`\n⏸  ${formatStopReason(result)}`);
+          }
+          console.log('');
+        }
+
+        await app.cleanup();
+        process.exit(EXIT_CODES.SUCCESS);
+      }
+
+      if (output.isText) {
+        console.log(`\n🔧 Batch improving tests for ${files.length} file pattern(s)`);
+        console.log(`📁 Tests directory: ${path.resolve(testsDir)}\n`);
+      }
+
+      const result = await app.batchProcess({
+        sourcePattern: files.join(','),
+        outputDir: testsDir,
+        mode: 'improve',
+        concurrency: config.concurrency || 3,
+        onProgress: event => output.event(event)
+      });
+      const reports = await writeReports(app, output, createBatchAnalyses(result));
+      const report = createResult('improve', result.files.map(describeFile), {
+        sessionId: result.sessionId,
+        duration: result.duration,
+        stopReason: result.stopReason,
+        budgetExceeded: result.budgetExceeded,
+        ...(reports.length > 0 && { reports })
+      });
+
+      if (!output.isText) {
+        output.result(report);
+      } else {
+        result.processedFiles.forEach(file => {
+          console.log(file.success
+            ? `  ✓ ${file.sourceFile}: ${file.originalScore.toFixed(2)}% → ${file.improvedScore.toFixed(2)}%`
+            : `  ✗ ${file.sourceFile}: ${file.error}`);
+        });
+        console.log(`\n📊 Successful: ${result.successfulFiles}/${result.totalFiles}, failed: ${result.failedFiles}`);
+        if (result.pendingFiles > 0) {
+          console.log(`  Not processed: ${result.pendingFiles}`);
+        }
+        if (formatUsage(report.summary)) {
+          console.log(`  ${formatUsage(report.summary)}`);
+        }
+        if (formatStopReason(result)) {
+          console.log(`\n⏸  ${formatStopReason(result)}`);
+        }
+        console.log('');
+        if (result.stopReason === 'budget') {
+          console.error(`💡 Continue with a larger budget: mutant-test-gen resume ${result.sessionId} --max-cost <usd>\n`);
+        } else if (result.failedFiles > 0) {
+          console.error(`💡 Retry the failed files with: mutant-test-gen resume ${result.sessionId}\n`);
+        }
+      }
+
+      await app.cleanup();
+      process.exit(result.failedFiles === 0 && result.pendingFiles === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE);
+    } catch (error) {
+      if (output.isText) {
+        console.error('\n✗ Error:', error.message);
+      } else {
+        output.error('improve', error);
+      }
+      process.exit(EXIT_CODES.FAILURE);
+    }
+  });
+
+program
+  .command('analyze')
+  .description('Run mutation analysis on existing tests and print recommendations')
+  .argument('<files...>', 'Source file(s) or glob pattern(s) to analyze')
+  .option('-c, --config <path>', 'Path to configuration file')
+  .option('--tests <file>', 'Test file for a single source file (default: <tests-dir>/<name>.test.js)')
+  .option('--tests-dir <dir>', 'Directory holding the existing tests (default: tests)')
+  .option('--no-incremental', 'Ignore cached mutation results and re-run every mutant')
+  .option('--json', 'Shorthand for --output-format json')
+  .action(async (files, options) => {
+    const output = createOutput(options);
+
+    try {
+      const config = loadConfig(options, output);
+
+      if (options.incremental === false) {
+        config.mutation = { ...config.mutation, incremental: false };
+      }
+
+      if (options.tests && !isSingleFile(files)) {
+        console.error('\n✗ Error: --tests takes one source file; use --tests-dir for several\n');
+        process.exit(EXIT_CODES.USAGE);
+      }
+
+      const app = createApplication(config);
+      const testsDir = options.testsDir || config.paths.output || 'tests';
+
+      if (isSingleFile(files)) {
+        const sourcePath = path.resolve(files[0]);
+        const testPath = path.resolve(options.tests || path.join(testsDir, getTestFileName(sourcePath)));
+
+        if (output.isText) {
+          console.log(`\n🔬 Analyzing: ${sourcePath}`);
+          console.log(`📄 Test file: ${testPath}\n`);
+        }
+
+        output.event({ type: 'file:start', file: { sourcePath, outputPath: testPath, status: 'running' } });
+        const result = await app.runMutationAnalysis({ sourcePath, testPath });
+        const file = createFileRecord(sourcePath, testPath, result);
+        output.event({ type: 'file:complete', file });
+        const reports = await writeReports(app, output, [createAnalysis(sourcePath, testPath, result)]);
+
+        if (!output.isText) {
+          output.result(createResult('analyze', [{
+            ...describeFile(file),
+            mutationResult: result.mutationResult,
+            recommendations: result.recommendations
+          }], {
+            ...(reports.length > 0 && { reports })
+          }));
+        } else {
+          const summary = result.mutationResult;
+          console.log(`📊 Mutation score: ${summary.mutationScore.toFixed(2)}% (${summary.scoreCategory})`);
+          console.log(`  Killed: ${summary.killedCount}, survived: ${summary.survivedCount}, timeout: ${summary.timeoutCount}, no coverage: ${summary.noCoverageCount}`);
+
+          if (result.recommendations.length > 0) {
+            console.log('\n💡 Recommendations:');
+            result.recommendations.forEach(recommendation => {
+              console.log(`  [${recommendation.priority}] ${recommendation.title}: ${recommendation.description}`);
+            });
+          }
+          console.log('');
+        }
+
+        await app.cleanup();
+        process.exit(EXIT_CODES.SUCCESS);
+      }
+
+      if (output.isText) {
+        console.log(`\n🔬 Batch analyzing ${files.length} file pattern(s)`);
+        console.log(`📁 Tests directory: ${path.resolve(testsDir)}\n`);
+      }
+
+      const result = await app.batchProcess({
+        sourcePattern: files.join(','),
+        outputDir: testsDir,
+        mode: 'analyze',
+        concurrency: config.concurrency || 3,
+        onProgress: event => output.event(event)
+      });
+      const reports = await writeReports(app, output, createBatchAnalyses(result));
+
+      if (!output.isText) {
+        const analyses = new Map(result.processedFiles.filter(file => file.success).map(file => [file.sourceFile, file]));
+        output.result(createResult('analyze', result.files.map(file => ({
+          ...describeFile(file),
+          recommendations: analyses.get(file.sourcePath)?.recommendations || []
+        })), {
+          sessionId: result.sessionId,
+          duration: result.duration,
+          ...(reports.length > 0 && { reports })
+        }));
+      } else {
+        result.processedFiles.forEach(file => {
+          console.log(file.success
+            ? `  ✓ ${file.sourceFile}: ${file.mutationResult.mutationScore.toFixed(2)}% (${file.recommendations.length} recommendation(s))`
+            : `  ✗ ${file.sourceFile}: ${file.error}`);
+        });
+        console.log(`\n📊 Successful: ${result.successfulFiles}/${result.totalFiles}, failed: ${result.failedFiles}\n`);
+      }
+
+      await app.cleanup();
+      process.exit(result.failedFiles === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE);
+    } catch (error) {
+      if (output.isText) {
+        console.error('\n✗ Error:', error.message);
+      } else {
+        output.error('analyze', error);
+      }
+      process.exit(EXIT_CODES.FAILURE);
+    }
+  });
+
+program
+  .command('check')
+  .description('Run mutation analysis and fail when scores fall below the quality gate (for CI)')
+  .argument('[files...]', 'Source file(s) or glob pattern(s) (default: qualityGate.pairs, or every file under paths.source)')
+  .option('-c, --config <path>', 'Path to configuration file')
+  .option('--tests <file>', 'Test file for a single source file (default: <tests-dir>/<name>.test.js)')
+  .option('--tests-dir <dir>', 'Directory holding the tests (default: tests)')
+  .option('--fail-under <score>', 'Lowest passing mutation score per file (default: qualityGate.failUnder)')
+  .option('--aggregate-fail-under <score>', 'Lowest passing mutation score over all files (default: the per-file score)')
+  .option('--no-incremental', 'Ignore cached mutation results and re-run every mutant')
+  .option('--json', 'Shorthand for --output-format json')
+  .action(async (files, options) => {
+    const output = createOutput(options);
+
+    try {
+      const config = loadConfig(options, output);
+
+      if (options.incremental === false) {
+        config.mutation = { ...config.mutation, incremental: false };
+      }
+
+      const scores = {};
+      for (const [name, value] of [['fail-under', options.failUnder], ['aggregate-fail-under', options.aggregateFailUnder]]) {
+        if (value === undefined) continue;
+        const score = Number(value);
+        if (Number.isNaN(score) || score < 0 || score > 100) {
+          console.error(`\n✗ Error: --${name} must be a score between 0 and 100\n`);
+          process.exit(EXIT_CODES.USAGE);
+        }
+        scores[name] = score;
+      }
+      if (options.tests && !(files.length > 0 && isSingleFile(files))) {
+        console.error('\n✗ Error: --tests takes one source file; use --tests-dir for several\n');
+        process.exit(EXIT_CODES.USAGE);
+      }
+
+      const app = createApplication(config);
+      const testsDir = options.testsDir || config.paths.output || 'tests';
+
+      let pairs;
+      if (options.tests) {
+        pairs = [{ source: path.resolve(files[0]), test: path.resolve(options.tests) }];
+      } else if (files.length > 0) {
+        pairs = [{ source: files.join(','), testsDir }];
+      }
+
+      if (output.isText) {
+        console.log('\n🚦 Checking mutation scores against the quality gate\n');
+      }
+
+      const verdict = await app.checkQuality({
+        pairs,
+        failUnder: scores['fail-under'],
+        aggregateFailUnder: scores['aggregate-fail-under'],
+        onProgress: event => output.event(event)
+      });
+      const reports = await writeReports(app, output, verdict.analyses);
+
+      if (!output.isText) {
+        const results = verdict.files.map(file => ({
+          ...describeFile({
+            sourcePath: file.sourceFile,
+            outputPath: file.testFile,
+            status: file.passed ? 'completed' : 'failed',
+            mutationScore: file.score,
+            error: file.error
+          }),
+          threshold: file.threshold
+        }));
+        output.result(createResult('check', results, {
+          success: verdict.passed,
+          aggregate: verdict.aggregate,
+          duration: verdict.duration,
+          ...(reports.length > 0 && { reports })
+        }));
+      } else {
+        const formatScore = (score, threshold) => {
+          const minimum = threshold === null ? '' : ` (min ${threshold})`;
+          return score === null ? 'no mutants' : `${score.toFixed(2)}%${minimum}`;
+        };
+
+        verdict.files.forEach(file => {
+          const relative = path.relative(process.cwd(), path.resolve(file.sourceFile));
+          if (file.error) {
+            console.log(`  ✗ ${relative}: ${file.error}`);
+          } else {
+            console.log(`  ${file.passed ? '✓' : '✗'} ${relative}: ${formatScore(file.score, file.threshold)}`);
+          }
+        });
+
+        console.log(`\n📊 Aggregate: ${formatScore(verdict.aggregate.score, verdict.aggregate.threshold)}`);
+
+        const failedFiles = verdict.files.filter(file => !file.passed).length;
+        if (verdict.passed) {
+          console.log('\n✅ Quality gate passed\n');
+        } else {
+          const reasons = [
+            failedFiles > 0 ? `${failedFiles} file(s) failed` : null,
+            verdict.aggregate.passed ? null : 'aggregate score below threshold'
+          ].filter(Boolean);
+          console.error(`\n❌ Quality gate failed: ${reasons.join(', ')}\n`);
+        }
+      }
+
+      await app.cleanup();
+      process.exit(verdict.passed ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE);
+    } catch (error) {
+      if (output.isText) {
+        console.error('\n✗ Error:', error.message);
+      } else {
+        output.error('check', error);
+      }
+      process.exit(EXIT_CODES.FAILURE);
+    }
+  });
+
+program
+  .command('watch')
+  .description('Watch source files and improve their tests when function bodies change')
+  .argument('<files...>', 'Source file(s) or glob pattern(s) to watch')
+  .option('-c, --config <path>', 'Path to configuration file')
+  .option('--tests-dir <dir>', 'Directory holding the tests (default: tests)')
+  .option('--debounce <ms>', 'Milliseconds without further changes before a file is checked (default: 300)')
+  .option('--no-incremental', 'Ignore cached mutation results and re-run every mutant')
+  .action(async (files, options) => {
+    // A watch never finishes, so JSON output is streamed as NDJSON events
+    const output = program.opts().outputFormat === 'json' ? new CliOutput('ndjson') : createOutput(options);
+
+    try {
+      const config = loadConfig(options, output);
+
+      if (options.incremental === false) {
+        config.mutation = { ...config.mutation, incremental: false };
+      }
+
+      let debounce;
+      if (options.debounce !== undefined) {
+        debounce = Number(options.debounce);
+        if (!Number.isInteger(debounce) || debounce < 0) {
+          console.error('\n✗ Error: --debounce must be a whole number of milliseconds\n');
+          process.exit(EXIT_CODES.USAGE);
+        }
+      }
+
+      const app = createApplication(config);
+      const relative = filePath => path.relative(process.cwd(), path.resolve(filePath));
+      const formatScore = score => (typeof score === 'number' ? `${score.toFixed(2)}%` : 'n/a');
+
+      const watcher = await app.watch({
+        sourcePattern: files.join(','),
+        testsDir: options.testsDir || config.paths.output || 'tests',
+        debounce,
+        onEvent: event => {
+          output.event(event);
+          if (!output.isText) return;
+
+          const file = event.file && relative(event.file.sourcePath);
+          if (event.type === 'watch:start') {
+            console.log(`\n👀 Watching ${event.files.length} source file(s); tests in ${path.resolve(event.testsDir)}`);
+            console.log('   Press Ctrl+C to stop\n');
+          } else if (event.type === 'file:start') {
+            console.log(`🔄 ${file}: improving tests for ${event.functions.join(', ')}`);
+          } else if (event.type === 'file:complete') {
+            const added = event.newTestCases > 0 ? `, +${event.newTestCases} test(s)` : '';
+            console.log(`✅ ${file}: ${formatScore(event.previousScore)} → ${formatScore(event.file.mutationScore)}${added}`);
+          } else if (event.type === 'file:failed') {
+            console.error(`❌ ${file}: ${event.file.error}`);
+          } else if (event.type === 'file:skipped') {
+            console.log(`⏭️  ${file}: ${event.reason}`);
+          }
+        }
+      });
+
+      const stop = async () => {
+        await watcher.close();
+        await app.cleanup();
+        process.exit(EXIT_CODES.SUCCESS);
+      };
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
+    } catch (error) {
+      if (output.isText) {
+        console.error('\n✗ Error:', error.message);
+      } else {
+        output.error('watch', error);
+      }
+      process.exit(EXIT_CODES.FAILURE);
+    }
+  });
+
+program
+  .command('report')
+  .description('Write a self-contained HTML report of a batch session')
+  .argument('[sessionId]', 'Session to report (default: the latest session)')
+  .option('-c, --config <path>', 'Path to configuration file')
+  .option('-o, --output <file>', 'Report file (default: <paths.reports>/<sessionId>.html)')
+  .action(async (sessionId, options) => {
+    const output = createOutput(options);
+
+    try {
+      const config = loadConfig(options, output);
+
+      const app = createApplication(config);
+      const report = await app.createReport({ sessionId, outputPath: options.output });
+
+      if (output.isText) {
+        console.log(`\n📊 Report for session ${report.sessionId}:`);
+        console.log(`  ${path.resolve(report.outputPath)}\n`);
+      } else {
+        output.result({ command: 'report', success: true, ...report, outputPath: path.resolve(report.outputPath) });
+      }
+
+      await app.cleanup();
+      process.exit(EXIT_CODES.SUCCESS);
+    } catch (error) {
+      if (output.isText) {
+        console.error('\n✗ Error:', error.message);
+      } else {
+        output.error('report', error);
+      }
+      process.exit(EXIT_CODES.FAILURE);
+    }
+  });
+
+program
+  .command('equivalents')
+  .description('List survived mutants that are likely equivalent and optionally suppress them')
+  .argument('<source>', 'Source file')
+  .argument('<test>', 'Test file for the source file')
+  .option('-c, --config <path>', 'Path to configuration file')
+  .option('--confirm', 'Record the listed mutants in the suppression file so later runs ignore them')
+  .option('--reason <text>', 'Reason stored with confirmed mutants')
+  .option('--no-llm', 'Use suppressions and static heuristics only')
+  .action(async (source, test, options) => {
+    const output = createOutput(options);
+
+    try {
+      const config = loadConfig(options, output);
+
+      if (options.llm === false) {
+        config.mutation = { ...config.mutation, equivalence: { ...config.mutation.equivalence, useLLM: false } };
+      }
+
+      const app = createApplication(config);
+
+      if (output.isText) {
+        console.log(`\n🔍 Classifying survived mutants of: ${path.resolve(source)}\n`);
+      }
+
+      const result = await app.findEquivalentMutants({
+        sourcePath: path.resolve(source),
+        testPath: path.resolve(test),
+        confirm: options.confirm || false,
+        reason: options.reason
+      });
+
+      if (!output.isText) {
+        output.result({ command: 'equivalents', success: true, ...result });
+      } else {
+        console.log(`📊 Mutation score: ${result.mutationScore.toFixed(2)}%`);
+        console.log(`📊 Adjusted score: ${result.adjustedMutationScore.toFixed(2)}% (${result.equivalentMutants.length} of ${result.survivedCount} survivors likely equivalent)`);
+
+        if (result.equivalentMutants.length > 0) {
+          console.log('\nLikely equivalent mutants:');
+          result.equivalentMutants.forEach(mutant => {
+            const { source: verdictSource, confidence, reason } = mutant.equivalence;
+            console.log(`  line ${mutant.location.start.line}: ${mutant.mutatorName} → \`${mutant.replacement}\` [${verdictSource}, ${Math.round(confidence * 100)}%] ${reason}`);
+          });
+        }
+
+        if (options.confirm) {
+          console.log(`\n✅ ${result.suppressed} mutant(s) added to ${result.suppressionFile}\n`);
+        } else if (result.equivalentMutants.length > 0) {
+          console.log('\n💡 Review the list, then re-run with --confirm to suppress these mutants on later runs\n');
+        }
+      }
+
+      await app.cleanup();
+      process.exit(EXIT_CODES.SUCCESS);
+    } catch (error) {
+      if (output.isText) {
+        console.error('\n✗ Error:', error.message);
+      } else {
+        output.error('equivalents', error);
+      }
+      process.exit(EXIT_CODES.FAILURE);
+    }
+  });
+
+program
+  .command('minimize')
+  .description('Remove tests that kill no mutant the other tests don\'t also kill')
+  .argument('<source>', 'Source file')
+  .argument('<test>', 'Test file to minimize')
+  .option('-c, --config <path>', 'Path to configuration file')
+  .option('--dry-run', 'Report redundant tests without rewriting the test file')
+  .action(async (source, test, options) => {
+    const output = createOutput(options);
+
+    try {
+      const config = loadConfig(options, output);
+
+      const app = createApplication(config);
+
+      if (output.isText) {
+        console.log(`\n✂️  Minimizing tests in: ${path.resolve(test)}\n`);
+      }
+
+      const result = await app.minimizeTests({
+        sourcePath: path.resolve(source),
+        testPath: path.resolve(test),
+        dryRun: options.dryRun || false
+      });
+
+      if (!output.isText) {
+        output.result({ command: 'minimize', success: true, ...result });
+      } else {
+        console.log(`📊 ${result.keptTests.length} of ${result.testsBefore} tests kill all ${result.killedMutants} killed mutants`);
+
+        if (result.redundantTests.length > 0) {
+          console.log(options.dryRun ? '\nRedundant tests:' : '\nRemoved tests:');
+          (options.dryRun ? result.redundantTests : result.removedTests).forEach(name => console.log(`  - ${name}`));
+        } else {
+          console.log('\n✅ No redundant tests found');
+        }
+
+        if (options.dryRun && result.redundantTests.length > 0) {
+          console.log('\n💡 Re-run without --dry-run to remove them\n');
+        }
+      }
+
+      await app.cleanup();
+      process.exit(EXIT_CODES.SUCCESS);
+    } catch (error) {
+      if (output.isText) {
+        console.error('\n✗ Error:', error.message);
+      } else {
+        output.error('minimize', error);
+      }
+      process.exit(EXIT_CODES.FAILURE);
+    }
+  });
+
 program
   .command('init')
   .description('Initialize a configuration file')
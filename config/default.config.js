@@ -7,30 +7,101 @@ const autoDetectProvider = () => {
   if (process.env.AZURE_OPENAI_ENDPOINT) {
     return 'azure';
   }
+  if (process.env.OPENAI_COMPATIBLE_BASE_URL) {
+    return 'openai-compatible';
+  }
+  if (process.env.ANTHROPIC_API_KEY && !process.env.OPENAI_API_KEY) {
+    return 'anthropic';
+  }
   return 'openai';
 };
 
+// Default model for the detected provider
+const defaultModel = (provider) => (provider === 'anthropic' ? 'claude-sonnet-4-5' : 'gpt-4');
+
+const provider = autoDetectProvider();
+
 module.exports = {
   // LLM Configuration
   llm: {
-    provider: autoDetectProvider(), // Auto-detect: 'openai' or 'azure'
-    model: 'gpt-4',
+    provider, // 'openai', 'azure', 'openai-compatible', 'anthropic', 'http', 'replay' or a plugin module name
+    model: defaultModel(provider),
     temperature: 0.7,
     maxTokens: 2000,
     apiKey: process.env.OPENAI_API_KEY || '',
 
+    // USD per 1K tokens, used to price the recorded token usage. null uses the
+    // built-in list prices for OpenAI and Anthropic models (free for
+    // openai-compatible and http). Set { input, output } for every model, or a
+    // table by model name prefix: { 'gpt-4o': { input: 0.0025, output: 0.01 } }
+    pricing: null,
+
+    // Retries, client-side rate limits, timeouts and circuit breaking of LLM
+    // calls, shared by concurrent batch workers using the same provider and model
+    resilience: {
+      timeout: 120000, // Per attempt, in ms
+      retry: {
+        maxRetries: 3, // Rate limits, 5xx, timeouts and dropped connections
+        baseDelay: 1000, // Exponential backoff in ms; Retry-After takes precedence
+        maxDelay: 30000,
+      },
+      rateLimit: {
+        requestsPerMinute: null, // null for no client-side limit
+        tokensPerMinute: null,
+      },
+      circuitBreaker: {
+        failureThreshold: 5, // Consecutive failures before calls fail fast; 0 disables
+        resetTimeout: 30000, // ms before a trial call is let through
+      },
+    },
+
     // Azure OpenAI specific configuration
     azure: {
       endpoint: process.env.AZURE_OPENAI_ENDPOINT || '',
       apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-02-15-preview',
       deploymentName: process.env.AZURE_OPENAI_DEPLOYMENT_NAME || '',
     },
+
+    // Self-hosted OpenAI-compatible server (Ollama, llama.cpp, vLLM)
+    compatible: {
+      baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL || 'http://localhost:11434/v1',
+      headers: {}, // Extra auth headers, e.g. { 'X-Api-Key': '...' }
+      contextWindow: 8192,
+    },
+
+    // Anthropic Messages API configuration
+    anthropic: {
+      apiKey: process.env.ANTHROPIC_API_KEY || '',
+      baseURL: 'https://api.anthropic.com',
+      apiVersion: '2023-06-01',
+    },
+
+    // Generic HTTP provider configuration (provider: 'http')
+    http: {
+      url: '',
+      headers: {},
+      responsePath: 'completion', // Dot path to the completion text in the JSON response
+    },
+
+    // Replay provider configuration (provider: 'replay')
+    // 'replay' serves recorded responses offline, 'record' captures them from `provider`
+    replay: {
+      mode: 'replay',
+      fixturesDir: '.llm-fixtures',
+      provider: 'openai',
+    },
   },
 
-  // Mutation Testing Configuration  
+  // Test Framework Configuration
+  // 'jest', 'vitest' or 'mocha' (Mocha tests use Chai assertions)
+  testing: {
+    framework: process.env.TEST_FRAMEWORK || 'jest',
+  },
+
+  // Mutation Testing Configuration
+  // The Stryker test runner follows testing.framework
   mutation: {
     framework: 'stryker',
-    testRunner: 'jest',
     timeout: 60000,
     reporters: ['clear-text', 'progress'],
     tempDirName: 'stryker-tmp',
@@ -45,6 +116,52 @@ module.exports = {
       'StringLiteral',
       'UnaryOperator',
     ],
+    // Each run works in a temporary copy of the project (node_modules symlinked)
+    sandbox: {
+      enabled: true, // false runs Stryker in the project directory (not safe with concurrency > 1)
+      tempDir: null, // Parent directory for sandboxes (default: OS temp dir)
+      keep: false, // Keep sandboxes after the run for debugging
+    },
+    // Reuse results when source and tests are unchanged, and let Stryker reuse unchanged mutants
+    incremental: {
+      enabled: true,
+      cacheDir: 'reports/mutation-cache',
+    },
+    // Survivors no test can kill are excluded from the adjusted score and from improvement
+    equivalence: {
+      enabled: true,
+      useLLM: true, // Ask the LLM about survivors the heuristics can't decide
+      heuristics: true, // Static checks: `x * 1` vs `x / 1`, `x + 0` vs `x - 0`, boundary flips of clamps such as `x > 9 ? 9 : x`
+      minConfidence: 0.8, // Lowest confidence counted as equivalent
+      suppressionFile: '.mutant-suppressions.json', // User-confirmed equivalents, honoured on later runs
+    },
+    // Score bands for Stryker's reports
+    thresholds: {
+      high: 80,
+      low: 60,
+    },
+  },
+
+  // Mutation score quality gate (`mutant-test-gen check`), exits non-zero below the thresholds
+  qualityGate: {
+    failUnder: 60, // Lowest passing score per file (null: files are not gated)
+    aggregateFailUnder: null, // Lowest passing score over all files (null: same as failUnder)
+    thresholds: {}, // Per-directory minimums, e.g. { 'src/core': 90, 'src/legacy': 40 }; the longest matching directory wins
+    useAdjustedScore: true, // Exclude likely equivalent mutants from scores
+    // Source/test pairs to check: { source: 'src/a.js', test: 'tests/a.test.js' } or { source: 'src/**/*.js', testsDir: 'tests' }
+    // (default: every source file under paths.source against paths.output)
+    pairs: [],
+  },
+
+  // Watch mode (`mutant-test-gen watch`)
+  watch: {
+    debounce: 300, // Milliseconds without further changes before a file is checked
+  },
+
+  // Git settings for `generate --changed`
+  vcs: {
+    base: 'main', // Branch or commit changes are compared with (--base overrides)
+    timeout: 30000, // Timeout per git command in milliseconds
   },
 
   // Test Generation Configuration
@@ -52,12 +169,38 @@ module.exports = {
   maxIterations: 5, // Maximum feedback loop iterations
   useFeedbackLoop: false, // Use iterative improvement by default (use --feedback flag to enable)
   runMutationAnalysis: true, // Run mutation analysis after generation (path resolution now fixed)
+  // Green baseline: run generated tests on the original code before mutation analysis
+  baseline: {
+    enabled: true,
+    maxRepairAttempts: 2, // LLM repair rounds before failing tests are dropped
+    timeout: 120000,
+  },
   concurrency: 3, // Concurrent processing limit
+  // Survived-mutant context in improvement prompts
+  improvement: {
+    mode: 'bulk', // 'bulk' (one improvement call per iteration) or 'targeted' (one verified test per survived mutant)
+    maxTargets: 5, // Targeted mode: survived-mutant lines addressed per iteration
+    mutantTokenBudget: 2000, // Approximate prompt tokens for mutant diffs; mutants are picked per function and mutator
+    mutantContextLines: 2, // Unchanged source lines shown around each mutation
+  },
+  // LLM spend limits (--max-cost, --max-tokens); null for no limit
+  // Every LLM call of a feedback loop is checked first: batches stop scheduling
+  // files and feedback loops skip or stop before a call that would exceed
+  // them. A resumed session counts its earlier spend.
+  budget: {
+    maxCost: null, // USD per session (priced with llm.pricing)
+    maxTokens: null, // Tokens per session
+    perFile: {
+      maxCost: null, // USD per file (--max-file-cost)
+      maxTokens: null, // Tokens per file (--max-file-tokens)
+    },
+  },
 
   // Storage Configuration
   storage: {
     type: 'filesystem',
-    encoding: 'utf8'
+    encoding: 'utf8',
+    sessionDir: '.mutant-test-gen/sessions' // Batch progress, for `mutant-test-gen resume <sessionId>`
   },
 
   // Logging Configuration
@@ -11,25 +11,45 @@ const SourceFile = require('./lib/core/entities/source-file');
 const TestFile = require('./lib/core/entities/test-file');
 const MutationResult = require('./lib/core/entities/mutation-result');
 const GenerationSession = require('./lib/core/entities/generation-session');
+const TokenUsage = require('./lib/core/entities/token-usage');
+const Budget = require('./lib/core/entities/budget');
 
 // Use cases
 const { 
   GenerateTestsUseCase, 
   ImproveTestsUseCase, 
-  BatchProcessUseCase 
+  AnalyzeTestsUseCase, 
+  BatchProcessUseCase, 
+  CheckQualityUseCase,
+  WatchTestsUseCase
 } = require('./lib/core/use-cases');
 
 // Services
 const TestGenerationService = require('./lib/core/services/test-generation-service');
 const MutationAnalysisService = require('./lib/core/services/mutation-analysis-service');
 const FeedbackLoopService = require('./lib/core/services/feedback-loop-service');
+const EquivalentMutantService = require('./lib/core/services/equivalent-mutant-service');
+const QualityGateService = require('./lib/core/services/quality-gate-service');
+const SessionReportService = require('./lib/core/services/session-report-service');
+
+// Interfaces
+const LLMProvider = require('./lib/interfaces/llm-provider');
+const { LLMResilience, RateLimiter, CircuitBreaker } = require('./lib/utils/resilience');
 
 // Adapters
+const llmAdapters = require('./lib/adapters/llm');
 const LLMAdapterFactory = require('./lib/adapters/llm/llm-adapter-factory');
 const OpenAIAdapter = require('./lib/adapters/llm/openai-adapter');
 const AzureOpenAIAdapter = require('./lib/adapters/llm/azure-adapter');
+const OpenAICompatibleAdapter = require('./lib/adapters/llm/openai-compatible-adapter');
+const AnthropicAdapter = require('./lib/adapters/llm/anthropic-adapter');
+const HttpLLMAdapter = require('./lib/adapters/llm/http-adapter');
+const ReplayAdapter = require('./lib/adapters/llm/replay-adapter');
 const StrykerAdapter = require('./lib/adapters/mutation/stryker-adapter');
 const FileSystemStorage = require('./lib/adapters/storage/fs-storage');
+const GitAdapter = require('./lib/adapters/vcs/git-adapter');
+const reporting = require('./lib/adapters/reporting');
+const { HtmlReporter, JUnitReporter, SarifReporter, MarkdownReporter, ReporterFactory } = reporting;
 
 module.exports = {
   // Main application factory
@@ -41,21 +61,47 @@ module.exports = {
   TestFile,
   MutationResult,
   GenerationSession,
+  TokenUsage,
+  Budget,
 
   // Use cases
   GenerateTestsUseCase,
   ImproveTestsUseCase,
+  AnalyzeTestsUseCase,
   BatchProcessUseCase,
+  CheckQualityUseCase,
+  WatchTestsUseCase,
 
   // Services
   TestGenerationService,
   MutationAnalysisService,
   FeedbackLoopService,
+  EquivalentMutantService,
+  QualityGateService,
+  SessionReportService,
+
+  // Interfaces
+  LLMProvider,
+  LLMResilience,
+  RateLimiter,
+  CircuitBreaker,
 
   // Adapters
   LLMAdapterFactory,
+  registerLLMProvider: llmAdapters.register,
   OpenAIAdapter,
   AzureOpenAIAdapter,
+  OpenAICompatibleAdapter,
+  AnthropicAdapter,
+  HttpLLMAdapter,
+  ReplayAdapter,
   StrykerAdapter,
-  FileSystemStorage
+  FileSystemStorage,
+  GitAdapter,
+  HtmlReporter,
+  ReporterFactory,
+  registerReporter: reporting.register,
+  JUnitReporter,
+  SarifReporter,
+  MarkdownReporter
 };
\ No newline at end of file
@@ -0,0 +1,133 @@
+const HttpLLMAdapter = require('./http-adapter');
+const promptBuilder = require('./prompt-builder');
+
+/**
+ * Anthropic Messages API adapter implementing the LLMProvider interface
+ */
+class AnthropicAdapter extends HttpLLMAdapter {
+  /**
+   * Validate provider configuration
+   * @param {Object} config - Provider configuration
+   * @returns {boolean} True if configuration is valid
+   */
+  validateConfig(config) {
+    if (!config) return false;
+    if (!this._getApiKey(config)) return false;
+    if (!config.model || typeof config.model !== 'string') return false;
+    if (config.temperature && (config.temperature < 0 || config.temperature > 1)) return false;
+    if (config.maxTokens && (config.maxTokens < 1 || config.maxTokens > this.info.maxTokens)) return false;
+
+    return true;
+  }
+
+  /**
+   * Estimate cost for a request
+   * @param {string} input - Input text
+   * @param {Object} options - Request options
+   * @returns {Object} Cost estimation
+   */
+  estimateCost(input, options = {}) {
+    return this._estimateRequestCost(input, options);
+  }
+
+
+  /**
+   * Default provider metadata
+   * @returns {Object} Provider metadata
+   * @protected
+   */
+  _getDefaultInfo() {
+    return {
+      name: 'Anthropic',
+      version: '1.0.0',
+      models: ['claude-opus-4-1', 'claude-sonnet-4-5', 'claude-haiku-4-5'],
+      maxTokens: 64000,
+      supportsStreaming: false
+    };
+  }
+
+  /**
+   * Messages API endpoint
+   * @returns {string} Endpoint URL
+   * @protected
+   */
+  _getEndpoint() {
+    const baseURL = this.config.anthropic?.baseURL || 'https://api.anthropic.com';
+    return `${baseURL.replace(/\/$/, '')}/v1/messages`;
+  }
+
+  /**
+   * Request headers
+   * @returns {Object} Headers
+   * @protected
+   */
+  _getHeaders() {
+    return {
+      'content-type': 'application/json',
+      'x-api-key': this._getApiKey(this.config),
+      'anthropic-version': this.config.anthropic?.apiVersion || '2023-06-01'
+    };
+  }
+
+  /**
+   * Build Messages API request body
+   * @param {string} task - Task type ('generate', 'improve', 'repair', 'classify' or 'health')
+   * @param {string} prompt - User prompt
+   * @param {number} maxTokens - Completion token limit (optional)
+   * @returns {Object} Request body
+   * @protected
+   */
+  _buildRequestBody(task, prompt, maxTokens) {
+    return {
+      model: this.config.model,
+      system: promptBuilder.getSystemPrompt(task),
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: Math.min(this.config.temperature || 0.7, 1),
+      max_tokens: maxTokens || this.config.maxTokens || 2000
+    };
+  }
+
+  /**
+   * Join the text blocks of a Messages API response
+   * @param {Object} data - Parsed response body
+   * @returns {string} Completion text
+   * @protected
+   */
+  _parseResponse(data) {
+    if (!Array.isArray(data.content)) {
+      throw new Error('Anthropic response has no content');
+    }
+
+    return data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+
+  /**
+   * Prices used for this provider's calls, the Claude list prices unless
+   * `llm.pricing` is configured
+   * @returns {Object|undefined} Configured prices, by model or flat
+   * @protected
+   */
+  _getPricing() {
+    return this.config.pricing;
+  }
+
+  /**
+   * Resolve API key, preferring the Anthropic-specific setting
+   * @param {Object} config - Provider configuration
+   * @returns {string|undefined} API key
+   * @private
+   */
+  _getApiKey(config) {
+    return config.anthropic?.apiKey || config.apiKey;
+  }
+}
+
+module.exports = AnthropicAdapter;
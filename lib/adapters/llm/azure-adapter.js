@@ -1,5 +1,6 @@
 const OpenAI = require('openai');
 const LLMProvider = require('../../interfaces/llm-provider');
+const promptBuilder = require('./prompt-builder');
 
 /**
  * Azure OpenAI adapter implementing the LLMProvider interface
@@ -62,23 +63,7 @@ class AzureOpenAIAdapter extends LLMProvider {
     const prompt = this._buildInitialPrompt(sourceCode, fileName, context);
 
     try {
-      const response = await this.client.chat.completions.create({
-        // Note: Azure OpenAI doesn't need model in request
-        messages: [
-          {
-            role: 'system',
-            content: this._getSystemPrompt('generate')
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: this.config.temperature || 0.7,
-        max_tokens: this.config.maxTokens || 2000
-      });
-
-      const generatedCode = response.choices[0].message.content;
+      const generatedCode = await this._createChatCompletion('generate', prompt);
       return this._extractCodeFromResponse(generatedCode);
     } catch (error) {
       this.logger.error('Error generating tests via Azure OpenAI', {
@@ -94,33 +79,19 @@ class AzureOpenAIAdapter extends LLMProvider {
    * @param {string} sourceCode - The source code
    * @param {string} existingTests - Current test code
    * @param {Array} survivedMutants - Mutants that survived testing
+   * @param {Object} context - Additional context (language, module system, test framework)
    * @returns {Promise<string>} Improved test code
    */
-  async improveTests(sourceCode, existingTests, survivedMutants) {
+  async improveTests(sourceCode, existingTests, survivedMutants, context = {}) {
     this.logger.info('Improving tests via Azure OpenAI', {
       survivedMutantsCount: survivedMutants.length,
       deployment: this.config.azure.deploymentName
     });
 
-    const prompt = this._buildImprovementPrompt(sourceCode, existingTests, survivedMutants);
+    const prompt = this._buildImprovementPrompt(sourceCode, existingTests, survivedMutants, context);
 
     try {
-      const response = await this.client.chat.completions.create({
-        messages: [
-          {
-            role: 'system',
-            content: this._getSystemPrompt('improve')
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: this.config.temperature || 0.7,
-        max_tokens: this.config.maxTokens || 2000
-      });
-
-      const improvedCode = response.choices[0].message.content;
+      const improvedCode = await this._createChatCompletion('improve', prompt);
       return this._extractCodeFromResponse(improvedCode);
     } catch (error) {
       this.logger.error('Error improving tests via Azure OpenAI', {
@@ -131,6 +102,61 @@ class AzureOpenAIAdapter extends LLMProvider {
     }
   }
 
+  /**
+   * Repair tests that fail against the unmutated source code
+   * @param {string} sourceCode - The source code
+   * @param {string} testCode - Current test code
+   * @param {Array<Object>} failures - Failing tests ({ name, message })
+   * @param {Object} context - Additional context (language, module system, test framework)
+   * @returns {Promise<string>} Complete repaired test code
+   */
+  async repairTests(sourceCode, testCode, failures, context = {}) {
+    this.logger.info('Repairing failing tests via Azure OpenAI', {
+      failuresCount: failures.length,
+      deployment: this.config.azure.deploymentName
+    });
+
+    const prompt = promptBuilder.buildRepairPrompt(sourceCode, testCode, failures, context);
+
+    try {
+      const content = await this._createChatCompletion('repair', prompt);
+      return this._extractCodeFromResponse(content);
+    } catch (error) {
+      this.logger.error('Error repairing tests via Azure OpenAI', {
+        error: error.message,
+        failuresCount: failures.length
+      });
+      throw error;
+    }
+  }
+  /**
+   * Judge which survived mutants are equivalent to the original code
+   * @param {string} sourceCode - The source code
+   * @param {Array<Object>} mutants - Survived mutants
+   * @param {Object} context - Additional context (language)
+   * @returns {Promise<Array<Object>>} Verdicts ({ id, equivalent, confidence, reason }), ids numbering the mutants from 1
+   */
+  async classifyMutants(sourceCode, mutants, context = {}) {
+    this.logger.info('Classifying survived mutants via Azure OpenAI', {
+      mutantsCount: mutants.length,
+      deployment: this.config.azure.deploymentName
+    });
+
+    const prompt = promptBuilder.buildEquivalencePrompt(sourceCode, mutants, context);
+
+    try {
+      const content = await this._createChatCompletion('classify', prompt);
+      return promptBuilder.parseEquivalenceResponse(content);
+    } catch (error) {
+      this.logger.error('Error classifying mutants via Azure OpenAI', {
+        error: error.message,
+        mutantsCount: mutants.length
+      });
+      throw error;
+    }
+  }
+
+
   /**
    * Validate provider configuration
    * @param {Object} config - Provider configuration
@@ -171,25 +197,13 @@ class AzureOpenAIAdapter extends LLMProvider {
    * @returns {Object} Cost estimation
    */
   estimateCost(input, options = {}) {
-    const inputTokens = Math.ceil(input.length / 4); // Rough estimation
-    const outputTokens = options.maxTokens || this.config.maxTokens || 2000;
-
-    // Azure OpenAI pricing varies by region and deployment
-    // This is a rough estimation - actual pricing should be configured
-    const inputCost = (inputTokens / 1000) * 0.002; // Generic rate
-    const outputCost = (outputTokens / 1000) * 0.002;
-
     return {
-      inputTokens,
-      outputTokens,
-      inputCost,
-      outputCost,
-      totalCost: inputCost + outputCost,
-      currency: 'USD',
-      note: 'Azure pricing varies by region and deployment'
+      ...this._estimateRequestCost(input, options),
+      note: 'Azure pricing varies by region and deployment; set llm.pricing for exact costs'
     };
   }
 
+
   /**
    * Check if provider is available and configured correctly
    * @returns {Promise<boolean>} True if provider is ready
@@ -208,23 +222,60 @@ class AzureOpenAIAdapter extends LLMProvider {
     }
   }
 
+  /**
+   * Send a chat completion request to the deployment and record its usage
+   * @param {string} task - Task type ('generate', 'improve', 'repair' or 'classify')
+   * @param {string} prompt - User prompt
+   * @returns {Promise<string>} Completion text
+   * @private
+   */
+  async _createChatCompletion(task, prompt) {
+    const system = this._getSystemPrompt(task);
+    // Note: Azure OpenAI doesn't need model in request
+    const request = {
+      messages: [
+        {
+          role: 'system',
+          content: system
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: this.config.temperature || 0.7,
+      max_tokens: this.config.maxTokens || 2000
+    };
+
+    return this._callWithResilience(task, `${system}\n${prompt}`, async signal => {
+      const startTime = Date.now();
+      // Retries are left to the resilience layer
+      const response = await this.client.chat.completions.create(request, { signal, maxRetries: 0 });
+      const content = response.choices[0].message.content;
+
+      this._recordUsage({
+        task,
+        // The deployment reports the model it runs
+        model: response.model || this.config.model,
+        promptTokens: response.usage?.prompt_tokens,
+        completionTokens: response.usage?.completion_tokens,
+        startTime,
+        prompt: `${system}\n${prompt}`,
+        completion: content
+      });
+
+      return content;
+    });
+  }
+
   /**
    * Get system prompt for different tasks
-   * @param {string} task - Task type ('generate' or 'improve')
+   * @param {string} task - Task type ('generate', 'improve', 'repair' or 'classify')
    * @returns {string} System prompt
    * @private
    */
   _getSystemPrompt(task) {
-    const basePrompt = 'You are an expert software testing engineer specializing in writing comprehensive unit tests.';
-
-    switch (task) {
-      case 'generate':
-        return `${basePrompt} Generate high-quality, thorough unit tests that achieve high code coverage and mutation score.`;
-      case 'improve':
-        return `${basePrompt} Analyze survived mutants and generate additional or improved tests to kill them. Focus on edge cases and boundary conditions.`;
-      default:
-        return basePrompt;
-    }
+    return promptBuilder.getSystemPrompt(task);
   }
 
   /**
@@ -236,33 +287,7 @@ class AzureOpenAIAdapter extends LLMProvider {
    * @private
    */
   _buildInitialPrompt(sourceCode, fileName, context) {
-    let prompt = `Generate comprehensive unit tests for the following JavaScript code from file "${fileName}".\n\n`;
-    prompt += `Source Code:\n\`\`\`javascript\n${sourceCode}\n\`\`\`\n\n`;
-    prompt += `Requirements:\n`;
-    prompt += `- Use Jest testing framework\n`;
-    prompt += `- Include tests for all functions and methods\n`;
-    prompt += `- Cover edge cases, boundary conditions, and error handling\n`;
-    prompt += `- Use descriptive test names\n`;
-    prompt += `- Aim for high code coverage and mutation score\n`;
-
-    // Add import path instruction if available
-    if (context.relativeImportPath) {
-      prompt += `\n**CRITICAL: Import Statement**\n`;
-      prompt += `You MUST use this EXACT import path: '${context.relativeImportPath}'\n`;
-      prompt += `Start your test file with ONE of these (based on the export type):\n`;
-      prompt += `  For module.exports = class: const Calculator = require('${context.relativeImportPath}');\n`;
-      prompt += `  For exports.Calculator: const { Calculator } = require('${context.relativeImportPath}');\n`;
-      prompt += `DO NOT use './calculator' or any other path. Use the path specified above.\n\n`;
-    }
-
-    if (context.existingTests) {
-      prompt += `\nExisting tests:\n\`\`\`javascript\n${context.existingTests}\n\`\`\`\n`;
-      prompt += `Generate additional tests that complement the existing ones.\n`;
-    }
-
-    prompt += `\nProvide only the test code without explanations.`;
-
-    return prompt;
+    return promptBuilder.buildInitialPrompt(sourceCode, fileName, context);
   }
 
   /**
@@ -270,28 +295,12 @@ class AzureOpenAIAdapter extends LLMProvider {
    * @param {string} sourceCode - Source code
    * @param {string} existingTests - Existing tests
    * @param {Array} survivedMutants - Survived mutants
+   * @param {Object} context - Additional context
    * @returns {string} Prompt text
    * @private
    */
-  _buildImprovementPrompt(sourceCode, existingTests, survivedMutants) {
-    let prompt = `The following source code has survived mutants that need to be killed.\n\n`;
-    prompt += `Source Code:\n\`\`\`javascript\n${sourceCode}\n\`\`\`\n\n`;
-    prompt += `Existing Tests:\n\`\`\`javascript\n${existingTests}\n\`\`\`\n\n`;
-    prompt += `Survived Mutants:\n`;
-
-    survivedMutants.slice(0, 10).forEach((mutant, index) => {
-      prompt += `${index + 1}. ${mutant.mutatorName} at line ${mutant.location.start.line}: ${mutant.replacement}\n`;
-    });
-
-    if (survivedMutants.length > 10) {
-      prompt += `... and ${survivedMutants.length - 10} more mutants\n`;
-    }
-
-    prompt += `\nGenerate additional or improved tests to kill these survived mutants. `;
-    prompt += `Focus on the specific conditions and edge cases that would expose these mutations.\n`;
-    prompt += `Provide only the additional test code without explanations.`;
-
-    return prompt;
+  _buildImprovementPrompt(sourceCode, existingTests, survivedMutants, context) {
+    return promptBuilder.buildImprovementPrompt(sourceCode, existingTests, survivedMutants, context);
   }
 
   /**
@@ -301,13 +310,7 @@ class AzureOpenAIAdapter extends LLMProvider {
    * @private
    */
   _extractCodeFromResponse(response) {
-    // Remove markdown code blocks
-    let code = response.replace(/```javascript\n?/g, '').replace(/```\n?/g, '');
-
-    // Trim whitespace
-    code = code.trim();
-
-    return code;
+    return promptBuilder.extractCodeFromResponse(response);
   }
 }
 
@@ -0,0 +1,378 @@
+const LLMProvider = require('../../interfaces/llm-provider');
+const promptBuilder = require('./prompt-builder');
+
+/**
+ * Generic HTTP adapter implementing the LLMProvider interface
+ * Posts JSON to a configurable endpoint and reads the completion from a
+ * configurable response path. Provider plugins for other HTTP APIs extend
+ * this class and override the request/response hooks.
+ */
+class HttpLLMAdapter extends LLMProvider {
+  constructor(config, logger) {
+    super();
+    this.config = config;
+    this.logger = logger;
+    this.info = this._getDefaultInfo();
+
+    this._initialize();
+  }
+
+  /**
+   * Initialize adapter
+   * @private
+   */
+  _initialize() {
+    if (!this.validateConfig(this.config)) {
+      throw new Error(`Invalid ${this.info.name} configuration`);
+    }
+
+    this.logger.info(`${this.info.name} adapter initialized`, {
+      endpoint: this._getEndpoint(),
+      model: this.config.model
+    });
+  }
+
+  /**
+   * Generate initial tests for source code
+   * @param {string} sourceCode - The source code to analyze
+   * @param {string} fileName - Name of the source file
+   * @param {Object} context - Additional context
+   * @returns {Promise<string>} Generated test code
+   */
+  async generateTests(sourceCode, fileName, context = {}) {
+    this.logger.info(`Generating tests via ${this.info.name}`, { fileName, model: this.config.model });
+
+    const prompt = promptBuilder.buildInitialPrompt(sourceCode, fileName, context);
+
+    try {
+      return await this._createCompletion('generate', prompt);
+    } catch (error) {
+      this.logger.error(`Error generating tests via ${this.info.name}`, {
+        error: error.message,
+        fileName
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Improve existing tests based on mutation analysis
+   * @param {string} sourceCode - The source code
+   * @param {string} existingTests - Current test code
+   * @param {Array} survivedMutants - Mutants that survived testing
+   * @param {Object} context - Additional context (language, module system, test framework)
+   * @returns {Promise<string>} Improved test code
+   */
+  async improveTests(sourceCode, existingTests, survivedMutants, context = {}) {
+    this.logger.info(`Improving tests via ${this.info.name}`, {
+      survivedMutantsCount: survivedMutants.length,
+      model: this.config.model
+    });
+
+    const prompt = promptBuilder.buildImprovementPrompt(sourceCode, existingTests, survivedMutants, context);
+
+    try {
+      return await this._createCompletion('improve', prompt);
+    } catch (error) {
+      this.logger.error(`Error improving tests via ${this.info.name}`, {
+        error: error.message,
+        survivedMutantsCount: survivedMutants.length
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Repair tests that fail against the unmutated source code
+   * @param {string} sourceCode - The source code
+   * @param {string} testCode - Current test code
+   * @param {Array<Object>} failures - Failing tests ({ name, message })
+   * @param {Object} context - Additional context (language, module system, test framework)
+   * @returns {Promise<string>} Complete repaired test code
+   */
+  async repairTests(sourceCode, testCode, failures, context = {}) {
+    this.logger.info(`Repairing failing tests via ${this.info.name}`, {
+      failuresCount: failures.length,
+      model: this.config.model
+    });
+
+    const prompt = promptBuilder.buildRepairPrompt(sourceCode, testCode, failures, context);
+
+    try {
+      return await this._createCompletion('repair', prompt);
+    } catch (error) {
+      this.logger.error(`Error repairing tests via ${this.info.name}`, {
+        error: error.message,
+        failuresCount: failures.length
+      });
+      throw error;
+    }
+  }
+  /**
+   * Judge which survived mutants are equivalent to the original code
+   * @param {string} sourceCode - The source code
+   * @param {Array<Object>} mutants - Survived mutants
+   * @param {Object} context - Additional context (language)
+   * @returns {Promise<Array<Object>>} Verdicts ({ id, equivalent, confidence, reason }), ids numbering the mutants from 1
+   */
+  async classifyMutants(sourceCode, mutants, context = {}) {
+    this.logger.info(`Classifying survived mutants via ${this.info.name}`, {
+      mutantsCount: mutants.length,
+      model: this.config.model
+    });
+
+    const prompt = promptBuilder.buildEquivalencePrompt(sourceCode, mutants, context);
+
+    try {
+      return promptBuilder.parseEquivalenceResponse(await this._createCompletion('classify', prompt));
+    } catch (error) {
+      this.logger.error(`Error classifying mutants via ${this.info.name}`, {
+        error: error.message,
+        mutantsCount: mutants.length
+      });
+      throw error;
+    }
+  }
+
+
+  /**
+   * Validate provider configuration
+   * @param {Object} config - Provider configuration
+   * @returns {boolean} True if configuration is valid
+   */
+  validateConfig(config) {
+    if (!config) return false;
+    if (!config.http) return false;
+    if (!config.http.url || typeof config.http.url !== 'string') return false;
+    if (config.http.headers && typeof config.http.headers !== 'object') return false;
+    if (config.temperature && (config.temperature < 0 || config.temperature > 2)) return false;
+    if (config.maxTokens && config.maxTokens < 1) return false;
+
+    return true;
+  }
+
+  /**
+   * Get provider information
+   * @returns {Object} Provider metadata
+   */
+  getInfo() {
+    return {
+      ...this.info,
+      endpoint: this._getEndpoint()
+    };
+  }
+
+  /**
+   * Estimate cost for a request
+   * @param {string} input - Input text
+   * @param {Object} options - Request options
+   * @returns {Object} Cost estimation
+   */
+  estimateCost(input, options = {}) {
+    return this._estimateRequestCost(input, options);
+  }
+
+
+  /**
+   * Check if provider is available and configured correctly
+   * @returns {Promise<boolean>} True if provider is ready
+   */
+  async isHealthy() {
+    try {
+      const content = await this._send(this._buildRequestBody('health', 'Hello', 5));
+      return typeof content === 'string';
+    } catch (error) {
+      this.logger.warn(`${this.info.name} health check failed`, { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Default provider metadata
+   * @returns {Object} Provider metadata
+   * @protected
+   */
+  _getDefaultInfo() {
+    return {
+      name: 'HTTP',
+      version: '1.0.0',
+      models: [],
+      maxTokens: Infinity,
+      supportsStreaming: false
+    };
+  }
+
+  /**
+   * Endpoint URL to POST requests to
+   * @returns {string} Endpoint URL
+   * @protected
+   */
+  _getEndpoint() {
+    return this.config.http.url;
+  }
+
+  /**
+   * Request headers
+   * @returns {Object} Headers
+   * @protected
+   */
+  _getHeaders() {
+    return {
+      'content-type': 'application/json',
+      ...(this.config.apiKey ? { authorization: `Bearer ${this.config.apiKey}` } : {}),
+      ...(this.config.http.headers || {})
+    };
+  }
+
+  /**
+   * Build request body
+   * @param {string} task - Task type ('generate', 'improve', 'repair', 'classify' or 'health')
+   * @param {string} prompt - User prompt
+   * @param {number} maxTokens - Completion token limit (optional)
+   * @returns {Object} Request body
+   * @protected
+   */
+  _buildRequestBody(task, prompt, maxTokens) {
+    return {
+      model: this.config.model,
+      system: promptBuilder.getSystemPrompt(task),
+      prompt,
+      temperature: this.config.temperature || 0.7,
+      max_tokens: maxTokens || this.config.maxTokens || 2000
+    };
+  }
+
+  /**
+   * Extract completion text from response body
+   * @param {Object} data - Parsed response body
+   * @returns {string} Completion text
+   * @protected
+   */
+  _parseResponse(data) {
+    const responsePath = this.config.http.responsePath || 'completion';
+    const text = responsePath.split('.').reduce(
+      (value, key) => (value === undefined || value === null ? undefined : value[key]),
+      data
+    );
+
+    if (typeof text !== 'string') {
+      throw new Error(`${this.info.name} response has no text at "${responsePath}"`);
+    }
+
+    return text;
+  }
+
+  /**
+   * Extract token usage from response body
+   * Understands the OpenAI (`prompt_tokens`/`completion_tokens`) and Anthropic
+   * (`input_tokens`/`output_tokens`) usage fields; counts missing from the
+   * response are estimated.
+   * @param {Object} data - Parsed response body
+   * @returns {Object} Usage ({ model, promptTokens, completionTokens })
+   * @protected
+   */
+  _parseUsage(data) {
+    const usage = data.usage || {};
+
+    return {
+      model: typeof data.model === 'string' ? data.model : null,
+      promptTokens: usage.prompt_tokens ?? usage.input_tokens,
+      completionTokens: usage.completion_tokens ?? usage.output_tokens
+    };
+  }
+
+  /**
+   * Prices used for this provider's calls
+   * Generic endpoints have no list price, so calls are free unless
+   * `llm.pricing` is configured.
+   * @returns {Object} Configured prices, by model or flat
+   * @protected
+   */
+  _getPricing() {
+    return this.config.pricing || { input: 0, output: 0 };
+  }
+
+  /**
+   * Send a completion request and extract the code from the answer
+   * @param {string} task - Task type ('generate', 'improve', 'repair' or 'classify')
+   * @param {string} prompt - User prompt
+   * @returns {Promise<string>} Extracted code
+   * @private
+   */
+  async _createCompletion(task, prompt) {
+    const body = this._buildRequestBody(task, prompt);
+    const requestText = `${promptBuilder.getSystemPrompt(task)}\n${prompt}`;
+
+    const content = await this._callWithResilience(task, requestText, async signal => {
+      const startTime = Date.now();
+      const data = await this._post(body, signal);
+      const completion = this._parseResponse(data);
+      const usage = this._parseUsage(data);
+
+      this._recordUsage({
+        task,
+        model: usage.model || body.model,
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        startTime,
+        prompt: requestText,
+        completion
+      });
+
+      return completion;
+    });
+
+    return promptBuilder.extractCodeFromResponse(content);
+  }
+
+  /**
+   * POST a request body and return the completion text
+   * @param {Object} body - Request body
+   * @returns {Promise<string>} Completion text
+   * @private
+   */
+  async _send(body) {
+    return this._parseResponse(await this._post(body));
+  }
+
+  /**
+   * POST a request body and return the parsed response body
+   * @param {Object} body - Request body
+   * @param {AbortSignal} signal - Signal of the resilience layer's timeout; without one the request times out after `timeout` ms
+   * @returns {Promise<Object>} Parsed response body
+   * @private
+   */
+  async _post(body, signal = null) {
+    const controller = new AbortController();
+    const timeout = signal ? null : setTimeout(() => controller.abort(), this.config.timeout || 60000);
+
+    try {
+      const response = await fetch(this._getEndpoint(), {
+        method: 'POST',
+        headers: this._getHeaders(),
+        body: JSON.stringify(body),
+        signal: signal || controller.signal
+      });
+
+      if (!response.ok) {
+        const error = new Error(`${this.info.name} API request failed with status ${response.status}: ${await response.text()}`);
+        error.status = response.status;
+        error.headers = Object.fromEntries(response.headers.entries());
+        throw error;
+      }
+
+      return await response.json();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        const timeoutError = new Error(`${this.info.name} API request timed out`);
+        timeoutError.code = 'ETIMEDOUT';
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+}
+
+module.exports = HttpLLMAdapter;
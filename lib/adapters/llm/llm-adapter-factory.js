@@ -1,30 +1,107 @@
 /**
- * Factory for creating LLM adapter instances
+ * Factory and registry for creating LLM adapter instances
  */
 
+const path = require('path');
 const OpenAIAdapter = require('./openai-adapter');
 const AzureOpenAIAdapter = require('./azure-adapter');
+const OpenAICompatibleAdapter = require('./openai-compatible-adapter');
+const AnthropicAdapter = require('./anthropic-adapter');
+const HttpLLMAdapter = require('./http-adapter');
+const ReplayAdapter = require('./replay-adapter');
+const { LLMResilience } = require('../../utils/resilience');
+
+/**
+ * Methods every LLM provider plugin must implement
+ */
+const REQUIRED_METHODS = ['generateTests', 'improveTests', 'validateConfig', 'getInfo', 'estimateCost', 'isHealthy'];
 
 class LLMAdapterFactory {
+  constructor() {
+    this.adapters = new Map();
+    this.resilience = new Map();
+    this.registerDefaultAdapters();
+  }
+
+  /**
+   * Register built-in adapters
+   * @private
+   */
+  registerDefaultAdapters() {
+    this.register('openai', OpenAIAdapter);
+    this.register('azure', AzureOpenAIAdapter);
+    this.register('openai-compatible', OpenAICompatibleAdapter);
+    this.register('local', OpenAICompatibleAdapter);
+    this.register('anthropic', AnthropicAdapter);
+    this.register('http', HttpLLMAdapter);
+    this.register('replay', ReplayAdapter);
+    this.register('fixture', ReplayAdapter);
+  }
+
+  /**
+   * Register an LLM adapter
+   * @param {string} name - Provider name
+   * @param {class} AdapterClass - Class implementing the LLMProvider interface
+   */
+  register(name, AdapterClass) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('LLM provider name must be a non-empty string');
+    }
+    this._assertProviderClass(AdapterClass, name);
+
+    this.adapters.set(name.toLowerCase(), AdapterClass);
+  }
+
   /**
    * Create an LLM adapter based on configuration
+   * Unknown providers are resolved as plugin modules (package name or path)
    * @param {Object} config - LLM configuration
    * @param {Object} logger - Logger instance (optional)
    * @returns {LLMProvider} LLM adapter instance
    */
   createAdapter(config = {}, logger = console) {
-    const provider = config.provider || 'openai';
+    return this.create(config.provider || 'openai', config, logger);
+  }
 
-    switch (provider.toLowerCase()) {
-      case 'openai':
-        return new OpenAIAdapter(config, logger);
+  /**
+   * Create an LLM adapter for a named provider
+   * Adapters of the same provider and model share one resilience layer, so
+   * concurrent batch workers draw from the same rate limits and circuit breaker.
+   * @param {string} provider - Provider name, package name or module path
+   * @param {Object} config - LLM configuration
+   * @param {Object} logger - Logger instance (optional)
+   * @returns {LLMProvider} LLM adapter instance
+   */
+  create(provider, config = {}, logger = console) {
+    const AdapterClass = this.adapters.get(provider.toLowerCase()) || this._loadPlugin(provider, config);
 
-      case 'azure':
-        return new AzureOpenAIAdapter(config, logger);
+    // Adapters that wrap other adapters build themselves through the factory
+    const adapter = typeof AdapterClass.create === 'function'
+      ? AdapterClass.create(config, logger, this)
+      : new AdapterClass(config, logger);
 
-      default:
-        throw new Error(`Unsupported LLM provider: ${provider}. Supported providers: openai, azure`);
+    if (typeof adapter.setResilience === 'function') {
+      adapter.setResilience(this.getResilience(provider, config, logger));
     }
+
+    return adapter;
+  }
+
+  /**
+   * Get the resilience layer shared by the adapters of a provider and model
+   * The first adapter's `resilience` configuration sets it up.
+   * @param {string} provider - Provider name
+   * @param {Object} config - LLM configuration
+   * @param {Object} logger - Logger instance
+   * @returns {LLMResilience} Resilience layer
+   */
+  getResilience(provider, config = {}, logger = console) {
+    const key = `${provider.toLowerCase()}:${config.model || ''}`;
+
+    if (!this.resilience.has(key)) {
+      this.resilience.set(key, new LLMResilience(config.resilience, logger));
+    }
+    return this.resilience.get(key);
   }
 
   /**
@@ -32,16 +109,79 @@ class LLMAdapterFactory {
    * @returns {Array<string>} List of provider names
    */
   getSupportedProviders() {
-    return ['openai', 'azure'];
+    return Array.from(this.adapters.keys());
+  }
+
+  /**
+   * Alias of getSupportedProviders
+   * @returns {Array<string>} List of provider names
+   */
+  getAvailableProviders() {
+    return this.getSupportedProviders();
   }
 
   /**
-   * Check if a provider is supported
+   * Check if a provider is registered
    * @param {string} provider - Provider name
    * @returns {boolean} True if supported
    */
   isProviderSupported(provider) {
-    return this.getSupportedProviders().includes(provider.toLowerCase());
+    return this.adapters.has(provider.toLowerCase());
+  }
+
+  /**
+   * Alias of isProviderSupported
+   * @param {string} provider - Provider name
+   * @returns {boolean} True if supported
+   */
+  isSupported(provider) {
+    return this.isProviderSupported(provider);
+  }
+
+  /**
+   * Load a provider plugin module and register it under its provider name
+   * @param {string} provider - Package name or module path
+   * @param {Object} config - LLM configuration (`pluginPaths` extends the search paths)
+   * @returns {class} Adapter class
+   * @private
+   */
+  _loadPlugin(provider, config) {
+    const searchPaths = [process.cwd(), ...(config.pluginPaths || [])];
+
+    let modulePath;
+    try {
+      modulePath = require.resolve(
+        provider.startsWith('.') ? path.resolve(process.cwd(), provider) : provider,
+        { paths: searchPaths }
+      );
+    } catch {
+      throw new Error(`Unsupported LLM provider: ${provider}. Supported providers: ${this.getSupportedProviders().join(', ')}. ` +
+        `No plugin module named "${provider}" could be resolved either.`);
+    }
+
+    const exported = require(modulePath);
+    const AdapterClass = typeof exported === 'function'
+      ? exported
+      : exported.default || exported.LLMProvider || exported.Adapter;
+
+    this.register(provider, AdapterClass);
+    return AdapterClass;
+  }
+
+  /**
+   * Ensure a class implements the LLMProvider interface
+   * @param {class} AdapterClass - Candidate class
+   * @param {string} name - Provider name (for error messages)
+   * @private
+   */
+  _assertProviderClass(AdapterClass, name) {
+    const missing = typeof AdapterClass === 'function'
+      ? REQUIRED_METHODS.filter(method => typeof AdapterClass.prototype[method] !== 'function')
+      : REQUIRED_METHODS;
+
+    if (missing.length > 0) {
+      throw new Error(`LLM provider "${name}" does not implement the LLMProvider interface (missing: ${missing.join(', ')})`);
+    }
   }
 }
 
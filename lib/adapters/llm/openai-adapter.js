@@ -1,5 +1,6 @@
 const OpenAI = require('openai');
 const LLMProvider = require('../../interfaces/llm-provider');
+const promptBuilder = require('./prompt-builder');
 
 /**
  * OpenAI adapter implementing the LLMProvider interface
@@ -48,31 +49,14 @@ class OpenAIAdapter extends LLMProvider {
    * @returns {Promise<string>} Generated test code
    */
   async generateTests(sourceCode, fileName, context = {}) {
-    this.logger.info('Generating tests via OpenAI', { fileName, model: this.config.model });
+    this.logger.info(`Generating tests via ${this.info.name}`, { fileName, model: this.config.model });
 
     const prompt = this._buildInitialPrompt(sourceCode, fileName, context);
 
     try {
-      const response = await this.client.chat.completions.create({
-        model: this.config.model,
-        messages: [
-          {
-            role: 'system',
-            content: this._getSystemPrompt('generate')
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: this.config.temperature || 0.7,
-        max_tokens: this.config.maxTokens || 2000
-      });
-
-      const generatedCode = response.choices[0].message.content;
-      return this._extractCodeFromResponse(generatedCode);
+      return await this._createCompletion('generate', prompt);
     } catch (error) {
-      this.logger.error('Error generating tests via OpenAI', {
+      this.logger.error(`Error generating tests via ${this.info.name}`, {
         error: error.message,
         fileName
       });
@@ -85,44 +69,81 @@ class OpenAIAdapter extends LLMProvider {
    * @param {string} sourceCode - The source code
    * @param {string} existingTests - Current test code
    * @param {Array} survivedMutants - Mutants that survived testing
+   * @param {Object} context - Additional context (language, module system, test framework)
    * @returns {Promise<string>} Improved test code
    */
-  async improveTests(sourceCode, existingTests, survivedMutants) {
-    this.logger.info('Improving tests via OpenAI', {
+  async improveTests(sourceCode, existingTests, survivedMutants, context = {}) {
+    this.logger.info(`Improving tests via ${this.info.name}`, {
       survivedMutantsCount: survivedMutants.length,
       model: this.config.model
     });
 
-    const prompt = this._buildImprovementPrompt(sourceCode, existingTests, survivedMutants);
+    const prompt = this._buildImprovementPrompt(sourceCode, existingTests, survivedMutants, context);
 
     try {
-      const response = await this.client.chat.completions.create({
-        model: this.config.model,
-        messages: [
-          {
-            role: 'system',
-            content: this._getSystemPrompt('improve')
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: this.config.temperature || 0.7,
-        max_tokens: this.config.maxTokens || 2000
+      return await this._createCompletion('improve', prompt);
+    } catch (error) {
+      this.logger.error(`Error improving tests via ${this.info.name}`, {
+        error: error.message,
+        survivedMutantsCount: survivedMutants.length
       });
+      throw error;
+    }
+  }
+
+  /**
+   * Repair tests that fail against the unmutated source code
+   * @param {string} sourceCode - The source code
+   * @param {string} testCode - Current test code
+   * @param {Array<Object>} failures - Failing tests ({ name, message })
+   * @param {Object} context - Additional context (language, module system, test framework)
+   * @returns {Promise<string>} Complete repaired test code
+   */
+  async repairTests(sourceCode, testCode, failures, context = {}) {
+    this.logger.info(`Repairing failing tests via ${this.info.name}`, {
+      failuresCount: failures.length,
+      model: this.config.model
+    });
+
+    const prompt = promptBuilder.buildRepairPrompt(sourceCode, testCode, failures, context);
 
-      const improvedCode = response.choices[0].message.content;
-      return this._extractCodeFromResponse(improvedCode);
+    try {
+      return await this._createCompletion('repair', prompt);
     } catch (error) {
-      this.logger.error('Error improving tests via OpenAI', {
+      this.logger.error(`Error repairing tests via ${this.info.name}`, {
         error: error.message,
-        survivedMutantsCount: survivedMutants.length
+        failuresCount: failures.length
+      });
+      throw error;
+    }
+  }
+  /**
+   * Judge which survived mutants are equivalent to the original code
+   * @param {string} sourceCode - The source code
+   * @param {Array<Object>} mutants - Survived mutants
+   * @param {Object} context - Additional context (language)
+   * @returns {Promise<Array<Object>>} Verdicts ({ id, equivalent, confidence, reason }), ids numbering the mutants from 1
+   */
+  async classifyMutants(sourceCode, mutants, context = {}) {
+    this.logger.info(`Classifying survived mutants via ${this.info.name}`, {
+      mutantsCount: mutants.length,
+      model: this.config.model
+    });
+
+    const prompt = promptBuilder.buildEquivalencePrompt(sourceCode, mutants, context);
+
+    try {
+      return promptBuilder.parseEquivalenceResponse(await this._createCompletion('classify', prompt));
+    } catch (error) {
+      this.logger.error(`Error classifying mutants via ${this.info.name}`, {
+        error: error.message,
+        mutantsCount: mutants.length
       });
       throw error;
     }
   }
 
+
   /**
    * Validate provider configuration
    * @param {Object} config - Provider configuration
@@ -153,30 +174,10 @@ class OpenAIAdapter extends LLMProvider {
    * @returns {Object} Cost estimation
    */
   estimateCost(input, options = {}) {
-    const model = options.model || this.config.model;
-    const inputTokens = Math.ceil(input.length / 4); // Rough estimation
-    const outputTokens = options.maxTokens || this.config.maxTokens || 2000;
-
-    // Rough pricing (as of 2024)
-    const pricing = {
-      'gpt-4': { input: 0.03, output: 0.06 }, // per 1K tokens
-      'gpt-3.5-turbo': { input: 0.001, output: 0.002 }
-    };
-
-    const modelPricing = pricing[model] || pricing['gpt-3.5-turbo'];
-    const inputCost = (inputTokens / 1000) * modelPricing.input;
-    const outputCost = (outputTokens / 1000) * modelPricing.output;
-
-    return {
-      inputTokens,
-      outputTokens,
-      inputCost,
-      outputCost,
-      totalCost: inputCost + outputCost,
-      currency: 'USD'
-    };
+    return this._estimateRequestCost(input, options);
   }
 
+
   /**
    * Check if provider is available and configured correctly
    * @returns {Promise<boolean>} True if provider is ready
@@ -191,28 +192,77 @@ class OpenAIAdapter extends LLMProvider {
 
       return response.choices && response.choices.length > 0;
     } catch (error) {
-      this.logger.warn('OpenAI health check failed', { error: error.message });
+      this.logger.warn(`${this.info.name} health check failed`, { error: error.message });
       return false;
     }
   }
 
+  /**
+   * Send a chat completion request and extract the code from the answer
+   * @param {string} task - Task type ('generate', 'improve', 'repair' or 'classify')
+   * @param {string} prompt - User prompt
+   * @returns {Promise<string>} Extracted code
+   * @private
+   */
+  async _createCompletion(task, prompt) {
+    const request = this._buildCompletionRequest(task, prompt);
+    const requestText = request.messages.map(message => message.content).join('\n');
+
+    const content = await this._callWithResilience(task, requestText, async signal => {
+      const startTime = Date.now();
+      // Retries are left to the resilience layer
+      const response = await this.client.chat.completions.create(request, { signal, maxRetries: 0 });
+      const completion = response.choices[0].message.content;
+
+      this._recordUsage({
+        task,
+        model: response.model || request.model,
+        promptTokens: response.usage?.prompt_tokens,
+        completionTokens: response.usage?.completion_tokens,
+        startTime,
+        prompt: requestText,
+        completion
+      });
+
+      return completion;
+    });
+
+    return this._extractCodeFromResponse(content);
+  }
+
+  /**
+   * Build chat completion request body
+   * @param {string} task - Task type ('generate', 'improve', 'repair' or 'classify')
+   * @param {string} prompt - User prompt
+   * @returns {Object} Request body
+   * @private
+   */
+  _buildCompletionRequest(task, prompt) {
+    return {
+      model: this.config.model,
+      messages: [
+        {
+          role: 'system',
+          content: this._getSystemPrompt(task)
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: this.config.temperature || 0.7,
+      max_tokens: this.config.maxTokens || 2000
+    };
+  }
+
   /**
    * Get system prompt for different tasks
-   * @param {string} task - Task type ('generate' or 'improve')
+   * @param {string} task - Task type ('generate', 'improve', 'repair' or 'classify')
    * @returns {string} System prompt
    * @private
    */
   _getSystemPrompt(task) {
-    const basePrompt = 'You are an expert software testing engineer specializing in writing comprehensive unit tests.';
-
-    switch (task) {
-      case 'generate':
-        return `${basePrompt} Generate high-quality, thorough unit tests that achieve high code coverage and mutation score.`;
-      case 'improve':
-        return `${basePrompt} Analyze survived mutants and generate additional or improved tests to kill them. Focus on edge cases and boundary conditions.`;
-      default:
-        return basePrompt;
-    }
+    return promptBuilder.getSystemPrompt(task);
   }
 
   /**
@@ -224,33 +274,7 @@ class OpenAIAdapter extends LLMProvider {
    * @private
    */
   _buildInitialPrompt(sourceCode, fileName, context) {
-    let prompt = `Generate comprehensive unit tests for the following JavaScript code from file "${fileName}".\n\n`;
-    prompt += `Source Code:\n\`\`\`javascript\n${sourceCode}\n\`\`\`\n\n`;
-    prompt += `Requirements:\n`;
-    prompt += `- Use Jest testing framework\n`;
-    prompt += `- Include tests for all functions and methods\n`;
-    prompt += `- Cover edge cases, boundary conditions, and error handling\n`;
-    prompt += `- Use descriptive test names\n`;
-    prompt += `- Aim for high code coverage and mutation score\n`;
-
-    // Add import path instruction if available
-    if (context.relativeImportPath) {
-      prompt += `\n**CRITICAL: Import Statement**\n`;
-      prompt += `You MUST use this EXACT import path: '${context.relativeImportPath}'\n`;
-      prompt += `Start your test file with ONE of these (based on the export type):\n`;
-      prompt += `  For module.exports = class: const Calculator = require('${context.relativeImportPath}');\n`;
-      prompt += `  For exports.Calculator: const { Calculator } = require('${context.relativeImportPath}');\n`;
-      prompt += `DO NOT use './calculator' or any other path. Use the path specified above.\n\n`;
-    }
-
-    if (context.existingTests) {
-      prompt += `\nExisting tests:\n\`\`\`javascript\n${context.existingTests}\n\`\`\`\n`;
-      prompt += `Generate additional tests that complement the existing ones.\n`;
-    }
-
-    prompt += `\nProvide only the test code without explanations.`;
-
-    return prompt;
+    return promptBuilder.buildInitialPrompt(sourceCode, fileName, context);
   }
 
   /**
@@ -258,28 +282,12 @@ class OpenAIAdapter extends LLMProvider {
    * @param {string} sourceCode - Source code
    * @param {string} existingTests - Existing tests
    * @param {Array} survivedMutants - Survived mutants
+   * @param {Object} context - Additional context
    * @returns {string} Prompt text
    * @private
    */
-  _buildImprovementPrompt(sourceCode, existingTests, survivedMutants) {
-    let prompt = `The following source code has survived mutants that need to be killed.\n\n`;
-    prompt += `Source Code:\n\`\`\`javascript\n${sourceCode}\n\`\`\`\n\n`;
-    prompt += `Existing Tests:\n\`\`\`javascript\n${existingTests}\n\`\`\`\n\n`;
-    prompt += `Survived Mutants:\n`;
-
-    survivedMutants.slice(0, 10).forEach((mutant, index) => {
-      prompt += `${index + 1}. ${mutant.mutatorName} at line ${mutant.location.start.line}: ${mutant.replacement}\n`;
-    });
-
-    if (survivedMutants.length > 10) {
-      prompt += `... and ${survivedMutants.length - 10} more mutants\n`;
-    }
-
-    prompt += `\nGenerate additional or improved tests to kill these survived mutants. `;
-    prompt += `Focus on the specific conditions and edge cases that would expose these mutations.\n`;
-    prompt += `Provide only the additional test code without explanations.`;
-
-    return prompt;
+  _buildImprovementPrompt(sourceCode, existingTests, survivedMutants, context) {
+    return promptBuilder.buildImprovementPrompt(sourceCode, existingTests, survivedMutants, context);
   }
 
   /**
@@ -289,13 +297,7 @@ class OpenAIAdapter extends LLMProvider {
    * @private
    */
   _extractCodeFromResponse(response) {
-    // Remove markdown code blocks
-    let code = response.replace(/```javascript\n?/g, '').replace(/```\n?/g, '');
-
-    // Trim whitespace
-    code = code.trim();
-
-    return code;
+    return promptBuilder.extractCodeFromResponse(response);
   }
 }
 
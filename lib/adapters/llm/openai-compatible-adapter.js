@@ -0,0 +1,148 @@
+const OpenAI = require('openai');
+const OpenAIAdapter = require('./openai-adapter');
+
+/**
+ * Adapter for self-hosted servers exposing an OpenAI-compatible
+ * `/v1/chat/completions` endpoint (Ollama, llama.cpp server, vLLM, ...)
+ * Reuses the OpenAI adapter's prompts and request flow, but accepts any model
+ * name and keeps requests within the model's context window.
+ */
+class OpenAICompatibleAdapter extends OpenAIAdapter {
+  /**
+   * Initialize client for the configured base URL
+   * @private
+   */
+  _initialize() {
+    const compatible = this.config?.compatible || {};
+
+    this.info = {
+      name: 'OpenAI-compatible',
+      version: '1.0.0',
+      models: this.config?.model ? [this.config.model] : [],
+      maxTokens: compatible.contextWindow || OpenAICompatibleAdapter.DEFAULT_CONTEXT_WINDOW,
+      supportsStreaming: true
+    };
+
+    if (!this.validateConfig(this.config)) {
+      throw new Error('Invalid OpenAI-compatible configuration');
+    }
+
+    this.client = new OpenAI({
+      // The SDK insists on a key; local servers usually ignore it
+      apiKey: this.config.apiKey || 'not-needed',
+      baseURL: compatible.baseURL,
+      defaultHeaders: {
+        // Don't send a bogus bearer token when no key is configured
+        ...(this.config.apiKey ? {} : { Authorization: null }),
+        ...(compatible.headers || {})
+      },
+      timeout: compatible.timeout
+    });
+
+    this.logger.info('OpenAI-compatible adapter initialized', {
+      baseURL: compatible.baseURL,
+      model: this.config.model,
+      contextWindow: this.info.maxTokens
+    });
+  }
+
+  /**
+   * Validate provider configuration
+   * @param {Object} config - Provider configuration
+   * @returns {boolean} True if configuration is valid
+   */
+  validateConfig(config) {
+    if (!config) return false;
+    if (!config.model || typeof config.model !== 'string') return false;
+    if (config.apiKey && typeof config.apiKey !== 'string') return false;
+    if (!config.compatible) return false;
+    if (!config.compatible.baseURL || typeof config.compatible.baseURL !== 'string') return false;
+    if (config.compatible.headers && typeof config.compatible.headers !== 'object') return false;
+    if (config.compatible.contextWindow && config.compatible.contextWindow < 1) return false;
+    if (config.temperature && (config.temperature < 0 || config.temperature > 2)) return false;
+    if (config.maxTokens && (config.maxTokens < 1 || config.maxTokens > this.info.maxTokens)) return false;
+
+    return true;
+  }
+
+  /**
+   * Get provider information
+   * @returns {Object} Provider metadata
+   */
+  getInfo() {
+    return {
+      ...this.info,
+      compatible: {
+        baseURL: this.config.compatible.baseURL,
+        model: this.config.model,
+        contextWindow: this.info.maxTokens
+      }
+    };
+  }
+
+  /**
+   * Estimate cost for a request
+   * Self-hosted models are free unless `llm.pricing` is configured; token counts are still reported
+   * @param {string} input - Input text
+   * @param {Object} options - Request options
+   * @returns {Object} Cost estimation
+   */
+  estimateCost(input, options = {}) {
+    return {
+      ...this._estimateRequestCost(input, options),
+      ...(this.config.pricing ? {} : { note: 'Self-hosted model, no per-token pricing' })
+    };
+  }
+
+
+  /**
+   * Prices used for this provider's calls
+   * Self-hosted models are free unless `llm.pricing` is configured
+   * @returns {Object} Configured prices, by model or flat
+   * @protected
+   */
+  _getPricing() {
+    return this.config.pricing || { input: 0, output: 0 };
+  }
+
+  /**
+   * Build chat completion request body, capping the completion length so
+   * prompt and completion fit the context window
+   * @param {string} task - Task type ('generate', 'improve', 'repair' or 'classify')
+   * @param {string} prompt - User prompt
+   * @returns {Object} Request body
+   * @private
+   */
+  _buildCompletionRequest(task, prompt) {
+    const request = super._buildCompletionRequest(task, prompt);
+
+    const promptTokens = request.messages.reduce(
+      (sum, message) => sum + this._estimateTokens(message.content),
+      0
+    );
+    const availableTokens = this.info.maxTokens - promptTokens;
+
+    if (availableTokens < 1) {
+      throw new Error(
+        `Prompt (~${promptTokens} tokens) exceeds the context window of ${this.info.maxTokens} tokens for model ${this.config.model}`
+      );
+    }
+
+    request.max_tokens = Math.min(request.max_tokens, availableTokens);
+    return request;
+  }
+
+  /**
+   * Rough token estimate for a piece of text
+   * @param {string} text - Text to estimate
+   * @returns {number} Estimated token count
+   * @private
+   */
+  _estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+  }
+}
+
+OpenAICompatibleAdapter.DEFAULT_CONTEXT_WINDOW = 8192;
+
+module.exports = OpenAICompatibleAdapter;
@@ -0,0 +1,302 @@
+/**
+ * Prompt builder shared by the LLM adapters
+ * Keeps prompt wording in one place so every provider (and the replay
+ * provider's prompt hashing) sees exactly the same text
+ */
+
+const { describeSurvivedMutants, createMutantDiff } = require('../../utils/mutant-context');
+
+/**
+ * Framework used when the caller does not name one
+ */
+const DEFAULT_TEST_FRAMEWORK = { name: 'jest', displayName: 'Jest', imports: [], instructions: [] };
+
+/**
+ * Get system prompt for different tasks
+ * @param {string} task - Task type ('generate', 'improve', 'repair' or 'classify')
+ * @returns {string} System prompt
+ */
+function getSystemPrompt(task) {
+  const basePrompt = 'You are an expert software testing engineer specializing in writing comprehensive unit tests.';
+
+  switch (task) {
+    case 'generate':
+      return `${basePrompt} Generate high-quality, thorough unit tests that achieve high code coverage and mutation score.`;
+    case 'improve':
+      return `${basePrompt} Analyze survived mutants and generate additional or improved tests to kill them. Focus on edge cases and boundary conditions.`;
+    case 'repair':
+      return `${basePrompt} Fix failing tests so they pass against the current source code, which is assumed to be correct.`;
+    case 'classify':
+      return `${basePrompt} Decide whether mutants are equivalent: whether any test could observe a difference between the original and the mutated code.`;
+    default:
+      return basePrompt;
+  }
+}
+
+/**
+ * Build initial test generation prompt
+ * @param {string} sourceCode - Source code
+ * @param {string} fileName - File name
+ * @param {Object} context - Additional context
+ * @returns {string} Prompt text
+ */
+function buildInitialPrompt(sourceCode, fileName, context = {}) {
+  const isTypeScript = context.language === 'typescript';
+  const fence = isTypeScript ? 'typescript' : 'javascript';
+  const framework = context.testFramework || DEFAULT_TEST_FRAMEWORK;
+  const usesImports = framework.usesImports !== undefined
+    ? framework.usesImports
+    : isTypeScript || context.moduleSystem === 'esm';
+
+  let prompt = `Generate comprehensive unit tests for the following ${isTypeScript ? 'TypeScript' : 'JavaScript'} code from file "${fileName}".\n\n`;
+  prompt += `Source Code:\n\`\`\`${fence}\n${sourceCode}\n\`\`\`\n\n`;
+  prompt += `Requirements:\n`;
+  prompt += `- Use ${framework.displayName} testing framework\n`;
+  framework.instructions.forEach(instruction => {
+    prompt += `- ${instruction}\n`;
+  });
+  if (isTypeScript) {
+    prompt += `- Write the tests in TypeScript with type-correct arguments\n`;
+  }
+  if (context.moduleSystem === 'esm' && !isTypeScript) {
+    prompt += `- The code runs as a native ES module: use import syntax only\n`;
+  }
+  prompt += `- Include tests for all functions and methods\n`;
+  prompt += `- Cover edge cases, boundary conditions, and error handling\n`;
+  prompt += `- Use descriptive test names\n`;
+  prompt += `- Aim for high code coverage and mutation score\n`;
+
+  const apiDescription = describePublicApi(context.publicApi);
+  if (apiDescription) {
+    prompt += `\nPublic API (test through these entry points):\n${apiDescription}`;
+  }
+
+  // Add import path instruction if available
+  if (context.relativeImportPath) {
+    prompt += `\n**CRITICAL: Import Statement**\n`;
+    if (framework.imports.length > 0) {
+      prompt += `Begin with the framework imports:\n${framework.imports.map(line => `  ${line}`).join('\n')}\n`;
+    }
+    prompt += `You MUST use this EXACT import path: '${context.relativeImportPath}'\n`;
+    prompt += `Start your test file with ONE of these (based on the export type):\n`;
+    if (usesImports) {
+      prompt += `  For export default: import Calculator from '${context.relativeImportPath}';\n`;
+      prompt += `  For named exports: import { Calculator } from '${context.relativeImportPath}';\n`;
+    } else {
+      prompt += `  For module.exports = class: const Calculator = require('${context.relativeImportPath}');\n`;
+      prompt += `  For exports.Calculator: const { Calculator } = require('${context.relativeImportPath}');\n`;
+    }
+    prompt += `DO NOT use './calculator' or any other path. Use the path specified above.\n\n`;
+  }
+
+  if (context.existingTests) {
+    prompt += `\nExisting tests:\n\`\`\`${fence}\n${context.existingTests}\n\`\`\`\n`;
+    prompt += `Generate additional tests that complement the existing ones.\n`;
+  }
+
+  prompt += `\nProvide only the test code without explanations.`;
+
+  return prompt;
+}
+
+/**
+ * Describe a module's public API for the prompt
+ * @param {Object} publicApi - Public API from SourceFile.getPublicApi()
+ * @returns {string} One line per export, class member or function (empty if unknown)
+ */
+function describePublicApi(publicApi) {
+  if (!publicApi) return '';
+
+  const lines = [];
+  const describeFunction = (fn, indent) => {
+    const modifiers = [fn.static && 'static', fn.async && 'async', fn.kind === 'getter' && 'get', fn.kind === 'setter' && 'set']
+      .filter(Boolean)
+      .join(' ');
+    const params = (fn.params || [])
+      .map(param => `${param.rest ? '...' : ''}${param.name}${param.defaultValue !== undefined ? ` = ${param.defaultValue}` : ''}`)
+      .join(', ');
+    const name = fn.kind === 'constructor' ? 'constructor' : fn.name;
+
+    let line = `${indent}- ${modifiers ? `${modifiers} ` : ''}${name}(${params})`;
+    const thrown = (fn.throws || []).map(error => error.type ? `${error.type}${error.message ? `("${error.message}")` : ''}` : error.expression);
+    if (thrown.length > 0) line += ` throws ${thrown.join(', ')}`;
+    if (fn.complexity > 1) line += ` [${fn.complexity} branches]`;
+    lines.push(line);
+  };
+
+  (publicApi.exports || []).forEach(entry => {
+    const label = entry.type === 'default' ? 'default export' : entry.type === 'reexport' ? `re-export from '${entry.source}'` : 'named export';
+    lines.push(`- ${entry.name === 'default' && entry.local ? entry.local : entry.name} (${entry.kind || 'value'}, ${label})`);
+  });
+
+  (publicApi.classes || []).forEach(cls => {
+    lines.push(`class ${cls.name}${cls.superClass ? ` extends ${cls.superClass}` : ''}:`);
+    cls.methods.forEach(method => describeFunction(method, '  '));
+  });
+
+  if ((publicApi.functions || []).length > 0) {
+    lines.push('functions:');
+    publicApi.functions.forEach(fn => describeFunction(fn, '  '));
+  }
+
+  return lines.map(line => `${line}\n`).join('');
+}
+
+/**
+ * Build improvement prompt based on mutation feedback
+ * @param {string} sourceCode - Source code
+ * @param {string} existingTests - Existing tests
+ * @param {Array} survivedMutants - Survived mutants
+ * @param {Object} context - Additional context ({ language, moduleSystem, testFramework,
+ *   sourceFunctions, mutantTokenBudget, mutantContextLines, targeted })
+ * @returns {string} Prompt text
+ */
+function buildImprovementPrompt(sourceCode, existingTests, survivedMutants, context = {}) {
+  const fence = context.language === 'typescript' ? 'typescript' : 'javascript';
+
+  let prompt = `The following source code has survived mutants that need to be killed.\n\n`;
+  prompt += `Source Code:\n\`\`\`${fence}\n${sourceCode}\n\`\`\`\n\n`;
+  prompt += `Existing Tests:\n\`\`\`${fence}\n${existingTests}\n\`\`\`\n\n`;
+  prompt += `Survived Mutants (grouped by enclosing function; diffs show original lines as - and mutated lines as +):\n\n`;
+
+  const mutants = describeSurvivedMutants(sourceCode, survivedMutants, {
+    functions: context.sourceFunctions,
+    ...(context.mutantTokenBudget !== undefined && { tokenBudget: context.mutantTokenBudget }),
+    ...(context.mutantContextLines !== undefined && { contextLines: context.mutantContextLines })
+  });
+  prompt += mutants.text;
+
+  if (mutants.omitted > 0) {
+    prompt += `\n... and ${mutants.omitted} more mutants\n`;
+  }
+
+  if (context.targeted) {
+    prompt += `\nWrite exactly ONE new test that passes on the original code and fails when any of the mutations above is applied. `;
+    prompt += `Give it a descriptive, unique title and wrap it in the matching describe block.\n`;
+  } else {
+    prompt += `\nGenerate additional or improved tests to kill these survived mutants. `;
+    prompt += `Focus on the specific conditions and edge cases that would expose these mutations.\n`;
+  }
+  if (context.testFramework) {
+    prompt += `Use ${context.testFramework.displayName}, matching the style of the existing tests.\n`;
+    context.testFramework.instructions.forEach(instruction => {
+      prompt += `- ${instruction}\n`;
+    });
+  }
+  prompt += `Provide only the additional test code without explanations.`;
+
+  return prompt;
+}
+
+/**
+ * Build repair prompt for tests that fail on the unmutated source
+ * @param {string} sourceCode - Source code
+ * @param {string} testCode - Current test code
+ * @param {Array<Object>} failures - Failing tests ({ name, message }); name is null for suite-level errors
+ * @param {Object} context - Additional context ({ language, moduleSystem, testFramework })
+ * @returns {string} Prompt text
+ */
+function buildRepairPrompt(sourceCode, testCode, failures, context = {}) {
+  const fence = context.language === 'typescript' ? 'typescript' : 'javascript';
+
+  let prompt = `The following tests fail against the original, unmodified source code.\n\n`;
+  prompt += `Source Code:\n\`\`\`${fence}\n${sourceCode}\n\`\`\`\n\n`;
+  prompt += `Tests:\n\`\`\`${fence}\n${testCode}\n\`\`\`\n\n`;
+  prompt += `Failures:\n`;
+
+  failures.forEach((failure, index) => {
+    const message = (failure.message || 'No error output').trim().split('\n').slice(0, 15).join('\n');
+    prompt += `${index + 1}. ${failure.name || 'Test suite failed to run'}\n${message}\n\n`;
+  });
+
+  prompt += `The source code is correct: fix the expectations, setup or imports of the failing tests so they pass. `;
+  prompt += `Remove a test if it cannot pass without changing the source code. Keep the passing tests unchanged.\n`;
+  if (context.testFramework) {
+    prompt += `Use ${context.testFramework.displayName}.\n`;
+  }
+  prompt += `Provide the complete corrected test file without explanations.`;
+
+  return prompt;
+}
+
+/**
+ * Build prompt asking which survived mutants are equivalent to the original code
+ * @param {string} sourceCode - Source code
+ * @param {Array<Object>} mutants - Survived mutants
+ * @param {Object} context - Additional context ({ language })
+ * @returns {string} Prompt text
+ */
+function buildEquivalencePrompt(sourceCode, mutants, context = {}) {
+  const fence = context.language === 'typescript' ? 'typescript' : 'javascript';
+
+  let prompt = `The following mutants of the source code survived all tests.\n\n`;
+  prompt += `Source Code:\n\`\`\`${fence}\n${sourceCode}\n\`\`\`\n\n`;
+  prompt += `Mutants:\n`;
+
+  mutants.forEach((mutant, index) => {
+    const diff = createMutantDiff(sourceCode, mutant);
+    prompt += `${index + 1}. ${mutant.mutatorName} at line ${mutant.location.start.line}: replaced with \`${mutant.replacement}\`\n`;
+    if (diff) prompt += `\`\`\`diff\n${diff}\n\`\`\`\n`;
+  });
+
+  prompt += `\nA mutant is equivalent when no input can make the mutated code behave observably differently `;
+  prompt += `(for example \`x > max ? max : x\` changed to \`x >= max ? max : x\`, which returns \`max\` either way when \`x\` equals \`max\`). `;
+  prompt += `Only answer true when you are sure; a mutant that is merely hard to test is not equivalent.\n`;
+  prompt += `Answer with a JSON array only, one entry per mutant: `;
+  prompt += `[{"id": 1, "equivalent": true, "confidence": 0.9, "reason": "..."}]`;
+
+  return prompt;
+}
+
+/**
+ * Parse the verdicts of an equivalence prompt
+ * @param {string} response - LLM response text
+ * @returns {Array<Object>} Verdicts ({ id, equivalent, confidence, reason }); empty if unreadable
+ */
+function parseEquivalenceResponse(response) {
+  const start = response.indexOf('[');
+  const end = response.lastIndexOf(']');
+  if (start === -1 || end < start) return [];
+
+  try {
+    const verdicts = JSON.parse(response.slice(start, end + 1));
+    return Array.isArray(verdicts)
+      ? verdicts
+        .filter(verdict => verdict && Number.isInteger(verdict.id))
+        .map(verdict => ({
+          id: verdict.id,
+          equivalent: verdict.equivalent === true,
+          confidence: typeof verdict.confidence === 'number' ? verdict.confidence : 0,
+          reason: verdict.reason || ''
+        }))
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Extract code from LLM response (remove markdown formatting)
+ * @param {string} response - Raw response
+ * @returns {string} Extracted code
+ */
+function extractCodeFromResponse(response) {
+  // Remove markdown code blocks
+  let code = response.replace(/```(?:javascript|js|typescript|ts|tsx|jsx)\n?/g, '').replace(/```\n?/g, '');
+
+  // Trim whitespace
+  code = code.trim();
+
+  return code;
+}
+
+module.exports = {
+  getSystemPrompt,
+  buildInitialPrompt,
+  buildImprovementPrompt,
+  buildRepairPrompt,
+  buildEquivalencePrompt,
+  parseEquivalenceResponse,
+  describePublicApi,
+  extractCodeFromResponse
+};
@@ -0,0 +1,307 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const LLMProvider = require('../../interfaces/llm-provider');
+const promptBuilder = require('./prompt-builder');
+
+/**
+ * Replay adapter implementing the LLMProvider interface
+ * Serves recorded prompt/completion pairs from disk so the pipeline can run
+ * without network access. In record mode it wraps a real adapter and stores
+ * every completion it returns.
+ */
+class ReplayAdapter extends LLMProvider {
+  constructor(config, logger, delegate = null) {
+    super();
+    this.config = config;
+    this.logger = logger;
+    this.delegate = delegate;
+    this.info = {
+      name: 'Replay',
+      version: '1.0.0',
+      models: ['replay'],
+      maxTokens: Infinity,
+      supportsStreaming: false
+    };
+
+    this._initialize();
+  }
+
+  /**
+   * Create a replay adapter, wrapping a real adapter when recording
+   * @param {Object} config - LLM configuration
+   * @param {Object} logger - Logger instance
+   * @param {LLMAdapterFactory} factory - Factory used to build the delegate
+   * @returns {ReplayAdapter} Replay adapter instance
+   */
+  static create(config, logger, factory) {
+    const replayConfig = config.replay || {};
+    if (replayConfig.mode !== 'record') {
+      return new ReplayAdapter(config, logger);
+    }
+
+    const delegateProvider = replayConfig.provider || 'openai';
+    if (factory.adapters.get(delegateProvider.toLowerCase()) === ReplayAdapter) {
+      throw new Error('Replay adapter cannot record from another replay adapter');
+    }
+
+    const delegate = factory.create(delegateProvider, { ...config, provider: delegateProvider }, logger);
+    return new ReplayAdapter(config, logger, delegate);
+  }
+
+  /**
+   * Initialize replay adapter
+   * @private
+   */
+  _initialize() {
+    if (!this.validateConfig(this.config)) {
+      throw new Error('Invalid replay configuration');
+    }
+
+    const replayConfig = this.config.replay || {};
+    this.mode = replayConfig.mode || 'replay';
+    this.fixturesDir = path.resolve(replayConfig.fixturesDir || ReplayAdapter.DEFAULT_FIXTURES_DIR);
+
+    if (this.mode === 'record' && !this.delegate) {
+      throw new Error('Replay adapter in record mode requires a delegate LLM adapter');
+    }
+
+    this.logger.info('Replay adapter initialized', {
+      mode: this.mode,
+      fixturesDir: this.fixturesDir,
+      delegate: this.delegate?.getInfo().name
+    });
+  }
+
+  /**
+   * Generate initial tests for source code
+   * @param {string} sourceCode - The source code to analyze
+   * @param {string} fileName - Name of the source file
+   * @param {Object} context - Additional context
+   * @returns {Promise<string>} Generated test code
+   */
+  async generateTests(sourceCode, fileName, context = {}) {
+    const prompt = promptBuilder.buildInitialPrompt(sourceCode, fileName, context);
+
+    return this._resolve('generate', prompt, { fileName }, () =>
+      this.delegate.generateTests(sourceCode, fileName, context)
+    );
+  }
+
+  /**
+   * Improve existing tests based on mutation analysis
+   * @param {string} sourceCode - The source code
+   * @param {string} existingTests - Current test code
+   * @param {Array} survivedMutants - Mutants that survived testing
+   * @param {Object} context - Additional context (language, module system, test framework)
+   * @returns {Promise<string>} Improved test code
+   */
+  async improveTests(sourceCode, existingTests, survivedMutants, context = {}) {
+    const prompt = promptBuilder.buildImprovementPrompt(sourceCode, existingTests, survivedMutants, context);
+
+    return this._resolve('improve', prompt, { survivedMutantsCount: survivedMutants.length }, () =>
+      this.delegate.improveTests(sourceCode, existingTests, survivedMutants, context)
+    );
+  }
+
+  /**
+   * Repair tests that fail against the unmutated source code
+   * @param {string} sourceCode - The source code
+   * @param {string} testCode - Current test code
+   * @param {Array<Object>} failures - Failing tests ({ name, message })
+   * @param {Object} context - Additional context (language, module system, test framework)
+   * @returns {Promise<string>} Complete repaired test code
+   */
+  async repairTests(sourceCode, testCode, failures, context = {}) {
+    const prompt = promptBuilder.buildRepairPrompt(sourceCode, testCode, failures, context);
+
+    return this._resolve('repair', prompt, { failuresCount: failures.length }, () =>
+      this.delegate.repairTests(sourceCode, testCode, failures, context)
+    );
+  }
+
+  /**
+   * Judge which survived mutants are equivalent to the original code
+   * @param {string} sourceCode - The source code
+   * @param {Array<Object>} mutants - Survived mutants
+   * @param {Object} context - Additional context (language)
+   * @returns {Promise<Array<Object>>} Verdicts ({ id, equivalent, confidence, reason }), ids numbering the mutants from 1
+   */
+  async classifyMutants(sourceCode, mutants, context = {}) {
+    const prompt = promptBuilder.buildEquivalencePrompt(sourceCode, mutants, context);
+
+    return this._resolve('classify', prompt, { mutantsCount: mutants.length }, () =>
+      this.delegate.classifyMutants(sourceCode, mutants, context)
+    );
+  }
+
+  /**
+   * Validate provider configuration
+   * @param {Object} config - Provider configuration
+   * @returns {boolean} True if configuration is valid
+   */
+  validateConfig(config) {
+    if (!config) return false;
+
+    const replayConfig = config.replay || {};
+    if (replayConfig.mode && !['replay', 'record'].includes(replayConfig.mode)) return false;
+    if (replayConfig.fixturesDir && typeof replayConfig.fixturesDir !== 'string') return false;
+
+    return true;
+  }
+
+  /**
+   * Get provider information
+   * @returns {Object} Provider metadata
+   */
+  getInfo() {
+    return {
+      ...this.info,
+      replay: {
+        mode: this.mode,
+        fixturesDir: this.fixturesDir,
+        delegate: this.delegate ? this.delegate.getInfo().name : null
+      }
+    };
+  }
+
+  /**
+   * Estimate cost for a request
+   * Replayed responses are free; in record mode the delegate's estimate applies
+   * @param {string} input - Input text
+   * @param {Object} options - Request options
+   * @returns {Object} Cost estimation
+   */
+  estimateCost(input, options = {}) {
+    if (this.mode === 'record') {
+      return this.delegate.estimateCost(input, options);
+    }
+
+    return {
+      inputTokens: 0,
+      outputTokens: 0,
+      inputCost: 0,
+      outputCost: 0,
+      totalCost: 0,
+      currency: 'USD',
+      note: 'Responses are served from recorded fixtures'
+    };
+  }
+
+  /**
+   * Get the usage of the calls made through this adapter
+   * Replayed responses make no calls; in record mode the delegate's usage
+   * applies, when the delegate records any
+   * @returns {TokenUsage} Token usage
+   */
+  getUsage() {
+    if (this.mode === 'record' && typeof this.delegate.getUsage === 'function') {
+      return this.delegate.getUsage();
+    }
+
+    return super.getUsage();
+  }
+
+  /**
+   * Check if provider is available and configured correctly
+   * @returns {Promise<boolean>} True if provider is ready
+   */
+  async isHealthy() {
+    if (this.mode === 'record') {
+      return this.delegate.isHealthy();
+    }
+
+    try {
+      const stats = await fs.stat(this.fixturesDir);
+      return stats.isDirectory();
+    } catch (error) {
+      this.logger.warn('Replay fixtures directory is not available', {
+        fixturesDir: this.fixturesDir,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Compute the fixture key for a prompt
+   * @param {string} task - Task type ('generate', 'improve', 'repair' or 'classify')
+   * @param {string} prompt - User prompt text
+   * @returns {string} Prompt hash
+   */
+  getPromptHash(task, prompt) {
+    return crypto
+      .createHash('sha256')
+      .update(promptBuilder.getSystemPrompt(task))
+      .update('\0')
+      .update(prompt)
+      .digest('hex');
+  }
+
+  /**
+   * Serve a completion from fixtures, or record it from the delegate
+   * @param {string} task - Task type
+   * @param {string} prompt - User prompt text
+   * @param {Object} meta - Extra log/fixture metadata
+   * @param {Function} callDelegate - Produces the completion in record mode
+   * @returns {Promise<string>} Completion
+   * @private
+   */
+  async _resolve(task, prompt, meta, callDelegate) {
+    const hash = this.getPromptHash(task, prompt);
+    const fixturePath = this._getFixturePath(hash);
+
+    if (this.mode === 'record') {
+      const completion = await callDelegate();
+      await this._writeFixture(fixturePath, {
+        hash,
+        task,
+        ...meta,
+        provider: this.delegate.getInfo().name,
+        recordedAt: new Date().toISOString(),
+        prompt,
+        completion
+      });
+
+      this.logger.info('Recorded LLM response', { task, hash, ...meta });
+      return completion;
+    }
+
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.readFile(fixturePath, 'utf-8'));
+    } catch (error) {
+      this.logger.error('No recorded LLM response for prompt', { task, hash, ...meta });
+      throw new Error(`No recorded LLM response for ${task} prompt ${hash} in ${this.fixturesDir}: ${error.message}`);
+    }
+
+    this.logger.info('Replaying recorded LLM response', { task, hash, ...meta });
+    return fixture.completion;
+  }
+
+  /**
+   * Write a fixture file
+   * @param {string} fixturePath - Fixture file path
+   * @param {Object} fixture - Fixture contents
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeFixture(fixturePath, fixture) {
+    await fs.mkdir(path.dirname(fixturePath), { recursive: true });
+    await fs.writeFile(fixturePath, JSON.stringify(fixture, null, 2));
+  }
+
+  /**
+   * Get fixture file path for a prompt hash
+   * @param {string} hash - Prompt hash
+   * @returns {string} Fixture file path
+   * @private
+   */
+  _getFixturePath(hash) {
+    return path.join(this.fixturesDir, `${hash}.json`);
+  }
+}
+
+ReplayAdapter.DEFAULT_FIXTURES_DIR = '.llm-fixtures';
+
+module.exports = ReplayAdapter;
@@ -1,4 +1,6 @@
 const StrykerAdapter = require('./stryker-adapter');
+const Sandbox = require('./sandbox');
+const MutationCache = require('./mutation-cache');
 
 /**
  * Mutation engine adapter factory
@@ -68,6 +70,8 @@ const factory = new MutationEngineFactory();
 module.exports = {
   factory,
   StrykerAdapter,
+  Sandbox,
+  MutationCache,
   
   // Convenience methods
   createEngine: (engine, config, logger) => factory.create(engine, config, logger),
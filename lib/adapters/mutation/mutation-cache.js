@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Persistent cache of mutation results for incremental runs
+ * Each source file gets two entries in the cache directory:
+ * - `<name>.json`: the last Stryker report, keyed by source, test and config hashes,
+ *   returned as-is when none of them changed
+ * - `<name>.incremental.json`: Stryker's incremental report, which lets Stryker reuse
+ *   per-mutant results whose code and covering tests are unchanged
+ */
+class MutationCache {
+  /**
+   * @param {string} cacheDir - Directory holding cache entries
+   * @param {Object} logger - Logger instance
+   */
+  constructor(cacheDir, logger = console) {
+    this.cacheDir = path.resolve(cacheDir);
+    this.logger = logger;
+  }
+
+  /**
+   * Hash content for a cache key
+   * @param {string} content - File content or serialized config
+   * @returns {string} SHA-256 hex digest
+   */
+  static hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Create the cache key for one mutation run
+   * @param {string} sourceCode - Source file content
+   * @param {string} testCode - Test file content
+   * @param {Object} config - Mutation settings that affect results
+   * @returns {{sourceHash: string, testHash: string, configHash: string}} Cache key
+   */
+  static createKey(sourceCode, testCode, config = {}) {
+    return {
+      sourceHash: MutationCache.hash(sourceCode),
+      testHash: MutationCache.hash(testCode),
+      configHash: MutationCache.hash(JSON.stringify(config))
+    };
+  }
+
+  /**
+   * File-system safe name for a source file, unique per path:
+   * `src/utils/a.js` -> `a.js-<first 12 hex digits of the path's hash>`
+   * @param {string} sourceFile - Project-relative source file path
+   * @returns {string} Name
+   */
+  static getName(sourceFile) {
+    const normalized = sourceFile.split(path.sep).join('/');
+    return `${path.basename(normalized)}-${MutationCache.hash(normalized).slice(0, 12)}`;
+  }
+
+  /**
+   * Get the path of Stryker's incremental report for a source file
+   * @param {string} sourceFile - Project-relative source file path
+   * @returns {string} Absolute path
+   */
+  getIncrementalFile(sourceFile) {
+    return path.join(this.cacheDir, `${MutationCache.getName(sourceFile)}.incremental.json`);
+  }
+
+  /**
+   * Look up cached results
+   * @param {string} sourceFile - Project-relative source file path
+   * @param {Object} key - Cache key from createKey()
+   * @returns {Promise<Object|null>} Raw Stryker results, or null on a miss
+   */
+  async get(sourceFile, key) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this._getEntryFile(sourceFile), 'utf-8'));
+    } catch {
+      return null;
+    }
+
+    const matches = entry.sourceHash === key.sourceHash &&
+      entry.testHash === key.testHash &&
+      entry.configHash === key.configHash;
+
+    return matches ? entry.rawResults : null;
+  }
+
+  /**
+   * Store results for a source file, replacing the previous entry
+   * @param {string} sourceFile - Project-relative source file path
+   * @param {Object} key - Cache key from createKey()
+   * @param {Object} rawResults - Raw Stryker results
+   * @returns {Promise<void>}
+   */
+  async set(sourceFile, key, rawResults) {
+    try {
+      await fs.mkdir(this.cacheDir, { recursive: true });
+      await fs.writeFile(this._getEntryFile(sourceFile), JSON.stringify({
+        ...key,
+        sourceFile,
+        timestamp: new Date().toISOString(),
+        rawResults
+      }));
+    } catch (error) {
+      this.logger.warn('Could not write mutation cache', { sourceFile, error: error.message });
+    }
+  }
+
+  /**
+   * Remove cached results for a source file
+   * @param {string} sourceFile - Project-relative source file path
+   * @returns {Promise<void>}
+   */
+  async clear(sourceFile) {
+    await Promise.all([
+      fs.rm(this._getEntryFile(sourceFile), { force: true }),
+      fs.rm(this.getIncrementalFile(sourceFile), { force: true })
+    ]);
+  }
+
+  /**
+   * @param {string} sourceFile - Project-relative source file path
+   * @returns {string} Absolute path of the results entry
+   * @private
+   */
+  _getEntryFile(sourceFile) {
+    return path.join(this.cacheDir, `${MutationCache.getName(sourceFile)}.json`);
+  }
+}
+
+module.exports = MutationCache;
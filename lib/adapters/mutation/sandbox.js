@@ -0,0 +1,132 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+/**
+ * Project entries never copied into a sandbox
+ * node_modules is symlinked instead; the rest are outputs of earlier runs.
+ */
+const DEFAULT_EXCLUDE = ['node_modules', '.git', '.stryker-tmp', 'stryker-tmp', 'reports', 'coverage', 'logs'];
+
+/**
+ * Isolated workspace for one mutation testing run
+ * Copies the project into a fresh temporary directory (with node_modules
+ * symlinked) so concurrent runs get their own config, Stryker temp dir and
+ * reports, and nothing is written into the user's project.
+ */
+class Sandbox {
+  /**
+   * @param {string} projectRoot - Project directory to mirror
+   * @param {Object} options - Sandbox options
+   * @param {boolean} options.enabled - Set to false to run in the project directory itself
+   * @param {string} options.tempDir - Parent directory for sandboxes (default: OS temp dir)
+   * @param {Array<string>} options.exclude - Extra top-level entries not to copy
+   * @param {boolean} options.keep - Keep the sandbox after the run (for debugging)
+   * @param {Object} logger - Logger instance
+   */
+  constructor(projectRoot, options = {}, logger = console) {
+    this.projectRoot = path.resolve(projectRoot);
+    this.options = options;
+    this.logger = logger;
+    this.inPlace = options.enabled === false;
+    this.root = this.inPlace ? this.projectRoot : null;
+    this.createdFiles = [];
+  }
+
+  /**
+   * Create the sandbox directory and mirror the project into it
+   * @returns {Promise<Sandbox>} This sandbox
+   */
+  async create() {
+    if (this.inPlace) {
+      return this;
+    }
+
+    const tempDir = this.options.tempDir || os.tmpdir();
+    await fs.mkdir(tempDir, { recursive: true });
+    this.root = await fs.mkdtemp(path.join(tempDir, 'mutant-test-gen-'));
+
+    const exclude = new Set([...DEFAULT_EXCLUDE, ...(this.options.exclude || [])]);
+    const entries = await fs.readdir(this.projectRoot, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const sourcePath = path.join(this.projectRoot, entry.name);
+      const targetPath = path.join(this.root, entry.name);
+
+      // A sandbox parent inside the project must not copy itself
+      if (exclude.has(entry.name) || sourcePath === path.resolve(tempDir)) {
+        continue;
+      }
+      await fs.cp(sourcePath, targetPath, { recursive: true, verbatimSymlinks: true });
+    }
+
+    try {
+      await fs.symlink(path.join(this.projectRoot, 'node_modules'), path.join(this.root, 'node_modules'), 'junction');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    this.logger.info('Created mutation sandbox', { projectRoot: this.projectRoot, sandbox: this.root });
+
+    return this;
+  }
+
+  /**
+   * Get a path inside the sandbox
+   * @param {...string} segments - Path segments relative to the sandbox root
+   * @returns {string} Absolute path
+   */
+  resolve(...segments) {
+    return path.join(this.root, ...segments);
+  }
+
+  /**
+   * Map a project file to its path relative to the sandbox root
+   * @param {string} filePath - Absolute or project-relative file path
+   * @returns {string} Relative path with forward slashes (as Stryker expects)
+   */
+  relative(filePath) {
+    const relativePath = path.relative(this.projectRoot, path.resolve(this.projectRoot, filePath));
+
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      throw new Error(`File is outside the project directory ${this.projectRoot}: ${filePath}`);
+    }
+
+    return relativePath.split(path.sep).join('/');
+  }
+
+  /**
+   * Write a file inside the sandbox
+   * In-place runs track the file so cleanup removes it again.
+   * @param {string} relativePath - Path relative to the sandbox root
+   * @param {string} content - File content
+   * @returns {Promise<string>} Absolute path of the written file
+   */
+  async writeFile(relativePath, content) {
+    const filePath = this.resolve(relativePath);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+    this.createdFiles.push(filePath);
+    return filePath;
+  }
+
+  /**
+   * Remove the sandbox (or, in place, the files written through it)
+   * @returns {Promise<void>}
+   */
+  async cleanup() {
+    if (this.inPlace) {
+      await Promise.all(this.createdFiles.map(filePath => fs.rm(filePath, { force: true })));
+      return;
+    }
+    if (!this.root || this.options.keep) {
+      return;
+    }
+
+    await fs.rm(this.root, { recursive: true, force: true }).catch(error => {
+      this.logger.warn('Could not remove mutation sandbox', { sandbox: this.root, error: error.message });
+    });
+  }
+}
+
+module.exports = Sandbox;
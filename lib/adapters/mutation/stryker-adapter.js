@@ -2,6 +2,17 @@ const fs = require('fs').promises;
 const path = require('path');
 const { spawn } = require('child_process');
 const MutationEngine = require('../../interfaces/mutation-engine');
+const Sandbox = require('./sandbox');
+const MutationCache = require('./mutation-cache');
+
+/**
+ * Stryker test runner plugins by runner name
+ */
+const RUNNER_PLUGINS = {
+  jest: '@stryker-mutator/jest-runner',
+  vitest: '@stryker-mutator/vitest-runner',
+  mocha: '@stryker-mutator/mocha-runner'
+};
 
 /**
  * Stryker mutation testing adapter
@@ -34,6 +45,9 @@ class StrykerAdapter extends MutationEngine {
    * @param {string} sourceFile - Path to source file
    * @param {string} testFile - Path to test file
    * @param {Object} options - Mutation testing options
+   * @param {Array<Object>} options.mutateRanges - Only mutate these line ranges ({ startLine, endLine })
+   * @param {boolean} options.keepReport - Set to false to skip keeping the HTML report
+   * @param {boolean} options.disableBail - Run every covering test against each mutant, so killedBy lists all killers
    * @returns {Promise<Object>} Mutation results
    */
   async runMutationTests(sourceFile, testFile, options = {}) {
@@ -43,25 +57,59 @@ class StrykerAdapter extends MutationEngine {
       mutators: this.config.mutators?.length || 0
     });
 
+    // Each run gets its own copy of the project, so concurrent runs never share config or reports
+    const projectRoot = options.cwd || this.config.cwd || process.cwd();
+    const sandbox = new Sandbox(
+      projectRoot,
+      { ...this.config.sandbox, ...options.sandbox },
+      this.logger
+    );
+    const cache = this._createCache(projectRoot, options);
+
     try {
-      // Create temporary Stryker configuration
-      const strykerConfig = this._createStrykerConfig(sourceFile, testFile, options);
+      // Create Stryker configuration for the files as seen from the sandbox
+      const relativeSource = sandbox.relative(sourceFile);
+      const relativeTest = sandbox.relative(testFile);
+      const strykerConfig = this._createStrykerConfig(relativeSource, relativeTest, options);
+
+      let cacheKey = null;
+      if (cache) {
+        cacheKey = MutationCache.createKey(
+          await fs.readFile(path.resolve(projectRoot, relativeSource), 'utf-8'),
+          await fs.readFile(path.resolve(projectRoot, relativeTest), 'utf-8'),
+          strykerConfig
+        );
+
+        const cachedResults = await cache.get(relativeSource, cacheKey);
+        if (cachedResults) {
+          this.logger.info('Reusing cached mutation results', { sourceFile: relativeSource });
+          return { ...this.analyzeResults(cachedResults), fromCache: true };
+        }
+
+        // Let Stryker reuse results of mutants whose code and covering tests did not change
+        strykerConfig.incremental = true;
+        strykerConfig.incrementalFile = cache.getIncrementalFile(relativeSource);
+      }
 
-      // Write config to temporary file
-      const configPath = path.join(process.cwd(), '.stryker-tmp.conf.json');
-      await fs.writeFile(configPath, JSON.stringify(strykerConfig, null, 2));
+      await sandbox.create();
+      const configPath = await sandbox.writeFile(
+        sandbox.inPlace ? '.stryker-tmp.conf.json' : 'stryker.conf.json',
+        JSON.stringify(strykerConfig, null, 2)
+      );
 
       // Run Stryker via CLI
-      await this._runStrykerCLI(configPath);
-
-      // Clean up temporary config
-      await fs.unlink(configPath).catch(() => { });
+      await this._runStrykerCLI(configPath, sandbox.root);
 
       // Read and process results
-      const rawResults = await this._readStrykerResults();
-      const processedResults = this.analyzeResults(rawResults);
+      const rawResults = await this._readStrykerResults(sandbox.root);
+      if (!sandbox.inPlace && options.keepReport !== false) {
+        await this._keepHtmlReport(sandbox, sourceFile, options);
+      }
+      if (cache && Object.keys(rawResults.files || {}).length > 0) {
+        await cache.set(relativeSource, cacheKey, rawResults);
+      }
 
-      return processedResults;
+      return { ...this.analyzeResults(rawResults), fromCache: false };
     } catch (error) {
       this.logger.error('Mutation testing failed', {
         error: error.message,
@@ -69,6 +117,8 @@ class StrykerAdapter extends MutationEngine {
         testFile
       });
       throw error;
+    } finally {
+      await sandbox.cleanup();
     }
   }
 
@@ -99,6 +149,7 @@ class StrykerAdapter extends MutationEngine {
       killedMutants,
       timeoutMutants,
       noCoverageMutants,
+      tests: [...this._getTestNames(rawResults).values()],
       rawResults
     };
   }
@@ -198,16 +249,19 @@ class StrykerAdapter extends MutationEngine {
 
   /**
    * Run Stryker via CLI
+   * Stryker's console output goes to stderr when `logToStderr` is set, so
+   * machine-readable CLI output keeps stdout to itself.
    * @param {string} configPath - Path to config file
+   * @param {string} cwd - Working directory (the sandbox root)
    * @returns {Promise<void>}
    * @private
    */
-  async _runStrykerCLI(configPath) {
+  async _runStrykerCLI(configPath, cwd = process.cwd()) {
     return new Promise((resolve, reject) => {
       // Config file is passed as positional argument, not --configFile flag
-      const stryker = spawn('npx', ['stryker', 'run', configPath], {
-        stdio: 'inherit',
-        cwd: process.cwd(),
+      const stryker = spawn('npx', ['stryker', 'run', `"${configPath}"`], {
+        stdio: this.config.logToStderr ? ['inherit', process.stderr, 'inherit'] : 'inherit',
+        cwd,
         shell: true, // Required for Windows to find npx
       });
 
@@ -228,11 +282,12 @@ class StrykerAdapter extends MutationEngine {
 
   /**
    * Read Stryker results from JSON report
+   * @param {string} cwd - Directory Stryker ran in
    * @returns {Promise<Object>} Stryker results
    * @private
    */
-  async _readStrykerResults() {
-    const reportPath = path.join(process.cwd(), 'reports', 'mutation', 'mutation.json');
+  async _readStrykerResults(cwd = process.cwd()) {
+    const reportPath = path.join(cwd, 'reports', 'mutation', 'mutation.json');
 
     try {
       const content = await fs.readFile(reportPath, 'utf-8');
@@ -248,6 +303,54 @@ class StrykerAdapter extends MutationEngine {
     }
   }
 
+  /**
+   * Create the result cache when incremental mode is on
+   * `incremental` may be a boolean or `{ enabled, cacheDir }`; options override adapter config.
+   * @param {string} projectRoot - Project directory the cache directory is relative to
+   * @param {Object} options - Mutation options
+   * @returns {MutationCache|null} Cache, or null when incremental mode is off
+   * @private
+   */
+  _createCache(projectRoot, options) {
+    const setting = options.incremental ?? this.config.incremental;
+    const incremental = typeof setting === 'object' && setting !== null
+      ? { enabled: true, ...setting }
+      : { enabled: Boolean(setting) };
+
+    if (!incremental.enabled) {
+      return null;
+    }
+
+    return new MutationCache(
+      path.resolve(projectRoot, incremental.cacheDir || path.join('reports', 'mutation-cache')),
+      this.logger
+    );
+  }
+
+  /**
+   * Copy the Stryker HTML report out of the sandbox before it is removed
+   * Reports are named after the source file so concurrent runs do not overwrite each other.
+   * @param {Sandbox} sandbox - Sandbox the run used
+   * @param {string} sourceFile - Source file path
+   * @param {Object} options - Mutation options ({ htmlReportPath })
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _keepHtmlReport(sandbox, sourceFile, options) {
+    const reportName = MutationCache.getName(sandbox.relative(sourceFile));
+    const targetPath = path.resolve(
+      sandbox.projectRoot,
+      options.htmlReportPath || path.join('reports', 'mutation', `${reportName}.html`)
+    );
+
+    try {
+      await fs.mkdir(path.dirname(targetPath), { recursive: true });
+      await fs.copyFile(sandbox.resolve('reports', 'mutation', 'mutation.html'), targetPath);
+    } catch (error) {
+      this.logger.warn('Could not keep Stryker HTML report', { error: error.message });
+    }
+  }
+
   /**
    * Create Stryker configuration object
    * @param {string} sourceFile - Source file path
@@ -257,18 +360,24 @@ class StrykerAdapter extends MutationEngine {
    * @private
    */
   _createStrykerConfig(sourceFile, testFile, options) {
-    return {
+    const testRunner = options.testRunner || this.config.testRunner || 'jest';
+    const isTypeScript = options.language === 'typescript';
+
+    const config = {
       $schema: './node_modules/@stryker-mutator/core/schema/stryker-schema.json',
       _comment: 'Auto-generated configuration for mutation testing',
       packageManager: 'npm',
       reporters: ['json', 'html', 'clear-text'],
-      testRunner: 'jest',
+      testRunner,
+      plugins: [
+        RUNNER_PLUGINS[testRunner] || `@stryker-mutator/${testRunner}-runner`,
+        ...(isTypeScript ? ['@stryker-mutator/typescript-checker'] : [])
+      ],
       coverageAnalysis: 'perTest',
-      mutate: [sourceFile],
-      jest: {
-        projectType: 'custom',
-        configFile: 'jest.config.js',
-      },
+      // Mutation ranges limit Stryker to whole lines of the file
+      mutate: options.mutateRanges
+        ? options.mutateRanges.map(range => `${sourceFile}:${range.startLine}-${range.endLine}`)
+        : [sourceFile],
       timeoutMS: options.timeoutMS || this.config.timeoutMS || 30000,
       maxConcurrentTestRunners: options.maxConcurrentTestRunners || 2,
       tempDirName: '.stryker-tmp',
@@ -276,9 +385,11 @@ class StrykerAdapter extends MutationEngine {
       mutator: {
         excludedMutations: options.excludedMutations || []
       },
+      // Report colouring only: a break threshold would set this process's exit code,
+      // so failing on low scores is left to the quality gate (`mutant-test-gen check`)
       thresholds: {
-        high: 80,
-        low: 60,
+        high: options.thresholds?.high ?? 80,
+        low: options.thresholds?.low ?? 60,
         break: null,
       },
       jsonReporter: {
@@ -288,6 +399,67 @@ class StrykerAdapter extends MutationEngine {
         fileName: 'reports/mutation/mutation.html',
       },
     };
+
+    // By default Stryker stops at the first failing test, so killedBy holds one test
+    if (options.disableBail) {
+      config.disableBail = true;
+    }
+
+    if (isTypeScript) {
+      config.checkers = ['typescript'];
+      config.tsconfigFile = options.tsconfigFile || 'tsconfig.json';
+    }
+
+    if (testRunner === 'jest') {
+      config.jest = this._createJestOptions(options);
+
+      if (options.moduleSystem === 'esm') {
+        // Jest only runs native ES modules with the VM modules flag
+        config.testRunnerNodeArgs = ['--experimental-vm-modules'];
+      }
+    } else if (testRunner === 'vitest') {
+      // Vitest compiles TypeScript and ES modules itself
+      config.vitest = options.vitestConfigFile ? { configFile: options.vitestConfigFile } : {};
+    } else if (testRunner === 'mocha') {
+      config.mochaOptions = {
+        spec: [testFile],
+        ...(isTypeScript ? { require: ['ts-node/register'] } : {})
+      };
+    }
+
+    return config;
+  }
+
+  /**
+   * Create Jest runner options for the source language and module system
+   * TypeScript is compiled with ts-jest; native ES modules run untransformed.
+   * @param {Object} options - Mutation options ({ language, moduleSystem, jestConfigFile })
+   * @returns {Object} Stryker `jest` options
+   * @private
+   */
+  _createJestOptions(options) {
+    const jestOptions = {
+      projectType: 'custom',
+      configFile: options.jestConfigFile || 'jest.config.js',
+    };
+    const isEsm = options.moduleSystem === 'esm';
+
+    if (options.language === 'typescript') {
+      jestOptions.config = {
+        transform: {
+          '^.+\\.(ts|tsx|mts|cts)$': ['ts-jest', { useESM: isEsm }],
+        },
+      };
+      if (isEsm) {
+        jestOptions.config.extensionsToTreatAsEsm = ['.ts', '.tsx'];
+        // Compiled ES module imports reference .js files that only exist as .ts sources
+        jestOptions.config.moduleNameMapper = { '^(\\.{1,2}/.*)\\.js$': '$1' };
+      }
+    } else if (isEsm) {
+      jestOptions.config = { transform: {} };
+    }
+
+    return jestOptions;
   }
 
   /**
@@ -367,6 +539,7 @@ class StrykerAdapter extends MutationEngine {
    */
   _extractMutantsByStatus(results, statuses) {
     const mutants = [];
+    const testNames = this._getTestNames(results);
 
     if (results.files) {
       Object.entries(results.files).forEach(([fileName, file]) => {
@@ -375,11 +548,14 @@ class StrykerAdapter extends MutationEngine {
             if (statuses.includes(mutant.status)) {
               mutants.push({
                 fileName,
+                id: mutant.id,
                 mutatorName: mutant.mutatorName,
                 replacement: mutant.replacement,
                 location: mutant.location,
                 status: mutant.status,
-                description: mutant.description || ''
+                description: mutant.description || '',
+                killedBy: (mutant.killedBy || []).map(id => testNames.get(id) || id),
+                coveredBy: (mutant.coveredBy || []).map(id => testNames.get(id) || id)
               });
             }
           });
@@ -390,6 +566,22 @@ class StrykerAdapter extends MutationEngine {
     return mutants;
   }
 
+  /**
+   * Map Stryker test ids to test names (full names, as the runner reports them)
+   * @param {Object} results - Stryker results
+   * @returns {Map<string, string>} Test names by id
+   * @private
+   */
+  _getTestNames(results) {
+    const names = new Map();
+
+    Object.values(results.testFiles || {}).forEach(testFile => {
+      (testFile.tests || []).forEach(test => names.set(test.id, test.name));
+    });
+
+    return names;
+  }
+
   /**
    * Get problematic mutators
    * @param {Object} results - Mutation results
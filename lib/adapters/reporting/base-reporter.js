@@ -0,0 +1,96 @@
+const path = require('path');
+
+/**
+ * Shared implementation of the mutation result exporters
+ * Exporters render analyses, one per source file:
+ * `{ sourceFile, testFile, mutationResult, error }` with mutationResult as
+ * from MutationResult.toJSON() (including `mutants`), the shape
+ * QualityGateService evaluates.
+ */
+class BaseReporter {
+  /**
+   * @param {Object} options - Options ({ thresholds: { high, low } score bands })
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.thresholds = { high: 80, low: 60, ...options.thresholds };
+  }
+
+  /**
+   * Render analyses
+   * @param {Array<Object>} _analyses - Analyses ({ sourceFile, testFile, mutationResult, error })
+   * @returns {string} Report content
+   */
+  render(_analyses) {
+    throw new Error('render() must be implemented by the reporter');
+  }
+
+  /**
+   * Count mutants over all analyzed files
+   * @param {Array<Object>} analyses - Analyses
+   * @returns {Object} Totals ({ total, killed, survived, timeout, noCoverage, equivalent, score })
+   * @protected
+   */
+  _getTotals(analyses) {
+    const totals = { total: 0, killed: 0, survived: 0, timeout: 0, noCoverage: 0, equivalent: 0 };
+
+    analyses.filter(analysis => analysis.mutationResult).forEach(({ mutationResult: result }) => {
+      totals.total += result.totalMutants || 0;
+      totals.killed += result.killedCount || 0;
+      totals.survived += result.survivedCount || 0;
+      totals.timeout += result.timeoutCount || 0;
+      totals.noCoverage += result.noCoverageCount || 0;
+      totals.equivalent += result.equivalentCount || 0;
+    });
+
+    // Like QualityGateService: from counts, so small files don't outweigh large ones
+    const detected = totals.killed + totals.timeout;
+    const valid = detected + totals.survived + totals.noCoverage;
+    totals.score = valid > 0 ? (detected / valid) * 100 : null;
+
+    return totals;
+  }
+
+  /**
+   * Get the mutants of an analysis
+   * @param {Object} analysis - Analysis
+   * @returns {Array<Object>} Mutants ({ id, mutatorName, replacement, location, status, killedBy, equivalence })
+   * @protected
+   */
+  _getMutants(analysis) {
+    return analysis.mutationResult?.mutants || [];
+  }
+
+  /**
+   * @param {string} filePath - File path
+   * @returns {string} POSIX path relative to the working directory
+   * @protected
+   */
+  _relativePath(filePath) {
+    if (!filePath) return '';
+    return path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+  }
+
+  /**
+   * @param {number|null} score - Mutation score
+   * @returns {string} 'high', 'medium', 'low' or 'none'
+   * @protected
+   */
+  _scoreBand(score) {
+    if (typeof score !== 'number') return 'none';
+    if (score >= this.thresholds.high) return 'high';
+    return score >= this.thresholds.low ? 'medium' : 'low';
+  }
+
+  /**
+   * @param {Object} mutant - Mutant
+   * @returns {string} Short description such as `ArithmeticOperator at 12:5`
+   * @protected
+   */
+  _describeMutant(mutant) {
+    const start = mutant.location?.start;
+    return start ? `${mutant.mutatorName} at ${start.line}:${start.column}` : mutant.mutatorName;
+  }
+}
+
+module.exports = BaseReporter;
@@ -0,0 +1,278 @@
+/**
+ * HTML reporter rendering a generation run report as one self-contained page
+ * Styles and charts are inline, so the file can be attached to a CI run or
+ * opened from disk without network access.
+ */
+
+const STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+  header { background: #24292f; color: #fff; padding: 20px 32px; }
+  header h1 { margin: 0 0 4px; font-size: 22px; }
+  header p { margin: 0; color: #c9d1d9; font-size: 13px; }
+  main { padding: 24px 32px; }
+  .cards { display: flex; flex-wrap: wrap; gap: 12px; margin-bottom: 24px; }
+  .card { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 12px 16px; min-width: 120px; }
+  .card .value { font-size: 22px; font-weight: 600; }
+  .card .label { font-size: 12px; color: #57606a; }
+  table { width: 100%; border-collapse: collapse; background: #fff; border: 1px solid #d0d7de; }
+  th, td { text-align: left; padding: 8px 10px; border-bottom: 1px solid #d0d7de; font-size: 13px; vertical-align: middle; }
+  th { background: #f6f8fa; }
+  .score { font-weight: 600; }
+  .high { color: #1a7f37; } .medium { color: #9a6700; } .low { color: #cf222e; }
+  .status { border-radius: 10px; padding: 1px 8px; font-size: 12px; background: #eaeef2; }
+  .status.completed { background: #dafbe1; } .status.failed { background: #ffebe9; }
+  section.file { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; margin-top: 16px; }
+  section.file h3 { margin: 0; padding: 12px 16px; border-bottom: 1px solid #d0d7de; font-size: 15px; }
+  section.file .body { padding: 12px 16px; }
+  .error { color: #cf222e; }
+  .mutant { margin: 12px 0; }
+  .mutant p { margin: 0 0 4px; font-size: 13px; }
+  pre { margin: 0; background: #f6f8fa; border: 1px solid #d0d7de; border-radius: 6px; padding: 8px 0; overflow-x: auto; font-size: 12px; }
+  pre .line { display: block; padding: 0 12px; white-space: pre; }
+  pre .line.mutated { background: #fff8c5; }
+  pre .number { display: inline-block; width: 40px; color: #8c959f; user-select: none; }
+  mark { background: #ffd8b5; }
+  code { font-size: 12px; }
+`;
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders session reports from SessionReportService as HTML
+ */
+class HtmlReporter {
+  /**
+   * @param {Object} options - Options ({ title, thresholds: { high, low } score bands })
+   */
+  constructor(options = {}) {
+    this.title = options.title || 'Mutation Test Generation Report';
+    this.thresholds = { high: 80, low: 60, ...options.thresholds };
+  }
+
+  /**
+   * Render a report
+   * @param {Object} report - Report from SessionReportService.buildReport()
+   * @returns {string} HTML document
+   */
+  render(report) {
+    const { summary } = report;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(this.title)} – ${escapeHtml(report.sessionId)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(this.title)}</h1>
+  <p>Session ${escapeHtml(report.sessionId)} · ${escapeHtml(report.mode)} · ${escapeHtml(report.status)}${report.model ? ` · ${escapeHtml(report.model)}` : ''} · generated ${escapeHtml(report.generatedAt)}</p>
+</header>
+<main>
+  <div class="cards">
+    ${this._card('Files', `${summary.completed}/${summary.totalFiles}`, 'completed')}
+    ${this._card('Average score', this._formatScore(summary.averageScore))}
+    ${this._card('Target reached', summary.targetReached)}
+    ${this._card('Tests added', summary.testsAdded)}
+    ${this._card('Survived mutants', summary.survivedMutants)}
+    ${this._card('Cost', this._formatCost(summary.cost))}
+    ${this._card('Duration', this._formatDuration(report.duration))}
+  </div>
+  <table>
+    <thead>
+      <tr><th>Source file</th><th>Status</th><th>Score</th><th>Progression</th><th>Iterations</th><th>Tests added</th><th>Survived</th><th>Cost</th><th>Duration</th><th>Test file</th></tr>
+    </thead>
+    <tbody>
+${report.files.map((file, index) => this._renderRow(file, index)).join('\n')}
+    </tbody>
+  </table>
+${report.files.map((file, index) => this._renderFile(file, index)).join('\n')}
+</main>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * @param {string} label - Card label
+   * @param {*} value - Card value
+   * @param {string} note - Text after the label
+   * @returns {string} Summary card
+   * @private
+   */
+  _card(label, value, note = '') {
+    return `<div class="card"><div class="value">${escapeHtml(value)}</div><div class="label">${escapeHtml(label)}${note ? ` ${escapeHtml(note)}` : ''}</div></div>`;
+  }
+
+  /**
+   * @param {Object} file - File report
+   * @param {number} index - File index, for the anchor
+   * @returns {string} Table row
+   * @private
+   */
+  _renderRow(file, index) {
+    return `      <tr>
+        <td><a href="#file-${index}">${escapeHtml(file.sourceFile)}</a></td>
+        <td><span class="status ${escapeHtml(file.status)}">${escapeHtml(file.status)}</span></td>
+        <td class="score ${this._scoreClass(file.mutationScore)}">${this._formatScore(file.mutationScore)}</td>
+        <td>${this._renderSparkline(file.history)}</td>
+        <td>${file.iterations}</td>
+        <td>${file.testsAdded}</td>
+        <td>${file.survivedMutants.length}</td>
+        <td>${escapeHtml(this._formatCost(file.cost))}</td>
+        <td>${escapeHtml(this._formatDuration(file.duration))}</td>
+        <td>${this._renderTestLink(file)}</td>
+      </tr>`;
+  }
+
+  /**
+   * @param {Object} file - File report
+   * @param {number} index - File index, for the anchor
+   * @returns {string} Detail section with iterations and survived mutants
+   * @private
+   */
+  _renderFile(file, index) {
+    const iterations = file.history.length > 0
+      ? `<table>
+        <thead><tr><th>Iteration</th><th>Score</th><th>Survived</th><th>Tests</th><th>Tests added</th><th>Duration</th></tr></thead>
+        <tbody>
+${file.history.map(entry => `          <tr><td>${entry.iteration}</td><td class="score ${this._scoreClass(entry.mutationScore)}">${this._formatScore(entry.mutationScore)}</td><td>${entry.survived ?? '–'}</td><td>${entry.testCases ?? '–'}</td><td>${entry.testsAdded}</td><td>${escapeHtml(this._formatDuration(entry.duration))}</td></tr>`).join('\n')}
+        </tbody>
+      </table>`
+      : '<p>No iterations recorded.</p>';
+
+    const mutants = file.survivedMutants.length > 0
+      ? file.survivedMutants.map(mutant => this._renderMutant(mutant)).join('\n')
+      : '<p>No survived mutants.</p>';
+
+    return `  <section class="file" id="file-${index}">
+    <h3>${escapeHtml(file.sourceFile)} <span class="score ${this._scoreClass(file.mutationScore)}">${this._formatScore(file.mutationScore)}</span></h3>
+    <div class="body">
+      ${file.error ? `<p class="error">${escapeHtml(file.error)}</p>` : ''}
+      <p>Test file: ${this._renderTestLink(file)}</p>
+      <h4>Score progression</h4>
+      ${iterations}
+      <h4>Survived mutants</h4>
+      ${mutants}
+    </div>
+  </section>`;
+  }
+
+  /**
+   * @param {Object} mutant - Survived mutant with its snippet
+   * @returns {string} Mutant heading and highlighted source lines
+   * @private
+   */
+  _renderMutant(mutant) {
+    const replacement = mutant.replacement !== undefined ? ` → <code>${escapeHtml(mutant.replacement)}</code>` : '';
+    const snippet = mutant.snippet
+      ? `<pre>${mutant.snippet.map(line => this._renderLine(line)).join('')}</pre>`
+      : '';
+
+    return `<div class="mutant"><p><strong>${escapeHtml(mutant.mutatorName)}</strong> at line ${mutant.line ?? '?'}${replacement}</p>${snippet}</div>`;
+  }
+
+  /**
+   * @param {Object} line - Snippet line ({ number, text, highlight })
+   * @returns {string} Source line, with the mutated columns marked
+   * @private
+   */
+  _renderLine(line) {
+    const number = `<span class="number">${line.number}</span>`;
+    if (!line.highlight) {
+      return `<span class="line">${number}${escapeHtml(line.text)}</span>`;
+    }
+
+    const { start, end } = line.highlight;
+    return `<span class="line mutated">${number}${escapeHtml(line.text.slice(0, start))}<mark>${escapeHtml(line.text.slice(start, end))}</mark>${escapeHtml(line.text.slice(end))}</span>`;
+  }
+
+  /**
+   * Draw the score of each iteration as a small line chart
+   * @param {Array<Object>} history - Iterations ({ mutationScore })
+   * @returns {string} Inline SVG, or a dash without scores
+   * @private
+   */
+  _renderSparkline(history) {
+    const scores = history.map(entry => entry.mutationScore).filter(score => typeof score === 'number');
+    if (scores.length === 0) return '–';
+
+    const width = 100;
+    const height = 24;
+    const step = scores.length > 1 ? width / (scores.length - 1) : 0;
+    const points = scores.map((score, index) => `${(index * step).toFixed(1)},${(height - (score / 100) * height).toFixed(1)}`);
+    const title = scores.map(score => this._formatScore(score)).join(' → ');
+
+    return `<svg width="${width}" height="${height}" viewBox="-2 -2 ${width + 4} ${height + 4}" role="img"><title>${escapeHtml(title)}</title>` +
+      `<polyline fill="none" stroke="#0969da" stroke-width="2" points="${points.join(' ')}"/>` +
+      points.map(point => `<circle r="2" fill="#0969da" cx="${point.split(',')[0]}" cy="${point.split(',')[1]}"/>`).join('') +
+      '</svg>';
+  }
+
+  /**
+   * @param {Object} file - File report
+   * @returns {string} Link to the test file
+   * @private
+   */
+  _renderTestLink(file) {
+    if (!file.testLink) return '–';
+    return `<a href="${escapeHtml(encodeURI(file.testLink))}">${escapeHtml(file.testLink)}</a>`;
+  }
+
+  /**
+   * @param {number|null} score - Mutation score
+   * @returns {string} CSS class for the score band
+   * @private
+   */
+  _scoreClass(score) {
+    if (typeof score !== 'number') return '';
+    if (score >= this.thresholds.high) return 'high';
+    return score >= this.thresholds.low ? 'medium' : 'low';
+  }
+
+  /**
+   * @param {number|null} score - Mutation score
+   * @returns {string} Score text
+   * @private
+   */
+  _formatScore(score) {
+    return typeof score === 'number' ? `${score.toFixed(1)}%` : '–';
+  }
+
+  /**
+   * @param {number|null} cost - Cost in USD
+   * @returns {string} Cost text
+   * @private
+   */
+  _formatCost(cost) {
+    return typeof cost === 'number' ? `$${cost.toFixed(4)}` : '–';
+  }
+
+  /**
+   * @param {number|null} duration - Duration in milliseconds
+   * @returns {string} Duration text
+   * @private
+   */
+  _formatDuration(duration) {
+    if (typeof duration !== 'number') return '–';
+
+    const seconds = Math.round(duration / 1000);
+    return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+  }
+}
+
+module.exports = HtmlReporter;
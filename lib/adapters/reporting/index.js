@@ -0,0 +1,86 @@
+const BaseReporter = require('./base-reporter');
+const JUnitReporter = require('./junit-reporter');
+const SarifReporter = require('./sarif-reporter');
+const MarkdownReporter = require('./markdown-reporter');
+const HtmlReporter = require('./html-reporter');
+
+/**
+ * Mutation result exporter factory
+ */
+class ReporterFactory {
+  constructor() {
+    this.reporters = new Map();
+    this.registerDefaultReporters();
+  }
+
+  /**
+   * Register default reporters
+   * @private
+   */
+  registerDefaultReporters() {
+    this.register('junit', JUnitReporter);
+    this.register('sarif', SarifReporter);
+    this.register('markdown', MarkdownReporter);
+  }
+
+  /**
+   * Register a new reporter
+   * @param {string} format - Report format
+   * @param {class} ReporterClass - Reporter class (extends BaseReporter)
+   */
+  register(format, ReporterClass) {
+    this.reporters.set(format.toLowerCase(), ReporterClass);
+  }
+
+  /**
+   * Create a reporter instance
+   * @param {string} format - Report format
+   * @param {Object} options - Reporter options
+   * @returns {BaseReporter} Reporter instance
+   */
+  create(format, options = {}) {
+    const ReporterClass = this.reporters.get(format.toLowerCase());
+
+    if (!ReporterClass) {
+      throw new Error(`Unknown report format: ${format}. Available formats: ${this.getAvailableFormats().join(', ')}`);
+    }
+
+    return new ReporterClass(options);
+  }
+
+  /**
+   * Get list of available formats
+   * @returns {Array<string>} Format names
+   */
+  getAvailableFormats() {
+    return Array.from(this.reporters.keys());
+  }
+
+  /**
+   * Check if format is supported
+   * @param {string} format - Report format
+   * @returns {boolean} True if supported
+   */
+  isSupported(format) {
+    return this.reporters.has(format.toLowerCase());
+  }
+}
+
+// Export singleton instance
+const factory = new ReporterFactory();
+
+module.exports = {
+  factory,
+  ReporterFactory,
+  BaseReporter,
+  JUnitReporter,
+  SarifReporter,
+  MarkdownReporter,
+  HtmlReporter,
+
+  // Convenience methods
+  createReporter: (format, options) => factory.create(format, options),
+  getAvailableFormats: () => factory.getAvailableFormats(),
+  isSupported: (format) => factory.isSupported(format),
+  register: (format, ReporterClass) => factory.register(format, ReporterClass)
+};
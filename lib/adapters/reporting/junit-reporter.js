@@ -0,0 +1,136 @@
+const BaseReporter = require('./base-reporter');
+
+/**
+ * Escape text for XML attributes and content
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  // Drop control characters XML 1.0 cannot hold at all (tab, LF and CR are allowed)
+  const text = [...String(value)]
+    .filter(char => char.charCodeAt(0) >= 0x20 || char === '\t' || char === '\n' || char === '\r')
+    .join('');
+
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * JUnit XML reporter
+ * One test suite per source file and one test case per mutant: killed and
+ * timed-out mutants pass, survived and uncovered mutants fail, likely
+ * equivalent mutants are skipped. A file whose analysis failed is reported
+ * as an error, so CI test report views show every file.
+ */
+class JUnitReporter extends BaseReporter {
+  /**
+   * Render analyses as JUnit XML
+   * @param {Array<Object>} analyses - Analyses ({ sourceFile, testFile, mutationResult, error })
+   * @returns {string} XML document
+   */
+  render(analyses) {
+    const suites = analyses.map(analysis => this._renderSuite(analysis));
+    const count = key => suites.reduce((sum, suite) => sum + suite[key], 0);
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="Mutation testing" tests="${count('tests')}" failures="${count('failures')}" errors="${count('errors')}" skipped="${count('skipped')}" time="${this._seconds(count('time'))}">`,
+      ...suites.map(suite => suite.xml),
+      '</testsuites>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * @param {Object} analysis - Analysis of one source file
+   * @returns {Object} Suite ({ xml, tests, failures, errors, skipped, time })
+   * @private
+   */
+  _renderSuite(analysis) {
+    const name = escapeXml(this._relativePath(analysis.sourceFile));
+
+    if (analysis.error || !analysis.mutationResult) {
+      const message = escapeXml(analysis.error || 'No mutation result');
+      return {
+        xml: [
+          `  <testsuite name="${name}" tests="1" failures="0" errors="1" skipped="0" time="0">`,
+          `    <testcase classname="${name}" name="mutation analysis" time="0">`,
+          `      <error message="${message}" type="AnalysisError">${message}</error>`,
+          '    </testcase>',
+          '  </testsuite>'
+        ].join('\n'),
+        tests: 1,
+        failures: 0,
+        errors: 1,
+        skipped: 0,
+        time: 0
+      };
+    }
+
+    const result = analysis.mutationResult;
+    const cases = this._getMutants(analysis).map(mutant => this._renderCase(name, mutant));
+    const failures = cases.filter(testCase => testCase.outcome === 'failure').length;
+    const skipped = cases.filter(testCase => testCase.outcome === 'skipped').length;
+    const time = result.executionTime || 0;
+    const score = typeof result.mutationScore === 'number' ? result.mutationScore.toFixed(2) : '';
+
+    return {
+      xml: [
+        `  <testsuite name="${name}" tests="${cases.length}" failures="${failures}" errors="0" skipped="${skipped}" time="${this._seconds(time)}">`,
+        '    <properties>',
+        `      <property name="mutationScore" value="${score}"/>`,
+        `      <property name="testFile" value="${escapeXml(this._relativePath(analysis.testFile))}"/>`,
+        '    </properties>',
+        ...cases.map(testCase => testCase.xml),
+        '  </testsuite>'
+      ].join('\n'),
+      tests: cases.length,
+      failures,
+      errors: 0,
+      skipped,
+      time
+    };
+  }
+
+  /**
+   * @param {string} classname - Escaped source file name
+   * @param {Object} mutant - Mutant
+   * @returns {Object} Test case ({ xml, outcome: 'passed', 'failure' or 'skipped' })
+   * @private
+   */
+  _renderCase(classname, mutant) {
+    const replacement = mutant.replacement !== undefined ? ` → ${mutant.replacement}` : '';
+    const name = escapeXml(`${mutant.id !== undefined ? `#${mutant.id} ` : ''}${this._describeMutant(mutant)}${replacement}`);
+    const open = `    <testcase classname="${classname}" name="${name}" time="0"`;
+
+    if (mutant.status === 'Survived' && mutant.equivalence) {
+      const reason = escapeXml(`Likely equivalent mutant: ${mutant.equivalence.reason || mutant.equivalence.source}`);
+      return { outcome: 'skipped', xml: `${open}>\n      <skipped message="${reason}"/>\n    </testcase>` };
+    }
+
+    if (mutant.status === 'Survived' || mutant.status === 'NoCoverage') {
+      const message = mutant.status === 'Survived' ? 'Mutant survived: no test failed' : 'Mutant not covered by any test';
+      return {
+        outcome: 'failure',
+        xml: `${open}>\n      <failure message="${escapeXml(message)}" type="${escapeXml(mutant.status)}">${escapeXml(`${message}\n${this._describeMutant(mutant)}${replacement}`)}</failure>\n    </testcase>`
+      };
+    }
+
+    return { outcome: 'passed', xml: `${open}/>` };
+  }
+
+  /**
+   * @param {number} milliseconds - Duration in milliseconds
+   * @returns {string} Seconds, as JUnit expects
+   * @private
+   */
+  _seconds(milliseconds) {
+    return (milliseconds / 1000).toFixed(3);
+  }
+}
+
+module.exports = JUnitReporter;
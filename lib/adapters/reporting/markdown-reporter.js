@@ -0,0 +1,136 @@
+const BaseReporter = require('./base-reporter');
+
+const BAND_ICONS = {
+  high: '🟢',
+  medium: '🟡',
+  low: '🔴',
+  none: '⚪'
+};
+
+/**
+ * Markdown reporter producing a summary suitable for a pull request comment
+ * A totals line, a per-file score table and a collapsed list of survived
+ * mutants per file. The mutant list is capped, as PR comments have a size
+ * limit.
+ */
+class MarkdownReporter extends BaseReporter {
+  /**
+   * @param {Object} options - Options ({ title, thresholds, maxMutants: survived mutants listed per file, default 20 })
+   */
+  constructor(options = {}) {
+    super(options);
+    this.title = options.title || 'Mutation testing report';
+    this.maxMutants = options.maxMutants ?? 20;
+  }
+
+  /**
+   * Render analyses as Markdown
+   * @param {Array<Object>} analyses - Analyses ({ sourceFile, testFile, mutationResult, error })
+   * @returns {string} Markdown document
+   */
+  render(analyses) {
+    const totals = this._getTotals(analyses);
+    const lines = [
+      `## ${this.title}`,
+      '',
+      `${BAND_ICONS[this._scoreBand(totals.score)]} **Mutation score: ${this._formatScore(totals.score)}** · ` +
+        `${totals.total} mutants · ${totals.killed} killed · ${totals.survived} survived · ` +
+        `${totals.timeout} timeout · ${totals.noCoverage} no coverage` +
+        (totals.equivalent > 0 ? ` · ${totals.equivalent} likely equivalent` : ''),
+      '',
+      '| File | Score | Killed | Survived | No coverage | Total |',
+      '| --- | ---: | ---: | ---: | ---: | ---: |',
+      ...analyses.map(analysis => this._renderRow(analysis))
+    ];
+
+    const details = analyses.map(analysis => this._renderSurvivors(analysis)).filter(Boolean);
+    if (details.length > 0) {
+      lines.push('', ...details);
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * @param {Object} analysis - Analysis of one source file
+   * @returns {string} Table row
+   * @private
+   */
+  _renderRow(analysis) {
+    const file = `\`${this._relativePath(analysis.sourceFile).replace(/\|/g, '\\|')}\``;
+    if (analysis.error || !analysis.mutationResult) {
+      return `| ${file} | ❌ ${this._escapeCell(analysis.error || 'No mutation result')} | – | – | – | – |`;
+    }
+
+    const result = analysis.mutationResult;
+    const score = result.mutationScore;
+    return `| ${file} | ${BAND_ICONS[this._scoreBand(score)]} ${this._formatScore(score)} | ` +
+      `${result.killedCount || 0} | ${result.survivedCount || 0} | ${result.noCoverageCount || 0} | ${result.totalMutants || 0} |`;
+  }
+
+  /**
+   * @param {Object} analysis - Analysis of one source file
+   * @returns {string|null} Collapsed list of survived mutants, or null without any
+   * @private
+   */
+  _renderSurvivors(analysis) {
+    const survivors = this._getMutants(analysis).filter(mutant => mutant.status === 'Survived');
+    if (survivors.length === 0) return null;
+
+    const listed = survivors.slice(0, this.maxMutants).map(mutant => {
+      const replacement = mutant.replacement !== undefined ? ` → \`${this._inlineCode(mutant.replacement)}\`` : '';
+      const equivalent = mutant.equivalence ? ' _(likely equivalent)_' : '';
+      return `- ${this._describeMutant(mutant)}${replacement}${equivalent}`;
+    });
+    if (survivors.length > this.maxMutants) {
+      listed.push(`- …and ${survivors.length - this.maxMutants} more`);
+    }
+
+    return [
+      `<details><summary><code>${this._escapeHtml(this._relativePath(analysis.sourceFile))}</code>: ${survivors.length} survived</summary>`,
+      '',
+      ...listed,
+      '',
+      '</details>'
+    ].join('\n');
+  }
+
+  /**
+   * @param {number|null} score - Mutation score
+   * @returns {string} Score text
+   * @private
+   */
+  _formatScore(score) {
+    return typeof score === 'number' ? `${score.toFixed(1)}%` : '–';
+  }
+
+  /**
+   * @param {string} text - Table cell text
+   * @returns {string} Text that cannot break the table row or open HTML tags
+   * @private
+   */
+  _escapeCell(text) {
+    return this._escapeHtml(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  }
+
+  /**
+   * @param {*} text - Replacement code
+   * @returns {string} Single-line text safe inside an inline code span
+   * @private
+   */
+  _inlineCode(text) {
+    const line = String(text).replace(/\s*\r?\n\s*/g, ' ').replace(/`/g, "'");
+    return line.length > 80 ? `${line.slice(0, 77)}...` : line;
+  }
+
+  /**
+   * @param {string} text - Text inside an HTML tag
+   * @returns {string} Escaped text
+   * @private
+   */
+  _escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+}
+
+module.exports = MarkdownReporter;
@@ -0,0 +1,163 @@
+const BaseReporter = require('./base-reporter');
+const { version } = require('../../../package.json');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * Rules findings are reported under, by mutant status
+ */
+const RULES = {
+  Survived: {
+    id: 'survived-mutant',
+    name: 'SurvivedMutant',
+    shortDescription: { text: 'Mutant survived the test suite' },
+    fullDescription: { text: 'The code was changed and no test failed, so the tests do not check this behaviour.' },
+    defaultConfiguration: { level: 'warning' }
+  },
+  NoCoverage: {
+    id: 'no-coverage-mutant',
+    name: 'NoCoverageMutant',
+    shortDescription: { text: 'Mutant not covered by any test' },
+    fullDescription: { text: 'No test executes the mutated code.' },
+    defaultConfiguration: { level: 'warning' }
+  }
+};
+
+/**
+ * SARIF 2.1.0 reporter for code scanning UIs
+ * Survived and uncovered mutants become results at their source location;
+ * likely equivalent mutants are reported as suppressed, so they show up
+ * dismissed instead of as open alerts. Paths are relative to the working
+ * directory under the `%SRCROOT%` base, which should be the repository root.
+ */
+class SarifReporter extends BaseReporter {
+  /**
+   * Render analyses as a SARIF log
+   * @param {Array<Object>} analyses - Analyses ({ sourceFile, testFile, mutationResult, error })
+   * @returns {string} SARIF JSON
+   */
+  render(analyses) {
+    const results = [];
+    const notifications = [];
+
+    analyses.forEach(analysis => {
+      if (analysis.error || !analysis.mutationResult) {
+        notifications.push({
+          level: 'error',
+          message: { text: `Mutation analysis failed: ${analysis.error || 'no mutation result'}` },
+          locations: [{ physicalLocation: this._artifactLocation(analysis.sourceFile) }]
+        });
+        return;
+      }
+
+      this._getMutants(analysis)
+        .filter(mutant => RULES[mutant.status])
+        .forEach(mutant => results.push(this._toResult(analysis, mutant)));
+    });
+
+    const log = {
+      $schema: SARIF_SCHEMA,
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: 'mutant-test-gen',
+            version,
+            informationUri: 'https://github.com/hoangtruonghrs/mutant_test_gen_js',
+            rules: Object.values(RULES)
+          }
+        },
+        originalUriBaseIds: {
+          '%SRCROOT%': { uri: `${this._toFileUri(process.cwd())}/` }
+        },
+        invocations: [{
+          executionSuccessful: notifications.length === 0,
+          toolExecutionNotifications: notifications
+        }],
+        results
+      }]
+    };
+
+    return `${JSON.stringify(log, null, 2)}\n`;
+  }
+
+  /**
+   * @param {Object} analysis - Analysis of the mutant's file
+   * @param {Object} mutant - Survived or uncovered mutant
+   * @returns {Object} SARIF result
+   * @private
+   */
+  _toResult(analysis, mutant) {
+    const rule = RULES[mutant.status];
+    const replacement = mutant.replacement !== undefined ? ` (replaced with \`${mutant.replacement}\`)` : '';
+    const verb = mutant.status === 'Survived' ? 'survived' : 'is not covered by any test';
+    const result = {
+      ruleId: rule.id,
+      level: rule.defaultConfiguration.level,
+      message: { text: `${mutant.mutatorName} mutant ${verb}${replacement}.` },
+      locations: [{
+        physicalLocation: {
+          ...this._artifactLocation(analysis.sourceFile),
+          ...this._region(mutant.location)
+        }
+      }],
+      partialFingerprints: {
+        mutantKey: [
+          this._relativePath(analysis.sourceFile),
+          mutant.mutatorName,
+          mutant.location?.start?.line,
+          mutant.location?.start?.column,
+          mutant.replacement
+        ].join(':')
+      }
+    };
+
+    if (mutant.equivalence) {
+      result.suppressions = [{
+        kind: 'external',
+        justification: `Likely equivalent mutant (${mutant.equivalence.source}): ${mutant.equivalence.reason || 'no behaviour change'}`
+      }];
+    }
+
+    return result;
+  }
+
+  /**
+   * @param {string} filePath - Source file path
+   * @returns {Object} Artifact location under %SRCROOT%
+   * @private
+   */
+  _artifactLocation(filePath) {
+    return { artifactLocation: { uri: encodeURI(this._relativePath(filePath)), uriBaseId: '%SRCROOT%' } };
+  }
+
+  /**
+   * Stryker locations are 1-based lines and columns with an exclusive end,
+   * as SARIF regions are.
+   * @param {Object} location - Mutant location ({ start, end })
+   * @returns {Object} Region, or nothing without a location
+   * @private
+   */
+  _region(location) {
+    if (!location?.start) return {};
+
+    const region = { startLine: location.start.line, startColumn: location.start.column || 1 };
+    if (location.end) {
+      region.endLine = location.end.line;
+      if (location.end.column !== undefined) region.endColumn = location.end.column;
+    }
+    return { region };
+  }
+
+  /**
+   * @param {string} dir - Absolute directory
+   * @returns {string} file:// URI
+   * @private
+   */
+  _toFileUri(dir) {
+    const posix = dir.split('\\').join('/');
+    return `file://${posix.startsWith('/') ? '' : '/'}${encodeURI(posix)}`;
+  }
+}
+
+module.exports = SarifReporter;
@@ -1,4 +1,5 @@
 const fs = require('fs').promises;
+const { watch } = require('fs');
 const path = require('path');
 const { glob } = require('glob');
 const StorageProvider = require('../../interfaces/storage-provider');
@@ -12,6 +13,7 @@ class FileSystemStorage extends StorageProvider {
     this.config = config;
     this.logger = logger;
     this.basePath = config.basePath || process.cwd();
+    this.sessionDir = config.sessionDir || '.mutant-test-gen/sessions';
   }
 
   /**
@@ -281,6 +283,72 @@ class FileSystemStorage extends StorageProvider {
     }
   }
 
+  /**
+   * Save generation session data to `<sessionDir>/<sessionId>.json`
+   * Written to a temporary file and renamed, so a crash never leaves a truncated session.
+   * @param {Object} sessionData - Session data (with sessionId)
+   * @returns {Promise<void>}
+   */
+  async saveSession(sessionData) {
+    const sessionPath = this._getSessionPath(sessionData.sessionId);
+    const tempPath = `${sessionPath}.tmp`;
+
+    try {
+      await this.ensureDirectory(path.dirname(sessionPath));
+      await fs.writeFile(tempPath, JSON.stringify(sessionData, null, 2), 'utf-8');
+      await fs.rename(tempPath, sessionPath);
+
+      this.logger?.debug('Session saved', { sessionId: sessionData.sessionId });
+    } catch (error) {
+      this.logger?.error('Failed to save session', { sessionId: sessionData.sessionId, error: error.message });
+      throw new Error(`Failed to save session ${sessionData.sessionId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load generation session data
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Session data
+   */
+  async loadSession(sessionId) {
+    let content;
+    try {
+      content = await fs.readFile(this._getSessionPath(sessionId), 'utf-8');
+    } catch {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    return JSON.parse(content);
+  }
+
+  /**
+   * List saved generation sessions
+   * @returns {Promise<Array<Object>>} Session data, most recently updated first
+   */
+  async listSessions() {
+    const sessionDir = this._resolvePath(this.sessionDir);
+    let entries;
+    try {
+      entries = await fs.readdir(sessionDir);
+    } catch {
+      return [];
+    }
+
+    const sessions = await Promise.all(entries
+      .filter(entry => entry.endsWith('.json'))
+      .map(async entry => {
+        try {
+          return JSON.parse(await fs.readFile(path.join(sessionDir, entry), 'utf-8'));
+        } catch {
+          return null;
+        }
+      }));
+
+    return sessions
+      .filter(Boolean)
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  }
+
   /**
    * Watch file for changes
    * @param {string} filePath - Path to file
@@ -290,7 +358,7 @@ class FileSystemStorage extends StorageProvider {
   watchFile(filePath, callback) {
     try {
       const fullPath = this._resolvePath(filePath);
-      const watcher = fs.watch(fullPath, (eventType, filename) => {
+      const watcher = watch(fullPath, (eventType, filename) => {
         this.logger?.debug('File change detected', {
           filePath: fullPath,
           eventType,
@@ -299,6 +367,10 @@ class FileSystemStorage extends StorageProvider {
 
         callback(eventType, filename, fullPath);
       });
+      // Removing the file errors the watcher; without a listener that would crash the process
+      watcher.on('error', error => {
+        this.logger?.warn('File watcher failed', { filePath: fullPath, error: error.message });
+      });
 
       return {
         close: () => watcher.close(),
@@ -320,11 +392,24 @@ class FileSystemStorage extends StorageProvider {
       basePath: this.basePath,
       capabilities: [
         'read', 'write', 'delete', 'copy', 'move',
-        'list', 'watch', 'backup', 'stats'
+        'list', 'watch', 'backup', 'stats', 'sessions'
       ]
     };
   }
 
+  /**
+   * Get the file path of a session
+   * @param {string} sessionId - Session ID
+   * @returns {string} Absolute path
+   * @private
+   */
+  _getSessionPath(sessionId) {
+    if (!/^[\w-]+$/.test(sessionId)) {
+      throw new Error(`Invalid session ID: ${sessionId}`);
+    }
+    return path.join(this._resolvePath(this.sessionDir), `${sessionId}.json`);
+  }
+
   /**
    * Resolve full path
    * @param {string} filePath - Relative or absolute path
@@ -0,0 +1,480 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const traverse = require('@babel/traverse').default;
+const TestFramework = require('../../interfaces/test-framework');
+const { parseTestCode, createMergeReport, mergeTestCode, getRootName } = require('../../utils/test-merger');
+
+/**
+ * Shared implementation of the TestFramework interface
+ * Framework adapters override the protected hooks for their CLI, report
+ * format, imports and prompt instructions.
+ */
+class BaseTestFramework extends TestFramework {
+  constructor(config = {}, logger = console) {
+    super();
+    this.config = config;
+    this.logger = logger;
+    this.info = this._getDefaultInfo();
+  }
+
+  /**
+   * Generate test file structure
+   * @param {string} sourceFile - Source file path
+   * @param {Object} options - Generation options
+   * @param {string} options.importPath - Import path of the source module from the test
+   * @param {string} options.importName - Binding name for the module (default: from file name)
+   * @param {string} options.language - 'javascript' or 'typescript'
+   * @param {string} options.moduleSystem - 'esm' or 'commonjs'
+   * @returns {Object} Test file structure ({ framework, imports, content })
+   */
+  generateTestStructure(sourceFile, options = {}) {
+    const baseName = path.basename(sourceFile).replace(/\.[^.]+$/, '');
+    const importName = options.importName || baseName
+      .replace(/[^a-zA-Z0-9]+(.)/g, (match, char) => char.toUpperCase())
+      .replace(/^./, char => char.toUpperCase());
+    const importPath = options.importPath || `./${baseName}`;
+    const usesImports = this._usesImports(options);
+
+    const imports = [
+      ...this._getFrameworkImports(options),
+      usesImports
+        ? `import ${importName} from '${importPath}';`
+        : `const ${importName} = require('${importPath}');`
+    ];
+
+    return {
+      framework: this.info.name,
+      imports,
+      content: `${imports.join('\n')}\n\ndescribe('${importName}', () => {\n});\n`
+    };
+  }
+
+  /**
+   * Validate test syntax
+   * The code must parse and contain at least one test and one assertion.
+   * @param {string} testCode - Test code to validate
+   * @returns {boolean} True if syntax is valid
+   */
+  validateTestSyntax(testCode) {
+    const ast = this._parse(testCode);
+    if (!ast) {
+      return false;
+    }
+
+    const testFunctions = this._getTestFunctions();
+    const assertions = this._getAssertionFunctions();
+    let hasTest = false;
+    let hasAssertion = false;
+
+    traverse(ast, {
+      CallExpression(callPath) {
+        const name = getRootName(callPath.node.callee);
+        if (testFunctions.includes(name)) hasTest = true;
+        if (assertions.includes(name)) hasAssertion = true;
+      },
+      MemberExpression(memberPath) {
+        // Chai's should style: value.should.equal(...)
+        if (assertions.includes('should') && memberPath.node.property.name === 'should') hasAssertion = true;
+      }
+    });
+
+    return hasTest && hasAssertion;
+  }
+
+  /**
+   * Execute tests
+   * @param {string} testFile - Test file path
+   * @param {Object} options - Execution options
+   * @param {string} options.cwd - Working directory (default: process.cwd())
+   * @param {number} options.timeout - Timeout in milliseconds
+   * @param {string} options.moduleSystem - 'esm' or 'commonjs'
+   * @returns {Promise<Object>} Test execution results
+   */
+  async executeTests(testFile, options = {}) {
+    const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), `${this.info.name}-report-`));
+    const outputFile = path.join(outputDir, 'report.json');
+
+    this.logger.info(`Executing tests with ${this.info.displayName}`, { testFile });
+
+    try {
+      const run = await this._run(this._getCommand(testFile, outputFile, options), options);
+
+      let report;
+      try {
+        report = JSON.parse(await fs.readFile(outputFile, 'utf-8'));
+      } catch {
+        throw new Error(`${this.info.displayName} produced no report (exit code ${run.code}): ${run.stderr.trim().slice(-1000)}`);
+      }
+
+      const results = this._parseReport(report);
+
+      this.logger.info('Test execution completed', {
+        testFile,
+        passed: results.passed,
+        failed: results.failed
+      });
+
+      return results;
+    } finally {
+      await fs.rm(outputDir, { recursive: true, force: true }).catch(() => { });
+    }
+  }
+
+  /**
+   * Format test code
+   * @param {string} testCode - Raw test code
+   * @returns {string} Formatted test code
+   */
+  formatTestCode(testCode) {
+    return `${testCode.replace(/\r\n/g, '\n').replace(/[ \t]+$/gm, '').trim()}\n`;
+  }
+
+  /**
+   * Merge test code
+   * @param {Array<string>} testFiles - Test file contents, existing tests first
+   * @param {Object} options - Merge options (see mergeTestsWithReport)
+   * @returns {string} Merged test content
+   */
+  mergeTests(testFiles, options = {}) {
+    return this.mergeTestsWithReport(testFiles, options).content;
+  }
+
+  /**
+   * Merge test code structurally and report what was added
+   * Imports and helpers are deduplicated, suites are merged into the suite
+   * with the same title and tests whose title is taken are renamed or skipped.
+   * @param {Array<string>} testFiles - Test file contents, existing tests first
+   * @param {Object} options - Merge options
+   * @param {string} options.onCollision - 'rename' (default) or 'skip' tests whose title is taken
+   * @param {boolean} options.forceAppend - Append suites instead of merging them by title
+   * @returns {Object} { content, report }
+   */
+  mergeTestsWithReport(testFiles, options = {}) {
+    const [first = '', ...rest] = testFiles;
+    const mergeOptions = {
+      testFunctions: this._getTestFunctions(),
+      suiteFunctions: this._getSuiteFunctions(),
+      hookFunctions: this._getHookFunctions(),
+      ...(options.onCollision && { onCollision: options.onCollision }),
+      forceAppend: Boolean(options.forceAppend)
+    };
+
+    const report = createMergeReport();
+    const content = rest.reduce((merged, testCode) => {
+      const result = mergeTestCode(merged, testCode, mergeOptions);
+      Object.entries(result.report).forEach(([key, value]) => {
+        report[key] = Array.isArray(value) ? [...report[key], ...value] : report[key] || value;
+      });
+      return result.code;
+    }, first);
+
+    return { content, report };
+  }
+
+  /**
+   * Remove test cases from test code
+   * Tests are matched by full name (describe titles and test title joined
+   * by spaces, as reported by the runner), falling back to the bare title
+   * when no other test in the file has it. Tests with a shared title are
+   * left in place and reported as skipped.
+   * @param {string} testCode - Test code
+   * @param {Array<Object>} tests - Tests to remove ({ title, fullName })
+   * @returns {Object} { code, removed, skipped } with the full names of the removed and skipped tests
+   */
+  removeTests(testCode, tests) {
+    const ast = this._parse(testCode);
+    if (!ast || tests.length === 0) {
+      return { code: testCode, removed: [], skipped: [] };
+    }
+
+    const testFunctions = this._getTestFunctions();
+    const suiteFunctions = this._getSuiteFunctions();
+    const candidates = [];
+
+    traverse(ast, {
+      CallExpression(callPath) {
+        const { node } = callPath;
+        const title = getLiteralText(node.arguments[0]);
+        if (title === null || !testFunctions.includes(getRootName(node.callee)) || !callPath.parentPath.isExpressionStatement()) {
+          return;
+        }
+
+        const ancestors = [];
+        callPath.findParent(parent => {
+          if (parent.isCallExpression() && suiteFunctions.includes(getRootName(parent.node.callee))) {
+            const suiteTitle = getLiteralText(parent.node.arguments[0]);
+            if (suiteTitle !== null) ancestors.unshift(suiteTitle);
+          }
+          return false;
+        });
+
+        const statement = callPath.parentPath.node;
+        candidates.push({ title, fullName: [...ancestors, title].join(' '), start: statement.start, end: statement.end });
+      }
+    });
+
+    // Suites with computed titles never match by full name: fall back to the
+    // title, unless tests in other suites share it
+    const matched = new Set();
+    const skipped = [];
+    tests.forEach(test => {
+      const byName = candidates.filter(candidate => test.fullName && candidate.fullName === test.fullName);
+      const byTitle = byName.length > 0 ? [] : candidates.filter(candidate => candidate.title === test.title);
+      if (byTitle.length > 1) {
+        skipped.push(test.fullName || test.title);
+        return;
+      }
+      [...byName, ...byTitle].forEach(candidate => matched.add(candidate));
+    });
+
+    if (skipped.length > 0) {
+      this.logger.warn('Not removing tests whose title is shared with other tests', { tests: skipped });
+    }
+
+    let code = testCode;
+    [...matched]
+      .sort((a, b) => b.start - a.start)
+      .forEach(({ start, end }) => {
+        const lineStart = code.lastIndexOf('\n', start - 1) + 1;
+        const lineEnd = code.indexOf('\n', end);
+        const ownsLines = code.slice(lineStart, start).trim() === '' && code.slice(end, lineEnd === -1 ? code.length : lineEnd).trim() === '';
+        code = ownsLines
+          ? code.slice(0, lineStart) + code.slice(lineEnd === -1 ? code.length : lineEnd + 1)
+          : code.slice(0, start) + code.slice(end);
+      });
+
+    return { code, removed: [...matched].map(candidate => candidate.fullName), skipped };
+  }
+
+  /**
+   * Get framework information
+   * @returns {Object} Framework metadata
+   */
+  getInfo() {
+    return { ...this.info };
+  }
+
+  /**
+   * Check if framework is installed in the project
+   * @returns {Promise<boolean>} True if framework is ready
+   */
+  async isAvailable() {
+    try {
+      require.resolve(this.info.packageName, { paths: [this.config.cwd || process.cwd()] });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Framework-specific prompt context
+   * @param {Object} moduleFormat - Module format ({ language, moduleSystem })
+   * @returns {Object} Prompt context ({ name, displayName, usesImports, imports, instructions })
+   */
+  getPromptContext(moduleFormat = {}) {
+    return {
+      name: this.info.name,
+      displayName: this.info.displayName,
+      usesImports: this._usesImports(moduleFormat),
+      imports: this._getFrameworkImports(moduleFormat),
+      instructions: this._getPromptInstructions(moduleFormat)
+    };
+  }
+
+  /**
+   * Default framework metadata
+   * @returns {Object} Framework metadata
+   * @protected
+   */
+  _getDefaultInfo() {
+    throw new Error('_getDefaultInfo method must be implemented');
+  }
+
+  /**
+   * CLI arguments (after npx) that run one test file and write a JSON report
+   * @param {string} testFile - Test file path
+   * @param {string} outputFile - Report path
+   * @param {Object} options - Execution options
+   * @returns {Array<string>} Command arguments
+   * @protected
+   */
+  _getCommand(testFile, outputFile, options) {
+    throw new Error('_getCommand method must be implemented');
+  }
+
+  /**
+   * Normalize a JSON report
+   * @param {Object} report - Framework report
+   * @returns {Object} Results ({ framework, success, total, passed, failed, skipped, duration, tests, errors })
+   * @protected
+   */
+  _parseReport(report) {
+    throw new Error('_parseReport method must be implemented');
+  }
+
+  /**
+   * Import statements for the framework's own APIs
+   * @param {Object} moduleFormat - Module format ({ language, moduleSystem })
+   * @returns {Array<string>} Import lines
+   * @protected
+   */
+  _getFrameworkImports(moduleFormat) {
+    return [];
+  }
+
+  /**
+   * Extra prompt requirements for the framework
+   * @param {Object} moduleFormat - Module format ({ language, moduleSystem })
+   * @returns {Array<string>} Requirement lines
+   * @protected
+   */
+  _getPromptInstructions(moduleFormat) {
+    return [];
+  }
+
+  /**
+   * Names of functions that declare tests
+   * @returns {Array<string>} Function names
+   * @protected
+   */
+  _getTestFunctions() {
+    return ['it', 'test'];
+  }
+
+  /**
+   * Names of functions that group tests into suites
+   * @returns {Array<string>} Function names
+   * @protected
+   */
+  _getSuiteFunctions() {
+    return ['describe'];
+  }
+
+  /**
+   * Names of setup and teardown hooks
+   * @returns {Array<string>} Function names
+   * @protected
+   */
+  _getHookFunctions() {
+    return ['beforeAll', 'beforeEach', 'afterAll', 'afterEach'];
+  }
+
+  /**
+   * Names of assertion entry points
+   * @returns {Array<string>} Function names
+   * @protected
+   */
+  _getAssertionFunctions() {
+    return ['expect'];
+  }
+
+  /**
+   * Environment for the test process
+   * @param {Object} options - Execution options
+   * @returns {Object} Environment variables
+   * @protected
+   */
+  _getEnv(options) {
+    return { ...process.env };
+  }
+
+  /**
+   * Check whether tests use import syntax
+   * @param {Object} moduleFormat - Module format ({ language, moduleSystem })
+   * @returns {boolean} True for ES modules and TypeScript
+   * @protected
+   */
+  _usesImports(moduleFormat = {}) {
+    return moduleFormat.language === 'typescript' || moduleFormat.moduleSystem === 'esm';
+  }
+
+  /**
+   * Build normalized execution results
+   * @param {Array<Object>} tests - Test results ({ title, fullName, ancestors, status, failureMessage, duration })
+   * @param {Array<string>} errors - Suite-level errors
+   * @param {number} duration - Duration in milliseconds
+   * @returns {Object} Results
+   * @protected
+   */
+  _summarize(tests, errors, duration) {
+    const passed = tests.filter(test => test.status === 'passed').length;
+    const failed = tests.filter(test => test.status === 'failed').length;
+
+    return {
+      framework: this.info.name,
+      success: failed === 0 && errors.length === 0 && passed > 0,
+      total: tests.length,
+      passed,
+      failed,
+      skipped: tests.length - passed - failed,
+      duration,
+      tests,
+      errors
+    };
+  }
+
+  /**
+   * Parse test code as JavaScript, then as TypeScript
+   * @param {string} testCode - Test code
+   * @returns {Object|null} AST, or null if the code does not parse cleanly
+   * @private
+   */
+  _parse(testCode) {
+    return parseTestCode(testCode);
+  }
+
+  /**
+   * Run the framework CLI
+   * @param {Array<string>} args - Arguments after npx
+   * @param {Object} options - Execution options
+   * @returns {Promise<Object>} Process result ({ code, stdout, stderr })
+   * @private
+   */
+  _run(args, options) {
+    const timeout = options.timeout || this.config.timeout || 120000;
+
+    return new Promise((resolve, reject) => {
+      const child = spawn('npx', args, {
+        cwd: options.cwd || this.config.cwd || process.cwd(),
+        env: this._getEnv(options),
+        stdio: 'pipe',
+        shell: true // Required for Windows to find npx
+      });
+
+      let stdout = '';
+      let stderr = '';
+      const timer = setTimeout(() => {
+        child.kill();
+        reject(new Error(`${this.info.displayName} run timed out after ${timeout}ms`));
+      }, timeout);
+
+      child.stdout.on('data', chunk => { stdout += chunk; });
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('close', code => {
+        clearTimeout(timer);
+        resolve({ code, stdout, stderr });
+      });
+      child.on('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  }
+}
+
+/**
+ * Get the text of a string or template literal argument
+ * @param {Object} node - Argument node
+ * @returns {string|null} Text, or null for other expressions
+ */
+function getLiteralText(node) {
+  if (!node) return null;
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+module.exports = BaseTestFramework;
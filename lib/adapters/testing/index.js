@@ -0,0 +1,84 @@
+const JestAdapter = require('./jest-adapter');
+const VitestAdapter = require('./vitest-adapter');
+const MochaAdapter = require('./mocha-adapter');
+
+/**
+ * Test framework adapter factory
+ */
+class TestFrameworkFactory {
+  constructor() {
+    this.frameworks = new Map();
+    this.registerDefaultFrameworks();
+  }
+
+  /**
+   * Register default frameworks
+   * @private
+   */
+  registerDefaultFrameworks() {
+    this.register('jest', JestAdapter);
+    this.register('vitest', VitestAdapter);
+    this.register('mocha', MochaAdapter);
+  }
+
+  /**
+   * Register a new test framework adapter
+   * @param {string} name - Framework name
+   * @param {class} FrameworkClass - Framework class
+   */
+  register(name, FrameworkClass) {
+    this.frameworks.set(name.toLowerCase(), FrameworkClass);
+  }
+
+  /**
+   * Create a test framework adapter instance
+   * @param {string} framework - Framework name
+   * @param {Object} config - Configuration
+   * @param {Object} logger - Logger instance
+   * @returns {TestFramework} Framework instance
+   */
+  create(framework, config, logger) {
+    const frameworkName = framework.toLowerCase();
+    const FrameworkClass = this.frameworks.get(frameworkName);
+
+    if (!FrameworkClass) {
+      throw new Error(`Unknown test framework: ${framework}. Available frameworks: ${Array.from(this.frameworks.keys()).join(', ')}`);
+    }
+
+    return new FrameworkClass(config, logger);
+  }
+
+  /**
+   * Get list of available frameworks
+   * @returns {Array<string>} Framework names
+   */
+  getAvailableFrameworks() {
+    return Array.from(this.frameworks.keys());
+  }
+
+  /**
+   * Check if framework is supported
+   * @param {string} framework - Framework name
+   * @returns {boolean} True if supported
+   */
+  isSupported(framework) {
+    return this.frameworks.has(framework.toLowerCase());
+  }
+}
+
+// Export singleton instance
+const factory = new TestFrameworkFactory();
+
+module.exports = {
+  factory,
+  TestFrameworkFactory,
+  JestAdapter,
+  VitestAdapter,
+  MochaAdapter,
+
+  // Convenience methods
+  createFramework: (framework, config, logger) => factory.create(framework, config, logger),
+  getAvailableFrameworks: () => factory.getAvailableFrameworks(),
+  isSupported: (framework) => factory.isSupported(framework),
+  register: (name, FrameworkClass) => factory.register(name, FrameworkClass)
+};
@@ -0,0 +1,122 @@
+const BaseTestFramework = require('./base-test-framework');
+
+/**
+ * Jest test framework adapter
+ */
+class JestAdapter extends BaseTestFramework {
+  /**
+   * Default framework metadata
+   * @returns {Object} Framework metadata
+   * @protected
+   */
+  _getDefaultInfo() {
+    return {
+      name: 'jest',
+      displayName: 'Jest',
+      packageName: 'jest',
+      assertionLibrary: 'expect',
+      strykerRunner: 'jest'
+    };
+  }
+
+  /**
+   * Jest CLI arguments
+   * @param {string} testFile - Test file path
+   * @param {string} outputFile - Report path
+   * @returns {Array<string>} Command arguments
+   * @protected
+   */
+  _getCommand(testFile, outputFile) {
+    return ['jest', '--runTestsByPath', `"${testFile}"`, '--json', `--outputFile="${outputFile}"`, '--watchAll=false'];
+  }
+
+  /**
+   * Enable VM modules for native ES module tests
+   * @param {Object} options - Execution options
+   * @returns {Object} Environment variables
+   * @protected
+   */
+  _getEnv(options) {
+    const env = { ...process.env };
+    if (options.moduleSystem === 'esm' && options.language !== 'typescript') {
+      env.NODE_OPTIONS = `${env.NODE_OPTIONS || ''} --experimental-vm-modules`.trim();
+    }
+    return env;
+  }
+
+  /**
+   * Normalize a Jest JSON report (also produced by Vitest's json reporter)
+   * @param {Object} report - Jest report
+   * @returns {Object} Results
+   * @protected
+   */
+  _parseReport(report) {
+    const tests = [];
+    const errors = [];
+    let duration = 0;
+
+    (report.testResults || []).forEach(suite => {
+      const assertions = suite.assertionResults || [];
+
+      assertions.forEach(assertion => {
+        const ancestors = assertion.ancestorTitles || [];
+        tests.push({
+          title: assertion.title,
+          fullName: assertion.fullName || [...ancestors, assertion.title].join(' '),
+          ancestors,
+          status: normalizeStatus(assertion.status),
+          failureMessage: (assertion.failureMessages || []).join('\n') || null,
+          duration: assertion.duration || 0
+        });
+      });
+
+      // Suite-level failures (syntax errors, failing imports) have no failed assertions
+      if (suite.status === 'failed' && suite.message && !assertions.some(assertion => assertion.status === 'failed')) {
+        errors.push(suite.message);
+      }
+
+      if (suite.endTime && suite.startTime) {
+        duration += suite.endTime - suite.startTime;
+      }
+    });
+
+    return this._summarize(tests, errors, duration);
+  }
+
+  /**
+   * Import statements for Jest APIs
+   * @param {Object} moduleFormat - Module format ({ language, moduleSystem })
+   * @returns {Array<string>} Import lines
+   * @protected
+   */
+  _getFrameworkImports(moduleFormat = {}) {
+    // The jest object is not a global in native ES modules
+    return moduleFormat.moduleSystem === 'esm' && moduleFormat.language !== 'typescript'
+      ? ["import { jest } from '@jest/globals';"]
+      : [];
+  }
+
+  /**
+   * Extra prompt requirements for Jest
+   * @param {Object} moduleFormat - Module format ({ language, moduleSystem })
+   * @returns {Array<string>} Requirement lines
+   * @protected
+   */
+  _getPromptInstructions(moduleFormat = {}) {
+    return this._getFrameworkImports(moduleFormat).length > 0
+      ? ["Import the jest object before using jest.fn or jest.mock: import { jest } from '@jest/globals'"]
+      : [];
+  }
+}
+
+/**
+ * Map framework test statuses to passed/failed/skipped
+ * @param {string} status - Framework status
+ * @returns {string} Normalized status
+ */
+function normalizeStatus(status) {
+  if (status === 'passed' || status === 'failed') return status;
+  return 'skipped';
+}
+
+module.exports = JestAdapter;
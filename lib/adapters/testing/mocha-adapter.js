@@ -0,0 +1,119 @@
+const BaseTestFramework = require('./base-test-framework');
+
+/**
+ * Mocha + Chai test framework adapter
+ */
+class MochaAdapter extends BaseTestFramework {
+  /**
+   * Default framework metadata
+   * @returns {Object} Framework metadata
+   * @protected
+   */
+  _getDefaultInfo() {
+    return {
+      name: 'mocha',
+      displayName: 'Mocha',
+      packageName: 'mocha',
+      assertionLibrary: 'chai',
+      strykerRunner: 'mocha'
+    };
+  }
+
+  /**
+   * Mocha CLI arguments
+   * @param {string} testFile - Test file path
+   * @param {string} outputFile - Report path
+   * @param {Object} options - Execution options
+   * @returns {Array<string>} Command arguments
+   * @protected
+   */
+  _getCommand(testFile, outputFile, options = {}) {
+    return [
+      'mocha',
+      `"${testFile}"`,
+      ...(options.language === 'typescript' ? ['--require', 'ts-node/register'] : []),
+      '--reporter', 'json',
+      '--reporter-option', `output="${outputFile}"`
+    ];
+  }
+
+  /**
+   * Normalize a Mocha JSON report
+   * @param {Object} report - Mocha report
+   * @returns {Object} Results
+   * @protected
+   */
+  _parseReport(report) {
+    const toResult = status => test => ({
+      title: test.title,
+      fullName: test.fullTitle || test.title,
+      ancestors: [],
+      status,
+      failureMessage: test.err && test.err.message ? test.err.message : null,
+      duration: test.duration || 0
+    });
+
+    const tests = [
+      ...(report.passes || []).map(toResult('passed')),
+      ...(report.failures || []).map(toResult('failed')),
+      ...(report.pending || []).map(toResult('skipped'))
+    ];
+
+    return this._summarize(tests, [], report.stats ? report.stats.duration || 0 : 0);
+  }
+
+  /**
+   * Import statements for Chai
+   * @param {Object} moduleFormat - Module format ({ language, moduleSystem })
+   * @returns {Array<string>} Import lines
+   * @protected
+   */
+  _getFrameworkImports(moduleFormat = {}) {
+    return this._usesImports(moduleFormat)
+      ? ["import { expect } from 'chai';"]
+      : ["const { expect } = require('chai');"];
+  }
+
+  /**
+   * Extra prompt requirements for Mocha + Chai
+   * @param {Object} moduleFormat - Module format ({ language, moduleSystem })
+   * @returns {Array<string>} Requirement lines
+   * @protected
+   */
+  _getPromptInstructions(moduleFormat = {}) {
+    return [
+      `Use Chai assertions: ${this._getFrameworkImports(moduleFormat)[0]} with matchers such as expect(x).to.equal(y), expect(x).to.deep.equal(y) and expect(fn).to.throw()`,
+      'Do not use Jest APIs (jest.fn, toBe, toEqual, beforeAll/afterAll); use Mocha hooks before/beforeEach/after/afterEach',
+      'Mocha describe and it are globals and need no import'
+    ];
+  }
+
+  /**
+   * Names of functions that declare tests
+   * @returns {Array<string>} Function names
+   * @protected
+   */
+  _getTestFunctions() {
+    return ['it', 'specify', 'test'];
+  }
+
+  /**
+   * Names of functions that group tests into suites
+   * @returns {Array<string>} Function names
+   * @protected
+   */
+  _getSuiteFunctions() {
+    return ['describe', 'context', 'suite'];
+  }
+
+  /**
+   * Names of assertion entry points
+   * @returns {Array<string>} Function names
+   * @protected
+   */
+  _getAssertionFunctions() {
+    return ['expect', 'assert', 'should'];
+  }
+}
+
+module.exports = MochaAdapter;
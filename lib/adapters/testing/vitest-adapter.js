@@ -0,0 +1,76 @@
+const JestAdapter = require('./jest-adapter');
+
+/**
+ * Vitest test framework adapter
+ * Vitest's API and JSON report follow Jest's, so only the CLI, imports and
+ * prompt instructions differ.
+ */
+class VitestAdapter extends JestAdapter {
+  /**
+   * Default framework metadata
+   * @returns {Object} Framework metadata
+   * @protected
+   */
+  _getDefaultInfo() {
+    return {
+      name: 'vitest',
+      displayName: 'Vitest',
+      packageName: 'vitest',
+      assertionLibrary: 'expect',
+      strykerRunner: 'vitest'
+    };
+  }
+
+  /**
+   * Vitest CLI arguments
+   * @param {string} testFile - Test file path
+   * @param {string} outputFile - Report path
+   * @returns {Array<string>} Command arguments
+   * @protected
+   */
+  _getCommand(testFile, outputFile) {
+    return ['vitest', 'run', `"${testFile}"`, '--reporter=json', `--outputFile="${outputFile}"`];
+  }
+
+  /**
+   * Vitest handles ES modules and TypeScript natively
+   * @returns {Object} Environment variables
+   * @protected
+   */
+  _getEnv() {
+    return { ...process.env };
+  }
+
+  /**
+   * Import statements for Vitest APIs
+   * @returns {Array<string>} Import lines
+   * @protected
+   */
+  _getFrameworkImports() {
+    return ["import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';"];
+  }
+
+  /**
+   * Extra prompt requirements for Vitest
+   * @returns {Array<string>} Requirement lines
+   * @protected
+   */
+  _getPromptInstructions() {
+    return [
+      "Import test APIs from Vitest: import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'",
+      'Use vi.fn(), vi.spyOn() and vi.mock() for test doubles, never the jest object',
+      'Use import syntax for the module under test'
+    ];
+  }
+
+  /**
+   * Vitest test files always use import syntax
+   * @returns {boolean} True
+   * @protected
+   */
+  _usesImports() {
+    return true;
+  }
+}
+
+module.exports = VitestAdapter;
@@ -0,0 +1,134 @@
+const { spawn } = require('child_process');
+const path = require('path');
+
+/**
+ * Git adapter for finding the lines changed on a branch
+ * Compares the working tree (committed, staged and unstaged changes) with the
+ * merge base of HEAD and the base branch, like a pull request diff, and adds
+ * untracked files as wholly changed.
+ */
+class GitAdapter {
+  /**
+   * @param {Object} config - Configuration ({ cwd, timeout })
+   * @param {Object} logger - Logger instance
+   */
+  constructor(config = {}, logger = console) {
+    this.config = config;
+    this.logger = logger;
+  }
+
+  /**
+   * Get the files changed since the base branch, with their changed line ranges
+   * @param {Object} options - Options
+   * @param {string} options.base - Branch or commit to compare with (default: main)
+   * @returns {Promise<Array<Object>>} Changes ({ filePath, ranges }); filePath is absolute, ranges is null for untracked files
+   */
+  async getChangedFiles(options = {}) {
+    const base = options.base || 'main';
+
+    const root = (await this._git(['rev-parse', '--show-toplevel'])).trim();
+    let mergeBase;
+    try {
+      mergeBase = (await this._git(['merge-base', base, 'HEAD'])).trim();
+    } catch (error) {
+      throw new Error(`Cannot compare with ${base}: ${error.message}`);
+    }
+
+    const diff = await this._git(['diff', '--unified=0', '--no-color', '--no-ext-diff', '--diff-filter=AMR', mergeBase, '--']);
+    const untracked = await this._git(['ls-files', '--others', '--exclude-standard', '--full-name']);
+
+    const changes = [...GitAdapter.parseDiff(diff)].map(([file, ranges]) => ({
+      filePath: path.join(root, file),
+      ranges
+    }));
+    untracked.split('\n').filter(Boolean).forEach(file => {
+      changes.push({ filePath: path.join(root, file), ranges: null });
+    });
+
+    this.logger.info('Found changed files', { base, mergeBase: mergeBase.slice(0, 12), files: changes.length });
+    return changes;
+  }
+
+  /**
+   * Parse a zero-context unified diff into changed line ranges of the new files
+   * Pure deletions add no lines, so they don't produce a range.
+   * @param {string} diff - Output of `git diff --unified=0`
+   * @returns {Map<string, Array<Object>>} Ranges ({ startLine, endLine }, 1-based, inclusive) by repository-relative path
+   */
+  static parseDiff(diff) {
+    const files = new Map();
+    let current = null;
+
+    diff.split('\n').forEach(line => {
+      if (line.startsWith('+++ ')) {
+        const target = line.slice(4).replace(/^"|"$/g, '');
+        current = target === '/dev/null' ? null : target.replace(/^b\//, '');
+        if (current && !files.has(current)) files.set(current, []);
+        return;
+      }
+
+      const hunk = current && line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+      if (!hunk) return;
+
+      const start = Number(hunk[1]);
+      const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+      if (count === 0) return;
+
+      const ranges = files.get(current);
+      const last = ranges[ranges.length - 1];
+      if (last && start <= last.endLine + 1) {
+        last.endLine = Math.max(last.endLine, start + count - 1);
+      } else {
+        ranges.push({ startLine: start, endLine: start + count - 1 });
+      }
+    });
+
+    // Files with only deletions have nothing to mutate
+    [...files.keys()].forEach(file => {
+      if (files.get(file).length === 0) files.delete(file);
+    });
+
+    return files;
+  }
+
+  /**
+   * Run a git command
+   * @param {Array<string>} args - Git arguments
+   * @returns {Promise<string>} Standard output
+   * @private
+   */
+  _git(args) {
+    const timeout = this.config.timeout || 30000;
+
+    return new Promise((resolve, reject) => {
+      const child = spawn('git', args, {
+        cwd: this.config.cwd || process.cwd(),
+        stdio: 'pipe'
+      });
+
+      let stdout = '';
+      let stderr = '';
+      const timer = setTimeout(() => {
+        child.kill();
+        reject(new Error(`git ${args[0]} timed out after ${timeout}ms`));
+      }, timeout);
+
+      child.stdout.on('data', chunk => { stdout += chunk; });
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('close', code => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve(stdout);
+        } else {
+          reject(new Error(stderr.trim() || `git ${args[0]} exited with code ${code}`));
+        }
+      });
+      child.on('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  }
+}
+
+module.exports = GitAdapter;
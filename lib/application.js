@@ -3,18 +3,25 @@
  * Orchestrates all components following Clean Architecture
  */
 
-const { GenerateTestsUseCase, ImproveTestsUseCase, BatchProcessUseCase } = require('./core/use-cases');
+const { GenerateTestsUseCase, ImproveTestsUseCase, AnalyzeTestsUseCase, BatchProcessUseCase, CheckQualityUseCase, WatchTestsUseCase } = require('./core/use-cases');
 const TestGenerationService = require('./core/services/test-generation-service');
 const MutationAnalysisService = require('./core/services/mutation-analysis-service');
 const FeedbackLoopService = require('./core/services/feedback-loop-service');
+const EquivalentMutantService = require('./core/services/equivalent-mutant-service');
+const QualityGateService = require('./core/services/quality-gate-service');
+const SessionReportService = require('./core/services/session-report-service');
 
 // Adapters
-const LLMAdapterFactory = require('./adapters/llm/llm-adapter-factory');
+const { factory: llmAdapterFactory } = require('./adapters/llm');
 const StrykerAdapter = require('./adapters/mutation/stryker-adapter');
+const { factory: testFrameworkFactory } = require('./adapters/testing');
 const FileSystemStorage = require('./adapters/storage/fs-storage');
+const GitAdapter = require('./adapters/vcs/git-adapter');
+const { factory: reporterFactory, HtmlReporter } = require('./adapters/reporting');
 
 // Utils
 const logger = require('./utils/logger');
+const { detectLanguage, detectModuleSystem, getTestFileName, isSourceFile } = require('./utils/module-format');
 
 /**
  * Main Application class
@@ -32,14 +39,14 @@ class MutantTestGenApplication {
         maxTokens: 2000
       },
       mutation: {
-        testRunner: 'jest',
         timeout: 60000,
         reporters: ['clear-text', 'progress'],
         tempDirName: 'stryker-tmp'
       },
       storage: {
         type: 'filesystem',
-        encoding: 'utf8'
+        encoding: 'utf8',
+        sessionDir: '.mutant-test-gen/sessions'
       },
       logging: {
         level: 'info',
@@ -60,21 +67,41 @@ class MutantTestGenApplication {
     logger.configure(this.config.logging);
 
     // Initialize adapters
-    this.llmAdapterFactory = new LLMAdapterFactory();
-    this.mutationEngine = new StrykerAdapter(this.config.mutation, logger);
+    // Shared registry, so providers registered by plugins are visible here
+    this.llmAdapterFactory = llmAdapterFactory;
+    this.testFramework = testFrameworkFactory.create(
+      this.config.testing?.framework || this.config.mutation?.testRunner || 'jest',
+      this.config.testing || {},
+      logger
+    );
+    // Stryker runs mutants with the runner plugin of the selected framework
+    this.mutationEngine = new StrykerAdapter({
+      ...this.config.mutation,
+      testRunner: this.testFramework.getInfo().strykerRunner
+    }, logger);
     this.storageProvider = new FileSystemStorage(this.config.storage, logger);
+    this.vcs = new GitAdapter(this.config.vcs || {}, logger);
 
     // Initialize services
     this.testGenerationService = new TestGenerationService(
       this.llmAdapterFactory,
       this.storageProvider,
-      logger
+      logger,
+      this.testFramework
+    );
+
+    this.equivalentMutantService = new EquivalentMutantService(
+      this.storageProvider,
+      logger,
+      this.config.mutation?.equivalence
     );
 
     this.mutationAnalysisService = new MutationAnalysisService(
       this.mutationEngine,
       this.storageProvider,
-      logger
+      logger,
+      this.equivalentMutantService,
+      reporterFactory
     );
 
     this.feedbackLoopService = new FeedbackLoopService(
@@ -83,6 +110,10 @@ class MutantTestGenApplication {
       logger
     );
 
+    this.qualityGateService = new QualityGateService(logger, this.config.qualityGate);
+
+    this.sessionReportService = new SessionReportService(this.storageProvider, logger);
+
     // Initialize use cases
     this.generateTestsUseCase = new GenerateTestsUseCase(
       this.testGenerationService,
@@ -95,6 +126,13 @@ class MutantTestGenApplication {
 
     this.improveTestsUseCase = new ImproveTestsUseCase(
       this.testGenerationService,
+      this.mutationAnalysisService,
+      this.storageProvider,
+      logger,
+      this.llmAdapterFactory
+    );
+
+    this.analyzeTestsUseCase = new AnalyzeTestsUseCase(
       this.mutationAnalysisService,
       this.storageProvider,
       logger
@@ -102,6 +140,20 @@ class MutantTestGenApplication {
 
     this.batchProcessUseCase = new BatchProcessUseCase(
       this.generateTestsUseCase,
+      this.improveTestsUseCase,
+      this.storageProvider,
+      logger,
+      this.analyzeTestsUseCase
+    );
+
+    this.checkQualityUseCase = new CheckQualityUseCase(
+      this.analyzeTestsUseCase,
+      this.qualityGateService,
+      this.storageProvider,
+      logger
+    );
+
+    this.watchTestsUseCase = new WatchTestsUseCase(
       this.improveTestsUseCase,
       this.storageProvider,
       logger
@@ -110,6 +162,7 @@ class MutantTestGenApplication {
     logger.info('Application initialized successfully', {
       llmProvider: this.config.llm.provider,
       mutationEngine: 'stryker',
+      testFramework: this.testFramework.getInfo().name,
       storageType: this.config.storage.type
     });
   }
@@ -127,6 +180,7 @@ class MutantTestGenApplication {
       targetMutationScore = this.config.targetMutationScore,
       maxIterations = this.config.maxIterations,
       runMutationAnalysis = this.config.runMutationAnalysis, // Use config default
+      budget = this.config.budget,
       llmOptions = {},
       mutationOptions = {}
     } = options;
@@ -140,7 +194,10 @@ class MutantTestGenApplication {
         targetMutationScore,
         maxIterations,
         runMutationAnalysis,
-        mutationOptions: { ...this.config.mutation, ...mutationOptions }
+        mutationOptions: { ...this.config.mutation, ...mutationOptions },
+        improvementOptions: { ...this.config.improvement },
+        baselineOptions: { ...this.config.baseline },
+        budget
       }
     });
   }
@@ -155,6 +212,7 @@ class MutantTestGenApplication {
       sourcePath,
       testPath,
       outputPath,
+      budget = this.config.budget,
       llmOptions = {},
       mutationOptions = {}
     } = options;
@@ -165,7 +223,9 @@ class MutantTestGenApplication {
       outputPath,
       config: {
         llm: { ...this.config.llm, ...llmOptions },
-        mutationOptions: { ...this.config.mutation, ...mutationOptions }
+        mutationOptions: { ...this.config.mutation, ...mutationOptions },
+        improvementOptions: { ...this.config.improvement },
+        budget
       }
     });
   }
@@ -182,23 +242,206 @@ class MutantTestGenApplication {
       mode = 'generate',
       concurrency = 3,
       useFeedbackLoop = false,
+      targetMutationScore = this.config.targetMutationScore,
+      maxIterations = this.config.maxIterations,
+      budget = this.config.budget,
       llmOptions = {},
-      mutationOptions = {}
+      mutationOptions = {},
+      onProgress
     } = options;
 
     return await this.batchProcessUseCase.execute({
       sourcePattern,
       outputDir,
       mode,
+      onProgress,
+      config: {
+        llm: { ...this.config.llm, ...llmOptions },
+        mutationOptions: { ...this.config.mutation, ...mutationOptions },
+        improvementOptions: { ...this.config.improvement },
+        baselineOptions: { ...this.config.baseline },
+        concurrency,
+        useFeedbackLoop,
+        targetMutationScore,
+        maxIterations,
+        budget
+      }
+    });
+  }
+
+  /**
+   * Generate or improve tests for the source files changed since a base branch
+   * Mutation is limited to the changed lines, so improvement targets the new
+   * code. Files that already have a test file are improved, others get new tests;
+   * untracked files count as changed throughout.
+   * @param {Object} options - Options ({ base, patterns, outputDir, concurrency, useFeedbackLoop, targetMutationScore, maxIterations, runMutationAnalysis, budget, llmOptions, mutationOptions, onProgress })
+   * @returns {Promise<Object>} Batch result, or an empty result when nothing changed
+   */
+  async generateChanged(options) {
+    const {
+      base = this.config.vcs?.base || 'main',
+      patterns = [],
+      outputDir,
+      concurrency = 3,
+      useFeedbackLoop = false,
+      targetMutationScore = this.config.targetMutationScore,
+      maxIterations = this.config.maxIterations,
+      runMutationAnalysis = this.config.runMutationAnalysis !== false, // New files are mutated on their changed lines too
+      budget = this.config.budget,
+      llmOptions = {},
+      mutationOptions = {},
+      onProgress
+    } = options;
+    const path = require('path');
+
+    let changes = (await this.vcs.getChangedFiles({ base })).filter(change => isSourceFile(change.filePath));
+
+    if (patterns.length > 0) {
+      const matching = new Set();
+      for (const pattern of patterns) {
+        (await this.storageProvider.listFiles(pattern)).forEach(file => matching.add(path.resolve(file)));
+      }
+      changes = changes.filter(change => matching.has(change.filePath));
+    }
+
+    const files = [];
+    for (const change of changes) {
+      const testExists = await this.storageProvider.fileExists(path.join(outputDir, getTestFileName(change.filePath)));
+      files.push({
+        sourcePath: change.filePath,
+        mode: testExists ? 'improve' : 'generate',
+        mutateRanges: change.ranges
+      });
+    }
+
+    if (files.length === 0) {
+      logger.info('No changed source files', { base });
+      return { sessionId: null, totalFiles: 0, skippedFiles: 0, processedFiles: [], successfulFiles: 0, failedFiles: 0, pendingFiles: 0, stopReason: null, errors: [], files: [] };
+    }
+
+    return await this.batchProcessUseCase.execute({
+      files,
+      outputDir,
+      mode: 'generate',
+      onProgress,
+      config: {
+        llm: { ...this.config.llm, ...llmOptions },
+        mutationOptions: { ...this.config.mutation, ...mutationOptions },
+        improvementOptions: { ...this.config.improvement },
+        baselineOptions: { ...this.config.baseline },
+        concurrency,
+        useFeedbackLoop,
+        targetMutationScore,
+        maxIterations,
+        runMutationAnalysis,
+        budget
+      }
+    });
+  }
+
+  /**
+   * Continue an interrupted batch session
+   * The feedback loop settings and budget limits not given here are those the
+   * session was started with.
+   * @param {Object} options - Resume options ({ sessionId, concurrency, useFeedbackLoop, targetMutationScore, maxIterations, budget, llmOptions, mutationOptions, onProgress })
+   * @returns {Promise<Object>} Batch result
+   */
+  async resumeSession(options) {
+    const {
+      sessionId,
+      concurrency = 3,
+      useFeedbackLoop,
+      targetMutationScore,
+      maxIterations,
+      budget,
+      llmOptions = {},
+      mutationOptions = {},
+      onProgress
+    } = options;
+
+    return await this.batchProcessUseCase.resume({
+      sessionId,
+      onProgress,
       config: {
         llm: { ...this.config.llm, ...llmOptions },
         mutationOptions: { ...this.config.mutation, ...mutationOptions },
+        improvementOptions: { ...this.config.improvement },
+        baselineOptions: { ...this.config.baseline },
         concurrency,
-        useFeedbackLoop
+        useFeedbackLoop,
+        targetMutationScore,
+        maxIterations,
+        budget
       }
     });
   }
 
+  /**
+   * List saved batch sessions
+   * @returns {Promise<Array<Object>>} Sessions ({ sessionId, status, updatedAt, mode, totalFiles, completedFiles }), newest first
+   */
+  async listSessions() {
+    const sessions = await this.storageProvider.listSessions();
+
+    return sessions.map(session => ({
+      sessionId: session.sessionId,
+      status: session.status,
+      updatedAt: session.updatedAt,
+      mode: session.request?.mode,
+      totalFiles: session.files.length,
+      completedFiles: session.files.filter(file => file.status === 'completed').length
+    }));
+  }
+
+  /**
+   * Write an HTML report of a batch session
+   * @param {Object} options - Options ({ sessionId, outputPath }); without a session ID the latest session is reported
+   * @returns {Promise<Object>} Written report ({ sessionId, outputPath, summary })
+   */
+  async createReport(options = {}) {
+    let { sessionId } = options;
+    if (!sessionId) {
+      const [latest] = await this.storageProvider.listSessions();
+      if (!latest) {
+        throw new Error('No sessions to report: run a batch first');
+      }
+      sessionId = latest.sessionId;
+    }
+
+    const outputPath = options.outputPath || `${this.config.paths?.reports || 'reports'}/${sessionId}.html`;
+    const sessionData = await this.storageProvider.loadSession(sessionId);
+    const report = await this.sessionReportService.buildReport(sessionData, { reportPath: outputPath });
+    const reporter = new HtmlReporter({ thresholds: this.config.mutation?.thresholds });
+
+    await this.storageProvider.saveFile(outputPath, reporter.render(report));
+    logger.info('Report written', { sessionId, outputPath });
+
+    return { sessionId, outputPath, summary: report.summary };
+  }
+
+  /**
+   * Write mutation reports (junit, sarif, markdown) for analyzed files
+   * Files with neither a mutation result nor an error, such as generated tests
+   * without mutation analysis, are left out.
+   * @param {Array<Object>} reports - Reports ({ format, path })
+   * @param {Array<Object>} analyses - Analyses ({ sourceFile, testFile, mutationResult, error })
+   * @returns {Promise<Array<Object>>} Written reports ({ format, path, files })
+   */
+  async exportReports(reports, analyses) {
+    const path = require('path');
+    const reported = analyses.filter(analysis => analysis.mutationResult || analysis.error);
+    const written = [];
+
+    for (const report of reports) {
+      const reporter = reporterFactory.create(report.format, { thresholds: this.config.mutation?.thresholds });
+      await this.storageProvider.saveFile(report.path, reporter.render(reported));
+      logger.info('Report written', { format: report.format, path: report.path, files: reported.length });
+      written.push({ format: report.format, path: path.resolve(report.path), files: reported.length });
+    }
+
+    return written;
+  }
+
   /**
    * Run mutation analysis on existing test file
    * @param {Object} options - Analysis options
@@ -207,38 +450,175 @@ class MutantTestGenApplication {
   async runMutationAnalysis(options) {
     const { sourcePath, testPath, mutationOptions = {} } = options;
 
+    return await this.analyzeTestsUseCase.execute({
+      sourcePath,
+      testPath,
+      config: {
+        mutationOptions: { ...this.config.mutation, ...mutationOptions }
+      }
+    });
+  }
+
+  /**
+   * Run mutation analysis over source/test pairs and apply the quality gate
+   * Pairs default to qualityGate.pairs, then to every source file under
+   * paths.source checked against paths.output.
+   * @param {Object} options - Options ({ pairs, failUnder, aggregateFailUnder, thresholds, concurrency, mutationOptions, onProgress })
+   * @returns {Promise<Object>} Verdict ({ passed, files, aggregate, analyses, duration })
+   */
+  async checkQuality(options = {}) {
+    const {
+      pairs,
+      failUnder,
+      aggregateFailUnder,
+      thresholds,
+      concurrency = this.config.concurrency || 3,
+      mutationOptions = {},
+      onProgress
+    } = options;
+
+    const paths = this.config.paths || {};
+    const configuredPairs = this.config.qualityGate?.pairs || [];
+    const defaultPairs = [{ source: `${paths.source || 'src'}/**/*.{js,mjs,cjs,ts}`, testsDir: paths.output || 'tests' }];
+
+    return await this.checkQualityUseCase.execute({
+      pairs: pairs || (configuredPairs.length > 0 ? configuredPairs : defaultPairs),
+      gate: { failUnder, aggregateFailUnder, thresholds },
+      onProgress,
+      config: {
+        mutationOptions: { ...this.config.mutation, ...mutationOptions },
+        concurrency
+      }
+    });
+  }
+
+  /**
+   * Watch source files and improve their tests as functions change
+   * @param {Object} options - Options ({ sourcePattern, testsDir, debounce, llmOptions, mutationOptions, onEvent })
+   * @returns {Promise<Object>} Watch handle ({ files, idle(), close() })
+   */
+  async watch(options) {
+    const {
+      sourcePattern,
+      testsDir = this.config.paths?.output || 'tests',
+      debounce = this.config.watch?.debounce,
+      llmOptions = {},
+      mutationOptions = {},
+      onEvent
+    } = options;
+
+    return await this.watchTestsUseCase.execute({
+      sourcePattern,
+      testsDir,
+      debounce,
+      onEvent,
+      config: {
+        llm: { ...this.config.llm, ...llmOptions },
+        mutationOptions: { ...this.config.mutation, ...mutationOptions },
+        improvementOptions: { ...this.config.improvement }
+      }
+    });
+  }
+
+  /**
+   * Find survived mutants that are likely equivalent, optionally confirming them
+   * Confirmed mutants go to the suppression file and count as equivalent on later runs.
+   * @param {Object} options - Options ({ sourcePath, testPath, confirm, reason, mutationOptions })
+   * @returns {Promise<Object>} Scores, likely equivalent mutants and the number suppressed
+   */
+  async findEquivalentMutants(options) {
+    const { sourcePath, testPath, confirm = false, reason, mutationOptions = {} } = options;
+
     const SourceFile = require('./core/entities/source-file');
     const TestFile = require('./core/entities/test-file');
-    const path = require('path');
 
-    // Load files
     const sourceContent = await this.storageProvider.readFile(sourcePath);
     const testContent = await this.storageProvider.readFile(testPath);
 
     const sourceFile = new SourceFile(
-      path.basename(sourcePath),
+      sourcePath,
       sourceContent,
-      sourcePath
+      detectLanguage(sourcePath),
+      detectModuleSystem(sourcePath)
     );
 
-    const testFile = new TestFile(
-      path.basename(testPath),
-      testContent,
-      testPath
-    );
+    const testFile = new TestFile(testPath, testContent, sourceFile);
+
+    // Without a usable LLM, suppressions and heuristics still apply
+    let llmAdapter = null;
+    if (this.config.mutation?.equivalence?.useLLM !== false) {
+      try {
+        llmAdapter = this.llmAdapterFactory.createAdapter(this.config.llm, logger);
+      } catch (error) {
+        logger.warn('LLM unavailable for equivalence checks; using heuristics only', { error: error.message });
+      }
+    }
 
-    // Run analysis
     const mutationResult = await this.mutationAnalysisService.runMutationAnalysis(
+      sourceFile,
+      testFile,
+      { ...this.config.mutation, ...mutationOptions, llmAdapter }
+    );
+
+    const suppressed = confirm && mutationResult.equivalentMutants.length > 0
+      ? await this.equivalentMutantService.suppress(sourceFile, mutationResult.equivalentMutants, { reason })
+      : 0;
+
+    const summary = mutationResult.toJSON();
+    return {
+      sourceFile: sourcePath,
+      testFile: testPath,
+      mutationScore: summary.mutationScore,
+      adjustedMutationScore: summary.adjustedMutationScore,
+      survivedCount: summary.survivedCount,
+      equivalentMutants: summary.equivalentMutants,
+      suppressed,
+      suppressionFile: this.equivalentMutantService.config.suppressionFile
+    };
+  }
+
+  /**
+   * Remove tests that kill no mutant the remaining tests don't also kill
+   * @param {Object} options - Options ({ sourcePath, testPath, dryRun, mutationOptions })
+   * @returns {Promise<Object>} Kept and removed tests; the test file is rewritten unless dryRun is set
+   */
+  async minimizeTests(options) {
+    const { sourcePath, testPath, dryRun = false, mutationOptions = {} } = options;
+
+    const SourceFile = require('./core/entities/source-file');
+    const TestFile = require('./core/entities/test-file');
+
+    const sourceContent = await this.storageProvider.readFile(sourcePath);
+    const testContent = await this.storageProvider.readFile(testPath);
+
+    const sourceFile = new SourceFile(
+      sourcePath,
+      sourceContent,
+      detectLanguage(sourcePath),
+      detectModuleSystem(sourcePath)
+    );
+    const testFile = new TestFile(testPath, testContent, sourceFile);
+
+    const minimization = await this.mutationAnalysisService.minimizeTests(
       sourceFile,
       testFile,
       { ...this.config.mutation, ...mutationOptions }
     );
 
+    // removeTests saves the rewritten file
+    const removedTests = dryRun
+      ? []
+      : await this.testGenerationService.removeTests(testFile, minimization.redundantTests, 'minimize');
+
     return {
       sourceFile: sourcePath,
       testFile: testPath,
-      mutationResult: mutationResult.toJSON(),
-      recommendations: this.mutationAnalysisService.getRecommendations(mutationResult)
+      dryRun,
+      testsBefore: minimization.tests.length,
+      keptTests: minimization.keptTests,
+      redundantTests: minimization.redundantTests,
+      removedTests,
+      killedMutants: minimization.killedMutants
     };
   }
 
@@ -258,14 +638,14 @@ class MutantTestGenApplication {
     } = options;
 
     const SourceFile = require('./core/entities/source-file');
-    const path = require('path');
 
     // Load source file
     const sourceContent = await this.storageProvider.readFile(sourcePath);
     const sourceFile = new SourceFile(
-      path.basename(sourcePath),
+      sourcePath,
       sourceContent,
-      sourcePath
+      detectLanguage(sourcePath),
+      detectModuleSystem(sourcePath)
     );
 
     // Execute feedback loop
@@ -273,7 +653,9 @@ class MutantTestGenApplication {
       targetMutationScore,
       maxIterations,
       mutationOptions: { ...this.config.mutation, ...mutationOptions },
+      baselineOptions: { ...this.config.baseline },
       improvementOptions: {
+        ...this.config.improvement,
         llm: { ...this.config.llm, ...llmOptions }
       }
     };
@@ -305,6 +687,7 @@ class MutantTestGenApplication {
       config: {
         llmProvider: this.config.llm.provider,
         mutationEngine: 'stryker',
+        testFramework: this.testFramework.getInfo().name,
         storageType: this.config.storage.type
       },
       components: {
@@ -319,6 +702,9 @@ class MutantTestGenApplication {
         useCases: {
           generateTests: !!this.generateTestsUseCase,
           improveTests: !!this.improveTestsUseCase,
+          analyzeTests: !!this.analyzeTestsUseCase,
+          checkQuality: !!this.checkQualityUseCase,
+          watchTests: !!this.watchTestsUseCase,
           batchProcess: !!this.batchProcessUseCase
         }
       }
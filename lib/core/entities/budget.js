@@ -0,0 +1,149 @@
+const TokenUsage = require('./token-usage');
+
+/**
+ * Budget entity - caps the LLM spend of a session or a file
+ * A budget tracks the TokenUsage of the adapters working under it. File
+ * budgets are created from the session budget with forFile() and count
+ * against both limits, so concurrent files share the session's budget.
+ * Calls to models without a price count as free against `maxCost`.
+ */
+class Budget {
+  /**
+   * @param {Object} limits - Limits ({ maxCost: USD, maxTokens }), null or missing for no limit
+   * @param {Budget} parent - Budget this one is part of (the session's, for a file)
+   * @param {string} scope - 'session' or 'file'
+   */
+  constructor(limits = {}, parent = null, scope = 'session') {
+    this.maxCost = limits?.maxCost ?? null;
+    this.maxTokens = limits?.maxTokens ?? null;
+    this.parent = parent;
+    this.scope = scope;
+    this.usages = [];
+    this.previous = TokenUsage.empty();
+  }
+
+  /**
+   * Get the budget of one file from the `budget` configuration
+   * @param {Budget|Object} budget - File budget, or limits ({ maxCost, maxTokens, perFile: { maxCost, maxTokens } })
+   * @returns {Budget} File budget
+   */
+  static forRequest(budget) {
+    if (budget instanceof Budget) return budget;
+    return new Budget(budget).forFile(budget?.perFile);
+  }
+
+  /**
+   * Create the budget of one file, counting against this one as well
+   * @param {Object} limits - Per-file limits ({ maxCost, maxTokens })
+   * @returns {Budget} File budget
+   */
+  forFile(limits = {}) {
+    return new Budget(limits, this, 'file');
+  }
+
+  /**
+   * Count an adapter's usage against this budget and its parents
+   * @param {TokenUsage} usage - Usage recorded by an LLM adapter
+   */
+  track(usage) {
+    if (!usage || this.usages.includes(usage)) return;
+
+    this.usages.push(usage);
+    if (this.parent) {
+      this.parent.track(usage);
+    }
+  }
+
+  /**
+   * Count usage from earlier runs, such as the files a resumed session completed
+   * @param {Object} usage - Usage summary
+   */
+  addPrevious(usage) {
+    this.previous = TokenUsage.merge([this.previous, usage]);
+  }
+
+  /**
+   * Get what was spent under this budget
+   * @returns {Object} Usage summary (see TokenUsage.summarize)
+   */
+  getSpent() {
+    return TokenUsage.merge([this.previous, ...this.usages.map(usage => usage.toJSON())]);
+  }
+
+  /**
+   * Estimate the next LLM call as the average call so far, in this file or else the session
+   * @returns {Object} Estimate ({ cost, tokens })
+   */
+  estimateNextCall() {
+    const calls = this.usages.flatMap(usage => usage.calls);
+    const spent = calls.length > 0 ? TokenUsage.summarize(calls) : this.previous;
+
+    if (spent.calls === 0) {
+      return this.parent ? this.parent.estimateNextCall() : { cost: 0, tokens: 0 };
+    }
+
+    return {
+      cost: (spent.cost || 0) / spent.calls,
+      tokens: spent.totalTokens / spent.calls
+    };
+  }
+
+  /**
+   * Check whether a call would exceed this budget or a parent's
+   * @param {Object} next - Next call ({ cost, tokens }), default estimateNextCall()
+   * @returns {Object|null} Exceeded limit ({ scope, limit, max, spent, message }), or null within budget
+   */
+  check(next = this.estimateNextCall()) {
+    const spent = this.getSpent();
+    const exceeded =
+      this._exceeds('cost', this.maxCost, spent.cost || 0, next.cost) ||
+      this._exceeds('tokens', this.maxTokens, spent.totalTokens, next.tokens);
+
+    if (exceeded) return exceeded;
+    return this.parent ? this.parent.check(next) : null;
+  }
+
+  /**
+   * Check whether nothing is left of this budget or a parent's
+   * @returns {boolean} True when a limit is reached
+   */
+  isExhausted() {
+    return this.check({ cost: 0, tokens: 0 }) !== null;
+  }
+
+  /**
+   * Check whether this budget or a parent has a limit
+   * @returns {boolean} True when limited
+   */
+  isLimited() {
+    return this.maxCost !== null || this.maxTokens !== null || Boolean(this.parent?.isLimited());
+  }
+
+  /**
+   * @param {string} limit - 'cost' or 'tokens'
+   * @param {number|null} max - Limit, null for none
+   * @param {number} spent - Spent so far
+   * @param {number} next - Estimated next call
+   * @returns {Object|null} Exceeded limit, or null
+   * @private
+   */
+  _exceeds(limit, max, spent, next) {
+    if (max === null || (spent < max && spent + next <= max)) return null;
+
+    const format = value => (limit === 'cost' ? `$${value.toFixed(4)}` : `${Math.round(value)} tokens`);
+    const scope = this.scope === 'file' ? 'Per-file' : 'Session';
+    const name = limit === 'cost' ? 'cost' : 'token';
+
+    return {
+      scope: this.scope,
+      limit,
+      max,
+      spent,
+      message: spent >= max
+        ? `${scope} ${name} budget of ${format(max)} is exhausted (spent ${format(spent)})`
+        : `${scope} ${name} budget of ${format(max)} would be exceeded by the next LLM call (spent ${format(spent)}, next call ~${format(next)})`
+    };
+  }
+}
+
+module.exports = Budget;
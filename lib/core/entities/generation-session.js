@@ -1,5 +1,10 @@
+const TokenUsage = require('./token-usage');
+
 /**
  * Generation session entity representing a complete test generation workflow
+ * Sessions are saved after every file, so an interrupted batch can be resumed:
+ * `files` records each file's status (pending, running, completed, failed) and
+ * `request` the batch settings needed to continue it.
  */
 class GenerationSession {
   constructor(config = {}) {
@@ -8,6 +13,9 @@ class GenerationSession {
     this.startTime = new Date();
     this.endTime = null;
     this.status = 'started';
+    this.stopReason = null;
+    this.request = {};
+    this.files = [];
     this.sourceFiles = [];
     this.results = [];
     this.totalIterations = 0;
@@ -28,6 +36,115 @@ class GenerationSession {
     this.sourceFiles.push(sourceFile);
   }
 
+  /**
+   * Add a file to process in this session
+   * @param {string} sourcePath - Source file path
+   * @param {string} outputPath - Test file path
+   * @param {Object} options - Per-file settings ({ mode, mutateRanges }), overriding the batch's
+   */
+  addFile(sourcePath, outputPath, options = {}) {
+    this.files.push({
+      sourcePath,
+      outputPath,
+      mode: options.mode || null,
+      mutateRanges: options.mutateRanges || null,
+      status: 'pending',
+      iterations: 0,
+      mutationScore: null,
+      targetReached: false,
+      testFileVersion: null,
+      history: [],
+      survivedMutants: [],
+      usage: null,
+      cost: null,
+      error: null,
+      startedAt: null,
+      completedAt: null
+    });
+  }
+
+  /**
+   * Get a file record
+   * @param {string} sourcePath - Source file path
+   * @returns {Object|undefined} File record
+   */
+  getFile(sourcePath) {
+    return this.files.find(file => file.sourcePath === sourcePath);
+  }
+
+  /**
+   * Mark a file as being processed, discarding results of earlier attempts
+   * @param {string} sourcePath - Source file path
+   */
+  startFile(sourcePath) {
+    const file = this.getFile(sourcePath);
+    file.status = 'running';
+    file.error = null;
+    file.startedAt = new Date().toISOString();
+
+    const previous = this.results.filter(result => result.sourceFile === sourcePath);
+    this.totalIterations -= previous.reduce((sum, result) => sum + (result.iterations || 0), 0);
+    this.results = this.results.filter(result => result.sourceFile !== sourcePath);
+  }
+
+  /**
+   * Record the outcome of a processed file
+   * @param {string} sourcePath - Source file path
+   * @param {Object} outcome - Outcome from summarizeResult()
+   */
+  completeFile(sourcePath, outcome) {
+    const file = this.getFile(sourcePath);
+    Object.assign(file, {
+      status: outcome.success ? 'completed' : 'failed',
+      iterations: outcome.iterations || 0,
+      mutationScore: outcome.mutationScore ?? null,
+      targetReached: outcome.targetReached || false,
+      testFileVersion: outcome.testFileVersion ?? null,
+      history: outcome.history || [],
+      survivedMutants: outcome.survivedMutants || [],
+      usage: outcome.usage || null,
+      cost: outcome.cost ?? null,
+      completedAt: new Date().toISOString()
+    });
+    // Per-run details live in the file record
+    const summary = { sourceFile: sourcePath, ...outcome };
+    delete summary.history;
+    delete summary.survivedMutants;
+    delete summary.usage;
+    this.addResult(summary);
+  }
+
+  /**
+   * Record a file that failed to process
+   * @param {string} sourcePath - Source file path
+   * @param {Error} error - Error that occurred
+   */
+  failFile(sourcePath, error) {
+    const file = this.getFile(sourcePath);
+    file.status = 'failed';
+    file.error = error.message;
+    file.completedAt = new Date().toISOString();
+    this.addResult({ sourceFile: sourcePath, success: false, error: error.message });
+    this.addError(error, sourcePath);
+  }
+
+  /**
+   * Get files that still need processing (pending, interrupted or failed)
+   * @returns {Array<Object>} File records
+   */
+  getUnfinishedFiles() {
+    return this.files.filter(file => file.status !== 'completed');
+  }
+
+  /**
+   * Reopen a finished or interrupted session to process its remaining files
+   */
+  reopen() {
+    this.status = 'started';
+    this.stopReason = null;
+    this.endTime = null;
+  }
+
   /**
    * Add result to session
    * @param {Object} result - Generation result
@@ -53,13 +170,23 @@ class GenerationSession {
 
   /**
    * Complete the session
-   * @param {string} status - Final status (completed, failed, cancelled)
+   * @param {string} status - Final status (completed, failed, cancelled, stopped)
    */
   complete(status = 'completed') {
     this.endTime = new Date();
     this.status = status;
   }
 
+  /**
+   * Stop the session before all files were processed
+   * The remaining files stay pending, so the session can be resumed.
+   * @param {string} reason - Stop reason, such as 'budget'
+   */
+  stop(reason) {
+    this.complete('stopped');
+    this.stopReason = reason;
+  }
+
   /**
    * Get session duration in milliseconds
    * @returns {number} Duration in milliseconds
@@ -117,6 +244,14 @@ class GenerationSession {
     return this.results.filter(r => r.targetReached).length;
   }
 
+  /**
+   * Get the token usage of the processed files
+   * @returns {Object} Usage summary (see TokenUsage.summarize)
+   */
+  getUsage() {
+    return TokenUsage.merge(this.files.map(file => file.usage));
+  }
+
   /**
    * Get performance metrics
    * @returns {Object} Performance metrics
@@ -127,6 +262,8 @@ class GenerationSession {
     
     const avgIterationsPerFile = this.results.length > 0 ?
       this.totalIterations / this.results.length : 0;
+
+    const usage = this.getUsage();
     
     return {
       totalDuration: this.getDuration(),
@@ -135,7 +272,12 @@ class GenerationSession {
       avgIterationsPerFile,
       totalIterations: this.totalIterations,
       filesPerHour: this.getDuration() > 0 ? 
-        (this.results.length / (this.getDuration() / 3600000)) : 0
+        (this.results.length / (this.getDuration() / 3600000)) : 0,
+      totalTokens: usage.totalTokens,
+      totalCost: usage.cost,
+      avgCostPerFile: usage.cost !== null && this.results.length > 0 ?
+        usage.cost / this.results.length : null,
+      usage
     };
   }
 
@@ -147,8 +289,9 @@ class GenerationSession {
     return {
       id: this.id,
       status: this.status,
+      stopReason: this.stopReason,
       duration: this.getHumanDuration(),
-      totalFiles: this.sourceFiles.length,
+      totalFiles: this.files.length || this.sourceFiles.length,
       processedFiles: this.results.length,
       successful: this.results.filter(r => r.success).length,
       failed: this.results.filter(r => !r.success).length,
@@ -198,7 +341,7 @@ class GenerationSession {
    * @returns {boolean} True if session is complete
    */
   isComplete() {
-    return this.status === 'completed' || this.status === 'failed' || this.status === 'cancelled';
+    return ['completed', 'failed', 'cancelled', 'stopped'].includes(this.status);
   }
 
   /**
@@ -217,6 +360,99 @@ class GenerationSession {
     return this.getSummary();
   }
 
+  /**
+   * Serialize the session for the session store
+   * The config is not stored: it may hold API keys, and a resumed session
+   * runs with the current configuration.
+   * @returns {Object} Session data
+   */
+  toData() {
+    return {
+      sessionId: this.id,
+      status: this.status,
+      stopReason: this.stopReason,
+      startTime: this.startTime.toISOString(),
+      endTime: this.endTime ? this.endTime.toISOString() : null,
+      updatedAt: new Date().toISOString(),
+      request: this.request,
+      metadata: this.metadata,
+      files: this.files,
+      results: this.results,
+      totalIterations: this.totalIterations,
+      errors: this.errors.map(({ message, context, timestamp }) => ({ message, context, timestamp }))
+    };
+  }
+
+  /**
+   * Restore a session from the session store
+   * @param {Object} data - Session data from toData()
+   * @param {Object} config - Current configuration
+   * @returns {GenerationSession} Session
+   */
+  static fromData(data, config = {}) {
+    const session = new GenerationSession(config);
+    session.id = data.sessionId;
+    session.status = data.status;
+    session.stopReason = data.stopReason || null;
+    session.startTime = new Date(data.startTime);
+    session.endTime = data.endTime ? new Date(data.endTime) : null;
+    session.request = data.request || {};
+    session.metadata = { ...session.metadata, ...data.metadata };
+    session.files = data.files || [];
+    session.results = data.results || [];
+    session.totalIterations = data.totalIterations || 0;
+    session.errors = data.errors || [];
+    return session;
+  }
+
+  /**
+   * Extract what a session records about a processed file
+   * `history` has one entry per mutation run: the feedback loop's iterations,
+   * or the runs before and after an improvement.
+   * @param {Object} result - Generate, improve or analyze result
+   * @returns {Object} Outcome ({ success, iterations, mutationScore, targetReached, testFileVersion, history, survivedMutants, usage, cost })
+   */
+  static summarizeResult(result) {
+    const feedback = result.feedbackResult;
+    const lastIteration = feedback?.iterations?.[feedback.iterations.length - 1];
+
+    const usage = result.usage || feedback?.usage || null;
+
+    let history = [];
+    if (feedback?.iterations) {
+      history = feedback.iterations.map(iteration => ({
+        iteration: iteration.number,
+        mutationScore: iteration.mutationResult?.mutationScore ?? null,
+        survived: iteration.mutationResult?.survivedMutants?.length ?? null,
+        testCases: iteration.testCases ?? null,
+        testsAdded: iteration.testsAdded || 0,
+        duration: iteration.duration ?? null,
+        cost: iteration.usage?.cost ?? null,
+        tokens: iteration.usage?.totalTokens ?? null
+      }));
+    } else if (result.originalScore !== undefined) {
+      history = [
+        { iteration: 1, mutationScore: result.originalScore, survived: null, testCases: null, testsAdded: result.newTestCases || 0, duration: null, cost: null, tokens: null },
+        // The improvement's LLM calls lead to the second run
+        { iteration: 2, mutationScore: result.improvedScore, survived: result.mutationResult?.survivedCount ?? null, testCases: null, testsAdded: 0, duration: null, cost: usage?.cost ?? null, tokens: usage?.totalTokens ?? null }
+      ];
+    }
+
+    const survivedMutants = lastIteration?.mutationResult?.survivedMutants || result.mutationResult?.survivedMutants || [];
+
+    return {
+      success: result.success !== false,
+      iterations: feedback?.totalIterations || 0,
+      mutationScore: feedback?.finalScore ?? result.mutationResult?.mutationScore ?? result.improvedScore ?? null,
+      targetReached: feedback?.targetReached || false,
+      testFileVersion: feedback?.testFile?.version ?? null,
+      history,
+      survivedMutants: survivedMutants.map(({ mutatorName, location, replacement }) => ({ mutatorName, location, replacement })),
+      usage,
+      cost: usage ? usage.cost : null
+    };
+  }
+
   /**
    * Generate unique ID
    * @returns {string} Unique identifier
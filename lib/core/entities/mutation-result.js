@@ -15,6 +15,9 @@ class MutationResult {
     this.timeoutMutants = [];
     this.noCoverageMutants = [];
     this.executionTime = 0;
+    this.fromCache = false; // Results reused from the incremental cache without running mutants
+    this.equivalentMutants = []; // Survivors classified as likely equivalent
+    this.adjustedMutationScore = mutationScore; // Score with equivalent mutants excluded
     this.status = 'pending';
   }
 
@@ -30,16 +33,47 @@ class MutationResult {
     this.timeoutMutants = results.timeoutMutants || [];
     this.noCoverageMutants = results.noCoverageMutants || [];
     this.executionTime = results.executionTime || 0;
+    this.fromCache = results.fromCache || false;
+    this.equivalentMutants = [];
+    this.adjustedMutationScore = this.mutationScore;
     this.status = 'completed';
   }
 
+  /**
+   * Mark survived mutants as likely equivalent and recompute the adjusted score
+   * Equivalent mutants stay in survivedMutants so the raw score matches Stryker;
+   * the adjusted score drops them from the denominator.
+   * @param {Array<Object>} mutants - Survived mutants judged equivalent
+   */
+  setEquivalentMutants(mutants) {
+    this.equivalentMutants = mutants;
+    if (mutants.length === 0) {
+      this.adjustedMutationScore = this.mutationScore;
+      return;
+    }
+
+    const detected = this.killedMutants.length + this.timeoutMutants.length;
+    const valid = detected + this.survivedMutants.length + this.noCoverageMutants.length - mutants.length;
+    this.adjustedMutationScore = valid > 0 ? (detected / valid) * 100 : this.mutationScore;
+  }
+
+  /**
+   * Get survived mutants that are not likely equivalent
+   * @returns {Array<Object>} Survivors worth writing tests for
+   */
+  getKillableSurvivors() {
+    const equivalent = new Set(this.equivalentMutants);
+    return this.survivedMutants.filter(mutant => !equivalent.has(mutant));
+  }
+
   /**
    * Check if target mutation score was reached
+   * Uses the adjusted score, so equivalent mutants don't hold the target back.
    * @param {number} targetScore - Target mutation score
    * @returns {boolean} True if target was reached
    */
   hasReachedTarget(targetScore) {
-    return this.mutationScore >= targetScore;
+    return this.adjustedMutationScore >= targetScore;
   }
 
   /**
@@ -63,6 +97,23 @@ class MutationResult {
       .filter(mutant => mutant.mutatorName === type);
   }
 
+  /**
+   * Get every mutant with its status, in source order
+   * Mutants without a status get the one of the list they are in.
+   * @returns {Array<Object>} Killed, survived, timed-out and uncovered mutants
+   */
+  getAllMutants() {
+    const withStatus = (mutants, status) => mutants.map(mutant => (mutant.status ? mutant : { ...mutant, status }));
+
+    return [
+      ...withStatus(this.killedMutants, 'Killed'),
+      ...withStatus(this.survivedMutants, 'Survived'),
+      ...withStatus(this.timeoutMutants, 'Timeout'),
+      ...withStatus(this.noCoverageMutants, 'NoCoverage')
+    ].sort((a, b) => (a.location?.start?.line || 0) - (b.location?.start?.line || 0) ||
+      (a.location?.start?.column || 0) - (b.location?.start?.column || 0));
+  }
+
   /**
    * Get most problematic mutators
    * @param {number} limit - Number of mutators to return
@@ -192,13 +243,36 @@ class MutationResult {
       sourceFile: this.sourceFile?.getFileName(),
       testFile: this.testFile?.getFileName(),
       mutationScore: this.mutationScore,
+      adjustedMutationScore: this.adjustedMutationScore,
       scoreCategory: this.getScoreCategory(),
       totalMutants: this.totalMutants,
       killedCount: this.killedMutants.length,
       survivedCount: this.survivedMutants.length,
       timeoutCount: this.timeoutMutants.length,
       noCoverageCount: this.noCoverageMutants.length,
+      equivalentCount: this.equivalentMutants.length,
+      survivedMutants: this.survivedMutants.map(mutant => ({
+        mutatorName: mutant.mutatorName,
+        location: mutant.location,
+        replacement: mutant.replacement
+      })),
+      mutants: this.getAllMutants().map(mutant => ({
+        id: mutant.id,
+        mutatorName: mutant.mutatorName,
+        replacement: mutant.replacement,
+        location: mutant.location,
+        status: mutant.status,
+        killedBy: mutant.killedBy || [],
+        equivalence: mutant.equivalence || null
+      })),
+      equivalentMutants: this.equivalentMutants.map(mutant => ({
+        mutatorName: mutant.mutatorName,
+        location: mutant.location,
+        replacement: mutant.replacement,
+        equivalence: mutant.equivalence
+      })),
       executionTime: this.executionTime,
+      fromCache: this.fromCache,
       timestamp: this.timestamp,
       status: this.status,
       problematicMutators: this.getProblematicMutators(3),
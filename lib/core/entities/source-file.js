@@ -1,16 +1,21 @@
+const { analyzeSource } = require('../../utils/source-analyzer');
+const { getTestExtension } = require('../../utils/module-format');
+
 /**
  * Source file entity representing a source code file to be tested
  */
 class SourceFile {
-  constructor(filePath, content, language = 'javascript') {
+  constructor(filePath, content, language = 'javascript', moduleSystem = null) {
     this.filePath = filePath;
     this.content = content;
     this.language = language;
+    this.moduleSystem = moduleSystem;
     this.size = content.length;
     this.lineCount = content.split('\n').length;
     this.createdAt = new Date();
     this.lastModified = null;
     this.hash = this._calculateHash(content);
+    this._analysis = undefined;
   }
 
   /**
@@ -47,6 +52,29 @@ class SourceFile {
     return this.hash !== this._calculateHash(newContent);
   }
 
+  /**
+   * Find the functions whose body differs in new content
+   * Functions are matched by name (qualified with their class), so moving a
+   * function without editing it does not count as a change. New functions do.
+   * @param {string} newContent - New content to compare
+   * @returns {Array<Object>|null} Changed functions of the new content (as in analyze()), or null when it cannot be parsed
+   */
+  getChangedFunctions(newContent) {
+    const updated = new SourceFile(this.filePath, newContent, this.language, this.moduleSystem);
+    const current = updated.analyze();
+    if (!current) return null;
+
+    const previous = this.analyze();
+    if (!previous) return current.functions;
+
+    const previousBodies = new Map(this._getFunctionBodies(this.content, previous.functions)
+      .map(({ key, body }) => [key, body]));
+
+    return this._getFunctionBodies(newContent, current.functions)
+      .filter(({ key, body }) => previousBodies.get(key) !== body)
+      .map(({ fn }) => fn);
+  }
+
   /**
    * Update file content
    * @param {string} newContent - New content
@@ -57,6 +85,86 @@ class SourceFile {
     this.lineCount = newContent.split('\n').length;
     this.lastModified = new Date();
     this.hash = this._calculateHash(newContent);
+    this._analysis = undefined;
+  }
+
+  /**
+   * Get AST analysis of the source (exports, classes, functions, complexity)
+   * The result is cached until the content changes.
+   * @returns {Object|null} Analysis, or null when the content cannot be parsed
+   */
+  analyze() {
+    if (this._analysis === undefined) {
+      this._analysis = analyzeSource(this.content, { fileName: this.getFileName() });
+    }
+    return this._analysis;
+  }
+
+  /**
+   * Get module system, falling back to the syntax of the code when it was
+   * not determined from the file extension or package.json
+   * @returns {string} 'esm' or 'commonjs'
+   */
+  getModuleSystem() {
+    if (this.moduleSystem) {
+      return this.moduleSystem;
+    }
+
+    const analysis = this.analyze();
+    return analysis && analysis.moduleType === 'esm' ? 'esm' : 'commonjs';
+  }
+
+  /**
+   * Get module format used for generated tests
+   * @returns {Object} Format ({ language, moduleSystem, testExtension })
+   */
+  getModuleFormat() {
+    return {
+      language: this.language,
+      moduleSystem: this.getModuleSystem(),
+      testExtension: getTestExtension(this.filePath)
+    };
+  }
+
+  /**
+   * Get module exports
+   * @returns {Array<Object>} Exports ({ name, type, local, kind, line })
+   */
+  getExports() {
+    const analysis = this.analyze();
+    return analysis ? analysis.exports : [];
+  }
+
+  /**
+   * Get class declarations with their methods
+   * @returns {Array<Object>} Classes ({ name, line, superClass, methods, exported })
+   */
+  getClasses() {
+    const analysis = this.analyze();
+    return analysis ? analysis.classes : [];
+  }
+
+  /**
+   * Get public API: exported functions and classes (private members
+   * omitted), or every function and class when the module exports nothing
+   * recognizable
+   * @returns {Object} Public API ({ moduleType, exports, functions, classes })
+   */
+  getPublicApi() {
+    const analysis = this.analyze();
+    if (!analysis) {
+      return { moduleType: 'unknown', exports: [], functions: this.extractFunctions(), classes: [] };
+    }
+
+    const hasExports = analysis.exports.length > 0;
+    return {
+      moduleType: analysis.moduleType,
+      exports: analysis.exports,
+      functions: analysis.functions.filter(fn => !fn.className && (!hasExports || fn.exported)),
+      classes: analysis.classes
+        .filter(cls => !hasExports || cls.exported)
+        .map(cls => ({ ...cls, methods: cls.methods.filter(method => !method.name.startsWith('#')) }))
+    };
   }
 
   /**
@@ -64,6 +172,22 @@ class SourceFile {
    * @returns {Object} Complexity metrics
    */
   getComplexityMetrics() {
+    const analysis = this.analyze();
+    if (analysis) {
+      const { functions, classes, conditionals, cyclomatic, maxFunctionComplexity } = analysis.metrics;
+      return {
+        functions,
+        classes,
+        conditionals,
+        lines: this.lineCount,
+        size: this.size,
+        complexity: Math.floor(Math.log10(functions + classes + conditionals + 1) * 10),
+        cyclomatic,
+        maxFunctionComplexity
+      };
+    }
+
+    // Fallback for content the parser cannot handle
     const functionCount = (this.content.match(/function\s+\w+/g) || []).length;
     const classCount = (this.content.match(/class\s+\w+/g) || []).length;
     const conditionalCount = (this.content.match(/\b(if|else|while|for|switch)\b/g) || []).length;
@@ -80,9 +204,16 @@ class SourceFile {
 
   /**
    * Extract function signatures
+   * Parsed functions also carry kind, className, params, throws and complexity.
    * @returns {Array<Object>} Function signatures
    */
   extractFunctions() {
+    const analysis = this.analyze();
+    if (analysis) {
+      return analysis.functions;
+    }
+
+    // Fallback for content the parser cannot handle
     const functionRegex = /(?:function\s+(\w+)\s*\([^)]*\)|(\w+)\s*:\s*function\s*\([^)]*\)|(\w+)\s*\([^)]*\)\s*\{)/g;
     const functions = [];
     let match;
@@ -110,6 +241,7 @@ class SourceFile {
       filePath: this.filePath,
       fileName: this.getFileName(),
       language: this.language,
+      moduleSystem: this.getModuleSystem(),
       size: this.size,
       lineCount: this.lineCount,
       hash: this.hash,
@@ -119,6 +251,27 @@ class SourceFile {
     };
   }
 
+  /**
+   * Map functions to their source text
+   * Repeated names (such as overloads or callbacks) are told apart by occurrence.
+   * @param {string} content - Source code
+   * @param {Array<Object>} functions - Functions from analyze() ({ name, className, line, endLine })
+   * @returns {Array<Object>} Bodies ({ fn, key, body }) in source order
+   * @private
+   */
+  _getFunctionBodies(content, functions) {
+    const lines = content.split('\n');
+    const counts = new Map();
+
+    return functions.map(fn => {
+      const name = fn.className ? `${fn.className}.${fn.name}` : fn.name;
+      const occurrence = counts.get(name) || 0;
+      counts.set(name, occurrence + 1);
+
+      return { fn, key: `${name}#${occurrence}`, body: lines.slice(fn.line - 1, fn.endLine).join('\n') };
+    });
+  }
+
   /**
    * Calculate content hash
    * @param {string} content - Content to hash
@@ -12,6 +12,7 @@ class TestFile {
     this.generationMetadata = {
       iterations: 0,
       lastImprovement: null,
+      lastMerge: null,
       improvementHistory: []
     };
   }
@@ -40,8 +41,8 @@ class TestFile {
     if (this.sourceFile) {
       return this.sourceFile.getFileName();
     }
-    // Extract from test file name (remove .test.js)
-    return this.getFileName().replace(/\.test\.js$/, '.js');
+    // Extract from test file name (remove .test from .test.js, .test.ts, .test.mjs, ...)
+    return this.getFileName().replace(/\.test(\.[cm]?[jt]sx?)$/, '$1');
   }
 
   /**
@@ -76,6 +77,14 @@ class TestFile {
     };
   }
 
+  /**
+   * Record what the last merge of improved tests added
+   * @param {Object} report - Merge report (added, renamed and skipped tests, imports, helpers)
+   */
+  recordMerge(report) {
+    this.generationMetadata.lastMerge = report;
+  }
+
   /**
    * Extract test cases from content
    * @returns {Array<Object>} Test cases
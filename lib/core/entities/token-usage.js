@@ -0,0 +1,162 @@
+/**
+ * Token usage entity - records the LLM calls made through an adapter
+ * Each call keeps its token counts, model, latency and cost. Slices of the
+ * call list (since a checkpoint) give the usage of one iteration or file.
+ */
+class TokenUsage {
+  constructor() {
+    this.calls = [];
+  }
+
+  /**
+   * Record one LLM call
+   * @param {Object} call - Call ({ task, model, promptTokens, completionTokens, latency, cost, estimated })
+   * @param {number|null} call.cost - Cost in USD, null when the model has no price
+   * @param {boolean} call.estimated - True when the provider reported no usage and tokens were estimated
+   * @returns {Object} Recorded call
+   */
+  record(call) {
+    const recorded = {
+      task: call.task || null,
+      model: call.model || null,
+      promptTokens: call.promptTokens || 0,
+      completionTokens: call.completionTokens || 0,
+      latency: call.latency || 0,
+      cost: typeof call.cost === 'number' ? call.cost : null,
+      estimated: call.estimated || false,
+      timestamp: new Date().toISOString()
+    };
+
+    this.calls.push(recorded);
+    return recorded;
+  }
+
+  /**
+   * Mark the current position, to get the usage of the calls made after it
+   * @returns {number} Checkpoint for since()
+   */
+  checkpoint() {
+    return this.calls.length;
+  }
+
+  /**
+   * Get the usage of the calls made since a checkpoint
+   * @param {number} checkpoint - Checkpoint from checkpoint()
+   * @returns {Object} Usage summary, see summarize()
+   */
+  since(checkpoint) {
+    return TokenUsage.summarize(this.calls.slice(checkpoint));
+  }
+
+  /**
+   * Get the usage of all recorded calls
+   * @returns {Object} Usage summary, see summarize()
+   */
+  toJSON() {
+    return TokenUsage.summarize(this.calls);
+  }
+
+  /**
+   * Summarize calls
+   * The cost adds up the priced calls; it is null only when calls were made
+   * and none of them had a price.
+   * @param {Array<Object>} calls - Recorded calls
+   * @returns {Object} Usage ({ calls, promptTokens, completionTokens, totalTokens, latency, cost, unpricedCalls, estimatedCalls, models })
+   */
+  static summarize(calls) {
+    const usage = TokenUsage.empty();
+
+    calls.forEach(call => {
+      const model = call.model || 'unknown';
+      const byModel = usage.models[model] || (usage.models[model] = { calls: 0, promptTokens: 0, completionTokens: 0, cost: null });
+      const callUsage = {
+        calls: 1,
+        promptTokens: call.promptTokens,
+        completionTokens: call.completionTokens,
+        latency: call.latency,
+        cost: call.cost,
+        unpricedCalls: call.cost === null ? 1 : 0,
+        estimatedCalls: call.estimated ? 1 : 0
+      };
+
+      TokenUsage._add(usage, callUsage);
+      byModel.calls += 1;
+      byModel.promptTokens += call.promptTokens;
+      byModel.completionTokens += call.completionTokens;
+      byModel.cost = TokenUsage._addCost(byModel.cost, call.cost);
+    });
+
+    return usage;
+  }
+
+  /**
+   * Add up usage summaries, such as the files of a session
+   * @param {Array<Object|null>} summaries - Usage summaries (null entries are skipped)
+   * @returns {Object} Combined usage
+   */
+  static merge(summaries) {
+    const usage = TokenUsage.empty();
+
+    summaries.filter(Boolean).forEach(summary => {
+      TokenUsage._add(usage, summary);
+      Object.entries(summary.models || {}).forEach(([model, modelUsage]) => {
+        const byModel = usage.models[model] || (usage.models[model] = { calls: 0, promptTokens: 0, completionTokens: 0, cost: null });
+        byModel.calls += modelUsage.calls;
+        byModel.promptTokens += modelUsage.promptTokens;
+        byModel.completionTokens += modelUsage.completionTokens;
+        byModel.cost = TokenUsage._addCost(byModel.cost, modelUsage.cost);
+      });
+    });
+
+    return usage;
+  }
+
+  /**
+   * Usage without any calls
+   * @returns {Object} Usage summary
+   */
+  static empty() {
+    return {
+      calls: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      latency: 0,
+      cost: 0,
+      unpricedCalls: 0,
+      estimatedCalls: 0,
+      models: {}
+    };
+  }
+
+  /**
+   * @param {Object} usage - Usage summary to add to
+   * @param {Object} other - Usage to add
+   * @private
+   */
+  static _add(usage, other) {
+    const cost = (usage.cost || 0) + (other.cost || 0);
+
+    usage.calls += other.calls || 0;
+    usage.promptTokens += other.promptTokens || 0;
+    usage.completionTokens += other.completionTokens || 0;
+    usage.totalTokens = usage.promptTokens + usage.completionTokens;
+    usage.latency += other.latency || 0;
+    usage.unpricedCalls += other.unpricedCalls || 0;
+    usage.estimatedCalls += other.estimatedCalls || 0;
+    usage.cost = usage.calls > 0 && usage.unpricedCalls === usage.calls ? null : cost;
+  }
+
+  /**
+   * @param {number|null} total - Cost so far
+   * @param {number|null} cost - Cost to add
+   * @returns {number|null} Sum, null while nothing was priced
+   * @private
+   */
+  static _addCost(total, cost) {
+    if (typeof cost !== 'number') return total;
+    return (total || 0) + cost;
+  }
+}
+
+module.exports = TokenUsage;
@@ -0,0 +1,206 @@
+const path = require('path');
+const { detectEquivalentMutant } = require('../../utils/equivalence-heuristics');
+
+/**
+ * Default classification settings
+ */
+const DEFAULT_CONFIG = {
+  suppressionFile: '.mutant-suppressions.json',
+  useLLM: true,
+  heuristics: true,
+  minConfidence: 0.8
+};
+
+/**
+ * Equivalent mutant service for labelling survivors no test can kill
+ * Survivors are checked against user-confirmed suppressions first, then the
+ * static heuristics, then the LLM. Suppressions are matched by file, mutator,
+ * replacement and the text of the mutated line, so they survive edits that
+ * only move the line.
+ */
+class EquivalentMutantService {
+  /**
+   * @param {Object} storageProvider - Storage provider for the suppression file
+   * @param {Object} logger - Logger instance
+   * @param {Object} config - Classification settings (see DEFAULT_CONFIG)
+   */
+  constructor(storageProvider, logger, config = {}) {
+    this.storageProvider = storageProvider;
+    this.logger = logger;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.verdictCache = new Map(); // LLM verdicts by mutant key, so repeated runs don't re-ask
+  }
+
+  /**
+   * Classify survived mutants
+   * @param {SourceFile} sourceFile - Source file entity
+   * @param {Array<Object>} mutants - Survived mutants
+   * @param {Object} options - Options (overrides config; llmAdapter enables LLM judging)
+   * @returns {Promise<Array<Object>>} Verdicts ({ mutant, equivalent, source, confidence, reason }), one per mutant
+   */
+  async classify(sourceFile, mutants, options = {}) {
+    const settings = { ...this.config, ...options };
+    const suppressions = await this.loadSuppressions(settings.suppressionFile);
+    const file = this._getRelativePath(sourceFile.filePath);
+    const sourceCode = sourceFile.content;
+
+    const verdicts = mutants.map(mutant => {
+      const key = this._getKey(file, sourceCode, mutant);
+      const suppression = suppressions.find(entry => this._getSuppressionKey(entry) === key);
+      if (suppression) {
+        return { mutant, equivalent: true, source: 'suppression', confidence: 1, reason: suppression.reason };
+      }
+
+      const heuristic = settings.heuristics ? detectEquivalentMutant(sourceCode, mutant, { fileName: sourceFile.filePath }) : null;
+      if (heuristic && heuristic.confidence >= settings.minConfidence) {
+        return { mutant, equivalent: true, source: 'heuristic', ...heuristic };
+      }
+
+      const cached = this.verdictCache.get(key);
+      return cached ? { ...cached, mutant } : { mutant, equivalent: false, source: null, confidence: 0, reason: '' };
+    });
+
+    const llmAdapter = settings.useLLM ? settings.llmAdapter : null;
+    const undecided = verdicts.filter(verdict => verdict.source === null);
+    if (llmAdapter?.classifyMutants && undecided.length > 0) {
+      await this._classifyWithLLM(llmAdapter, sourceFile, file, undecided, settings);
+    }
+
+    const equivalent = verdicts.filter(verdict => verdict.equivalent);
+    this.logger.info('Classified survived mutants', {
+      sourceFile: sourceFile.getFileName(),
+      survived: mutants.length,
+      likelyEquivalent: equivalent.length
+    });
+
+    return verdicts;
+  }
+
+  /**
+   * Load user-confirmed equivalent mutants
+   * @param {string} suppressionFile - Suppression file path
+   * @returns {Promise<Array<Object>>} Suppressions (empty when the file does not exist)
+   */
+  async loadSuppressions(suppressionFile = this.config.suppressionFile) {
+    if (!(await this.storageProvider.fileExists(suppressionFile))) {
+      return [];
+    }
+
+    try {
+      const data = JSON.parse(await this.storageProvider.readFile(suppressionFile));
+      return Array.isArray(data.suppressions) ? data.suppressions : [];
+    } catch (error) {
+      this.logger.warn('Ignoring unreadable suppression file', { suppressionFile, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Record mutants as confirmed equivalent so later runs exclude them
+   * @param {SourceFile} sourceFile - Source file entity
+   * @param {Array<Object>} mutants - Mutants to suppress
+   * @param {Object} options - Options ({ reason, suppressionFile })
+   * @returns {Promise<number>} Number of newly added suppressions
+   */
+  async suppress(sourceFile, mutants, options = {}) {
+    const suppressionFile = options.suppressionFile || this.config.suppressionFile;
+    const suppressions = await this.loadSuppressions(suppressionFile);
+    const file = this._getRelativePath(sourceFile.filePath);
+    const lines = sourceFile.content.split('\n');
+    const existing = new Set(suppressions.map(entry => this._getSuppressionKey(entry)));
+
+    let added = 0;
+    mutants.forEach(mutant => {
+      const entry = {
+        file,
+        mutatorName: mutant.mutatorName,
+        replacement: mutant.replacement,
+        lineText: (lines[mutant.location.start.line - 1] || '').trim(),
+        line: mutant.location.start.line,
+        reason: options.reason || mutant.equivalence?.reason || 'Confirmed equivalent',
+        confirmedAt: new Date().toISOString()
+      };
+
+      if (existing.has(this._getSuppressionKey(entry))) return;
+      existing.add(this._getSuppressionKey(entry));
+      suppressions.push(entry);
+      added++;
+    });
+
+    await this.storageProvider.writeFile(suppressionFile, JSON.stringify({ version: 1, suppressions }, null, 2));
+
+    this.logger.info('Suppressed equivalent mutants', { sourceFile: file, added, suppressionFile });
+    return added;
+  }
+
+  /**
+   * Ask the LLM about the mutants no suppression or heuristic decided
+   * Failures leave the mutants killable rather than failing the run.
+   * @param {Object} llmAdapter - LLM provider
+   * @param {SourceFile} sourceFile - Source file entity
+   * @param {string} file - Relative source path
+   * @param {Array<Object>} undecided - Verdicts to fill in (updated in place)
+   * @param {Object} settings - Classification settings
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _classifyWithLLM(llmAdapter, sourceFile, file, undecided, settings) {
+    let answers;
+    try {
+      answers = await llmAdapter.classifyMutants(
+        sourceFile.content,
+        undecided.map(verdict => verdict.mutant),
+        { language: sourceFile.language }
+      );
+    } catch (error) {
+      this.logger.warn('LLM equivalence check failed; treating survivors as killable', {
+        sourceFile: sourceFile.getFileName(),
+        error: error.message
+      });
+      return;
+    }
+
+    answers.forEach(answer => {
+      const verdict = undecided[answer.id - 1];
+      if (!verdict) return;
+
+      verdict.equivalent = answer.equivalent && answer.confidence >= settings.minConfidence;
+      verdict.source = 'llm';
+      verdict.confidence = answer.confidence;
+      verdict.reason = answer.reason;
+      this.verdictCache.set(this._getKey(file, sourceFile.content, verdict.mutant), { ...verdict });
+    });
+  }
+
+  /**
+   * @param {string} file - Relative source path
+   * @param {string} sourceCode - Source code
+   * @param {Object} mutant - Mutant
+   * @returns {string} Key matching suppression entries
+   * @private
+   */
+  _getKey(file, sourceCode, mutant) {
+    const lineText = (sourceCode.split('\n')[mutant.location.start.line - 1] || '').trim();
+    return [file, mutant.mutatorName, mutant.replacement, lineText].join('|');
+  }
+
+  /**
+   * @param {Object} entry - Suppression entry
+   * @returns {string} Key matching _getKey()
+   * @private
+   */
+  _getSuppressionKey(entry) {
+    return [entry.file, entry.mutatorName, entry.replacement, entry.lineText].join('|');
+  }
+
+  /**
+   * @param {string} filePath - Source file path
+   * @returns {string} POSIX path relative to the working directory, stable across machines
+   * @private
+   */
+  _getRelativePath(filePath) {
+    return path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+  }
+}
+
+module.exports = EquivalentMutantService;
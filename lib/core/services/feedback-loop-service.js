@@ -10,9 +10,13 @@ class FeedbackLoopService {
 
   /**
    * Execute feedback loop for test improvement
+   * With `config.budget`, every LLM call is checked first: generation fails,
+   * repairs and targeted tests are skipped, equivalent mutants are judged by
+   * heuristics only and the loop stops before an improvement that would
+   * exceed the budget, keeping the tests analyzed so far.
    * @param {SourceFile} sourceFile - Source file entity
    * @param {Object} config - Feedback loop configuration
-   * @returns {Promise<Object>} Feedback loop results
+   * @returns {Promise<Object>} Feedback loop results; `stopReason` is 'target-reached', 'no-killable-mutants', 'budget' or 'max-iterations'
    */
   async executeFeedbackLoop(sourceFile, config) {
     this.logger.info('Starting feedback loop', {
@@ -24,22 +28,49 @@ class FeedbackLoopService {
     const results = {
       sourceFile,
       testFile: null,
+      baseline: null,
       iterations: [],
       finalScore: 0,
       targetReached: false,
       totalIterations: 0,
+      stopReason: null,
+      budgetExceeded: null,
+      usage: null,
       startTime: new Date(),
       endTime: null
     };
 
+    // Token usage of the LLM calls, per iteration and in total
+    const usage = typeof config.llmAdapter?.getUsage === 'function' ? config.llmAdapter.getUsage() : null;
+    const usageStart = usage ? usage.checkpoint() : 0;
+
     try {
       // Step 1: Generate initial tests
+      const generationBudgetExceeded = config.budget ? config.budget.check() : null;
+      if (generationBudgetExceeded) {
+        results.stopReason = 'budget';
+        results.budgetExceeded = generationBudgetExceeded;
+        const error = new Error(`LLM budget exhausted before generating tests: ${generationBudgetExceeded.message}`);
+        error.budgetExceeded = generationBudgetExceeded;
+        throw error;
+      }
+
       results.testFile = await this.testGenerationService.generateInitialTests(sourceFile, {
         context: config.initialContext,
         llmAdapter: config.llmAdapter, // Pass LLM adapter from config
         testFilePath: config.testFilePath // Pass test file path for import calculation
       });
 
+      // Mutation analysis needs a suite that passes on the original code
+      results.baseline = await this.testGenerationService.ensureGreenBaseline(sourceFile, results.testFile, {
+        ...config.baselineOptions,
+        llmAdapter: config.llmAdapter,
+        budget: config.budget
+      });
+      if (!results.baseline.success && !results.baseline.skipped) {
+        throw new Error(`Generated tests fail on the original source: ${results.baseline.errors.join('; ') || 'failing tests could not be repaired'}`);
+      }
+
       let currentIteration = 0;
       let mutationResult = null;
 
@@ -52,18 +83,24 @@ class FeedbackLoopService {
         });
 
         const iterationStart = new Date();
+        const iterationUsageStart = usage ? usage.checkpoint() : 0;
 
-        // Run mutation analysis
+        // Run mutation analysis; the LLM judges equivalent mutants while the budget allows
+        const judgeWithLLM = !(config.budget && config.budget.check());
         mutationResult = await this.mutationAnalysisService.runMutationAnalysis(
           sourceFile,
           results.testFile,
-          config.mutationOptions || {}
+          { ...config.mutationOptions, llmAdapter: judgeWithLLM ? config.llmAdapter : null }
         );
+        const killableSurvivors = mutationResult.getKillableSurvivors();
 
         const iteration = {
           number: currentIteration,
           mutationResult,
+          testCases: results.testFile.extractTestCases().length, // Tests the mutants ran against
+          testsAdded: 0,
           improvements: null,
+          usage: null,
           duration: null,
           startTime: iterationStart
         };
@@ -72,42 +109,80 @@ class FeedbackLoopService {
         if (mutationResult.hasReachedTarget(config.targetMutationScore)) {
           this.logger.info('Target mutation score reached!', {
             score: mutationResult.mutationScore.toFixed(2),
+            adjustedScore: mutationResult.adjustedMutationScore.toFixed(2),
             target: config.targetMutationScore,
             iteration: currentIteration
           });
 
           iteration.targetReached = true;
+          iteration.usage = usage ? usage.since(iterationUsageStart) : null;
           iteration.endTime = new Date();
           iteration.duration = iteration.endTime - iterationStart;
           results.iterations.push(iteration);
           results.targetReached = true;
+          results.stopReason = 'target-reached';
+          break;
+        }
+
+        // Keep the tests analyzed so far when the improvement would overspend
+        const budgetExceeded = killableSurvivors.length > 0 && config.budget ? config.budget.check() : null;
+        if (budgetExceeded) {
+          this.logger.warn('Stopping feedback loop: LLM budget exhausted', {
+            sourceFile: sourceFile.getFileName(),
+            iteration: currentIteration,
+            reason: budgetExceeded.message
+          });
+
+          iteration.budgetExceeded = budgetExceeded;
+          iteration.usage = usage ? usage.since(iterationUsageStart) : null;
+          iteration.endTime = new Date();
+          iteration.duration = iteration.endTime - iterationStart;
+          results.iterations.push(iteration);
+          results.stopReason = 'budget';
+          results.budgetExceeded = budgetExceeded;
           break;
         }
 
-        // If there are survived mutants, improve tests
-        if (mutationResult.survivedMutants.length > 0) {
+        // If there are killable survived mutants, improve tests
+        if (killableSurvivors.length > 0) {
           this.logger.info('Improving tests to kill survived mutants', {
-            count: mutationResult.survivedMutants.length
+            count: killableSurvivors.length,
+            likelyEquivalent: mutationResult.equivalentMutants.length
           });
 
           try {
-            results.testFile = await this.testGenerationService.improveTests(
-              sourceFile,
-              results.testFile,
-              mutationResult.survivedMutants,
-              {
-                ...config.improvementOptions,
-                llmAdapter: config.llmAdapter, // Pass LLM adapter
-                testFilePath: config.testFilePath // Pass test file path
-              }
-            );
-
-            // Record improvements
-            iteration.improvements = {
-              survivedMutantsTargeted: mutationResult.survivedMutants.length,
-              newTestCases: results.testFile.extractTestCases().length,
-              testFileVersion: results.testFile.version
-            };
+            if (config.improvementOptions?.mode === 'targeted') {
+              // One verified test per survived mutant instead of a bulk rewrite
+              iteration.improvements = await this._improveTargeted(sourceFile, results.testFile, killableSurvivors, config);
+            } else {
+              const previousContent = results.testFile.content;
+              results.testFile = await this.testGenerationService.improveTests(
+                sourceFile,
+                results.testFile,
+                killableSurvivors,
+                {
+                  ...config.improvementOptions,
+                  llmAdapter: config.llmAdapter, // Pass LLM adapter
+                  testFilePath: config.testFilePath // Pass test file path
+                }
+              );
+
+              // Repair or drop new tests that fail; revert if the suite stays red
+              iteration.baseline = await this.testGenerationService.ensureGreenBaseline(sourceFile, results.testFile, {
+                ...config.baselineOptions,
+                llmAdapter: config.llmAdapter,
+                budget: config.budget,
+                fallbackContent: previousContent
+              });
+
+              // Record improvements
+              iteration.improvements = {
+                survivedMutantsTargeted: killableSurvivors.length,
+                newTestCases: results.testFile.extractTestCases().length,
+                merge: results.testFile.generationMetadata.lastMerge,
+                testFileVersion: results.testFile.version
+              };
+            }
 
             results.testFile.recordImprovement(mutationResult);
           } catch (improvementError) {
@@ -120,22 +195,41 @@ class FeedbackLoopService {
             // Continue to next iteration even if improvement fails
           }
         } else {
-          this.logger.info('No survived mutants to address');
+          this.logger.info('No killable survived mutants to address', {
+            likelyEquivalent: mutationResult.equivalentMutants.length
+          });
           iteration.noMutantsToKill = true;
+          iteration.usage = usage ? usage.since(iterationUsageStart) : null;
           iteration.endTime = new Date();
           iteration.duration = iteration.endTime - iterationStart;
           results.iterations.push(iteration);
+          results.stopReason = 'no-killable-mutants';
           break;
         }
 
+        iteration.testsAdded = results.testFile.extractTestCases().length - iteration.testCases;
+        iteration.usage = usage ? usage.since(iterationUsageStart) : null;
         iteration.endTime = new Date();
         iteration.duration = iteration.endTime - iterationStart;
         results.iterations.push(iteration);
+
+        // A repair or targeted test was skipped, so the next improvement would not fit either
+        const skippedForBudget = iteration.baseline?.budgetExceeded ||
+          iteration.improvements?.budgetExceeded ||
+          iteration.improvements?.baseline?.budgetExceeded;
+        if (skippedForBudget) {
+          iteration.budgetExceeded = skippedForBudget;
+          results.stopReason = 'budget';
+          results.budgetExceeded = skippedForBudget;
+          break;
+        }
       }
 
       // Final results
       results.totalIterations = currentIteration;
+      results.stopReason = results.stopReason || 'max-iterations';
       results.finalScore = mutationResult ? mutationResult.mutationScore : 0;
+      results.usage = usage ? usage.since(usageStart) : null;
       results.endTime = new Date();
       results.totalDuration = results.endTime - results.startTime;
 
@@ -159,6 +253,7 @@ class FeedbackLoopService {
       });
 
       results.error = error.message;
+      results.usage = usage ? usage.since(usageStart) : null;
       results.endTime = new Date();
       results.totalDuration = results.endTime - results.startTime;
 
@@ -166,6 +261,133 @@ class FeedbackLoopService {
     }
   }
 
+  /**
+   * Add one focused test per survived mutant (or per line with several
+   * survivors), keep only the tests that verifiably kill their mutant
+   * @param {SourceFile} sourceFile - Source file entity
+   * @param {TestFile} testFile - Test file (updated in place)
+   * @param {Array<Object>} survivedMutants - Killable survived mutants from this iteration's analysis
+   * @param {Object} config - Feedback loop configuration
+   * @returns {Promise<Object>} Improvement record ({ mode, targets, keptTests, droppedTests, kills, ... })
+   * @private
+   */
+  async _improveTargeted(sourceFile, testFile, survivedMutants, config) {
+    const maxTargets = config.improvementOptions.maxTargets || 5;
+    const clusters = this._clusterMutants(survivedMutants).slice(0, maxTargets);
+    const previousContent = testFile.content;
+    const improvements = {
+      mode: 'targeted',
+      survivedMutantsTargeted: clusters.reduce((sum, cluster) => sum + cluster.length, 0),
+      targets: [],
+      keptTests: [],
+      droppedTests: [],
+      kills: [],
+      baseline: null,
+      budgetExceeded: null,
+      testFileVersion: null
+    };
+
+    // Ask for one test per cluster, merging each into the suite
+    for (const cluster of clusters) {
+      const budgetExceeded = config.budget ? config.budget.check() : null;
+      if (budgetExceeded) {
+        this.logger.warn('Skipping remaining targeted tests: LLM budget exhausted', {
+          sourceFile: sourceFile.getFileName(),
+          skippedTargets: clusters.length - improvements.targets.length,
+          reason: budgetExceeded.message
+        });
+        improvements.budgetExceeded = budgetExceeded;
+        break;
+      }
+
+      const target = { line: cluster[0].location.start.line, mutants: cluster.length, tests: [], error: null };
+      try {
+        await this.testGenerationService.improveTests(sourceFile, testFile, cluster, {
+          ...config.improvementOptions,
+          targeted: true,
+          llmAdapter: config.llmAdapter,
+          testFilePath: config.testFilePath
+        });
+        const merge = testFile.generationMetadata.lastMerge;
+        target.tests = [...merge.addedTests, ...merge.renamedTests.map(rename => rename.to)];
+      } catch (error) {
+        this.logger.warn('Failed to add targeted test', { line: target.line, error: error.message });
+        target.error = error.message;
+      }
+      improvements.targets.push(target);
+    }
+
+    const candidates = improvements.targets.flatMap(target => target.tests);
+
+    // New tests must pass on the original code before they can kill anything
+    improvements.baseline = await this.testGenerationService.ensureGreenBaseline(sourceFile, testFile, {
+      ...config.baselineOptions,
+      llmAdapter: config.llmAdapter,
+      budget: config.budget,
+      fallbackContent: previousContent
+    });
+
+    const remaining = candidates.filter(name => !improvements.baseline.droppedTests.includes(name));
+    if (remaining.length === 0 || improvements.baseline.restored) {
+      improvements.droppedTests = candidates;
+      improvements.testFileVersion = testFile.version;
+      return improvements;
+    }
+
+    // Re-run only the targeted lines and see which new tests killed something
+    const verification = await this.mutationAnalysisService.verifyKills(
+      sourceFile,
+      testFile,
+      clusters.slice(0, improvements.targets.length).flat(),
+      config.mutationOptions || {}
+    );
+    improvements.kills = verification.killed.map(({ mutant, killedBy }) => ({
+      mutatorName: mutant.mutatorName,
+      line: mutant.location.start.line,
+      replacement: mutant.replacement,
+      killedBy
+    }));
+
+    const killers = new Set(verification.killed.flatMap(kill => kill.killedBy));
+    improvements.keptTests = remaining.filter(name => killers.has(name));
+    improvements.droppedTests = [
+      ...candidates.filter(name => !remaining.includes(name)),
+      ...await this.testGenerationService.removeTests(
+        testFile,
+        remaining.filter(name => !killers.has(name)),
+        'targeted_drop'
+      )
+    ];
+    improvements.testFileVersion = testFile.version;
+
+    this.logger.info('Targeted tests verified', {
+      sourceFile: sourceFile.getFileName(),
+      candidates: candidates.length,
+      kept: improvements.keptTests.length,
+      killedMutants: verification.killed.length
+    });
+
+    return improvements;
+  }
+
+  /**
+   * Group survived mutants that share a line, busiest lines first
+   * @param {Array<Object>} mutants - Survived mutants
+   * @returns {Array<Array<Object>>} Clusters of mutants
+   * @private
+   */
+  _clusterMutants(mutants) {
+    const byLine = new Map();
+
+    mutants.forEach(mutant => {
+      const line = mutant.location.start.line;
+      if (!byLine.has(line)) byLine.set(line, []);
+      byLine.get(line).push(mutant);
+    });
+
+    return [...byLine.values()].sort((a, b) => b.length - a.length || a[0].location.start.line - b[0].location.start.line);
+  }
+
   /**
    * Analyze feedback loop performance
    * @param {Array<Object>} loopResults - Array of feedback loop results
@@ -4,10 +4,12 @@ const MutationResult = require('../entities/mutation-result');
  * Mutation analysis service for processing mutation testing results
  */
 class MutationAnalysisService {
-  constructor(mutationEngine, storageProvider, logger) {
+  constructor(mutationEngine, storageProvider, logger, equivalentMutantService = null, reporterFactory = null) {
     this.mutationEngine = mutationEngine;
     this.storageProvider = storageProvider;
     this.logger = logger;
+    this.equivalentMutantService = equivalentMutantService;
+    this.reporterFactory = reporterFactory;
   }
 
   /**
@@ -15,6 +17,8 @@ class MutationAnalysisService {
    * @param {SourceFile} sourceFile - Source file entity
    * @param {TestFile} testFile - Test file entity
    * @param {Object} options - Analysis options
+   * @param {Object} options.equivalence - Equivalent mutant settings ({ enabled: false } skips classification)
+   * @param {Object} options.llmAdapter - LLM provider used to judge equivalent mutants
    * @returns {Promise<MutationResult>} Mutation analysis results
    */
   async runMutationAnalysis(sourceFile, testFile, options = {}) {
@@ -23,18 +27,29 @@ class MutationAnalysisService {
       testFile: testFile.getFileName()
     });
 
+    const { equivalence = {}, llmAdapter, ...engineOptions } = options;
+
     try {
       // Run mutation testing
       const rawResults = await this.mutationEngine.runMutationTests(
         sourceFile.filePath,
         testFile.filePath,
-        options
+        {
+          language: sourceFile.language,
+          moduleSystem: sourceFile.getModuleSystem(),
+          ...engineOptions
+        }
       );
 
       // Create mutation result entity
       const mutationResult = new MutationResult(sourceFile, testFile);
       mutationResult.setResults(rawResults);
 
+      // Label survivors no test can kill
+      if (this.equivalentMutantService && equivalence.enabled !== false && mutationResult.survivedMutants.length > 0) {
+        await this._classifyEquivalentMutants(mutationResult, { ...equivalence, llmAdapter });
+      }
+
       // Perform additional analysis
       await this._performDetailedAnalysis(mutationResult, options);
 
@@ -46,8 +61,10 @@ class MutationAnalysisService {
       this.logger.info('Mutation analysis completed', {
         sourceFile: sourceFile.getFileName(),
         mutationScore: mutationResult.mutationScore.toFixed(2),
+        adjustedMutationScore: mutationResult.adjustedMutationScore.toFixed(2),
         totalMutants: mutationResult.totalMutants,
-        survivedMutants: mutationResult.survivedMutants.length
+        survivedMutants: mutationResult.survivedMutants.length,
+        equivalentMutants: mutationResult.equivalentMutants.length
       });
 
       return mutationResult;
@@ -61,6 +78,121 @@ class MutationAnalysisService {
     }
   }
 
+  /**
+   * Re-run mutation testing on the lines of specific mutants only
+   * Used to check that newly added tests kill the mutants they target.
+   * Stryker re-creates the mutants, so they are matched by mutator,
+   * location and replacement rather than by id. Every covering test runs
+   * against each mutant (no bail), so killedBy lists all the tests that kill it.
+   * @param {SourceFile} sourceFile - Source file entity
+   * @param {TestFile} testFile - Test file entity (already saved)
+   * @param {Array<Object>} mutants - Mutants to verify
+   * @param {Object} options - Mutation options
+   * @returns {Promise<Object>} Verification ({ killed: [{ mutant, killedBy }], survived })
+   */
+  async verifyKills(sourceFile, testFile, mutants, options = {}) {
+    const lines = [...new Set(mutants.map(mutant => mutant.location.start.line))].sort((a, b) => a - b);
+
+    this.logger.info('Verifying kills of targeted mutants', {
+      sourceFile: sourceFile.getFileName(),
+      mutants: mutants.length,
+      lines
+    });
+
+    const rawResults = await this.mutationEngine.runMutationTests(
+      sourceFile.filePath,
+      testFile.filePath,
+      {
+        language: sourceFile.language,
+        moduleSystem: sourceFile.getModuleSystem(),
+        ...options,
+        mutateRanges: lines.map(line => ({ startLine: line, endLine: line })),
+        disableBail: true,
+        incremental: false,
+        keepReport: false
+      }
+    );
+
+    const key = (mutant) => [
+      mutant.mutatorName,
+      mutant.location.start.line,
+      mutant.location.start.column,
+      mutant.replacement
+    ].join('|');
+    const killedByKey = new Map(
+      [...(rawResults.killedMutants || []), ...(rawResults.timeoutMutants || [])]
+        .map(mutant => [key(mutant), mutant.killedBy || []])
+    );
+
+    const verification = { killed: [], survived: [] };
+    mutants.forEach(mutant => {
+      if (killedByKey.has(key(mutant))) {
+        verification.killed.push({ mutant, killedBy: killedByKey.get(key(mutant)) });
+      } else {
+        verification.survived.push(mutant);
+      }
+    });
+
+    return verification;
+  }
+
+  /**
+   * Find the smallest set of tests that still kills every killed mutant
+   * Stryker runs every covering test against each mutant (no bail), so each
+   * kill lists all the tests that detect it. Tests are picked greedily by the
+   * number of kills not yet covered, then any picked test whose kills are all
+   * covered by the others is dropped again. Timed-out mutants without a
+   * recorded killer count as killed by the tests covering them.
+   * @param {SourceFile} sourceFile - Source file entity
+   * @param {TestFile} testFile - Test file entity (already saved)
+   * @param {Object} options - Mutation options
+   * @returns {Promise<Object>} Minimization ({ tests, keptTests, redundantTests, killedMutants, mutationScore })
+   */
+  async minimizeTests(sourceFile, testFile, options = {}) {
+    this.logger.info('Computing minimal test subset', {
+      sourceFile: sourceFile.getFileName(),
+      testFile: testFile.getFileName()
+    });
+
+    const rawResults = await this.mutationEngine.runMutationTests(
+      sourceFile.filePath,
+      testFile.filePath,
+      {
+        language: sourceFile.language,
+        moduleSystem: sourceFile.getModuleSystem(),
+        ...options,
+        disableBail: true,
+        incremental: false,
+        keepReport: false
+      }
+    );
+
+    // Tests able to kill each detected mutant
+    const kills = [...(rawResults.killedMutants || []), ...(rawResults.timeoutMutants || [])]
+      .map(mutant => new Set(mutant.killedBy?.length ? mutant.killedBy : mutant.coveredBy || []))
+      .filter(killers => killers.size > 0);
+
+    const tests = [...new Set([...(rawResults.tests || []), ...kills.flatMap(killers => [...killers])])];
+
+    const keptTests = this._selectCoveringTests(tests, kills);
+    const minimization = {
+      tests,
+      keptTests,
+      redundantTests: tests.filter(name => !keptTests.includes(name)),
+      killedMutants: kills.length,
+      mutationScore: rawResults.mutationScore || 0
+    };
+
+    this.logger.info('Minimal test subset computed', {
+      sourceFile: sourceFile.getFileName(),
+      tests: tests.length,
+      kept: keptTests.length,
+      redundant: minimization.redundantTests.length
+    });
+
+    return minimization;
+  }
+
   /**
    * Analyze mutation trends across multiple results
    * @param {Array<MutationResult>} results - Array of mutation results
@@ -190,11 +322,22 @@ class MutationAnalysisService {
 
   /**
    * Export analysis results
+   * Formats other than json, summary and csv (junit, sarif, markdown) are
+   * rendered by the reporter factory.
    * @param {MutationResult} mutationResult - Mutation result
    * @param {string} format - Export format
+   * @param {Object} options - Reporter options
    * @returns {Object|string} Exported data
    */
-  exportResults(mutationResult, format = 'json') {
+  exportResults(mutationResult, format = 'json', options = {}) {
+    if (this.reporterFactory?.isSupported(format)) {
+      return this.reporterFactory.create(format, options).render([{
+        sourceFile: mutationResult.sourceFile?.filePath,
+        testFile: mutationResult.testFile?.filePath,
+        mutationResult: mutationResult.toJSON()
+      }]);
+    }
+
     switch (format) {
       case 'summary':
         return {
@@ -212,6 +355,71 @@ class MutationAnalysisService {
     }
   }
 
+  /**
+   * Classify survived mutants and exclude likely equivalents from the adjusted score
+   * Each equivalent mutant gets an `equivalence` record ({ source, confidence, reason }).
+   * @param {MutationResult} mutationResult - Mutation result entity
+   * @param {Object} options - Classification options (llmAdapter, minConfidence, ...)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _classifyEquivalentMutants(mutationResult, options) {
+    const verdicts = await this.equivalentMutantService.classify(
+      mutationResult.sourceFile,
+      mutationResult.survivedMutants,
+      options
+    );
+
+    const equivalent = verdicts
+      .filter(verdict => verdict.equivalent)
+      .map(({ mutant, source, confidence, reason }) => {
+        mutant.equivalence = { source, confidence, reason };
+        return mutant;
+      });
+
+    mutationResult.setEquivalentMutants(equivalent);
+  }
+
+  /**
+   * Pick tests that together cover every kill
+   * @param {Array<string>} tests - All test names, in file order
+   * @param {Array<Set<string>>} kills - Tests able to kill each mutant
+   * @returns {Array<string>} Selected test names, in file order
+   * @private
+   */
+  _selectCoveringTests(tests, kills) {
+    const selected = new Set();
+    let uncovered = kills;
+
+    // Greedy: the test killing most uncovered mutants first, earlier tests on ties
+    while (uncovered.length > 0) {
+      let best = null;
+      let bestCount = 0;
+      tests.forEach(name => {
+        if (selected.has(name)) return;
+        const count = uncovered.filter(killers => killers.has(name)).length;
+        if (count > bestCount) {
+          best = name;
+          bestCount = count;
+        }
+      });
+
+      if (!best) break;
+      selected.add(best);
+      uncovered = uncovered.filter(killers => !killers.has(best));
+    }
+
+    // Drop tests made redundant by later picks, latest tests first
+    [...selected].reverse().forEach(name => {
+      selected.delete(name);
+      if (!kills.every(killers => [...killers].some(killer => selected.has(killer)))) {
+        selected.add(name);
+      }
+    });
+
+    return tests.filter(name => selected.has(name));
+  }
+
   /**
    * Perform detailed analysis on mutation results
    * @param {MutationResult} mutationResult - Mutation result entity
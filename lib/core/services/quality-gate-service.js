@@ -0,0 +1,151 @@
+const path = require('path');
+
+/**
+ * Default gate settings
+ */
+const DEFAULT_CONFIG = {
+  failUnder: null, // Lowest passing score per file (null: files are not gated)
+  aggregateFailUnder: null, // Lowest passing score over all files (null: same as failUnder)
+  thresholds: {}, // Per-directory minimums ({ 'src/core': 90 }); the longest matching directory wins
+  useAdjustedScore: true // Exclude likely equivalent mutants from scores
+};
+
+/**
+ * Quality gate service for failing CI builds on low mutation scores
+ * Each file is held to the threshold of its directory (or failUnder), and the
+ * aggregate score, computed from mutant counts over all files, to
+ * aggregateFailUnder. Files that could not be analyzed fail the gate.
+ */
+class QualityGateService {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} config - Gate settings (see DEFAULT_CONFIG)
+   */
+  constructor(logger, config = {}) {
+    this.logger = logger;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Get the minimum score for a source file
+   * @param {string} sourceFile - Source file path
+   * @param {Object} settings - Gate settings
+   * @returns {number|null} Minimum score, or null when the file is not gated
+   */
+  getThreshold(sourceFile, settings = this.config) {
+    const file = this._getRelativePath(sourceFile);
+    let match = null;
+
+    Object.entries(settings.thresholds || {}).forEach(([directory, threshold]) => {
+      const prefix = directory.replace(/^\.\/|\/+$/g, '');
+      const inDirectory = prefix === '' || prefix === '.' || file === prefix || file.startsWith(`${prefix}/`);
+      if (inDirectory && (match === null || prefix.length > match.prefix.length)) {
+        match = { prefix, threshold: Number(threshold) };
+      }
+    });
+
+    return match ? match.threshold : settings.failUnder ?? null;
+  }
+
+  /**
+   * Evaluate analysis results against the thresholds
+   * @param {Array<Object>} analyses - Analyses ({ sourceFile, testFile, mutationResult, error }); mutationResult as from MutationResult.toJSON()
+   * @param {Object} options - Settings overriding the config
+   * @returns {Object} Verdict ({ passed, files, aggregate })
+   */
+  evaluate(analyses, options = {}) {
+    const settings = { ...this.config, ...this._definedOnly(options) };
+
+    const files = analyses.map(analysis => {
+      const threshold = this.getThreshold(analysis.sourceFile, settings);
+
+      if (analysis.error || !analysis.mutationResult) {
+        return { sourceFile: analysis.sourceFile, testFile: analysis.testFile, score: null, threshold, passed: false, error: analysis.error || 'No mutation result' };
+      }
+
+      const result = analysis.mutationResult;
+      const score = result.totalMutants > 0
+        ? (settings.useAdjustedScore ? result.adjustedMutationScore ?? result.mutationScore : result.mutationScore)
+        : null; // No mutants: nothing to gate
+
+      return {
+        sourceFile: analysis.sourceFile,
+        testFile: analysis.testFile,
+        score,
+        threshold,
+        passed: score === null || threshold === null || score >= threshold,
+        totalMutants: result.totalMutants,
+        error: null
+      };
+    });
+
+    const aggregate = this._evaluateAggregate(analyses, settings);
+    const verdict = {
+      passed: files.every(file => file.passed) && aggregate.passed,
+      files,
+      aggregate
+    };
+
+    this.logger.info('Quality gate evaluated', {
+      passed: verdict.passed,
+      files: files.length,
+      failedFiles: files.filter(file => !file.passed).length,
+      aggregateScore: aggregate.score,
+      aggregateThreshold: aggregate.threshold
+    });
+
+    return verdict;
+  }
+
+  /**
+   * Score all analyzed files together from their mutant counts
+   * Counting mutants rather than averaging scores keeps small files from
+   * outweighing large ones.
+   * @param {Array<Object>} analyses - Analyses
+   * @param {Object} settings - Gate settings
+   * @returns {Object} Aggregate ({ score, threshold, passed, detected, valid })
+   * @private
+   */
+  _evaluateAggregate(analyses, settings) {
+    let detected = 0;
+    let valid = 0;
+
+    analyses.filter(analysis => !analysis.error && analysis.mutationResult).forEach(({ mutationResult: result }) => {
+      const fileDetected = (result.killedCount || 0) + (result.timeoutCount || 0);
+      const equivalent = settings.useAdjustedScore ? result.equivalentCount || 0 : 0;
+      detected += fileDetected;
+      valid += fileDetected + (result.survivedCount || 0) + (result.noCoverageCount || 0) - equivalent;
+    });
+
+    const score = valid > 0 ? (detected / valid) * 100 : null;
+    const threshold = settings.aggregateFailUnder ?? settings.failUnder ?? null;
+
+    return {
+      score,
+      threshold,
+      passed: score === null || threshold === null || score >= threshold,
+      detected,
+      valid
+    };
+  }
+
+  /**
+   * @param {Object} options - Options that may hold undefined values
+   * @returns {Object} Options without undefined values, so they don't hide config values
+   * @private
+   */
+  _definedOnly(options) {
+    return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  }
+
+  /**
+   * @param {string} filePath - Source file path
+   * @returns {string} POSIX path relative to the working directory, matching threshold keys
+   * @private
+   */
+  _getRelativePath(filePath) {
+    return path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+  }
+}
+
+module.exports = QualityGateService;
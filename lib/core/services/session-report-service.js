@@ -0,0 +1,152 @@
+const path = require('path');
+
+/**
+ * Unchanged source lines shown around each survived mutant
+ */
+const SNIPPET_CONTEXT_LINES = 2;
+
+/**
+ * Session report service building the data of a generation run report
+ * Collects per-file score progression, tests added per iteration, survived
+ * mutants with their source lines, cost and duration from a saved session,
+ * for reporters to render.
+ */
+class SessionReportService {
+  /**
+   * @param {Object} storageProvider - Storage provider (reads source files for snippets)
+   * @param {Object} logger - Logger instance
+   */
+  constructor(storageProvider, logger) {
+    this.storageProvider = storageProvider;
+    this.logger = logger;
+  }
+
+  /**
+   * Build the report of a session
+   * @param {Object} sessionData - Session data from GenerationSession.toData()
+   * @param {Object} options - Options
+   * @param {string} options.reportPath - Where the report will be written, so test file links are relative to it
+   * @returns {Promise<Object>} Report ({ sessionId, status, mode, startTime, endTime, duration, summary, files })
+   */
+  async buildReport(sessionData, options = {}) {
+    const reportDir = options.reportPath ? path.dirname(path.resolve(options.reportPath)) : process.cwd();
+    const files = [];
+
+    for (const file of sessionData.files || []) {
+      files.push(await this._describeFile(file, reportDir));
+    }
+
+    const scored = files.filter(file => file.mutationScore !== null);
+    const costs = files.map(file => file.cost).filter(cost => cost !== null);
+    const startTime = sessionData.startTime || null;
+    const endTime = sessionData.endTime || sessionData.updatedAt || null;
+
+    const report = {
+      sessionId: sessionData.sessionId,
+      status: sessionData.status,
+      mode: sessionData.request?.mode || 'generate',
+      model: sessionData.metadata?.model || null,
+      startTime,
+      endTime,
+      duration: startTime && endTime ? new Date(endTime) - new Date(startTime) : null,
+      generatedAt: new Date().toISOString(),
+      summary: {
+        totalFiles: files.length,
+        completed: files.filter(file => file.status === 'completed').length,
+        failed: files.filter(file => file.status === 'failed').length,
+        averageScore: scored.length > 0 ? scored.reduce((sum, file) => sum + file.mutationScore, 0) / scored.length : null,
+        targetReached: files.filter(file => file.targetReached).length,
+        testsAdded: files.reduce((sum, file) => sum + file.testsAdded, 0),
+        survivedMutants: files.reduce((sum, file) => sum + file.survivedMutants.length, 0),
+        cost: costs.length > 0 ? costs.reduce((sum, cost) => sum + cost, 0) : null
+      },
+      files
+    };
+
+    this.logger.info('Session report built', { sessionId: report.sessionId, files: files.length });
+    return report;
+  }
+
+  /**
+   * Describe one file of the session
+   * @param {Object} file - Session file record
+   * @param {string} reportDir - Directory of the report
+   * @returns {Promise<Object>} File report
+   * @private
+   */
+  async _describeFile(file, reportDir) {
+    const history = file.history || [];
+    const survivedMutants = file.survivedMutants || [];
+    const sourceLines = survivedMutants.length > 0 ? await this._readLines(file.sourcePath) : null;
+
+    return {
+      sourceFile: file.sourcePath,
+      testFile: file.outputPath,
+      testLink: file.outputPath ? path.relative(reportDir, path.resolve(file.outputPath)).split(path.sep).join('/') : null,
+      status: file.status,
+      mode: file.mode || null,
+      mutationScore: file.mutationScore ?? null,
+      targetReached: file.targetReached || false,
+      iterations: file.iterations || 0,
+      history,
+      testsAdded: history.reduce((sum, entry) => sum + (entry.testsAdded || 0), 0),
+      survivedMutants: survivedMutants.map(mutant => ({
+        ...mutant,
+        line: mutant.location?.start?.line ?? null,
+        snippet: sourceLines ? this._getSnippet(sourceLines, mutant.location) : null
+      })),
+      cost: file.cost ?? null,
+      duration: file.startedAt && file.completedAt ? new Date(file.completedAt) - new Date(file.startedAt) : null,
+      error: file.error || null
+    };
+  }
+
+  /**
+   * Get the source lines around a mutant, marking the mutated columns
+   * Stryker locations are 1-based for lines and columns, end exclusive.
+   * @param {Array<string>} lines - Source lines
+   * @param {Object} location - Mutant location ({ start, end })
+   * @returns {Array<Object>|null} Lines ({ number, text, highlight: { start, end } | null }), highlight columns 0-based
+   * @private
+   */
+  _getSnippet(lines, location) {
+    const { start, end } = location || {};
+    if (!start || !end || start.line < 1 || end.line > lines.length) return null;
+
+    const first = Math.max(1, start.line - SNIPPET_CONTEXT_LINES);
+    const last = Math.min(lines.length, end.line + SNIPPET_CONTEXT_LINES);
+    const snippet = [];
+
+    for (let number = first; number <= last; number++) {
+      const text = lines[number - 1];
+      let highlight = null;
+      if (number >= start.line && number <= end.line) {
+        highlight = {
+          start: number === start.line ? Math.max(0, (start.column || 1) - 1) : 0,
+          end: number === end.line && end.column !== undefined ? end.column - 1 : text.length
+        };
+      }
+      snippet.push({ number, text, highlight });
+    }
+
+    return snippet;
+  }
+
+  /**
+   * Read a source file's lines
+   * The report is still useful without snippets, so read errors are logged.
+   * @param {string} sourcePath - Source file path
+   * @returns {Promise<Array<string>|null>} Lines, or null when the file cannot be read
+   * @private
+   */
+  async _readLines(sourcePath) {
+    try {
+      return (await this.storageProvider.readFile(sourcePath)).split('\n');
+    } catch (error) {
+      this.logger.warn('Could not read source file for report', { sourcePath, error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = SessionReportService;
@@ -1,14 +1,17 @@
 const SourceFile = require('../entities/source-file');
 const TestFile = require('../entities/test-file');
+const { formatImportSpecifier } = require('../../utils/module-format');
+const { mergeTestCode } = require('../../utils/test-merger');
 
 /**
  * Test generation service responsible for coordinating LLM-based test generation
  */
 class TestGenerationService {
-  constructor(llmProvider, storageProvider, logger) {
+  constructor(llmProvider, storageProvider, logger, testFramework = null) {
     this.llmProvider = llmProvider;
     this.storageProvider = storageProvider;
     this.logger = logger;
+    this.testFramework = testFramework;
   }
 
   /**
@@ -79,18 +82,23 @@ class TestGenerationService {
     });
 
     try {
+      // Get LLM adapter - either passed in options or create from factory
+      const llmAdapter = options.llmAdapter || this.llmProvider;
+
       // Generate improved tests using LLM
-      const improvedTestCode = await this.llmProvider.improveTests(
+      const improvedTestCode = await llmAdapter.improveTests(
         sourceFile.content,
         testFile.content,
-        survivedMutants
+        survivedMutants,
+        this._prepareImprovementContext(sourceFile, options)
       );
 
       // Merge improved tests with existing ones
-      const mergedTestCode = this._mergeTests(testFile.content, improvedTestCode, options);
+      const merge = this._mergeTestsWithReport(testFile.content, improvedTestCode, options);
 
       // Update test file
-      testFile.updateContent(mergedTestCode, 'mutation_feedback');
+      testFile.updateContent(merge.content, 'mutation_feedback');
+      testFile.recordMerge(merge.report);
 
       // Validate merged tests
       await this._validateGeneratedTests(testFile);
@@ -102,6 +110,9 @@ class TestGenerationService {
         sourceFile: sourceFile.getFileName(),
         testFile: testFile.getFileName(),
         newTestCases: testFile.extractTestCases().length,
+        addedTests: merge.report.addedTests.length,
+        renamedTests: merge.report.renamedTests.length,
+        skippedTests: merge.report.skippedTests.length,
         version: testFile.version
       });
 
@@ -116,6 +127,177 @@ class TestGenerationService {
     }
   }
 
+  /**
+   * Remove tests by full name and save the test file
+   * @param {TestFile} testFile - Test file entity (updated in place)
+   * @param {Array<string>} testNames - Full test names (suite titles and test title)
+   * @param {string} reason - Reason recorded on the test file version
+   * @returns {Promise<Array<string>>} Names of the removed tests
+   */
+  async removeTests(testFile, testNames, reason = 'remove_tests') {
+    if (!this.testFramework || testNames.length === 0) {
+      return [];
+    }
+
+    const { code, removed } = this.testFramework.removeTests(
+      testFile.content,
+      testNames.map(fullName => ({ fullName }))
+    );
+
+    if (removed.length > 0) {
+      testFile.updateContent(code, reason);
+      await this.storageProvider.writeFile(testFile.filePath, testFile.content);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Run the tests against the unmutated source and repair or drop failing ones
+   * Stryker aborts its dry run when any test fails, so mutation analysis
+   * needs a green suite. Failing tests are sent back to the LLM for repair up
+   * to `maxRepairAttempts` times; tests that still fail are removed.
+   * @param {SourceFile} sourceFile - Source file entity
+   * @param {TestFile} testFile - Test file to check (updated in place)
+   * @param {Object} options - Baseline options
+   * @param {Object} options.llmAdapter - LLM adapter used for repairs
+   * @param {Budget} options.budget - LLM budget checked before each repair; failing tests are dropped once it runs out
+   * @param {boolean} options.enabled - Set to false to skip the check
+   * @param {number} options.maxRepairAttempts - LLM repair rounds before dropping tests (default: 2)
+   * @param {number} options.timeout - Test run timeout in milliseconds
+   * @param {string} options.cwd - Working directory for the test run
+   * @param {string} options.fallbackContent - Test code to restore if the suite cannot be made green
+   * @returns {Promise<Object>} Baseline result ({ success, skipped, restored, attempts, repairs, failures, droppedTests, errors, budgetExceeded })
+   */
+  async ensureGreenBaseline(sourceFile, testFile, options = {}) {
+    const baseline = {
+      success: false,
+      skipped: false,
+      restored: false,
+      attempts: 0,
+      repairs: 0,
+      failures: [],
+      droppedTests: [],
+      errors: [],
+      budgetExceeded: null
+    };
+
+    if (!this.testFramework || options.enabled === false) {
+      baseline.skipped = true;
+      return baseline;
+    }
+
+    const llmAdapter = options.llmAdapter || this.llmProvider;
+    const maxRepairAttempts = options.maxRepairAttempts ?? 2;
+
+    this.logger.info('Checking generated tests against the original source', {
+      sourceFile: sourceFile.getFileName(),
+      testFile: testFile.getFileName()
+    });
+
+    let run;
+    try {
+      run = await this._runBaseline(sourceFile, testFile, options);
+      baseline.attempts++;
+      baseline.failures = this._collectFailures(run);
+
+      while (!run.success && baseline.repairs < maxRepairAttempts) {
+        const failures = this._collectFailures(run);
+        if (failures.length === 0) break;
+
+        const budgetExceeded = options.budget ? options.budget.check() : null;
+        if (budgetExceeded) {
+          this.logger.warn('Skipping test repair: LLM budget exhausted', {
+            testFile: testFile.getFileName(),
+            reason: budgetExceeded.message
+          });
+          baseline.budgetExceeded = budgetExceeded;
+          break;
+        }
+
+        let repairedCode;
+        try {
+          repairedCode = await llmAdapter.repairTests(
+            sourceFile.content,
+            testFile.content,
+            failures,
+            this._prepareImprovementContext(sourceFile)
+          );
+        } catch (repairError) {
+          this.logger.warn('Failed to repair tests', { error: repairError.message });
+          break;
+        }
+
+        baseline.repairs++;
+        const previousContent = testFile.content;
+        testFile.updateContent(repairedCode, 'baseline_repair');
+        try {
+          await this._validateGeneratedTests(testFile);
+        } catch (validationError) {
+          this.logger.warn('Repaired tests are invalid, keeping previous version', { error: validationError.message });
+          testFile.updateContent(previousContent, 'baseline_revert');
+          continue;
+        }
+
+        run = await this._runBaseline(sourceFile, testFile, options);
+        baseline.attempts++;
+      }
+
+      // Drop whatever still fails; suite-level errors cannot be fixed this way
+      const stillFailing = run.tests.filter(test => test.status === 'failed');
+      if (!run.success && stillFailing.length > 0 && run.errors.length === 0) {
+        const { code, removed } = this.testFramework.removeTests(testFile.content, stillFailing);
+        if (removed.length > 0) {
+          testFile.updateContent(code, 'baseline_drop');
+          baseline.droppedTests = removed;
+
+          this.logger.warn('Dropped tests that fail on the original source', {
+            testFile: testFile.getFileName(),
+            droppedTests: removed
+          });
+
+          run = await this._runBaseline(sourceFile, testFile, options);
+          baseline.attempts++;
+        }
+      }
+    } catch (error) {
+      // The suite could not be run at all (runner missing, timeout): leave it to mutation analysis
+      this.logger.warn('Could not run generated tests', {
+        testFile: testFile.getFileName(),
+        error: error.message
+      });
+      baseline.skipped = true;
+      baseline.errors = [error.message];
+      return baseline;
+    }
+
+    baseline.success = run.success;
+    baseline.errors = run.errors;
+
+    if (baseline.success) {
+      this.logger.info('Generated tests pass on the original source', {
+        testFile: testFile.getFileName(),
+        passed: run.passed,
+        repairs: baseline.repairs,
+        droppedTests: baseline.droppedTests.length
+      });
+    } else {
+      this.logger.error('Generated tests still fail on the original source', {
+        testFile: testFile.getFileName(),
+        failed: run.failed,
+        errors: run.errors
+      });
+
+      if (options.fallbackContent !== undefined) {
+        testFile.updateContent(options.fallbackContent, 'baseline_revert');
+        await this.storageProvider.writeFile(testFile.filePath, testFile.content);
+        baseline.restored = true;
+      }
+    }
+
+    return baseline;
+  }
+
   /**
    * Estimate test generation cost
    * @param {SourceFile} sourceFile - Source file entity
@@ -184,9 +366,11 @@ class TestGenerationService {
 
     // Calculate relative import path from test file to source file
     const testFilePath = options.testFilePath || this._generateTestFilePath(sourceFile);
+    const moduleFormat = sourceFile.getModuleFormat();
     const relativeImportPath = this._calculateRelativeImportPath(
       testFilePath,
-      sourceFile.filePath
+      sourceFile.filePath,
+      moduleFormat
     );
 
     this.logger?.info('Calculated import path', {
@@ -198,14 +382,20 @@ class TestGenerationService {
     const context = {
       fileName: sourceFile.getFileName(),
       language: sourceFile.language,
+      moduleSystem: moduleFormat.moduleSystem,
       complexity: sourceFile.getComplexityMetrics(),
       functions: sourceFile.extractFunctions(),
+      publicApi: sourceFile.getPublicApi(),
       // Add path information for correct imports
       sourceFilePath: sourceFile.filePath,
       testFilePath: testFilePath,
       relativeImportPath: relativeImportPath
     };
 
+    if (this.testFramework) {
+      context.testFramework = this.testFramework.getPromptContext(moduleFormat);
+    }
+
     // Check for existing tests
     if (options.existingTestFile) {
       const existingContent = await this.storageProvider.readFile(options.existingTestFile);
@@ -220,6 +410,68 @@ class TestGenerationService {
     return context;
   }
 
+  /**
+   * Prepare context for test improvement
+   * @param {SourceFile} sourceFile - Source file entity
+   * @param {Object} options - Improvement options ({ mutantTokenBudget, mutantContextLines, targeted })
+   * @returns {Object} Improvement context
+   * @private
+   */
+  _prepareImprovementContext(sourceFile, options = {}) {
+    const moduleFormat = sourceFile.getModuleFormat();
+    const analysis = sourceFile.analyze();
+    const context = {
+      fileName: sourceFile.getFileName(),
+      language: moduleFormat.language,
+      moduleSystem: moduleFormat.moduleSystem,
+      // Lets the prompt group survived mutants by their enclosing function
+      sourceFunctions: analysis ? analysis.functions : [],
+      mutantTokenBudget: options.mutantTokenBudget,
+      mutantContextLines: options.mutantContextLines,
+      targeted: options.targeted || false
+    };
+
+    if (this.testFramework) {
+      context.testFramework = this.testFramework.getPromptContext(moduleFormat);
+    }
+
+    return context;
+  }
+
+  /**
+   * Save the test file and run it with the test framework
+   * @param {SourceFile} sourceFile - Source file entity
+   * @param {TestFile} testFile - Test file entity
+   * @param {Object} options - Baseline options
+   * @returns {Promise<Object>} Test execution results
+   * @private
+   */
+  async _runBaseline(sourceFile, testFile, options) {
+    await this.storageProvider.writeFile(testFile.filePath, testFile.content);
+
+    return await this.testFramework.executeTests(testFile.filePath, {
+      cwd: options.cwd,
+      timeout: options.timeout,
+      language: sourceFile.language,
+      moduleSystem: sourceFile.getModuleSystem()
+    });
+  }
+
+  /**
+   * Collect failing tests and suite errors from a test run
+   * @param {Object} run - Test execution results
+   * @returns {Array<Object>} Failures ({ name, message })
+   * @private
+   */
+  _collectFailures(run) {
+    return [
+      ...run.errors.map(message => ({ name: null, message })),
+      ...run.tests
+        .filter(test => test.status === 'failed')
+        .map(test => ({ name: test.fullName, message: test.failureMessage }))
+    ];
+  }
+
   /**
    * Create test file entity from source file and test code
    * @param {SourceFile} sourceFile - Source file entity
@@ -241,7 +493,7 @@ class TestGenerationService {
   _generateTestFilePath(sourceFile) {
     const fileName = sourceFile.getFileName();
     const nameWithoutExt = fileName.replace(/\.[^.]+$/, '');
-    const testFileName = `${nameWithoutExt}.test.js`;
+    const testFileName = `${nameWithoutExt}${sourceFile.getModuleFormat().testExtension}`;
 
     // Return relative path in tests directory
     return `tests/${testFileName}`;
@@ -251,10 +503,11 @@ class TestGenerationService {
    * Calculate relative import path from test file to source file
    * @param {string} testFilePath - Test file path
    * @param {string} sourceFilePath - Source file path
-   * @returns {string} Relative import path (without .js extension)
+   * @param {Object} moduleFormat - Module format ({ language, moduleSystem }), CommonJS by default
+   * @returns {string} Relative import path (with extension only for native ES modules)
    * @private
    */
-  _calculateRelativeImportPath(testFilePath, sourceFilePath) {
+  _calculateRelativeImportPath(testFilePath, sourceFilePath, moduleFormat = {}) {
     const path = require('path');
 
     // Get directory of test file
@@ -266,8 +519,8 @@ class TestGenerationService {
     // Convert Windows backslashes to forward slashes for imports
     relativePath = relativePath.replace(/\\/g, '/');
 
-    // Remove .js extension if present
-    relativePath = relativePath.replace(/\.js$/, '');
+    // Keep the extension only where the module loader requires it
+    relativePath = formatImportSpecifier(relativePath, moduleFormat);
 
     // Ensure path starts with ./ or ../
     if (!relativePath.startsWith('.')) {
@@ -284,8 +537,11 @@ class TestGenerationService {
    * @private
    */
   async _validateGeneratedTests(testFile) {
-    // Basic syntax validation
-    if (!testFile.validateSyntax()) {
+    // Syntax validation: parsed by the framework adapter when configured
+    const validSyntax = this.testFramework
+      ? this.testFramework.validateTestSyntax(testFile.content)
+      : testFile.validateSyntax();
+    if (!validSyntax) {
       throw new Error('Generated tests have invalid syntax');
     }
 
@@ -312,24 +568,27 @@ class TestGenerationService {
    * @private
    */
   _mergeTests(existingTests, improvedTests, options = {}) {
-    // Simple merge strategy: append improved tests
-    // In a more sophisticated implementation, this could deduplicate or intelligently merge
-
-    let merged = existingTests.trim();
-    const improvedContent = improvedTests.trim();
-
-    // If improved tests have a describe block, extract the content
-    const describeMatch = improvedContent.match(/describe\([^{]+\{([\s\S]*)\}\);?\s*$/);
+    return this._mergeTestsWithReport(existingTests, improvedTests, options).content;
+  }
 
-    if (describeMatch && !options.forceAppend) {
-      // Add new tests inside the existing describe block
-      merged = merged.replace(/(\}\);?\s*)$/, `\n${describeMatch[1]}\n$1`);
-    } else {
-      // Just append the new tests
-      merged += '\n\n' + improvedContent;
+  /**
+   * Merge existing tests with improved tests and report what was added
+   * @param {string} existingTests - Existing test code
+   * @param {string} improvedTests - Improved test code
+   * @param {Object} options - Merge options ({ onCollision, forceAppend })
+   * @returns {Object} { content, report }
+   * @private
+   */
+  _mergeTestsWithReport(existingTests, improvedTests, options = {}) {
+    if (this.testFramework) {
+      return this.testFramework.mergeTestsWithReport([existingTests, improvedTests], options);
     }
 
-    return merged;
+    const { code, report } = mergeTestCode(existingTests, improvedTests, {
+      ...(options.onCollision && { onCollision: options.onCollision }),
+      forceAppend: Boolean(options.forceAppend)
+    });
+    return { content: code, report };
   }
 }
 
@@ -4,6 +4,118 @@
  */
 
 const path = require('path');
+const GenerationSession = require('../entities/generation-session');
+const Budget = require('../entities/budget');
+const { detectLanguage, detectModuleSystem, getTestFileName } = require('../../utils/module-format');
+
+/**
+ * Find source files matching a pattern, leaving out test files
+ * @param {Object} storageProvider - Storage provider
+ * @param {string} pattern - Glob pattern; several patterns are joined with commas
+ * @returns {Promise<Array<string>>} Array of file paths
+ */
+async function findSourceFiles(storageProvider, pattern) {
+  // Commas inside braces belong to the pattern
+  const patterns = pattern.split(/,(?![^{]*\})/).map(part => part.trim()).filter(Boolean);
+  const files = [];
+
+  for (const part of patterns) {
+    files.push(...await storageProvider.listFiles(part));
+  }
+
+  return [...new Set(files)].filter(file => !file.includes('.test.') && !file.includes('.spec.') && !file.endsWith('.d.ts'));
+}
+
+/**
+ * Get the token usage an LLM adapter recorded
+ * @param {Object} llmAdapter - LLM adapter
+ * @returns {Object|null} Usage summary, or null for adapters that record none
+ */
+function getAdapterUsage(llmAdapter) {
+  return typeof llmAdapter?.getUsage === 'function' ? llmAdapter.getUsage().toJSON() : null;
+}
+
+/**
+ * Send an event to a progress listener
+ * Listener errors are logged and do not stop the run.
+ * @param {Object} logger - Logger instance
+ * @param {Function} listener - Event listener, if any
+ * @param {Object} event - Event ({ type, ... })
+ */
+function emitProgress(logger, listener, event) {
+  if (!listener) return;
+
+  try {
+    listener(event);
+  } catch (error) {
+    logger.warn('Progress listener failed', { type: event.type, error: error.message });
+  }
+}
+
+/**
+ * Batch settings kept in a session, so resume() continues under the same policy
+ */
+const SESSION_SETTINGS = ['useFeedbackLoop', 'targetMutationScore', 'maxIterations', 'budget'];
+
+/**
+ * Drop the unset entries of an object
+ * @param {Object} values - Values
+ * @returns {Object} Values that are neither undefined nor null
+ */
+function pickDefined(values = {}) {
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * Get the settings of a batch to keep in its session
+ * Of the budget only the limits are kept.
+ * @param {Object} config - Batch configuration
+ * @returns {Object} Settings ({ useFeedbackLoop, targetMutationScore, maxIterations, budget }), unset ones left out
+ */
+function getSessionSettings(config) {
+  const settings = pickDefined(Object.fromEntries(SESSION_SETTINGS.map(key => [key, config[key]])));
+  if (settings.budget) {
+    const { maxCost, maxTokens, perFile } = settings.budget;
+    settings.budget = { ...pickDefined({ maxCost, maxTokens }), perFile: pickDefined(perFile) };
+  }
+  return settings;
+}
+
+/**
+ * Apply the settings a session was started with under the given configuration
+ * Settings given in the configuration take precedence; budget limits are
+ * overridden one at a time.
+ * @param {Object} stored - Settings kept in the session
+ * @param {Object} config - Configuration of the resumed run
+ * @returns {Object} Configuration
+ */
+function applySessionSettings(stored, config) {
+  const settings = { ...config };
+  SESSION_SETTINGS.forEach(key => {
+    if (settings[key] === undefined || settings[key] === null) settings[key] = stored[key];
+  });
+
+  if (stored.budget && config.budget) {
+    const { maxCost, maxTokens, perFile } = config.budget;
+    settings.budget = {
+      ...stored.budget,
+      ...pickDefined({ maxCost, maxTokens }),
+      perFile: { ...stored.budget.perFile, ...pickDefined(perFile) }
+    };
+  }
+  return settings;
+}
+
+/**
+ * Count an LLM adapter's calls against a budget
+ * @param {Budget} budget - File budget
+ * @param {Object} llmAdapter - LLM adapter
+ */
+function trackBudget(budget, llmAdapter) {
+  if (typeof llmAdapter?.getUsage === 'function') {
+    budget.track(llmAdapter.getUsage());
+  }
+}
 
 /**
  * Generate Tests Use Case
@@ -74,6 +186,7 @@ class GenerateTestsUseCase {
 
   /**
    * Execute simple test generation without feedback loop
+   * `config.budget` is checked before each LLM call like in the feedback loop.
    * @param {SourceFile} sourceFile - Source file entity
    * @param {string} outputPath - Output path for test file
    * @param {Object} config - Configuration
@@ -85,6 +198,15 @@ class GenerateTestsUseCase {
 
     // Create LLM adapter
     const llmAdapter = this.llmAdapterFactory.createAdapter(config.llm || {}, this.logger);
+    const budget = Budget.forRequest(config.budget);
+    trackBudget(budget, llmAdapter);
+
+    const budgetExceeded = budget.check();
+    if (budgetExceeded) {
+      const error = new Error(`LLM budget exhausted before generating tests: ${budgetExceeded.message}`);
+      error.budgetExceeded = budgetExceeded;
+      throw error;
+    }
 
     // Generate tests with correct path information
     const testFile = await this.testGenerationService.generateInitialTests(sourceFile, {
@@ -93,17 +215,32 @@ class GenerateTestsUseCase {
       testFilePath: outputPath // Pass output path for correct import path calculation
     });
 
+    // Make sure the tests pass on the original code before mutating it
+    let baseline = null;
+    if (config.runMutationAnalysis) {
+      baseline = await this.testGenerationService.ensureGreenBaseline(sourceFile, testFile, {
+        ...config.baselineOptions,
+        llmAdapter,
+        budget
+      });
+    }
+
     // Save test file
     await this.storageProvider.saveFile(outputPath, testFile.getContent());
 
     // Run mutation analysis if requested
     let mutationResult = null;
-    if (config.runMutationAnalysis) {
+    if (baseline && !baseline.success && !baseline.skipped) {
+      this.logger.warn('Skipping mutation analysis: generated tests fail on the original source', {
+        sourceFile: sourceFile.getFileName(),
+        errors: baseline.errors
+      });
+    } else if (config.runMutationAnalysis) {
       try {
         mutationResult = await this.mutationAnalysisService.runMutationAnalysis(
           sourceFile,
           testFile,
-          config.mutationOptions || {}
+          { ...config.mutationOptions, llmAdapter: budget.check() ? null : llmAdapter }
         );
       } catch (mutationError) {
         this.logger.warn('Mutation analysis failed', { error: mutationError.message });
@@ -116,7 +253,9 @@ class GenerateTestsUseCase {
       sourceFile: sourceFile.getFileName(),
       testFile: outputPath,
       testCases: testFile.extractTestCases(),
+      baseline,
       mutationResult: mutationResult?.toJSON(),
+      usage: getAdapterUsage(llmAdapter),
       duration: endTime - startTime,
       success: true,
       startTime,
@@ -144,6 +283,8 @@ class GenerateTestsUseCase {
   async _executeWithFeedbackLoop(sourceFile, outputPath, config) {
     // Create LLM adapter for feedback loop
     const llmAdapter = this.llmAdapterFactory.createAdapter(config.llm || {}, this.logger);
+    const budget = Budget.forRequest(config.budget);
+    trackBudget(budget, llmAdapter);
 
     const feedbackConfig = {
       targetMutationScore: config.targetMutationScore || 80,
@@ -151,7 +292,9 @@ class GenerateTestsUseCase {
       initialContext: config.initialContext,
       mutationOptions: config.mutationOptions || {},
       improvementOptions: config.improvementOptions || {},
+      baselineOptions: config.baselineOptions || {},
       llmAdapter, // Pass LLM adapter to feedback loop
+      budget: budget.isLimited() ? budget : null,
       testFilePath: outputPath // Pass output path for correct import path calculation
     };
 
@@ -170,6 +313,9 @@ class GenerateTestsUseCase {
       sourceFile: sourceFile.getFileName(),
       testFile: outputPath,
       feedbackResult: feedbackResult,
+      usage: getAdapterUsage(llmAdapter),
+      stopReason: feedbackResult.stopReason,
+      budgetExceeded: feedbackResult.budgetExceeded,
       success: !feedbackResult.error,
       recommendations: feedbackResult.analysis?.recommendations
     };
@@ -178,7 +324,8 @@ class GenerateTestsUseCase {
       sourceFile: sourceFile.getFileName(),
       iterations: feedbackResult.totalIterations,
       finalScore: feedbackResult.finalScore?.toFixed(2),
-      targetReached: feedbackResult.targetReached
+      targetReached: feedbackResult.targetReached,
+      stopReason: feedbackResult.stopReason
     });
 
     return result;
@@ -196,7 +343,7 @@ class GenerateTestsUseCase {
     const content = await this.storageProvider.readFile(sourcePath);
 
     // Pass full path as filePath for correct relative path calculation
-    return new SourceFile(sourcePath, content, 'javascript');
+    return new SourceFile(sourcePath, content, detectLanguage(sourcePath), detectModuleSystem(sourcePath));
   }
 
   /**
@@ -241,12 +388,14 @@ class ImproveTestsUseCase {
     testGenerationService,
     mutationAnalysisService,
     storageProvider,
-    logger
+    logger,
+    llmAdapterFactory = null
   ) {
     this.testGenerationService = testGenerationService;
     this.mutationAnalysisService = mutationAnalysisService;
     this.storageProvider = storageProvider;
     this.logger = logger;
+    this.llmAdapterFactory = llmAdapterFactory;
   }
 
   /**
@@ -271,23 +420,41 @@ class ImproveTestsUseCase {
     try {
       // Load files
       const sourceFile = await this._loadSourceFile(sourcePath);
-      const testFile = await this._loadTestFile(testPath);
+      const testFile = await this._loadTestFile(testPath, sourceFile);
+
+      // Create LLM adapter, so its calls are recorded for this file
+      const llmAdapter = this.llmAdapterFactory
+        ? this.llmAdapterFactory.createAdapter(config.llm || {}, this.logger)
+        : null;
+      const mutationOptions = { ...config.mutationOptions, ...(llmAdapter && { llmAdapter }) };
+      const budget = Budget.forRequest(config.budget);
+      trackBudget(budget, llmAdapter);
 
       // Run mutation analysis to identify weak points
       const mutationResult = await this.mutationAnalysisService.runMutationAnalysis(
         sourceFile,
         testFile,
-        config.mutationOptions || {}
+        mutationOptions
       );
 
-      // If there are survived mutants, improve tests
+      // Leave the tests as they are when the improvement would overspend
+      const killableSurvivors = mutationResult.getKillableSurvivors();
+      const budgetExceeded = killableSurvivors.length > 0 ? budget.check() : null;
+      if (budgetExceeded) {
+        this.logger.warn('Skipping test improvement: LLM budget exhausted', {
+          sourceFile: sourceFile.getFileName(),
+          reason: budgetExceeded.message
+        });
+      }
+
+      // If there are killable survived mutants, improve tests
       let improvedTestFile = testFile;
-      if (mutationResult.survivedMutants.length > 0) {
+      if (killableSurvivors.length > 0 && !budgetExceeded) {
         improvedTestFile = await this.testGenerationService.improveTests(
           sourceFile,
           testFile,
-          mutationResult.survivedMutants,
-          config.improvementOptions || {}
+          killableSurvivors,
+          { ...config.improvementOptions, ...(llmAdapter && { llmAdapter }) }
         );
 
         // Save improved test file
@@ -296,10 +463,10 @@ class ImproveTestsUseCase {
       }
 
       // Run final mutation analysis
-      const finalMutationResult = await this.mutationAnalysisService.runMutationAnalysis(
+      const finalMutationResult = budgetExceeded ? mutationResult : await this.mutationAnalysisService.runMutationAnalysis(
         sourceFile,
         improvedTestFile,
-        config.mutationOptions || {}
+        mutationOptions
       );
 
       const result = {
@@ -308,9 +475,16 @@ class ImproveTestsUseCase {
         improvedTestFile: outputPath || testPath,
         originalScore: mutationResult.mutationScore,
         improvedScore: finalMutationResult.mutationScore,
+        adjustedScore: finalMutationResult.adjustedMutationScore,
+        equivalentMutants: finalMutationResult.equivalentMutants.length,
         improvement: finalMutationResult.mutationScore - mutationResult.mutationScore,
         survivedMutantsKilled: mutationResult.survivedMutants.length - finalMutationResult.survivedMutants.length,
         newTestCases: improvedTestFile.extractTestCases().length - testFile.extractTestCases().length,
+        merge: improvedTestFile.generationMetadata.lastMerge,
+        mutationResult: finalMutationResult.toJSON(),
+        usage: getAdapterUsage(llmAdapter),
+        stopReason: budgetExceeded ? 'budget' : null,
+        budgetExceeded,
         success: true
       };
 
@@ -345,22 +519,83 @@ class ImproveTestsUseCase {
     const content = await this.storageProvider.readFile(sourcePath);
 
     // Pass full path as filePath for correct relative path calculation
-    return new SourceFile(sourcePath, content, 'javascript');
+    return new SourceFile(sourcePath, content, detectLanguage(sourcePath), detectModuleSystem(sourcePath));
   }
 
   /**
    * Load test file from filesystem
    * @param {string} testPath - Path to test file
+   * @param {SourceFile} sourceFile - Source file the tests cover
    * @returns {Promise<TestFile>} Test file entity
    * @private
    */
-  async _loadTestFile(testPath) {
+  async _loadTestFile(testPath, sourceFile = null) {
     const TestFile = require('../entities/test-file');
 
     const content = await this.storageProvider.readFile(testPath);
-    const fileName = path.basename(testPath);
 
-    return new TestFile(fileName, content, testPath);
+    // The mutation engine runs the test file at filePath
+    return new TestFile(testPath, content, sourceFile);
+  }
+}
+
+/**
+ * Analyze Tests Use Case
+ * Runs mutation analysis on existing tests without changing them
+ */
+class AnalyzeTestsUseCase {
+  constructor(
+    mutationAnalysisService,
+    storageProvider,
+    logger
+  ) {
+    this.mutationAnalysisService = mutationAnalysisService;
+    this.storageProvider = storageProvider;
+    this.logger = logger;
+  }
+
+  /**
+   * Execute mutation analysis
+   * @param {Object} request - Analysis request ({ sourcePath, testPath, config })
+   * @returns {Promise<Object>} Analysis result ({ sourceFile, testFile, mutationResult, recommendations, success })
+   */
+  async execute(request) {
+    const { sourcePath, testPath, config = {} } = request;
+
+    this.logger.info('Starting mutation analysis', { sourcePath, testPath });
+
+    try {
+      const SourceFile = require('../entities/source-file');
+      const TestFile = require('../entities/test-file');
+
+      const sourceContent = await this.storageProvider.readFile(sourcePath);
+      const testContent = await this.storageProvider.readFile(testPath);
+
+      const sourceFile = new SourceFile(sourcePath, sourceContent, detectLanguage(sourcePath), detectModuleSystem(sourcePath));
+      const testFile = new TestFile(testPath, testContent, sourceFile);
+
+      const mutationResult = await this.mutationAnalysisService.runMutationAnalysis(
+        sourceFile,
+        testFile,
+        config.mutationOptions || {}
+      );
+
+      return {
+        sourceFile: sourcePath,
+        testFile: testPath,
+        mutationResult: mutationResult.toJSON(),
+        recommendations: this.mutationAnalysisService.getRecommendations(mutationResult),
+        success: true
+      };
+
+    } catch (error) {
+      this.logger.error('Mutation analysis failed', {
+        sourcePath,
+        testPath,
+        error: error.message
+      });
+      throw error;
+    }
   }
 }
 
@@ -373,25 +608,33 @@ class BatchProcessUseCase {
     generateTestsUseCase,
     improveTestsUseCase,
     storageProvider,
-    logger
+    logger,
+    analyzeTestsUseCase = null
   ) {
     this.generateTestsUseCase = generateTestsUseCase;
     this.improveTestsUseCase = improveTestsUseCase;
+    this.analyzeTestsUseCase = analyzeTestsUseCase;
     this.storageProvider = storageProvider;
     this.logger = logger;
   }
 
   /**
    * Execute batch processing
-   * @param {Object} request - Batch request
+   * Progress is recorded in a generation session saved after every file, so
+   * an interrupted batch can be continued with resume().
+   * Instead of sourcePattern, `files` can list the files to process, each with
+   * its own mode and the line ranges to mutate ({ sourcePath, mode, mutateRanges }).
+   * @param {Object} request - Batch request (onProgress receives `batch:start`, `file:start`, `file:complete`, `file:failed` and `batch:complete` events; file events carry the session's file record)
    * @returns {Promise<Object>} Batch result
    */
   async execute(request) {
     const {
       sourcePattern,
+      files,
       outputDir,
       config = {},
-      mode = 'generate' // 'generate' or 'improve'
+      mode = 'generate', // 'generate', 'improve' or 'analyze'
+      onProgress
     } = request;
 
     this.logger.info('Starting batch processing', {
@@ -402,71 +645,22 @@ class BatchProcessUseCase {
 
     try {
       // Find source files
-      const sourceFiles = await this._findSourceFiles(sourcePattern);
+      const sourceFiles = files || (await findSourceFiles(this.storageProvider, sourcePattern))
+        .map(sourcePath => ({ sourcePath }));
 
       if (sourceFiles.length === 0) {
-        throw new Error(`No source files found matching pattern: ${sourcePattern}`);
+        throw new Error(files ? 'No source files to process' : `No source files found matching pattern: ${sourcePattern}`);
       }
 
       this.logger.info(`Found ${sourceFiles.length} files to process`);
 
-      const results = {
-        totalFiles: sourceFiles.length,
-        processedFiles: [],
-        successfulFiles: 0,
-        failedFiles: 0,
-        startTime: new Date(),
-        endTime: null,
-        errors: []
-      };
-
-      // Process files with concurrency control
-      const concurrency = config.concurrency || 3;
-      const batches = this._createBatches(sourceFiles, concurrency);
-
-      for (const batch of batches) {
-        const batchPromises = batch.map(async (sourceFile) => {
-          try {
-            const result = await this._processFile(sourceFile, outputDir, mode, config);
-            results.processedFiles.push(result);
-            results.successfulFiles++;
-
-            this.logger.info(`Processed file ${results.processedFiles.length}/${results.totalFiles}`, {
-              file: sourceFile,
-              success: true
-            });
-
-          } catch (error) {
-            const errorResult = {
-              sourceFile,
-              error: error.message,
-              success: false
-            };
-            results.processedFiles.push(errorResult);
-            results.failedFiles++;
-            results.errors.push(errorResult);
-
-            this.logger.error(`Failed to process file ${results.processedFiles.length}/${results.totalFiles}`, {
-              file: sourceFile,
-              error: error.message
-            });
-          }
-        });
-
-        await Promise.all(batchPromises);
-      }
-
-      results.endTime = new Date();
-      results.duration = results.endTime - results.startTime;
-
-      this.logger.info('Batch processing completed', {
-        totalFiles: results.totalFiles,
-        successful: results.successfulFiles,
-        failed: results.failedFiles,
-        duration: this._formatDuration(results.duration)
+      const session = new GenerationSession(config);
+      session.request = { sourcePattern, outputDir, mode, ...getSessionSettings(config) };
+      sourceFiles.forEach(({ sourcePath, ...options }) => {
+        session.addFile(sourcePath, path.join(outputDir, getTestFileName(sourcePath)), options);
       });
 
-      return results;
+      return await this._processSession(session, config, onProgress);
 
     } catch (error) {
       this.logger.error('Batch processing failed', {
@@ -477,56 +671,233 @@ class BatchProcessUseCase {
     }
   }
 
+  /**
+   * Continue a saved session: process unfinished files and skip completed ones
+   * Files that were running when the session stopped, or that failed, are processed again.
+   * The feedback loop settings and budget limits the session was started with
+   * apply unless the config sets them.
+   * @param {Object} request - Resume request ({ sessionId, config, onProgress })
+   * @returns {Promise<Object>} Batch result
+   */
+  async resume(request) {
+    const { sessionId, onProgress } = request;
+
+    const data = await this.storageProvider.loadSession(sessionId);
+    const config = applySessionSettings(data.request || {}, request.config || {});
+    const session = GenerationSession.fromData(data, config);
+    session.request = { ...session.request, ...getSessionSettings(config) };
+    session.reopen();
+
+    this.logger.info('Resuming batch processing', {
+      sessionId,
+      mode: session.request.mode,
+      totalFiles: session.files.length,
+      remainingFiles: session.getUnfinishedFiles().length
+    });
+
+    return await this._processSession(session, config, onProgress);
+  }
+
+  /**
+   * Process the unfinished files of a session
+   * @param {GenerationSession} session - Generation session
+   * @param {Object} config - Configuration
+   * @param {Function} onProgress - Optional progress event listener
+   * @returns {Promise<Object>} Batch result
+   * @private
+   */
+  async _processSession(session, config, onProgress) {
+    const { outputDir, mode = 'generate' } = session.request;
+    const pending = session.getUnfinishedFiles().map(file => file.sourcePath);
+
+    const results = {
+      sessionId: session.id,
+      totalFiles: session.files.length,
+      skippedFiles: session.files.length - pending.length,
+      processedFiles: [],
+      successfulFiles: 0,
+      failedFiles: 0,
+      pendingFiles: 0,
+      stopReason: null,
+      budgetExceeded: null,
+      startTime: new Date(),
+      endTime: null,
+      errors: []
+    };
+
+    await this._saveSession(session);
+    emitProgress(this.logger, onProgress, {
+      type: 'batch:start',
+      sessionId: session.id,
+      mode,
+      totalFiles: results.totalFiles,
+      skippedFiles: results.skippedFiles
+    });
+
+    // The session budget counts what earlier runs of the session spent
+    const budget = new Budget(config.budget);
+    budget.addPrevious(session.getUsage());
+
+    // Process files with concurrency control
+    const concurrency = config.concurrency || 3;
+    const batches = this._createBatches(pending, concurrency);
+
+    for (const batch of batches) {
+      const batchPromises = batch.map(async (sourceFile) => {
+        // Stop scheduling files once the budget is spent; they stay pending for resume
+        const budgetExceeded = results.budgetExceeded || budget.check();
+        if (budgetExceeded) {
+          if (!results.budgetExceeded) {
+            this.logger.warn('Stopping batch: LLM budget exhausted', { sessionId: session.id, reason: budgetExceeded.message });
+            results.stopReason = 'budget';
+            results.budgetExceeded = budgetExceeded;
+          }
+          return;
+        }
+
+        session.startFile(sourceFile);
+        await this._saveSession(session);
+        emitProgress(this.logger, onProgress, { type: 'file:start', sessionId: session.id, file: { ...session.getFile(sourceFile) } });
+
+        try {
+          const fileConfig = { ...config, budget: budget.forFile(config.budget?.perFile) };
+          const result = await this._processFile(sourceFile, outputDir, mode, fileConfig, session.getFile(sourceFile));
+          results.processedFiles.push({ ...result, sourcePath: sourceFile });
+          session.completeFile(sourceFile, GenerationSession.summarizeResult(result));
+
+          this.logger.info(`Processed file ${results.processedFiles.length}/${pending.length}`, {
+            file: sourceFile,
+            success: true
+          });
+
+        } catch (error) {
+          const errorResult = {
+            sourceFile,
+            sourcePath: sourceFile,
+            error: error.message,
+            success: false
+          };
+          results.processedFiles.push(errorResult);
+          results.errors.push(errorResult);
+          session.failFile(sourceFile, error);
+
+          this.logger.error(`Failed to process file ${results.processedFiles.length}/${pending.length}`, {
+            file: sourceFile,
+            error: error.message
+          });
+        }
+
+        await this._saveSession(session);
+        const file = session.getFile(sourceFile);
+        emitProgress(this.logger, onProgress, {
+          type: file.status === 'completed' ? 'file:complete' : 'file:failed',
+          sessionId: session.id,
+          file: { ...file }
+        });
+      });
+
+      await Promise.all(batchPromises);
+    }
+
+    // Counts cover the whole session, including files completed in earlier runs
+    results.successfulFiles = session.files.filter(file => file.status === 'completed').length;
+    results.pendingFiles = session.files.filter(file => file.status === 'pending').length;
+    results.failedFiles = session.files.length - results.successfulFiles - results.pendingFiles;
+    results.usage = session.getUsage();
+    results.endTime = new Date();
+    results.duration = results.endTime - results.startTime;
+    results.files = session.files.map(file => ({ ...file }));
+
+    if (results.stopReason) {
+      session.stop(results.stopReason);
+    } else {
+      session.complete(results.failedFiles === 0 ? 'completed' : 'failed');
+    }
+    await this._saveSession(session);
+    emitProgress(this.logger, onProgress, {
+      type: 'batch:complete',
+      sessionId: session.id,
+      totalFiles: results.totalFiles,
+      successfulFiles: results.successfulFiles,
+      failedFiles: results.failedFiles,
+      pendingFiles: results.pendingFiles,
+      stopReason: results.stopReason,
+      duration: results.duration
+    });
+
+    this.logger.info('Batch processing completed', {
+      sessionId: session.id,
+      totalFiles: results.totalFiles,
+      skipped: results.skippedFiles,
+      successful: results.successfulFiles,
+      failed: results.failedFiles,
+      pending: results.pendingFiles,
+      stopReason: results.stopReason,
+      duration: this._formatDuration(results.duration)
+    });
+
+    return results;
+  }
+
+  /**
+   * Save the session, one write at a time
+   * Failures are logged: losing progress tracking should not fail the batch.
+   * @param {GenerationSession} session - Generation session
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveSession(session) {
+    this.sessionWrites = (this.sessionWrites || Promise.resolve())
+      .then(() => this.storageProvider.saveSession(session.toData()))
+      .catch(error => {
+        this.logger.warn('Could not save generation session', { sessionId: session.id, error: error.message });
+      });
+
+    return this.sessionWrites;
+  }
+
   /**
    * Process a single file in batch mode
    * @param {string} sourceFile - Source file path
    * @param {string} outputDir - Output directory
-   * @param {string} mode - Processing mode
-   * @param {Object} config - Configuration
+   * @param {string} batchMode - Processing mode
+   * @param {Object} batchConfig - Configuration (`useFeedbackLoop` selects the feedback loop for generated files)
+   * @param {Object} record - Session file record, whose mode and mutateRanges override the batch's
    * @returns {Promise<Object>} Processing result
    * @private
    */
-  async _processFile(sourceFile, outputDir, mode, config) {
-    const fileName = path.basename(sourceFile, path.extname(sourceFile));
-    const outputPath = path.join(outputDir, `${fileName}.test.js`);
+  async _processFile(sourceFile, outputDir, batchMode, batchConfig, record = {}) {
+    const outputPath = path.join(outputDir, getTestFileName(sourceFile));
+    const mode = record.mode || batchMode;
+    const config = record.mutateRanges
+      ? { ...batchConfig, mutationOptions: { ...batchConfig.mutationOptions, mutateRanges: record.mutateRanges } }
+      : batchConfig;
 
     if (mode === 'generate') {
       return await this.generateTestsUseCase.execute({
         sourcePath: sourceFile,
         outputPath: outputPath,
+        useFeedbackLoop: config.useFeedbackLoop || false,
         config: config
       });
     } else if (mode === 'improve') {
-      const testPath = path.join(outputDir, `${fileName}.test.js`);
       return await this.improveTestsUseCase.execute({
         sourcePath: sourceFile,
-        testPath: testPath,
+        testPath: outputPath,
         outputPath: outputPath,
         config: config
       });
+    } else if (mode === 'analyze' && this.analyzeTestsUseCase) {
+      return await this.analyzeTestsUseCase.execute({
+        sourcePath: sourceFile,
+        testPath: outputPath,
+        config: config
+      });
     } else {
       throw new Error(`Unknown processing mode: ${mode}`);
     }
   }
 
-  /**
-   * Find source files matching pattern
-   * @param {string} pattern - File pattern
-   * @returns {Promise<Array<string>>} Array of file paths
-   * @private
-   */
-  async _findSourceFiles(pattern) {
-    // This would typically use glob or similar pattern matching
-    // For now, simplified implementation
-    const glob = require('glob');
-    return new Promise((resolve, reject) => {
-      glob(pattern, (err, files) => {
-        if (err) reject(err);
-        else resolve(files.filter(file => !file.includes('.test.') && !file.includes('.spec.')));
-      });
-    });
-  }
-
   /**
    * Create batches for concurrent processing
    * @param {Array} items - Items to batch
@@ -560,8 +931,296 @@ class BatchProcessUseCase {
   }
 }
 
+/**
+ * Check Quality Use Case
+ * Runs mutation analysis over source/test pairs and applies the quality gate
+ */
+class CheckQualityUseCase {
+  constructor(
+    analyzeTestsUseCase,
+    qualityGateService,
+    storageProvider,
+    logger
+  ) {
+    this.analyzeTestsUseCase = analyzeTestsUseCase;
+    this.qualityGateService = qualityGateService;
+    this.storageProvider = storageProvider;
+    this.logger = logger;
+  }
+
+  /**
+   * Execute the quality check
+   * @param {Object} request - Check request
+   * @param {Array<Object>} request.pairs - Pairs ({ source, test } for one file, or { source, testsDir } for a glob)
+   * @param {Object} request.gate - Gate settings overriding the service config ({ failUnder, aggregateFailUnder, thresholds })
+   * @param {Object} request.config - Configuration (mutationOptions, concurrency)
+   * @param {Function} request.onProgress - Optional progress event listener
+   * @returns {Promise<Object>} Verdict ({ passed, files, aggregate, analyses, duration }); analyses are in QualityGateService.evaluate() form
+   */
+  async execute(request) {
+    const { pairs = [], gate = {}, config = {}, onProgress } = request;
+    const startTime = new Date();
+
+    const targets = await this._resolvePairs(pairs);
+    if (targets.length === 0) {
+      throw new Error('No source files to check: configure qualityGate.pairs or pass source files');
+    }
+
+    this.logger.info('Starting quality check', { files: targets.length });
+
+    const analyses = [];
+    const concurrency = config.concurrency || 3;
+    for (let i = 0; i < targets.length; i += concurrency) {
+      await Promise.all(targets.slice(i, i + concurrency).map(async ({ sourcePath, testPath }) => {
+        emitProgress(this.logger, onProgress, { type: 'file:start', file: { sourcePath, outputPath: testPath, status: 'running' } });
+
+        let analysis;
+        try {
+          const result = await this.analyzeTestsUseCase.execute({ sourcePath, testPath, config });
+          analysis = { sourceFile: sourcePath, testFile: testPath, mutationResult: result.mutationResult, error: null };
+        } catch (error) {
+          analysis = { sourceFile: sourcePath, testFile: testPath, mutationResult: null, error: error.message };
+        }
+        analyses.push(analysis);
+
+        emitProgress(this.logger, onProgress, {
+          type: analysis.error ? 'file:failed' : 'file:complete',
+          file: {
+            sourcePath,
+            outputPath: testPath,
+            status: analysis.error ? 'failed' : 'completed',
+            mutationScore: analysis.mutationResult?.mutationScore ?? null,
+            error: analysis.error
+          }
+        });
+      }));
+    }
+
+    // Report files in the order they were found
+    const order = new Map(targets.map((target, index) => [target.sourcePath, index]));
+    analyses.sort((a, b) => order.get(a.sourceFile) - order.get(b.sourceFile));
+
+    return {
+      ...this.qualityGateService.evaluate(analyses, gate),
+      analyses,
+      duration: new Date() - startTime
+    };
+  }
+
+  /**
+   * Expand pairs into source and test file paths
+   * @param {Array<Object>} pairs - Source/test pairs
+   * @returns {Promise<Array<Object>>} Targets ({ sourcePath, testPath }), without duplicates
+   * @private
+   */
+  async _resolvePairs(pairs) {
+    const targets = new Map();
+
+    for (const pair of pairs) {
+      if (pair.test) {
+        targets.set(pair.source, { sourcePath: pair.source, testPath: pair.test });
+        continue;
+      }
+
+      const testsDir = pair.testsDir || 'tests';
+      const sourceFiles = await findSourceFiles(this.storageProvider, pair.source);
+      sourceFiles.forEach(sourcePath => {
+        targets.set(sourcePath, { sourcePath, testPath: path.join(testsDir, getTestFileName(sourcePath)) });
+      });
+    }
+
+    return [...targets.values()];
+  }
+}
+
+/**
+ * Watch Tests Use Case
+ * Watches source files and improves their tests when function bodies change
+ */
+class WatchTestsUseCase {
+  constructor(
+    improveTestsUseCase,
+    storageProvider,
+    logger
+  ) {
+    this.improveTestsUseCase = improveTestsUseCase;
+    this.storageProvider = storageProvider;
+    this.logger = logger;
+  }
+
+  /**
+   * Start watching
+   * Changes are debounced per file, and improvements run one at a time. Only
+   * the changed functions are mutated, so each run scores the edited code.
+   * Events: `watch:start`, `file:change` (with the changed `functions`),
+   * `file:start`, `file:complete` (with `previousScore`), `file:failed`,
+   * `file:skipped` (with a `reason`) and `watch:stop`.
+   * @param {Object} request - Watch request
+   * @param {string} request.sourcePattern - Glob pattern; several patterns are joined with commas
+   * @param {string} request.testsDir - Directory holding the tests
+   * @param {number} request.debounce - Milliseconds to wait for further changes before running
+   * @param {Object} request.config - Configuration (llm, mutationOptions, improvementOptions)
+   * @param {Function} request.onEvent - Optional event listener
+   * @returns {Promise<Object>} Watch handle ({ files, idle(), close() })
+   */
+  async execute(request) {
+    const { sourcePattern, testsDir = 'tests', debounce = 300, config = {}, onEvent } = request;
+    const SourceFile = require('../entities/source-file');
+
+    const sourceFiles = await findSourceFiles(this.storageProvider, sourcePattern);
+    if (sourceFiles.length === 0) {
+      throw new Error(`No source files found matching pattern: ${sourcePattern}`);
+    }
+
+    const watch = {
+      testsDir,
+      debounce,
+      config,
+      onEvent,
+      snapshots: new Map(),
+      watchers: new Map(),
+      timers: new Map(),
+      renamed: new Set(),
+      queue: Promise.resolve(),
+      closed: false
+    };
+
+    for (const sourcePath of sourceFiles) {
+      const content = await this.storageProvider.readFile(sourcePath);
+      watch.snapshots.set(sourcePath, new SourceFile(sourcePath, content, detectLanguage(sourcePath), detectModuleSystem(sourcePath)));
+      this._watchFile(watch, sourcePath);
+    }
+
+    this.logger.info('Watching source files', { files: sourceFiles.length, testsDir });
+    emitProgress(this.logger, onEvent, { type: 'watch:start', files: sourceFiles, testsDir });
+
+    return {
+      files: sourceFiles,
+      idle: () => watch.queue,
+      close: async () => {
+        watch.closed = true;
+        watch.timers.forEach(timer => clearTimeout(timer));
+        watch.watchers.forEach(watcher => watcher.close());
+        await watch.queue;
+        emitProgress(this.logger, onEvent, { type: 'watch:stop' });
+      }
+    };
+  }
+
+  /**
+   * Watch one source file, scheduling a check after each burst of changes
+   * @param {Object} watch - Watch state
+   * @param {string} sourcePath - Source file path
+   * @private
+   */
+  _watchFile(watch, sourcePath) {
+    const watcher = this.storageProvider.watchFile(sourcePath, eventType => {
+      // Editors that save by renaming replace the file, which ends the watcher
+      if (eventType === 'rename') watch.renamed.add(sourcePath);
+
+      clearTimeout(watch.timers.get(sourcePath));
+      watch.timers.set(sourcePath, setTimeout(() => {
+        watch.timers.delete(sourcePath);
+        watch.queue = watch.queue.then(() => this._handleChange(watch, sourcePath));
+      }, watch.debounce));
+    });
+
+    watch.watchers.set(sourcePath, watcher);
+  }
+
+  /**
+   * Improve the tests of a changed file, mutating only its changed functions
+   * @param {Object} watch - Watch state
+   * @param {string} sourcePath - Source file path
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handleChange(watch, sourcePath) {
+    if (watch.closed) return;
+    const { onEvent } = watch;
+
+    if (watch.renamed.delete(sourcePath)) {
+      watch.watchers.get(sourcePath).close();
+      try {
+        this._watchFile(watch, sourcePath);
+      } catch (error) {
+        this.logger.warn('Stopped watching source file', { sourcePath, error: error.message });
+        return;
+      }
+    }
+
+    let content;
+    try {
+      content = await this.storageProvider.readFile(sourcePath);
+    } catch (error) {
+      this.logger.warn('Could not read changed source file', { sourcePath, error: error.message });
+      return;
+    }
+
+    const snapshot = watch.snapshots.get(sourcePath);
+    if (!snapshot.hasChanged(content)) return;
+
+    const testPath = path.join(watch.testsDir, getTestFileName(sourcePath));
+    const skip = reason => emitProgress(this.logger, onEvent, { type: 'file:skipped', reason, file: { sourcePath, outputPath: testPath, status: 'skipped' } });
+
+    const functions = snapshot.getChangedFunctions(content);
+    if (!functions) {
+      // Keep the last parsable version to compare the next save with
+      skip('Source could not be parsed');
+      return;
+    }
+    snapshot.updateContent(content);
+
+    const names = functions.map(fn => (fn.className ? `${fn.className}.${fn.name}` : fn.name));
+    emitProgress(this.logger, onEvent, { type: 'file:change', functions: names, file: { sourcePath, outputPath: testPath, status: 'changed' } });
+
+    if (functions.length === 0) {
+      skip('No function bodies changed');
+      return;
+    }
+    if (!(await this.storageProvider.fileExists(testPath))) {
+      skip(`No test file at ${testPath}`);
+      return;
+    }
+
+    emitProgress(this.logger, onEvent, { type: 'file:start', functions: names, file: { sourcePath, outputPath: testPath, status: 'running' } });
+
+    try {
+      const result = await this.improveTestsUseCase.execute({
+        sourcePath,
+        testPath,
+        outputPath: testPath,
+        config: {
+          ...watch.config,
+          mutationOptions: {
+            ...watch.config.mutationOptions,
+            mutateRanges: functions.map(fn => ({ startLine: fn.line, endLine: fn.endLine }))
+          }
+        }
+      });
+
+      emitProgress(this.logger, onEvent, {
+        type: 'file:complete',
+        functions: names,
+        previousScore: result.originalScore,
+        newTestCases: result.newTestCases,
+        file: { sourcePath, outputPath: testPath, status: 'completed', mutationScore: result.improvedScore }
+      });
+    } catch (error) {
+      emitProgress(this.logger, onEvent, {
+        type: 'file:failed',
+        functions: names,
+        file: { sourcePath, outputPath: testPath, status: 'failed', error: error.message }
+      });
+    }
+  }
+}
+
 module.exports = {
   GenerateTestsUseCase,
   ImproveTestsUseCase,
-  BatchProcessUseCase
+  AnalyzeTestsUseCase,
+  BatchProcessUseCase,
+  CheckQualityUseCase,
+  WatchTestsUseCase
 };
\ No newline at end of file
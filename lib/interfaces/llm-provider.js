@@ -1,3 +1,7 @@
+const TokenUsage = require('../core/entities/token-usage');
+const { priceTokens, estimateTokens } = require('../utils/pricing');
+const { LLMResilience } = require('../utils/resilience');
+
 /**
  * Interface for LLM providers
  * Defines the contract that all LLM adapters must implement
@@ -19,12 +23,36 @@ class LLMProvider {
    * @param {string} sourceCode - The source code
    * @param {string} existingTests - Current test code
    * @param {Array} survivedMutants - Mutants that survived testing
+   * @param {Object} context - Additional context (language, module system, test framework)
    * @returns {Promise<string>} Improved test code
    */
-  async improveTests(sourceCode, existingTests, survivedMutants) {
+  async improveTests(sourceCode, existingTests, survivedMutants, context = {}) {
     throw new Error('improveTests method must be implemented');
   }
 
+  /**
+   * Repair tests that fail against the unmutated source code
+   * @param {string} sourceCode - The source code
+   * @param {string} testCode - Current test code
+   * @param {Array<Object>} failures - Failing tests ({ name, message })
+   * @param {Object} context - Additional context (language, module system, test framework)
+   * @returns {Promise<string>} Complete repaired test code
+   */
+  async repairTests(sourceCode, testCode, failures, context = {}) {
+    throw new Error('repairTests method must be implemented');
+  }
+
+  /**
+   * Judge which survived mutants are equivalent to the original code
+   * @param {string} sourceCode - The source code
+   * @param {Array<Object>} mutants - Survived mutants
+   * @param {Object} context - Additional context (language)
+   * @returns {Promise<Array<Object>>} Verdicts ({ id, equivalent, confidence, reason }), ids numbering the mutants from 1
+   */
+  async classifyMutants(sourceCode, mutants, context = {}) {
+    throw new Error('classifyMutants method must be implemented');
+  }
+
   /**
    * Validate provider configuration
    * @param {Object} config - Provider configuration
@@ -59,6 +87,119 @@ class LLMProvider {
   async isHealthy() {
     throw new Error('isHealthy method must be implemented');
   }
+
+  /**
+   * Get the usage of the calls made through this adapter
+   * Adapters record each call with _recordUsage(); callers take checkpoints
+   * to get the usage of one iteration or file.
+   * @returns {TokenUsage} Token usage
+   */
+  getUsage() {
+    if (!this.usage) {
+      this.usage = new TokenUsage();
+    }
+    return this.usage;
+  }
+
+  /**
+   * Get the resilience layer (retries, rate limit, timeout, circuit breaker) of this adapter's calls
+   * The adapter factory shares one layer among the adapters of a provider and
+   * model; adapters built directly get their own from `resilience` in the config.
+   * @returns {LLMResilience} Resilience layer
+   */
+  getResilience() {
+    if (!this.resilience) {
+      this.resilience = new LLMResilience(this.config?.resilience, this.logger);
+    }
+    return this.resilience;
+  }
+
+  /**
+   * Use a resilience layer shared with other adapters
+   * @param {LLMResilience} resilience - Resilience layer
+   */
+  setResilience(resilience) {
+    this.resilience = resilience;
+  }
+
+  /**
+   * Send an LLM request through the resilience layer
+   * The request should record its usage with _recordUsage(), so the rate
+   * limiter counts the tokens the call actually used.
+   * @param {string} task - Task type, for logging
+   * @param {string} prompt - Prompt text, to estimate the tokens of the request
+   * @param {Function} request - Sends one attempt: (signal) => Promise
+   * @returns {Promise<*>} Result of the request
+   * @protected
+   */
+  async _callWithResilience(task, prompt, request) {
+    const usage = this.getUsage();
+    const checkpoint = usage.checkpoint();
+
+    return this.getResilience().execute(request, {
+      task,
+      estimatedTokens: estimateTokens(prompt) + (this.config?.maxTokens || 2000),
+      getTokens: () => usage.since(checkpoint).totalTokens
+    });
+  }
+
+  /**
+   * Record the usage of one LLM call, priced with `pricing` from the config
+   * Token counts the provider did not report are estimated from the texts.
+   * @param {Object} call - Call ({ task, model, promptTokens, completionTokens, startTime, prompt, completion })
+   * @returns {Object} Recorded call
+   * @protected
+   */
+  _recordUsage(call) {
+    const estimated = typeof call.promptTokens !== 'number' || typeof call.completionTokens !== 'number';
+    const promptTokens = typeof call.promptTokens === 'number' ? call.promptTokens : estimateTokens(call.prompt);
+    const completionTokens = typeof call.completionTokens === 'number' ? call.completionTokens : estimateTokens(call.completion);
+    const model = call.model || this.config?.model || null;
+
+    return this.getUsage().record({
+      task: call.task,
+      model,
+      promptTokens,
+      completionTokens,
+      latency: call.startTime ? Date.now() - call.startTime : 0,
+      cost: priceTokens(model, promptTokens, completionTokens, this._getPricing()),
+      estimated
+    });
+  }
+
+  /**
+   * Estimate the cost of a request before sending it, from the input length
+   * and the completion token limit
+   * @param {string} input - Input text
+   * @param {Object} options - Request options ({ model, maxTokens })
+   * @returns {Object} Cost estimation, with null costs when the model has no price
+   * @protected
+   */
+  _estimateRequestCost(input, options = {}) {
+    const model = options.model || this.config?.model;
+    const inputTokens = estimateTokens(input);
+    const outputTokens = options.maxTokens || this.config?.maxTokens || 2000;
+    const inputCost = priceTokens(model, inputTokens, 0, this._getPricing());
+    const outputCost = priceTokens(model, 0, outputTokens, this._getPricing());
+
+    return {
+      inputTokens,
+      outputTokens,
+      inputCost,
+      outputCost,
+      totalCost: inputCost === null ? null : inputCost + outputCost,
+      currency: 'USD'
+    };
+  }
+
+  /**
+   * Prices used for this provider's calls, see lib/utils/pricing
+   * @returns {Object|undefined} Configured prices (`llm.pricing`), by model or flat
+   * @protected
+   */
+  _getPricing() {
+    return this.config?.pricing;
+  }
 }
 
 module.exports = LLMProvider;
\ No newline at end of file
@@ -77,6 +77,32 @@ class StorageProvider {
   async getStats(filePath) {
     throw new Error('getStats method must be implemented');
   }
+
+  /**
+   * Save generation session data
+   * @param {Object} sessionData - Session data (with sessionId)
+   * @returns {Promise<void>}
+   */
+  async saveSession(sessionData) {
+    throw new Error('saveSession method must be implemented');
+  }
+
+  /**
+   * Load generation session data
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Session data
+   */
+  async loadSession(sessionId) {
+    throw new Error('loadSession method must be implemented');
+  }
+
+  /**
+   * List saved generation sessions
+   * @returns {Promise<Array<Object>>} Session data, most recently updated first
+   */
+  async listSessions() {
+    throw new Error('listSessions method must be implemented');
+  }
 }
 
 module.exports = StorageProvider;
\ No newline at end of file
@@ -43,13 +43,43 @@ class TestFramework {
 
   /**
    * Merge test files
-   * @param {Array<string>} testFiles - Test file paths
+   * @param {Array<string>} testFiles - Test file contents, existing tests first
+   * @param {Object} options - Merge options
    * @returns {string} Merged test content
    */
-  mergeTests(testFiles) {
+  mergeTests(testFiles, options = {}) {
     throw new Error('mergeTests method must be implemented');
   }
 
+  /**
+   * Merge test files and report what was added
+   * @param {Array<string>} testFiles - Test file contents, existing tests first
+   * @param {Object} options - Merge options ({ onCollision: 'rename' | 'skip', forceAppend })
+   * @returns {Object} { content, report } with added, renamed and skipped tests, imports and helpers
+   */
+  mergeTestsWithReport(testFiles, options = {}) {
+    throw new Error('mergeTestsWithReport method must be implemented');
+  }
+
+  /**
+   * Remove test cases from test code
+   * @param {string} testCode - Test code
+   * @param {Array<Object>} tests - Tests to remove ({ title, fullName })
+   * @returns {Object} { code, removed, skipped } with the full names of the removed tests and of those left in place
+   */
+  removeTests(testCode, tests) {
+    throw new Error('removeTests method must be implemented');
+  }
+
+  /**
+   * Get framework-specific prompt context
+   * @param {Object} moduleFormat - Module format ({ language, moduleSystem })
+   * @returns {Object} Prompt context ({ name, displayName, usesImports, imports, instructions })
+   */
+  getPromptContext(moduleFormat = {}) {
+    throw new Error('getPromptContext method must be implemented');
+  }
+
   /**
    * Get framework information
    * @returns {Object} Framework metadata
@@ -0,0 +1,250 @@
+/**
+ * Machine-readable CLI output
+ * `json` prints one result object when a command finishes. `ndjson` prints one
+ * JSON object per line: progress events while files are processed, then the
+ * result as a `result` event. `text` keeps the human-readable console output.
+ */
+
+const GenerationSession = require('../core/entities/generation-session');
+const { getAvailableFormats, isSupported } = require('../adapters/reporting');
+
+/**
+ * Supported values of `--output-format`
+ */
+const OUTPUT_FORMATS = ['text', 'json', 'ndjson'];
+
+/**
+ * Describe a session file record for output
+ * @param {Object} file - File record ({ sourcePath, outputPath, status, iterations, mutationScore, ... })
+ * @returns {Object} File result ({ sourceFile, testFile, status, success, mutationScore, iterations, targetReached, error, cost, tokens })
+ */
+function describeFile(file) {
+  return {
+    sourceFile: file.sourcePath,
+    testFile: file.outputPath,
+    status: file.status,
+    success: file.status === 'completed',
+    mutationScore: file.mutationScore ?? null,
+    iterations: file.iterations || 0,
+    targetReached: file.targetReached || false,
+    error: file.error || null,
+    cost: file.cost ?? null,
+    tokens: file.usage?.totalTokens ?? null
+  };
+}
+
+/**
+ * Create a file record, as kept by batch sessions, for a single-file command
+ * @param {string} sourcePath - Source file path
+ * @param {string} testPath - Test file path
+ * @param {Object} result - Generate, improve or analyze result
+ * @returns {Object} File record for describeFile()
+ */
+function createFileRecord(sourcePath, testPath, result) {
+  const outcome = GenerationSession.summarizeResult(result);
+
+  return {
+    sourcePath,
+    outputPath: testPath,
+    status: outcome.success ? 'completed' : 'failed',
+    ...outcome,
+    error: result.error || null
+  };
+}
+
+/**
+ * Build the result object of a command
+ * @param {string} command - Command name
+ * @param {Array<Object>} files - File results from describeFile()
+ * @param {Object} details - Extra fields (sessionId, duration, command-specific data)
+ * @returns {Object} Result ({ command, success, summary, files, ... }); the summary adds up the files' tokens and cost
+ */
+function createResult(command, files, details = {}) {
+  const failed = files.filter(file => !file.success).length;
+  const priced = files.filter(file => typeof file.cost === 'number');
+
+  return {
+    command,
+    success: failed === 0,
+    summary: {
+      totalFiles: files.length,
+      successful: files.length - failed,
+      failed,
+      totalTokens: files.reduce((sum, file) => sum + (file.tokens || 0), 0),
+      totalCost: priced.length > 0 ? priced.reduce((sum, file) => sum + file.cost, 0) : null
+    },
+    files,
+    ...details
+  };
+}
+
+/**
+ * Format the LLM usage of a result summary for text output
+ * @param {Object} summary - Summary from createResult() ({ totalTokens, totalCost })
+ * @returns {string|null} Usage line, or null when no LLM calls were recorded
+ */
+function formatUsage(summary) {
+  if (!summary.totalTokens) return null;
+
+  const cost = typeof summary.totalCost === 'number'
+    ? `$${summary.totalCost.toFixed(4)}`
+    : 'unknown (no price for the model, set llm.pricing)';
+  return `LLM usage: ${summary.totalTokens.toLocaleString('en-US')} tokens, cost ${cost}`;
+}
+
+/**
+ * Describe why a run stopped early for text output
+ * @param {Object} result - Generate, improve or batch result ({ stopReason, budgetExceeded })
+ * @returns {string|null} Stop message, or null when the run was not cut short by its budget
+ */
+function formatStopReason(result) {
+  if (result.stopReason !== 'budget' || !result.budgetExceeded) return null;
+  return `Stopped early: ${result.budgetExceeded.message}`;
+}
+
+/**
+ * Parse a `--report <format>:<path>` value; repeated options collect into a list
+ * @param {string} value - Option value, such as `junit:reports/mutation.xml`
+ * @param {Array<Object>} previous - Reports from earlier options
+ * @returns {Array<Object>} Reports ({ format, path })
+ */
+function parseReportOption(value, previous = []) {
+  const separator = value.indexOf(':');
+  const format = separator > 0 ? value.slice(0, separator).toLowerCase() : value;
+  const reportPath = separator > 0 ? value.slice(separator + 1) : '';
+
+  if (!isSupported(format)) {
+    throw new Error(`Unknown report format: ${format}. Use <format>:<path> with one of: ${getAvailableFormats().join(', ')}`);
+  }
+  if (!reportPath) {
+    throw new Error(`Missing report path: use ${format}:<path>`);
+  }
+
+  return [...previous, { format, path: reportPath }];
+}
+
+/**
+ * Create the analysis of a file for the mutation reporters
+ * The feedback loop's last analyzed iteration stands for its final tests.
+ * @param {string} sourcePath - Source file path
+ * @param {string} testPath - Test file path
+ * @param {Object} result - Generate, improve or analyze result
+ * @returns {Object} Analysis ({ sourceFile, testFile, mutationResult, error })
+ */
+function createAnalysis(sourcePath, testPath, result) {
+  const iterations = result.feedbackResult?.iterations || [];
+  const last = [...iterations].reverse().find(iteration => iteration.mutationResult);
+  let mutationResult = last ? last.mutationResult : result.mutationResult;
+  if (mutationResult && typeof mutationResult.toJSON === 'function') {
+    mutationResult = mutationResult.toJSON();
+  }
+
+  return {
+    sourceFile: sourcePath,
+    testFile: testPath,
+    mutationResult: mutationResult || null,
+    error: result.error || null
+  };
+}
+
+/**
+ * Create the analyses of the files processed by a batch run
+ * @param {Object} result - Batch result ({ processedFiles, files })
+ * @returns {Array<Object>} Analyses, see createAnalysis()
+ */
+function createBatchAnalyses(result) {
+  const records = new Map((result.files || []).map(file => [file.sourcePath, file]));
+
+  return (result.processedFiles || []).map(processed =>
+    createAnalysis(processed.sourcePath, records.get(processed.sourcePath)?.outputPath, processed));
+}
+
+/**
+ * Writes command output in the selected format
+ */
+class CliOutput {
+  /**
+   * @param {string} format - Output format (see OUTPUT_FORMATS)
+   * @param {Object} stream - Writable stream
+   */
+  constructor(format = 'text', stream = process.stdout) {
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw new Error(`Unknown output format: ${format}. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    this.format = format;
+    this.stream = stream;
+  }
+
+  /**
+   * Whether human-readable text should be printed
+   * @returns {boolean} True in text format
+   */
+  get isText() {
+    return this.format === 'text';
+  }
+
+  /**
+   * Write a progress event (NDJSON only)
+   * File records are described as in the result's `files`.
+   * @param {Object} event - Progress event ({ type, ... })
+   */
+  event(event) {
+    if (this.format !== 'ndjson') return;
+
+    const { file, ...rest } = event;
+    this._writeLine({
+      ...rest,
+      ...(file && { file: describeFile(file) }),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Write the command result (JSON and NDJSON)
+   * @param {Object} result - Result from createResult()
+   */
+  result(result) {
+    if (this.format === 'json') {
+      this.stream.write(`${JSON.stringify(result, null, 2)}\n`);
+    } else if (this.format === 'ndjson') {
+      this._writeLine({ type: 'result', ...result });
+    }
+  }
+
+  /**
+   * Write a command failure (JSON and NDJSON)
+   * @param {string} command - Command name
+   * @param {Error} error - Error that stopped the command
+   */
+  error(command, error) {
+    const result = { command, success: false, error: error.message };
+
+    if (this.format === 'json') {
+      this.stream.write(`${JSON.stringify(result, null, 2)}\n`);
+    } else if (this.format === 'ndjson') {
+      this._writeLine({ type: 'error', ...result });
+    }
+  }
+
+  /**
+   * @param {Object} data - One NDJSON record
+   * @private
+   */
+  _writeLine(data) {
+    this.stream.write(`${JSON.stringify(data)}\n`);
+  }
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  describeFile,
+  createFileRecord,
+  createResult,
+  formatUsage,
+  formatStopReason,
+  parseReportOption,
+  createAnalysis,
+  createBatchAnalyses,
+  CliOutput
+};
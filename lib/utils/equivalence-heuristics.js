@@ -0,0 +1,170 @@
+/**
+ * Static heuristics for equivalent mutants
+ * Cheap checks that recognise mutants no test can kill, run before asking
+ * the LLM. Each returns a verdict or null when it does not apply.
+ */
+
+const { parseExpression } = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const { getOriginalText } = require('./mutant-context');
+const { parseSource } = require('./source-analyzer');
+
+/**
+ * Comparison operators and the operator of the same direction with the other boundary
+ */
+const BOUNDARY_FLIPS = { '<': '<=', '<=': '<', '>': '>=', '>=': '>' };
+
+/**
+ * Strip whitespace so formatting-only differences compare equal
+ * @param {string} code - Code snippet
+ * @returns {string} Normalized code
+ */
+function normalize(code) {
+  return code.replace(/\s+/g, '');
+}
+
+/**
+ * Parse the original text or the replacement of a mutant
+ * @param {string} code - Code snippet
+ * @returns {Object|null} Expression with its operand texts ({ node, left, right }), or null when it is no binary expression
+ */
+function parseBinary(code) {
+  let node;
+  try {
+    node = parseExpression(code, { plugins: ['typescript'] });
+  } catch {
+    return null;
+  }
+  if (node.type !== 'BinaryExpression') return null;
+
+  const text = operand => normalize(code.slice(operand.start, operand.end));
+  return { node, left: text(node.left), right: text(node.right) };
+}
+
+/**
+ * Check for a numeric literal
+ * @param {Object} node - AST node
+ * @param {number} value - Expected value
+ * @returns {boolean} True if node is that number
+ */
+function isNumber(node, value) {
+  return node.type === 'NumericLiteral' && node.value === value;
+}
+
+/**
+ * Mutant that reproduces the original code
+ * @param {Object} mutant - Survived mutant
+ * @param {string} original - Original text
+ * @returns {Object|null} Verdict
+ */
+function sameCode(mutant, original) {
+  return normalize(original) === normalize(mutant.replacement)
+    ? { confidence: 1, reason: 'The replacement is the original code' }
+    : null;
+}
+
+/**
+ * Arithmetic mutant whose right operand is neutral for both operators:
+ * `x * 1` and `x / 1`, or `x + 0` and `x - 0`
+ * @param {Object} mutant - Survived mutant
+ * @param {string} original - Original text
+ * @returns {Object|null} Verdict
+ */
+function neutralOperand(mutant, original) {
+  const before = parseBinary(original);
+  const after = parseBinary(mutant.replacement);
+  if (!before || !after || before.left !== after.left || before.right !== after.right) return null;
+
+  const operators = [before.node.operator, after.node.operator].sort().join(' ');
+  if (operators === '* /' && isNumber(before.node.right, 1)) {
+    return { confidence: 1, reason: 'Multiplying and dividing by 1 give the same result' };
+  }
+  // Differs only for strings, which `+` concatenates
+  if (operators === '+ -' && isNumber(before.node.right, 0)) {
+    return { confidence: 0.9, reason: 'Adding and subtracting 0 give the same number' };
+  }
+
+  return null;
+}
+
+/**
+ * Boundary flip in the test of a clamp whose branches are the compared values,
+ * such as `total > 100 ? 100 : total` mutated to `total >= 100`: when the
+ * values are equal either branch gives the same result
+ * @param {Object} mutant - Survived mutant
+ * @param {string} original - Original text
+ * @param {Object} context - Context ({ sourceCode, fileName })
+ * @returns {Object|null} Verdict
+ */
+function clampBoundary(mutant, original, context) {
+  const before = parseBinary(original);
+  const after = parseBinary(mutant.replacement);
+  if (!before || !after || before.left !== after.left || before.right !== after.right) return null;
+  if (BOUNDARY_FLIPS[before.node.operator] !== after.node.operator) return null;
+
+  const conditional = findConditional(context, mutant.location.start);
+  if (!conditional) return null;
+
+  const text = node => normalize(context.sourceCode.slice(node.start, node.end));
+  const branches = [text(conditional.consequent), text(conditional.alternate)].sort();
+  const operands = [before.left, before.right].sort();
+  if (branches[0] !== operands[0] || branches[1] !== operands[1]) return null;
+
+  // Loose comparison of mixed types such as null >= 0 can still tell them apart
+  return { confidence: 0.9, reason: 'Both branches give the same value when the compared values are equal' };
+}
+
+/**
+ * Find the conditional expression whose test starts at a location
+ * @param {Object} context - Context ({ sourceCode, fileName })
+ * @param {Object} start - Mutant start ({ line, column }, 1-based)
+ * @returns {Object|null} ConditionalExpression node
+ */
+function findConditional(context, start) {
+  let ast;
+  try {
+    ast = parseSource(context.sourceCode, { fileName: context.fileName });
+  } catch {
+    return null;
+  }
+
+  let found = null;
+  traverse(ast, {
+    ConditionalExpression(path) {
+      const { loc } = path.node.test;
+      if (loc.start.line === start.line && loc.start.column + 1 === start.column) {
+        found = path.node;
+        path.stop();
+      }
+    }
+  });
+
+  return found;
+}
+
+const HEURISTICS = [sameCode, neutralOperand, clampBoundary];
+
+/**
+ * Check a survived mutant against the static heuristics
+ * @param {string} sourceCode - Original source code
+ * @param {Object} mutant - Survived mutant ({ location, replacement })
+ * @param {Object} options - Options
+ * @param {string} options.fileName - File name, used to pick parser plugins
+ * @returns {Object|null} Verdict ({ confidence, reason }), or null when no heuristic applies
+ */
+function detectEquivalentMutant(sourceCode, mutant, options = {}) {
+  const original = getOriginalText(sourceCode, mutant.location);
+  if (original === null || mutant.replacement === undefined) return null;
+
+  const context = { sourceCode, fileName: options.fileName };
+  for (const heuristic of HEURISTICS) {
+    const verdict = heuristic(mutant, original, context);
+    if (verdict) return verdict;
+  }
+
+  return null;
+}
+
+module.exports = {
+  detectEquivalentMutant
+};
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Module format detection
+ * Works out whether a source file is JavaScript or TypeScript and whether it
+ * runs as CommonJS or as an ES module, which decides the test file extension,
+ * the import syntax in generated tests and the Jest setup used for mutation runs.
+ */
+
+const TYPESCRIPT_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts'];
+const ESM_EXTENSIONS = ['.mjs', '.mts'];
+const COMMONJS_EXTENSIONS = ['.cjs', '.cts'];
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', ...TYPESCRIPT_EXTENSIONS];
+
+const packageTypeCache = new Map();
+
+/**
+ * Detect source language from file extension
+ * @param {string} filePath - Source file path
+ * @returns {string} 'typescript' or 'javascript'
+ */
+function detectLanguage(filePath) {
+  return TYPESCRIPT_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) ? 'typescript' : 'javascript';
+}
+
+/**
+ * Detect module system from file extension and the nearest package.json
+ * @param {string} filePath - Source file path
+ * @returns {string|null} 'esm', 'commonjs', or null when only the code itself can tell
+ */
+function detectModuleSystem(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (ESM_EXTENSIONS.includes(extension)) return 'esm';
+  if (COMMONJS_EXTENSIONS.includes(extension)) return 'commonjs';
+
+  return findPackageType(filePath) === 'module' ? 'esm' : null;
+}
+
+/**
+ * Find the "type" field of the nearest package.json
+ * @param {string} filePath - File path to start searching from
+ * @returns {string|null} Package type ('module' or 'commonjs'), or null if no package.json
+ */
+function findPackageType(filePath) {
+  let dir = path.dirname(path.resolve(filePath));
+  const visited = [];
+
+  while (true) {
+    if (packageTypeCache.has(dir)) {
+      const type = packageTypeCache.get(dir);
+      visited.forEach(entry => packageTypeCache.set(entry, type));
+      return type;
+    }
+    visited.push(dir);
+
+    const packagePath = path.join(dir, 'package.json');
+    if (fs.existsSync(packagePath)) {
+      let type = 'commonjs';
+      try {
+        type = JSON.parse(fs.readFileSync(packagePath, 'utf-8')).type || 'commonjs';
+      } catch {
+        // Unreadable package.json: Node treats the package as CommonJS
+      }
+      visited.forEach(entry => packageTypeCache.set(entry, type));
+      return type;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      visited.forEach(entry => packageTypeCache.set(entry, null));
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Check whether a file is JavaScript or TypeScript source that tests can be generated for
+ * Test files and type declarations are not.
+ * @param {string} filePath - File path
+ * @returns {boolean} True for source files
+ */
+function isSourceFile(filePath) {
+  const fileName = path.basename(filePath).toLowerCase();
+  if (/\.(test|spec)\.[^.]+$/.test(fileName) || /\.d\.[mc]?ts$/.test(fileName)) return false;
+  return SOURCE_EXTENSIONS.includes(path.extname(fileName));
+}
+
+/**
+ * Get test file extension for a source file (e.g. '.test.ts' for 'utils.ts')
+ * @param {string} filePath - Source file path
+ * @returns {string} Test file suffix including '.test'
+ */
+function getTestExtension(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  return `.test${extension && extension !== '.json' ? extension : '.js'}`;
+}
+
+/**
+ * Get test file name for a source file
+ * @param {string} filePath - Source file path
+ * @returns {string} Test file name (e.g. 'calculator.test.mjs')
+ */
+function getTestFileName(filePath) {
+  const fileName = path.basename(filePath);
+  return fileName.replace(/\.[^.]+$/, '') + getTestExtension(filePath);
+}
+
+/**
+ * Format a module specifier for importing a source file from a test
+ * Native ES modules need the file extension; CommonJS and TypeScript
+ * (resolved by the Jest transform) do not.
+ * @param {string} specifier - Relative path to the source file
+ * @param {Object} format - Module format
+ * @param {string} format.language - 'javascript' or 'typescript'
+ * @param {string} format.moduleSystem - 'esm' or 'commonjs'
+ * @returns {string} Import specifier
+ */
+function formatImportSpecifier(specifier, { language = 'javascript', moduleSystem = 'commonjs' } = {}) {
+  if (language === 'typescript') {
+    return specifier.replace(/\.(ts|tsx|mts|cts)$/, '');
+  }
+  if (moduleSystem === 'esm') {
+    return specifier;
+  }
+  return specifier.replace(/\.(js|jsx)$/, '');
+}
+
+/**
+ * Clear the package.json lookup cache
+ */
+function clearCache() {
+  packageTypeCache.clear();
+}
+
+module.exports = {
+  detectLanguage,
+  detectModuleSystem,
+  findPackageType,
+  isSourceFile,
+  getTestExtension,
+  getTestFileName,
+  formatImportSpecifier,
+  clearCache
+};
@@ -0,0 +1,226 @@
+/**
+ * Survived-mutant context for improvement prompts
+ * Renders each mutant as a unified diff of the original and mutated source
+ * lines, attributes it to its enclosing function, and picks which mutants fit
+ * in the prompt's token budget.
+ */
+
+/**
+ * Defaults for rendering and selection
+ */
+const DEFAULT_OPTIONS = {
+  contextLines: 2, // Unchanged source lines shown around each mutation
+  tokenBudget: 2000 // Approximate prompt tokens spent on mutant snippets
+};
+
+/**
+ * Label for mutants outside any named function
+ */
+const MODULE_SCOPE = '(module scope)';
+
+/**
+ * Rough token count, matching the adapters' cost estimation
+ * @param {string} text - Prompt text
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Find the innermost function containing a line
+ * @param {Array<Object>} functions - Functions from SourceFile.analyze() ({ name, className, line, endLine })
+ * @param {number} line - 1-based line number
+ * @returns {Object|null} Function, or null at module scope
+ */
+function findEnclosingFunction(functions, line) {
+  let enclosing = null;
+
+  (functions || []).forEach(fn => {
+    if (fn.line > line || fn.endLine < line) return;
+    if (!enclosing || fn.endLine - fn.line < enclosing.endLine - enclosing.line) {
+      enclosing = fn;
+    }
+  });
+
+  return enclosing;
+}
+
+/**
+ * Get a display name for a function, qualified with its class
+ * @param {Object|null} fn - Function description
+ * @returns {string} Name such as `Calculator.divide`
+ */
+function getFunctionLabel(fn) {
+  if (!fn) return MODULE_SCOPE;
+  return fn.className ? `${fn.className}.${fn.name}` : fn.name;
+}
+
+/**
+ * Get the original source text a mutant replaces
+ * @param {string} sourceCode - Original source code
+ * @param {Object} location - Mutant location ({ start, end }, 1-based, end exclusive)
+ * @returns {string|null} Original text, or null when the location is incomplete
+ */
+function getOriginalText(sourceCode, location) {
+  const { start, end } = location || {};
+  if (!start || !end || start.column === undefined || end.column === undefined) return null;
+
+  const lines = sourceCode.split('\n');
+  if (start.line < 1 || end.line > lines.length) return null;
+
+  const original = lines.slice(start.line - 1, end.line);
+  original[original.length - 1] = original[original.length - 1].slice(0, end.column - 1);
+  original[0] = original[0].slice(start.column - 1);
+
+  return original.join('\n');
+}
+
+/**
+ * Create a unified diff of the source lines a mutant changes
+ * Stryker locations are 1-based for lines and columns, end exclusive.
+ * @param {string} sourceCode - Original source code
+ * @param {Object} mutant - Mutant ({ location: { start, end }, replacement })
+ * @param {number} contextLines - Unchanged lines around the change
+ * @returns {string|null} Diff text, or null when the location is incomplete
+ */
+function createMutantDiff(sourceCode, mutant, contextLines = DEFAULT_OPTIONS.contextLines) {
+  const { start, end } = mutant.location || {};
+  if (!start || !end || start.column === undefined || end.column === undefined || mutant.replacement === undefined) {
+    return null;
+  }
+
+  const lines = sourceCode.split('\n');
+  if (start.line < 1 || end.line > lines.length) return null;
+
+  const original = lines.slice(start.line - 1, end.line);
+  const prefix = original[0].slice(0, start.column - 1);
+  const suffix = original[original.length - 1].slice(end.column - 1);
+  const mutated = `${prefix}${mutant.replacement}${suffix}`.split('\n');
+
+  const firstLine = Math.max(1, start.line - contextLines);
+  const lastLine = Math.min(lines.length, end.line + contextLines);
+  const before = lines.slice(firstLine - 1, start.line - 1);
+  const after = lines.slice(end.line, lastLine);
+
+  return [
+    `@@ -${firstLine},${before.length + original.length + after.length} +${firstLine},${before.length + mutated.length + after.length} @@`,
+    ...before.map(line => ` ${line}`),
+    ...original.map(line => `-${line}`),
+    ...mutated.map(line => `+${line}`),
+    ...after.map(line => ` ${line}`)
+  ].join('\n');
+}
+
+/**
+ * Render one mutant for the prompt
+ * @param {string} sourceCode - Original source code
+ * @param {Object} mutant - Survived mutant
+ * @param {number} contextLines - Unchanged lines around the change
+ * @returns {string} Heading line plus a diff block when the location allows one
+ */
+function renderMutant(sourceCode, mutant, contextLines) {
+  const line = mutant.location?.start?.line;
+  let text = `- ${mutant.mutatorName} at line ${line}`;
+  if (mutant.replacement !== undefined) text += `: replaced with \`${mutant.replacement}\``;
+
+  const diff = createMutantDiff(sourceCode, mutant, contextLines);
+  return diff ? `${text}\n\`\`\`diff\n${diff}\n\`\`\`` : text;
+}
+
+/**
+ * Choose mutants that fit the token budget
+ * Functions take turns so every function with survivors is represented, and
+ * within a function mutators not yet shown come first.
+ * @param {Array<Object>} entries - Rendered mutants ({ mutant, functionName, text, tokens })
+ * @param {number} tokenBudget - Tokens available
+ * @returns {Array<Object>} Selected entries (at least one when any exist)
+ */
+function selectWithinBudget(entries, tokenBudget) {
+  const queues = new Map();
+  entries.forEach(entry => {
+    if (!queues.has(entry.functionName)) queues.set(entry.functionName, []);
+    queues.get(entry.functionName).push(entry);
+  });
+
+  // Functions with the most survivors first
+  const order = [...queues.keys()].sort((a, b) => queues.get(b).length - queues.get(a).length);
+  const shownMutators = new Map(order.map(name => [name, new Set()]));
+  const selected = [];
+  let remaining = tokenBudget;
+
+  while (order.some(name => queues.get(name).length > 0)) {
+    order.forEach(name => {
+      const queue = queues.get(name);
+      if (queue.length === 0) return;
+
+      const seen = shownMutators.get(name);
+      const index = Math.max(0, queue.findIndex(entry => !seen.has(entry.mutant.mutatorName)));
+      const [entry] = queue.splice(index, 1);
+
+      if (entry.tokens <= remaining || selected.length === 0) {
+        selected.push(entry);
+        seen.add(entry.mutant.mutatorName);
+        remaining -= entry.tokens;
+      }
+    });
+  }
+
+  return selected;
+}
+
+/**
+ * Build the survived-mutant section of an improvement prompt
+ * @param {string} sourceCode - Original source code
+ * @param {Array<Object>} survivedMutants - Survived mutants
+ * @param {Object} options - Options
+ * @param {Array<Object>} options.functions - Functions from SourceFile.analyze(), for grouping
+ * @param {number} options.tokenBudget - Approximate tokens for mutant snippets
+ * @param {number} options.contextLines - Unchanged lines around each change
+ * @returns {{text: string, groups: Array<Object>, selected: number, omitted: number}} Prompt section and selection summary
+ */
+function describeSurvivedMutants(sourceCode, survivedMutants, options = {}) {
+  const { functions, tokenBudget, contextLines } = { ...DEFAULT_OPTIONS, ...options };
+
+  const entries = survivedMutants.map(mutant => {
+    const fn = findEnclosingFunction(functions, mutant.location?.start?.line);
+    const text = renderMutant(sourceCode, mutant, contextLines);
+    return { mutant, fn, functionName: getFunctionLabel(fn), text, tokens: estimateTokens(text) };
+  });
+
+  const selected = selectWithinBudget(entries, tokenBudget);
+
+  // Present groups and mutants in source order
+  const groups = [];
+  selected
+    .sort((a, b) => (a.mutant.location?.start?.line || 0) - (b.mutant.location?.start?.line || 0))
+    .forEach(entry => {
+      let group = groups.find(candidate => candidate.functionName === entry.functionName);
+      if (!group) {
+        group = { functionName: entry.functionName, fn: entry.fn, entries: [] };
+        groups.push(group);
+      }
+      group.entries.push(entry);
+    });
+
+  const text = groups.map(group => {
+    const lines = group.fn ? ` (lines ${group.fn.line}-${group.fn.endLine})` : '';
+    return `### ${group.functionName}${lines}\n${group.entries.map(entry => entry.text).join('\n')}\n`;
+  }).join('\n');
+
+  return {
+    text,
+    groups: groups.map(group => ({ functionName: group.functionName, mutants: group.entries.map(entry => entry.mutant) })),
+    selected: selected.length,
+    omitted: survivedMutants.length - selected.length
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  estimateTokens,
+  findEnclosingFunction,
+  getOriginalText,
+  createMutantDiff,
+  describeSurvivedMutants
+};
@@ -0,0 +1,75 @@
+/**
+ * LLM token pricing
+ * Prices are USD per 1K tokens, as `{ input, output }` for prompt and
+ * completion tokens. `llm.pricing` overrides or extends the defaults per model;
+ * a flat `{ input, output }` applies to every model.
+ */
+
+/**
+ * List prices of the built-in providers' models, per 1K tokens
+ * Keys match model names by prefix, the longest first, so dated snapshots
+ * such as `gpt-4o-2024-08-06` use their family's price.
+ */
+const DEFAULT_PRICES = {
+  'gpt-4': { input: 0.03, output: 0.06 },
+  'gpt-4-turbo': { input: 0.01, output: 0.03 },
+  'gpt-4o': { input: 0.0025, output: 0.01 },
+  'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+  'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
+  'claude-opus': { input: 0.015, output: 0.075 },
+  'claude-sonnet': { input: 0.003, output: 0.015 },
+  'claude-haiku': { input: 0.001, output: 0.005 }
+};
+
+/**
+ * Find the price of a model
+ * @param {string} model - Model name
+ * @param {Object} pricing - Configured prices (`llm.pricing`), by model or flat
+ * @returns {Object|null} Price ({ input, output } per 1K tokens), or null for unknown models
+ */
+function getPrice(model, pricing = {}) {
+  if (pricing && typeof pricing.input === 'number' && typeof pricing.output === 'number') {
+    return { input: pricing.input, output: pricing.output };
+  }
+
+  const prices = { ...DEFAULT_PRICES, ...pricing };
+  if (!model) return null;
+  if (prices[model]) return prices[model];
+
+  const prefix = Object.keys(prices)
+    .filter(key => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? prices[prefix] : null;
+}
+
+/**
+ * Price a number of prompt and completion tokens
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Prompt (input) tokens
+ * @param {number} completionTokens - Completion (output) tokens
+ * @param {Object} pricing - Configured prices (`llm.pricing`)
+ * @returns {number|null} Cost in USD, or null when the model has no price
+ */
+function priceTokens(model, promptTokens, completionTokens, pricing = {}) {
+  const price = getPrice(model, pricing);
+  if (!price) return null;
+
+  return (promptTokens / 1000) * price.input + (completionTokens / 1000) * price.output;
+}
+
+/**
+ * Rough token count of a text, for estimates and providers that report no usage
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  getPrice,
+  priceTokens,
+  estimateTokens
+};
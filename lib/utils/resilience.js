@@ -0,0 +1,358 @@
+/**
+ * Resilience of LLM calls
+ * Retries failed requests with exponential backoff (honoring `Retry-After`),
+ * limits requests and tokens per minute on the client side, times out slow
+ * attempts and stops calling a provider that keeps failing. The adapter
+ * factory shares one instance per provider and model, so concurrent batch
+ * workers draw from the same limits and see the same circuit.
+ */
+
+const WINDOW = 60000;
+
+const DEFAULT_OPTIONS = {
+  timeout: 120000,
+  retry: { maxRetries: 3, baseDelay: 1000, maxDelay: 30000 },
+  rateLimit: { requestsPerMinute: null, tokensPerMinute: null },
+  circuitBreaker: { failureThreshold: 5, resetTimeout: 30000 }
+};
+
+/**
+ * Statuses worth retrying besides 5xx: request timeout, conflict and rate limit
+ */
+const RETRYABLE_STATUSES = [408, 409, 429];
+
+/**
+ * Network error codes worth retrying
+ */
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+/**
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {Headers|Object} headers - Response headers (a Headers instance or a plain object)
+ * @param {string} name - Lower-case header name
+ * @returns {string|null} Header value
+ */
+function getHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+/**
+ * Read how long a provider asks clients to wait before retrying
+ * Understands `retry-after-ms` and `retry-after` in seconds or as an HTTP date.
+ * @param {Headers|Object} headers - Response headers
+ * @returns {number|null} Delay in milliseconds, or null when the headers name none
+ */
+function parseRetryAfter(headers) {
+  const ms = Number(getHeader(headers, 'retry-after-ms'));
+  if (ms > 0) return ms;
+
+  const value = getHeader(headers, 'retry-after');
+  if (value === null || value === undefined || value === '') return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Check whether a failed request may succeed when sent again
+ * @param {Error} error - Request error (`status` from the adapters, `code` for network errors)
+ * @returns {boolean} True for rate limits, server errors, timeouts and dropped connections
+ */
+function isRetryable(error) {
+  if (error.code === 'CIRCUIT_OPEN') return false;
+
+  if (typeof error.status === 'number') {
+    return RETRYABLE_STATUSES.includes(error.status) || error.status >= 500;
+  }
+
+  const code = error.code || error.cause?.code;
+  return RETRYABLE_CODES.includes(code) ||
+    ['APIConnectionError', 'APIConnectionTimeoutError'].includes(error.constructor?.name);
+}
+
+/**
+ * Client-side rate limiter over a sliding one-minute window
+ * Requests wait until the requests and tokens of the last minute leave room
+ * for them. A request larger than the token limit runs alone in an empty
+ * window rather than never.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - Limits ({ requestsPerMinute, tokensPerMinute }), null for none
+   */
+  constructor(options = {}) {
+    this.requestsPerMinute = options.requestsPerMinute ?? null;
+    this.tokensPerMinute = options.tokensPerMinute ?? null;
+    this.entries = [];
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Wait for room for a request
+   * @param {number} tokens - Estimated tokens of the request
+   * @returns {Promise<Object>} Window entry of the request, for settle()
+   */
+  async acquire(tokens = 0) {
+    for (;;) {
+      const wait = this.getWait(tokens);
+      if (wait <= 0) {
+        const entry = { time: Date.now(), tokens };
+        this.entries.push(entry);
+        return entry;
+      }
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * Replace a request's estimate with the tokens it actually used
+   * @param {Object} entry - Window entry from acquire()
+   * @param {number} tokens - Tokens used
+   */
+  settle(entry, tokens) {
+    if (entry && tokens > 0) {
+      entry.tokens = tokens;
+    }
+  }
+
+  /**
+   * Hold every request back, such as after a rate limit response
+   * @param {number} ms - Pause in milliseconds
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  /**
+   * Get how long a request has to wait for room in the window
+   * @param {number} tokens - Estimated tokens of the request
+   * @returns {number} Wait in milliseconds, 0 when it can be sent now
+   */
+  getWait(tokens = 0) {
+    const now = Date.now();
+    this.entries = this.entries.filter(entry => entry.time > now - WINDOW);
+
+    let wait = Math.max(0, this.pausedUntil - now);
+    const expiry = entry => entry.time + WINDOW - now;
+
+    if (this.requestsPerMinute !== null && this.entries.length >= this.requestsPerMinute) {
+      wait = Math.max(wait, expiry(this.entries[this.entries.length - this.requestsPerMinute]));
+    }
+
+    if (this.tokensPerMinute !== null) {
+      // Wait for the oldest requests to leave until the new one fits
+      let used = this.entries.reduce((sum, entry) => sum + entry.tokens, 0);
+      let expired = 0;
+      while (expired < this.entries.length && used + tokens > this.tokensPerMinute) {
+        used -= this.entries[expired].tokens;
+        expired++;
+      }
+      if (expired > 0) {
+        wait = Math.max(wait, expiry(this.entries[expired - 1]));
+      }
+    }
+
+    return wait;
+  }
+}
+
+/**
+ * Circuit breaker failing calls fast while a provider is down
+ * Opens after `failureThreshold` consecutive server errors, timeouts or
+ * connection failures. After `resetTimeout` one trial call is let through:
+ * success closes the circuit, failure opens it again.
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Options ({ failureThreshold: 0 or null to disable, resetTimeout: ms })
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold ?? null;
+    this.resetTimeout = options.resetTimeout ?? 30000;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trial = false;
+  }
+
+  /**
+   * Let a call through, or throw while the circuit is open
+   * @throws {Error} With code 'CIRCUIT_OPEN' and `retryAfter` (ms)
+   */
+  check() {
+    if (this.state === 'closed') return;
+
+    const remaining = this.openedAt + this.resetTimeout - Date.now();
+    if (this.state === 'open' && remaining <= 0) {
+      this.state = 'half-open';
+      this.trial = false;
+    }
+
+    if (this.state === 'half-open' && !this.trial) {
+      this.trial = true;
+      return;
+    }
+
+    const error = new Error(`LLM provider circuit is open after ${this.failures} consecutive failures; ` +
+      `retry in ${Math.ceil(Math.max(remaining, 0) / 1000)}s`);
+    error.code = 'CIRCUIT_OPEN';
+    error.retryAfter = Math.max(remaining, 0);
+    throw error;
+  }
+
+  /**
+   * Record an answered call
+   */
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trial = false;
+  }
+
+  /**
+   * Record a failed call, opening the circuit at the threshold or after a failed trial
+   */
+  recordFailure() {
+    this.failures++;
+    this.trial = false;
+
+    if (this.failureThreshold && (this.state === 'half-open' || this.failures >= this.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+/**
+ * Resilience layer around the requests of LLM adapters
+ */
+class LLMResilience {
+  /**
+   * @param {Object} options - `llm.resilience` ({ timeout, retry, rateLimit, circuitBreaker })
+   * @param {Object} logger - Logger instance
+   */
+  constructor(options = {}, logger = console) {
+    this.timeout = options?.timeout ?? DEFAULT_OPTIONS.timeout;
+    this.retry = { ...DEFAULT_OPTIONS.retry, ...options?.retry };
+    this.rateLimiter = new RateLimiter({ ...DEFAULT_OPTIONS.rateLimit, ...options?.rateLimit });
+    this.circuitBreaker = new CircuitBreaker({ ...DEFAULT_OPTIONS.circuitBreaker, ...options?.circuitBreaker });
+    this.logger = logger;
+  }
+
+  /**
+   * Send a request, retrying it while it fails with a retryable error
+   * Each attempt waits for the rate limiter and is aborted after `timeout` ms.
+   * Rate limit responses pause every request sharing this layer. A
+   * `Retry-After` longer than `retry.maxDelay` is not waited for.
+   * @param {Function} request - Sends one attempt: (signal) => Promise; pass the AbortSignal to the HTTP client
+   * @param {Object} options - Options ({ task, estimatedTokens, getTokens: () => tokens the request used })
+   * @returns {Promise<*>} Result of the first successful attempt
+   * @throws {Error} The last error, with `attempts` (and `retryAfter` when the provider named a delay), once retries are exhausted or the error is not retryable
+   */
+  async execute(request, options = {}) {
+    for (let attempt = 1; ; attempt++) {
+      this.circuitBreaker.check();
+      const entry = await this.rateLimiter.acquire(options.estimatedTokens || 0);
+
+      try {
+        const result = await this._attempt(request);
+        this.circuitBreaker.recordSuccess();
+        this.rateLimiter.settle(entry, options.getTokens ? options.getTokens(result) : 0);
+        return result;
+      } catch (error) {
+        const retryable = isRetryable(error);
+        const rateLimited = error.status === 429;
+
+        // Rate limits and client errors mean the provider is up
+        if (retryable && !rateLimited) {
+          this.circuitBreaker.recordFailure();
+        } else {
+          this.circuitBreaker.recordSuccess();
+        }
+
+        const retryAfter = parseRetryAfter(error.headers);
+        if (!retryable || attempt > this.retry.maxRetries || retryAfter > this.retry.maxDelay) {
+          error.attempts = attempt;
+          if (retryAfter !== null) error.retryAfter = retryAfter;
+          throw error;
+        }
+
+        const delay = retryAfter ?? this._getBackoff(attempt);
+        if (rateLimited) {
+          this.rateLimiter.pause(delay);
+        }
+
+        this.logger.warn('LLM request failed, retrying', {
+          task: options.task,
+          attempt,
+          status: error.status,
+          delay,
+          error: error.message
+        });
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * @param {Function} request - Sends one attempt
+   * @returns {Promise<*>} Result of the attempt
+   * @throws {Error} With code 'ETIMEDOUT' when the attempt takes longer than `timeout`
+   * @private
+   */
+  async _attempt(request) {
+    if (!this.timeout) return request(undefined);
+
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`LLM request timed out after ${this.timeout}ms`);
+        error.code = 'ETIMEDOUT';
+        controller.abort(error);
+        reject(error);
+      }, this.timeout);
+    });
+
+    try {
+      return await Promise.race([request(controller.signal), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Exponential backoff with jitter: 50-100% of baseDelay * 2^(attempt - 1), capped at maxDelay
+   * @param {number} attempt - Failed attempt, from 1
+   * @returns {number} Delay in milliseconds
+   * @private
+   */
+  _getBackoff(attempt) {
+    const delay = Math.min(this.retry.maxDelay, this.retry.baseDelay * 2 ** (attempt - 1));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  LLMResilience,
+  RateLimiter,
+  CircuitBreaker,
+  parseRetryAfter,
+  isRetryable
+};
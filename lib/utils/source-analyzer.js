@@ -0,0 +1,517 @@
+const { parse } = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+
+/**
+ * Parser-backed source analysis
+ * Describes the public API of a module (exports, classes, functions, params,
+ * thrown errors) and its cyclomatic complexity using a Babel AST.
+ */
+
+/**
+ * Node types that add a branch to the cyclomatic complexity
+ */
+const DECISION_POINTS = [
+  'IfStatement',
+  'ConditionalExpression',
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement',
+  'WhileStatement',
+  'DoWhileStatement',
+  'CatchClause'
+];
+
+/**
+ * Node types counted as conditionals in file metrics
+ */
+const CONDITIONALS = [
+  'IfStatement',
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement',
+  'WhileStatement',
+  'DoWhileStatement',
+  'SwitchStatement'
+];
+
+/**
+ * Parse source code into a Babel AST
+ * @param {string} content - Source code
+ * @param {Object} options - Parse options
+ * @param {string} options.fileName - File name, used to pick parser plugins
+ * @returns {Object} Babel File node
+ */
+function parseSource(content, options = {}) {
+  const fileName = options.fileName || '';
+  const isTypeScript = /\.(ts|tsx|mts|cts)$/.test(fileName);
+  const isJsx = /\.(jsx|tsx)$/.test(fileName) || !isTypeScript;
+
+  const plugins = ['decorators-legacy'];
+  if (isTypeScript) plugins.push('typescript');
+  if (isJsx) plugins.push('jsx');
+
+  return parse(content, {
+    sourceType: 'unambiguous',
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    errorRecovery: true,
+    plugins
+  });
+}
+
+/**
+ * Analyze source code
+ * @param {string} content - Source code
+ * @param {Object} options - Analysis options
+ * @param {string} options.fileName - File name, used to pick parser plugins
+ * @returns {Object|null} Analysis, or null when the code cannot be parsed
+ */
+function analyzeSource(content, options = {}) {
+  let ast;
+  try {
+    ast = parseSource(content, options);
+  } catch {
+    return null;
+  }
+
+  const text = (node) => content.slice(node.start, node.end);
+  const functions = [];
+  const classes = [];
+  const counts = { conditionals: 0, decisionPoints: 0 };
+  let usesCommonJS = false;
+  let usesESM = false;
+
+  traverse(ast, {
+    Function(path) {
+      const info = describeFunction(path, text);
+      if (info) functions.push(info);
+    },
+    Class(path) {
+      classes.push({
+        name: path.node.id ? path.node.id.name : inferName(path) || 'default',
+        line: path.node.loc.start.line,
+        superClass: path.node.superClass ? text(path.node.superClass) : null,
+        methods: [],
+        exported: false
+      });
+    },
+    enter(path) {
+      if (CONDITIONALS.includes(path.node.type)) {
+        counts.conditionals++;
+        if (path.node.type === 'IfStatement' && path.node.alternate) counts.conditionals++;
+      }
+      if (isDecisionPoint(path.node)) counts.decisionPoints++;
+    },
+    ModuleDeclaration() {
+      usesESM = true;
+    },
+    MemberExpression(path) {
+      if (isModuleExports(path.node) || isIdentifier(path.node.object, 'exports')) usesCommonJS = true;
+    },
+    CallExpression(path) {
+      if (isIdentifier(path.node.callee, 'require')) usesCommonJS = true;
+    }
+  });
+
+  // Attach methods to their classes
+  functions.forEach(fn => {
+    if (!fn.className) return;
+    const owner = classes.find(cls => cls.name === fn.className);
+    if (owner) owner.methods.push(fn);
+  });
+
+  const exportsList = collectExports(ast.program, text);
+  const declared = collectTopLevelDeclarations(ast.program);
+
+  exportsList.forEach(entry => {
+    const local = entry.local && declared[entry.local];
+    if (!entry.kind) entry.kind = local ? local.kind : 'value';
+
+    if (entry.local) {
+      classes.filter(cls => cls.name === entry.local).forEach(cls => { cls.exported = true; });
+      functions
+        .filter(fn => !fn.className && fn.name === entry.local)
+        .forEach(fn => { fn.exported = true; });
+    }
+  });
+
+  return {
+    moduleType: usesESM ? 'esm' : usesCommonJS ? 'commonjs' : 'unknown',
+    exports: exportsList,
+    classes,
+    functions,
+    metrics: {
+      functions: functions.length,
+      classes: classes.length,
+      conditionals: counts.conditionals,
+      cyclomatic: counts.decisionPoints + 1,
+      maxFunctionComplexity: functions.reduce((max, fn) => Math.max(max, fn.complexity), 0)
+    },
+    parseErrors: (ast.errors || []).map(error => error.message)
+  };
+}
+
+/**
+ * Describe a function node, or return null for anonymous callbacks
+ * @param {NodePath} path - Function path
+ * @param {Function} text - Source slice helper
+ * @returns {Object|null} Function description
+ */
+function describeFunction(path, text) {
+  const node = path.node;
+  if (node.type === 'TSDeclareMethod') return null;
+
+  const name = getFunctionName(path, text);
+  if (!name) return null;
+
+  const classPath = path.findParent(parent => parent.isClass());
+  const isClassMember = node.type === 'ClassMethod' || node.type === 'ClassPrivateMethod' ||
+    (path.parentPath.isClassProperty() || path.parentPath.isClassPrivateProperty());
+
+  return {
+    name,
+    line: node.loc.start.line,
+    endLine: node.loc.end.line,
+    signature: text({ start: node.start, end: node.body.start }).replace(/\s*(=>)?\s*$/, ''),
+    kind: getFunctionKind(node),
+    className: isClassMember && classPath ? (classPath.node.id ? classPath.node.id.name : inferName(classPath) || 'default') : null,
+    async: !!node.async,
+    generator: !!node.generator,
+    static: !!(node.static || (isClassMember && path.parent.static)),
+    params: node.params.map(param => describeParam(param, text)),
+    throws: collectThrows(path, text),
+    complexity: computeComplexity(path),
+    exported: false
+  };
+}
+
+/**
+ * Derive a function's name from its node or its surroundings
+ * @param {NodePath} path - Function path
+ * @param {Function} text - Source slice helper
+ * @returns {string|null} Name
+ */
+function getFunctionName(path, text) {
+  const node = path.node;
+
+  if (node.key) return getKeyName(node.key, node.computed, text);
+  if (node.id) return node.id.name;
+
+  return inferName(path, text);
+}
+
+/**
+ * Infer a name for an anonymous function or class from where it is assigned
+ * @param {NodePath} path - Function or class path
+ * @param {Function} text - Source slice helper
+ * @returns {string|null} Name
+ */
+function inferName(path, text = () => '') {
+  const parent = path.parent;
+
+  switch (parent.type) {
+    case 'VariableDeclarator':
+      return parent.init === path.node && parent.id.type === 'Identifier' ? parent.id.name : null;
+    case 'ObjectProperty':
+    case 'ClassProperty':
+    case 'ClassPrivateProperty':
+      return parent.value === path.node ? getKeyName(parent.key, parent.computed, text) : null;
+    case 'AssignmentExpression':
+      if (parent.right !== path.node) return null;
+      if (parent.left.type === 'Identifier') return parent.left.name;
+      if (parent.left.type === 'MemberExpression') {
+        return isModuleExports(parent.left) ? null : getKeyName(parent.left.property, parent.left.computed, text);
+      }
+      return null;
+    case 'ExportDefaultDeclaration':
+      return 'default';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the name of a property key
+ * @param {Object} key - Key node
+ * @param {boolean} computed - Whether the key is computed
+ * @param {Function} text - Source slice helper
+ * @returns {string} Key name
+ */
+function getKeyName(key, computed, text) {
+  if (computed) return `[${text(key)}]`;
+  if (key.type === 'Identifier') return key.name;
+  if (key.type === 'PrivateName') return `#${key.id.name}`;
+  if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+  return text(key);
+}
+
+/**
+ * Get function kind
+ * @param {Object} node - Function node
+ * @returns {string} Kind ('function', 'arrow', 'method', 'getter', 'setter', 'constructor')
+ */
+function getFunctionKind(node) {
+  if (node.kind === 'constructor') return 'constructor';
+  if (node.kind === 'get') return 'getter';
+  if (node.kind === 'set') return 'setter';
+  if (node.type === 'ClassMethod' || node.type === 'ClassPrivateMethod' || node.type === 'ObjectMethod') return 'method';
+  if (node.type === 'ArrowFunctionExpression') return 'arrow';
+  return 'function';
+}
+
+/**
+ * Describe a function parameter
+ * @param {Object} param - Parameter node
+ * @param {Function} text - Source slice helper
+ * @returns {Object} Parameter description
+ */
+function describeParam(param, text) {
+  if (param.type === 'TSParameterProperty') {
+    return describeParam(param.parameter, text);
+  }
+  if (param.type === 'AssignmentPattern') {
+    return { ...describeParam(param.left, text), defaultValue: text(param.right) };
+  }
+  if (param.type === 'RestElement') {
+    return { ...describeParam(param.argument, text), rest: true };
+  }
+
+  const described = {
+    name: param.type === 'Identifier' ? param.name : text(param).replace(/\s*:[\s\S]*$/, '')
+  };
+  if (param.typeAnnotation && param.typeAnnotation.typeAnnotation) {
+    described.type = text(param.typeAnnotation.typeAnnotation);
+  }
+  return described;
+}
+
+/**
+ * Collect errors thrown directly by a function (not by nested functions)
+ * @param {NodePath} path - Function path
+ * @param {Function} text - Source slice helper
+ * @returns {Array<Object>} Thrown errors
+ */
+function collectThrows(path, text) {
+  const thrown = [];
+
+  path.traverse({
+    Function(inner) {
+      inner.skip();
+    },
+    ThrowStatement(throwPath) {
+      const argument = throwPath.node.argument;
+      const entry = { line: throwPath.node.loc.start.line };
+
+      if ((argument.type === 'NewExpression' || argument.type === 'CallExpression') && argument.callee.type === 'Identifier') {
+        entry.type = argument.callee.name;
+        const message = argument.arguments[0];
+        if (message && (message.type === 'StringLiteral' || message.type === 'TemplateLiteral')) {
+          entry.message = message.type === 'StringLiteral' ? message.value : text(message).slice(1, -1);
+        }
+      } else {
+        entry.expression = text(argument);
+      }
+
+      thrown.push(entry);
+    }
+  });
+
+  return thrown;
+}
+
+/**
+ * Compute cyclomatic complexity of a function (nested functions excluded)
+ * @param {NodePath} path - Function path
+ * @returns {number} Cyclomatic complexity
+ */
+function computeComplexity(path) {
+  let complexity = 1;
+
+  path.traverse({
+    Function(inner) {
+      inner.skip();
+    },
+    enter(inner) {
+      if (isDecisionPoint(inner.node)) complexity++;
+    }
+  });
+
+  return complexity;
+}
+
+/**
+ * Check if a node adds a branch
+ * @param {Object} node - AST node
+ * @returns {boolean} True for decision points
+ */
+function isDecisionPoint(node) {
+  if (DECISION_POINTS.includes(node.type)) return true;
+  if (node.type === 'SwitchCase') return node.test !== null;
+  if (node.type === 'LogicalExpression') return true;
+  return false;
+}
+
+/**
+ * Collect module exports (CommonJS and ES modules)
+ * @param {Object} program - Program node
+ * @param {Function} text - Source slice helper
+ * @returns {Array<Object>} Exports
+ */
+function collectExports(program, text) {
+  const exportsList = [];
+  const add = (entry, node) => exportsList.push({ ...entry, line: node.loc.start.line });
+
+  program.body.forEach(statement => {
+    switch (statement.type) {
+      case 'ExpressionStatement': {
+        const expression = statement.expression;
+        if (expression.type !== 'AssignmentExpression') break;
+
+        const { left, right } = expression;
+        if (isModuleExports(left)) {
+          collectModuleExportsValue(right, statement, add, text);
+        } else if (left.type === 'MemberExpression' && (isModuleExports(left.object) || isIdentifier(left.object, 'exports'))) {
+          const name = getKeyName(left.property, left.computed, text);
+          add({ name, type: 'named', local: right.type === 'Identifier' ? right.name : name, kind: right.type === 'Identifier' ? null : valueKind(right) }, statement);
+        }
+        break;
+      }
+      case 'ExportNamedDeclaration': {
+        if (statement.declaration) {
+          const declaration = statement.declaration;
+          if (declaration.type === 'VariableDeclaration') {
+            declaration.declarations
+              .filter(declarator => declarator.id.type === 'Identifier')
+              .forEach(declarator => add({
+                name: declarator.id.name,
+                type: 'named',
+                local: declarator.id.name,
+                kind: valueKind(declarator.init)
+              }, statement));
+          } else if (declaration.id) {
+            add({ name: declaration.id.name, type: 'named', local: declaration.id.name, kind: valueKind(declaration) }, statement);
+          }
+        }
+        statement.specifiers.forEach(specifier => {
+          const exported = getKeyName(specifier.exported, false, text);
+          add({
+            name: exported,
+            type: exported === 'default' ? 'default' : statement.source ? 'reexport' : 'named',
+            local: statement.source ? null : specifier.local ? specifier.local.name : null,
+            ...(statement.source ? { source: statement.source.value, kind: 'reexport' } : {})
+          }, statement);
+        });
+        break;
+      }
+      case 'ExportDefaultDeclaration': {
+        const declaration = statement.declaration;
+        const local = declaration.type === 'Identifier' ? declaration.name : declaration.id ? declaration.id.name : 'default';
+        add({ name: 'default', type: 'default', local, kind: declaration.type === 'Identifier' ? null : valueKind(declaration) }, statement);
+        break;
+      }
+      case 'ExportAllDeclaration':
+        add({ name: '*', type: 'reexport', local: null, source: statement.source.value, kind: 'reexport' }, statement);
+        break;
+      default:
+        break;
+    }
+  });
+
+  return exportsList;
+}
+
+/**
+ * Collect exports from a `module.exports = value` assignment
+ * @param {Object} value - Assigned value
+ * @param {Object} statement - Statement node
+ * @param {Function} add - Adds an export entry
+ * @param {Function} text - Source slice helper
+ */
+function collectModuleExportsValue(value, statement, add, text) {
+  if (value.type === 'ObjectExpression') {
+    value.properties.forEach(property => {
+      if (property.type === 'SpreadElement') return;
+      const name = getKeyName(property.key, property.computed, text);
+      const local = property.type === 'ObjectProperty' && property.value.type === 'Identifier' ? property.value.name : name;
+      add({
+        name,
+        type: 'named',
+        local,
+        kind: property.type === 'ObjectMethod' ? 'function' : property.value.type === 'Identifier' ? null : valueKind(property.value)
+      }, statement);
+    });
+    return;
+  }
+
+  if (value.type === 'Identifier') {
+    add({ name: 'default', type: 'default', local: value.name, kind: null }, statement);
+  } else if (value.type === 'NewExpression') {
+    add({ name: 'default', type: 'default', local: value.callee.type === 'Identifier' ? value.callee.name : null, kind: 'instance' }, statement);
+  } else {
+    add({ name: 'default', type: 'default', local: value.id ? value.id.name : 'default', kind: valueKind(value) }, statement);
+  }
+}
+
+/**
+ * Collect top-level declarations by name
+ * @param {Object} program - Program node
+ * @returns {Object} Map of name to { kind }
+ */
+function collectTopLevelDeclarations(program) {
+  const declared = {};
+
+  program.body.forEach(statement => {
+    const declaration = statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration'
+      ? statement.declaration
+      : statement;
+    if (!declaration) return;
+
+    if (declaration.type === 'VariableDeclaration') {
+      declaration.declarations
+        .filter(declarator => declarator.id.type === 'Identifier')
+        .forEach(declarator => { declared[declarator.id.name] = { kind: valueKind(declarator.init) }; });
+    } else if ((declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') && declaration.id) {
+      declared[declaration.id.name] = { kind: valueKind(declaration) };
+    }
+  });
+
+  return declared;
+}
+
+/**
+ * Classify an exported value
+ * @param {Object|null} node - Value node
+ * @returns {string} Kind ('class', 'function' or 'value')
+ */
+function valueKind(node) {
+  if (!node) return 'value';
+  if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') return 'class';
+  if (/Function/.test(node.type)) return 'function';
+  return 'value';
+}
+
+/**
+ * Check for `module.exports`
+ * @param {Object} node - AST node
+ * @returns {boolean} True if node is `module.exports`
+ */
+function isModuleExports(node) {
+  return node.type === 'MemberExpression' &&
+    isIdentifier(node.object, 'module') &&
+    isIdentifier(node.property, 'exports');
+}
+
+/**
+ * Check for an identifier with a given name
+ * @param {Object} node - AST node
+ * @param {string} name - Identifier name
+ * @returns {boolean} True if node is that identifier
+ */
+function isIdentifier(node, name) {
+  return !!node && node.type === 'Identifier' && node.name === name;
+}
+
+module.exports = {
+  parseSource,
+  analyzeSource
+};
@@ -0,0 +1,507 @@
+const { parseSource } = require('./source-analyzer');
+
+/**
+ * Structural test merging
+ * Merges test code into an existing test file scope by scope: imports and
+ * helper declarations are deduplicated, suites are merged into the suite
+ * with the same title, and tests whose title is already taken are renamed
+ * or skipped. Edits are spliced into the existing text, so its formatting
+ * and comments are kept.
+ */
+
+const DEFAULT_OPTIONS = {
+  testFunctions: ['it', 'test'],
+  suiteFunctions: ['describe'],
+  hookFunctions: ['beforeAll', 'beforeEach', 'afterAll', 'afterEach'],
+  onCollision: 'rename', // 'rename' or 'skip'
+  forceAppend: false
+};
+
+/**
+ * Parse test code as JavaScript, then as TypeScript
+ * @param {string} code - Test code
+ * @returns {Object|null} AST, or null if the code does not parse cleanly
+ */
+function parseTestCode(code) {
+  for (const fileName of ['test.js', 'test.tsx']) {
+    try {
+      const ast = parseSource(code, { fileName });
+      if (!ast.errors || ast.errors.length === 0) {
+        return ast;
+      }
+    } catch {
+      // Try the next dialect
+    }
+  }
+  return null;
+}
+
+/**
+ * Create an empty merge report
+ * @returns {Object} Merge report
+ */
+function createMergeReport() {
+  return {
+    addedImports: [],
+    addedHelpers: [],
+    skippedHelpers: [],
+    addedHooks: [],
+    skippedHooks: [],
+    addedSuites: [],
+    mergedSuites: [],
+    addedTests: [],
+    renamedTests: [],
+    skippedTests: [],
+    fallback: false
+  };
+}
+
+/**
+ * Merge test code into existing test code
+ * @param {string} existingCode - Existing test code
+ * @param {string} incomingCode - Test code to merge in
+ * @param {Object} options - Merge options
+ * @param {Array<string>} options.testFunctions - Names of functions that declare tests
+ * @param {Array<string>} options.suiteFunctions - Names of functions that declare suites
+ * @param {Array<string>} options.hookFunctions - Names of setup/teardown hooks
+ * @param {string} options.onCollision - 'rename' (default) or 'skip' tests whose title is taken
+ * @param {boolean} options.forceAppend - Append suites and tests instead of merging by title
+ * @returns {Object} { code, report }
+ */
+function mergeTestCode(existingCode, incomingCode, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const report = createMergeReport();
+
+  if (!existingCode.trim()) {
+    return { code: incomingCode, report };
+  }
+
+  const existingAst = parseTestCode(existingCode);
+  const incomingAst = parseTestCode(incomingCode);
+
+  if (!existingAst || !incomingAst) {
+    report.fallback = true;
+    return { code: `${existingCode.trim()}\n\n${incomingCode.trim()}\n`, report };
+  }
+
+  const context = {
+    existingCode,
+    incomingCode,
+    settings,
+    report,
+    edits: []
+  };
+
+  mergeProgram(context, existingAst.program, incomingAst.program);
+
+  return { code: applyEdits(existingCode, context.edits), report };
+}
+
+/**
+ * Merge the top level of two files
+ * @param {Object} context - Merge context
+ * @param {Object} existing - Existing Program node
+ * @param {Object} incoming - Incoming Program node
+ */
+function mergeProgram(context, existing, incoming) {
+  const scope = mergeStatements(context, existing.body, incoming.body, '', []);
+  const { existingCode } = context;
+
+  // Imports (and top-level calls such as jest.mock) go after the existing imports, helpers after them
+  const imports = scope.head.filter(item => item.kind === 'import' || item.kind === 'other').map(item => item.text);
+  const helpers = scope.head.filter(item => item.kind !== 'import' && item.kind !== 'other').map(item => item.text);
+  const lastImport = [...existing.body].reverse().find(statement => classify(statement, context.settings) === 'import');
+
+  if (lastImport) {
+    let text = imports.length > 0 ? `\n${imports.join('\n')}` : '';
+    if (helpers.length > 0) text += `\n\n${helpers.join('\n\n')}`;
+    addEdit(context, lastImport.end, text);
+  } else if (imports.length > 0 || helpers.length > 0) {
+    const text = [imports.join('\n'), helpers.join('\n\n')].filter(Boolean).join('\n\n');
+    addEdit(context, existing.body.length > 0 ? existing.body[0].start : 0, `${text}\n\n`);
+  }
+
+  if (scope.tail.length > 0) {
+    addEdit(context, existingCode.trimEnd().length, `\n\n${scope.tail.map(item => item.text).join('\n\n')}`);
+  }
+}
+
+/**
+ * Merge the body of an incoming suite into the matching existing suite
+ * @param {Object} context - Merge context
+ * @param {Object} existingBody - Existing suite BlockStatement
+ * @param {Object} incomingBody - Incoming suite BlockStatement
+ * @param {string} suiteIndent - Indentation of the existing suite call
+ * @param {Array<string>} ancestors - Suite titles down to this suite
+ */
+function mergeBlock(context, existingBody, incomingBody, suiteIndent, ancestors) {
+  const { existingCode } = context;
+  const statements = existingBody.body;
+  const indent = statements.length > 0 ? getLineIndent(existingCode, statements[0].start) : `${suiteIndent}  `;
+  const scope = mergeStatements(context, statements, incomingBody.body, indent, ancestors);
+
+  // Hooks and helpers go before the first suite or test, everything else at the end
+  const firstTest = statements.find(statement => ['suite', 'test'].includes(classify(statement, context.settings)));
+  let tail = scope.tail;
+  if (firstTest && scope.head.length > 0) {
+    const lineStart = existingCode.lastIndexOf('\n', firstTest.start - 1) + 1;
+    addEdit(context, lineStart, `${scope.head.map(item => item.text).join('\n\n')}\n\n`);
+  } else {
+    tail = [...scope.head, ...tail];
+  }
+
+  if (tail.length === 0) return;
+
+  const text = tail.map(item => item.text).join('\n\n');
+  if (statements.length > 0) {
+    addEdit(context, statements[statements.length - 1].end, `\n\n${text}`);
+  } else {
+    addEdit(context, existingBody.start + 1, `\n${text}\n${suiteIndent}`);
+  }
+}
+
+/**
+ * Merge incoming statements into one existing scope
+ * @param {Object} context - Merge context
+ * @param {Array<Object>} existingStatements - Statements of the existing scope
+ * @param {Array<Object>} incomingStatements - Statements to merge in
+ * @param {string} indent - Indentation of the existing scope
+ * @param {Array<string>} ancestors - Suite titles down to this scope
+ * @returns {Object} { head, tail } items ({ kind, text }) to insert
+ */
+function mergeStatements(context, existingStatements, incomingStatements, indent, ancestors) {
+  const { existingCode, incomingCode, settings, report } = context;
+  const head = [];
+  const tail = [];
+
+  const existingTexts = new Set(existingStatements.map(statement => normalize(existingCode.slice(statement.start, statement.end))));
+  const names = new Set(existingStatements.flatMap(getDeclaredNames));
+  const titles = new Set();
+  const hooks = new Set();
+  const suites = new Map();
+
+  existingStatements.forEach(statement => {
+    const kind = classify(statement, settings);
+    const title = getTitle(statement);
+    if (kind === 'test' && title !== null) titles.add(title);
+    if (kind === 'hook') hooks.add(getRootName(statement.expression.callee));
+    if (kind === 'suite' && title !== null && !suites.has(title)) suites.set(title, statement);
+  });
+
+  incomingStatements.forEach(statement => {
+    const kind = classify(statement, settings);
+    const source = incomingCode.slice(statement.start, statement.end);
+    const text = reindent(source, getLineIndent(incomingCode, statement.start), indent);
+    const title = getTitle(statement);
+    const fullName = [...ancestors, title].join(' ');
+
+    if (existingTexts.has(normalize(source))) {
+      if (kind === 'test') report.skippedTests.push(fullName);
+      return;
+    }
+
+    switch (kind) {
+      case 'import':
+      case 'declaration': {
+        const declared = getDeclaredNames(statement);
+        if (declared.some(name => names.has(name))) {
+          if (kind === 'declaration') report.skippedHelpers.push(...declared);
+          return;
+        }
+        declared.forEach(name => names.add(name));
+        head.push({ kind, text });
+        if (kind === 'import') report.addedImports.push(source);
+        else report.addedHelpers.push(...declared);
+        return;
+      }
+
+      case 'hook': {
+        const hookName = getRootName(statement.expression.callee);
+        const hookLabel = [...ancestors, hookName].join(' ');
+        if (hooks.has(hookName)) {
+          report.skippedHooks.push(hookLabel);
+          return;
+        }
+        hooks.add(hookName);
+        head.push({ kind, text });
+        report.addedHooks.push(hookLabel);
+        return;
+      }
+
+      case 'suite': {
+        const target = title !== null && !settings.forceAppend ? suites.get(title) : null;
+        if (target) {
+          report.mergedSuites.push(fullName);
+          mergeBlock(
+            context,
+            getSuiteBody(target),
+            getSuiteBody(statement),
+            getLineIndent(existingCode, target.start),
+            [...ancestors, title]
+          );
+          return;
+        }
+        tail.push({ kind, text });
+        report.addedSuites.push(fullName);
+        collectTests(statement, settings, [...ancestors, title]).forEach(name => report.addedTests.push(name));
+        return;
+      }
+
+      case 'test': {
+        if (title === null || !titles.has(title)) {
+          if (title !== null) titles.add(title);
+          tail.push({ kind, text });
+          report.addedTests.push(fullName);
+          return;
+        }
+        if (settings.onCollision === 'skip') {
+          report.skippedTests.push(fullName);
+          return;
+        }
+
+        let counter = 2;
+        while (titles.has(`${title} (${counter})`)) counter++;
+        const newTitle = `${title} (${counter})`;
+        titles.add(newTitle);
+
+        const titleNode = statement.expression.arguments[0];
+        const renamed = source.slice(0, titleNode.start - statement.start) +
+          quote(newTitle, incomingCode[titleNode.start]) +
+          source.slice(titleNode.end - statement.start);
+        tail.push({ kind, text: reindent(renamed, getLineIndent(incomingCode, statement.start), indent) });
+        report.renamedTests.push({ from: fullName, to: [...ancestors, newTitle].join(' ') });
+        return;
+      }
+
+      default:
+        (indent === '' ? head : tail).push({ kind, text });
+    }
+  });
+
+  return { head, tail };
+}
+
+/**
+ * Classify a statement
+ * @param {Object} statement - Statement node
+ * @param {Object} settings - Merge settings
+ * @returns {string} 'import', 'declaration', 'suite', 'test', 'hook' or 'other'
+ */
+function classify(statement, settings) {
+  if (statement.type === 'ImportDeclaration') return 'import';
+
+  if (statement.type === 'VariableDeclaration') {
+    return statement.declarations.every(declarator => isRequire(declarator.init)) ? 'import' : 'declaration';
+  }
+
+  if (['FunctionDeclaration', 'ClassDeclaration', 'TSInterfaceDeclaration', 'TSTypeAliasDeclaration', 'TSEnumDeclaration'].includes(statement.type)) {
+    return 'declaration';
+  }
+
+  if (statement.type === 'ExpressionStatement' && statement.expression.type === 'CallExpression') {
+    const name = getRootName(statement.expression.callee);
+    if (settings.suiteFunctions.includes(name) && getSuiteBody(statement)) return 'suite';
+    if (settings.testFunctions.includes(name)) return 'test';
+    if (settings.hookFunctions.includes(name)) return 'hook';
+  }
+
+  return 'other';
+}
+
+/**
+ * Get the block body of a suite call
+ * @param {Object} statement - Suite expression statement
+ * @returns {Object|null} BlockStatement, or null for non-block callbacks
+ */
+function getSuiteBody(statement) {
+  const callback = statement.expression.arguments[1];
+  if (!callback || !['ArrowFunctionExpression', 'FunctionExpression'].includes(callback.type)) return null;
+  return callback.body.type === 'BlockStatement' ? callback.body : null;
+}
+
+/**
+ * Collect the full names of the tests declared inside a suite
+ * @param {Object} statement - Suite expression statement
+ * @param {Object} settings - Merge settings
+ * @param {Array<string>} ancestors - Suite titles including this suite
+ * @returns {Array<string>} Full test names
+ */
+function collectTests(statement, settings, ancestors) {
+  const body = getSuiteBody(statement);
+  if (!body) return [];
+
+  return body.body.flatMap(child => {
+    const kind = classify(child, settings);
+    const title = getTitle(child);
+    if (kind === 'test') return [[...ancestors, title].join(' ')];
+    if (kind === 'suite') return collectTests(child, settings, [...ancestors, title]);
+    return [];
+  });
+}
+
+/**
+ * Get the title of a suite or test call
+ * @param {Object} statement - Statement node
+ * @returns {string|null} Title, or null if it is not a literal
+ */
+function getTitle(statement) {
+  if (statement.type !== 'ExpressionStatement' || statement.expression.type !== 'CallExpression') return null;
+
+  const node = statement.expression.arguments[0];
+  if (!node) return null;
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+/**
+ * Get the names bound by a declaration or import
+ * @param {Object} statement - Statement node
+ * @returns {Array<string>} Bound names
+ */
+function getDeclaredNames(statement) {
+  switch (statement.type) {
+    case 'ImportDeclaration':
+      return statement.specifiers.map(specifier => specifier.local.name);
+    case 'VariableDeclaration':
+      return statement.declarations.flatMap(declarator => getPatternNames(declarator.id));
+    case 'FunctionDeclaration':
+    case 'ClassDeclaration':
+    case 'TSInterfaceDeclaration':
+    case 'TSTypeAliasDeclaration':
+    case 'TSEnumDeclaration':
+      return statement.id ? [statement.id.name] : [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Get the identifiers bound by a binding pattern
+ * @param {Object} node - Pattern node
+ * @returns {Array<string>} Bound names
+ */
+function getPatternNames(node) {
+  if (!node) return [];
+
+  switch (node.type) {
+    case 'Identifier':
+      return [node.name];
+    case 'ObjectPattern':
+      return node.properties.flatMap(property => getPatternNames(property.type === 'RestElement' ? property.argument : property.value));
+    case 'ArrayPattern':
+      return node.elements.flatMap(getPatternNames);
+    case 'AssignmentPattern':
+      return getPatternNames(node.left);
+    case 'RestElement':
+      return getPatternNames(node.argument);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Check whether an expression is a require() call (optionally with member access)
+ * @param {Object} node - Expression node
+ * @returns {boolean} True for require('x') and require('x').y
+ */
+function isRequire(node) {
+  if (!node) return false;
+  if (node.type === 'MemberExpression') return isRequire(node.object);
+  return node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require';
+}
+
+/**
+ * Get the root identifier of a callee (`it.only` → `it`, `it.each([])` → `it`)
+ * @param {Object} node - Callee node
+ * @returns {string|null} Root name
+ */
+function getRootName(node) {
+  let current = node;
+  while (current) {
+    if (current.type === 'Identifier') return current.name;
+    if (current.type === 'MemberExpression') current = current.object;
+    else if (current.type === 'CallExpression') current = current.callee;
+    else return null;
+  }
+  return null;
+}
+
+/**
+ * Get the leading whitespace of the line containing a position
+ * @param {string} code - Code
+ * @param {number} position - Character offset
+ * @returns {string} Indentation
+ */
+function getLineIndent(code, position) {
+  const lineStart = code.lastIndexOf('\n', position - 1) + 1;
+  return code.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Move a statement from one indentation level to another
+ * @param {string} text - Statement text (first line without indentation)
+ * @param {string} fromIndent - Original indentation
+ * @param {string} toIndent - Target indentation
+ * @returns {string} Reindented text, every line indented
+ */
+function reindent(text, fromIndent, toIndent) {
+  return text
+    .split('\n')
+    .map((line, index) => {
+      if (!line.trim()) return '';
+      const stripped = index > 0 && line.startsWith(fromIndent) ? line.slice(fromIndent.length) : line;
+      return toIndent + stripped;
+    })
+    .join('\n');
+}
+
+/**
+ * Quote a test title with the quote character used in the source
+ * @param {string} title - Title
+ * @param {string} quoteChar - Original opening quote (', " or `)
+ * @returns {string} String literal
+ */
+function quote(title, quoteChar) {
+  const mark = ['\'', '"', '`'].includes(quoteChar) ? quoteChar : '\'';
+  return `${mark}${title.replace(/\\/g, '\\\\').split(mark).join(`\\${mark}`)}${mark}`;
+}
+
+/**
+ * Normalize whitespace for duplicate detection
+ * @param {string} text - Code
+ * @returns {string} Normalized code
+ */
+function normalize(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Queue an insertion into the existing code
+ * @param {Object} context - Merge context
+ * @param {number} position - Character offset
+ * @param {string} text - Text to insert
+ */
+function addEdit(context, position, text) {
+  context.edits.push({ position, text, order: context.edits.length });
+}
+
+/**
+ * Apply queued insertions, keeping the queue order for equal positions
+ * @param {string} code - Existing code
+ * @param {Array<Object>} edits - Insertions ({ position, text, order })
+ * @returns {string} Updated code
+ */
+function applyEdits(code, edits) {
+  return [...edits]
+    .sort((a, b) => b.position - a.position || b.order - a.order)
+    .reduce((result, edit) => result.slice(0, edit.position) + edit.text + result.slice(edit.position), code);
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  parseTestCode,
+  createMergeReport,
+  mergeTestCode,
+  getRootName
+};
@@ -5,7 +5,7 @@
  * Checks Node.js version and basic requirements
  */
 
-const MIN_NODE_VERSION = 14;
+const MIN_NODE_VERSION = 18;
 
 function checkNodeVersion() {
     const currentVersion = process.versions.node;
@@ -0,0 +1,216 @@
+/**
+ * Unit tests for AnthropicAdapter against a local stub server
+ */
+
+const http = require('http');
+const AnthropicAdapter = require('../../../lib/adapters/llm/anthropic-adapter');
+const { sampleSourceCode, sampleTestCode } = require('../../fixtures/sample-data');
+
+describe('AnthropicAdapter', () => {
+  let server;
+  let baseURL;
+  let requests;
+  let nextResponse;
+  let queuedResponses;
+  let requestClosed;
+  let mockLogger;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        const response = queuedResponses.shift() || nextResponse;
+        if (response.hang) {
+          // Never answer, so only the client can end the request
+          res.on('close', () => requestClosed(req.url));
+          return;
+        }
+        res.writeHead(response.status, { 'Content-Type': 'application/json', ...response.headers });
+        res.end(JSON.stringify(response.body));
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    queuedResponses = [];
+    nextResponse = {
+      status: 200,
+      body: {
+        id: 'msg_stub',
+        type: 'message',
+        role: 'assistant',
+        content: [{ type: 'text', text: `\`\`\`javascript\n${sampleTestCode}\n\`\`\`` }],
+        usage: { input_tokens: 10, output_tokens: 20 }
+      }
+    };
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+  });
+
+  const createAdapter = (overrides = {}) => new AnthropicAdapter({
+    model: 'claude-sonnet-4-5',
+    maxTokens: 2000,
+    apiKey: 'openai-key',
+    anthropic: { apiKey: 'anthropic-key', baseURL },
+    ...overrides
+  }, mockLogger);
+
+  describe('Constructor', () => {
+    test('should require an api key', () => {
+      expect(() => new AnthropicAdapter({ model: 'claude-sonnet-4-5', anthropic: { baseURL } }, mockLogger))
+        .toThrow('Invalid Anthropic configuration');
+    });
+  });
+
+  describe('generateTests', () => {
+    test('should call the Messages API with system prompt and headers', async () => {
+      const code = await createAdapter().generateTests(sampleSourceCode, 'calculator.js');
+
+      expect(code).toBe(sampleTestCode);
+      expect(requests[0].url).toBe('/v1/messages');
+      expect(requests[0].headers['x-api-key']).toBe('anthropic-key');
+      expect(requests[0].headers['anthropic-version']).toBe('2023-06-01');
+      expect(requests[0].body.model).toBe('claude-sonnet-4-5');
+      expect(requests[0].body.system).toContain('expert software testing engineer');
+      expect(requests[0].body.messages).toEqual([
+        { role: 'user', content: expect.stringContaining('calculator.js') }
+      ]);
+      expect(requests[0].body.temperature).toBeLessThanOrEqual(1);
+    });
+
+    test('should surface API errors with status once retries are exhausted', async () => {
+      nextResponse = { status: 429, body: { type: 'error', error: { type: 'rate_limit_error' } } };
+
+      await expect(createAdapter({ resilience: { retry: { maxRetries: 1, baseDelay: 10 } } }).generateTests(sampleSourceCode, 'calculator.js'))
+        .rejects.toMatchObject({ status: 429, attempts: 2 });
+      expect(requests).toHaveLength(2);
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        'Error generating tests via Anthropic',
+        expect.objectContaining({ fileName: 'calculator.js' })
+      );
+    });
+  });
+
+  describe('resilience', () => {
+    test('should retry rate limited requests after Retry-After', async () => {
+      queuedResponses = [{ status: 429, headers: { 'retry-after-ms': '20' }, body: { type: 'error', error: { type: 'rate_limit_error' } } }];
+      const adapter = createAdapter();
+
+      const code = await adapter.generateTests(sampleSourceCode, 'calculator.js');
+
+      expect(code).toBe(sampleTestCode);
+      expect(requests).toHaveLength(2);
+      expect(adapter.getUsage().calls).toHaveLength(1);
+      expect(mockLogger.warn).toHaveBeenCalledWith('LLM request failed, retrying', expect.objectContaining({
+        task: 'generate',
+        attempt: 1,
+        status: 429,
+        delay: 20
+      }));
+    });
+
+    test('should cancel a request that times out', async () => {
+      queuedResponses = [{ hang: true }];
+      const closed = new Promise(resolve => { requestClosed = resolve; });
+
+      await expect(createAdapter({ resilience: { timeout: 50, retry: { maxRetries: 0 } } }).generateTests(sampleSourceCode, 'calculator.js'))
+        .rejects.toMatchObject({ code: 'ETIMEDOUT', attempts: 1 });
+      await expect(closed).resolves.toBe('/v1/messages');
+    });
+
+    test('should not retry client errors', async () => {
+      nextResponse = { status: 400, body: { type: 'error', error: { type: 'invalid_request_error' } } };
+
+      await expect(createAdapter().generateTests(sampleSourceCode, 'calculator.js'))
+        .rejects.toMatchObject({ status: 400, attempts: 1 });
+      expect(requests).toHaveLength(1);
+    });
+  });
+
+  describe('improveTests', () => {
+    test('should send improvement prompt', async () => {
+      await createAdapter().improveTests(sampleSourceCode, sampleTestCode, [{
+        mutatorName: 'EqualityOperator',
+        location: { start: { line: 2, column: 7 } },
+        replacement: 'a === b'
+      }]);
+
+      expect(requests[0].body.messages[0].content).toContain('EqualityOperator at line 2');
+    });
+  });
+
+  describe('isHealthy', () => {
+    test('should be healthy when the API answers', async () => {
+      await expect(createAdapter().isHealthy()).resolves.toBe(true);
+      expect(requests[0].body.max_tokens).toBe(5);
+    });
+
+    test('should be unhealthy when the API fails', async () => {
+      nextResponse = { status: 500, body: {} };
+
+      await expect(createAdapter().isHealthy()).resolves.toBe(false);
+    });
+  });
+
+  describe('token usage', () => {
+    test('should record the reported tokens and price them', async () => {
+      nextResponse.body.model = 'claude-sonnet-4-5-20250929';
+      const adapter = createAdapter();
+
+      await adapter.generateTests(sampleSourceCode, 'calculator.js');
+
+      expect(adapter.getUsage().calls).toEqual([expect.objectContaining({
+        task: 'generate',
+        model: 'claude-sonnet-4-5-20250929',
+        promptTokens: 10,
+        completionTokens: 20,
+        estimated: false
+      })]);
+      expect(adapter.getUsage().toJSON().cost).toBeCloseTo((10 * 0.003 + 20 * 0.015) / 1000, 10);
+    });
+
+    test('should use configured prices', async () => {
+      const adapter = createAdapter({ pricing: { input: 1, output: 2 } });
+
+      await adapter.generateTests(sampleSourceCode, 'calculator.js');
+
+      expect(adapter.getUsage().toJSON().cost).toBeCloseTo(0.05, 10);
+    });
+
+    test('should estimate tokens when the response has no usage', async () => {
+      delete nextResponse.body.usage;
+      const adapter = createAdapter();
+
+      await adapter.generateTests(sampleSourceCode, 'calculator.js');
+
+      const [call] = adapter.getUsage().calls;
+      expect(call.estimated).toBe(true);
+      expect(call.promptTokens).toBeGreaterThan(0);
+      expect(call.completionTokens).toBe(Math.ceil(nextResponse.body.content[0].text.length / 4));
+    });
+  });
+
+  describe('estimateCost', () => {
+    test('should price by model family', () => {
+      const sonnet = createAdapter().estimateCost('x'.repeat(4000));
+      const haiku = createAdapter({ model: 'claude-haiku-4-5' }).estimateCost('x'.repeat(4000));
+
+      expect(sonnet.inputTokens).toBe(1000);
+      expect(haiku.totalCost).toBeLessThan(sonnet.totalCost);
+    });
+  });
+});
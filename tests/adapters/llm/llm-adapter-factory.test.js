@@ -0,0 +1,161 @@
+/**
+ * Unit tests for LLMAdapterFactory registry and plugin loading
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const LLMAdapterFactory = require('../../../lib/adapters/llm/llm-adapter-factory');
+const LLMProvider = require('../../../lib/interfaces/llm-provider');
+const OpenAIAdapter = require('../../../lib/adapters/llm/openai-adapter');
+const AnthropicAdapter = require('../../../lib/adapters/llm/anthropic-adapter');
+
+const pluginSource = `
+const LLMProvider = require(${JSON.stringify(require.resolve('../../../lib/interfaces/llm-provider'))});
+
+class PluginAdapter extends LLMProvider {
+  constructor(config, logger) {
+    super();
+    this.config = config;
+    this.logger = logger;
+  }
+
+  async generateTests() {
+    return 'plugin tests';
+  }
+
+  getInfo() {
+    return { name: 'Plugin' };
+  }
+}
+
+module.exports = PluginAdapter;
+`;
+
+describe('LLMAdapterFactory', () => {
+  let factory;
+  let mockLogger;
+  let pluginDir;
+
+  beforeEach(async () => {
+    factory = new LLMAdapterFactory();
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+    pluginDir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-plugins-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(pluginDir, { recursive: true, force: true });
+  });
+
+  describe('registry', () => {
+    test('should register built-in providers', () => {
+      expect(factory.getSupportedProviders()).toEqual(expect.arrayContaining([
+        'openai', 'azure', 'openai-compatible', 'local', 'anthropic', 'http', 'replay', 'fixture'
+      ]));
+    });
+
+    test('should create registered adapters by provider name', () => {
+      const adapter = factory.createAdapter({ provider: 'OpenAI', apiKey: 'key', model: 'gpt-4' }, mockLogger);
+
+      expect(adapter).toBeInstanceOf(OpenAIAdapter);
+    });
+
+    test('should create adapters registered at runtime', () => {
+      class CustomAdapter extends LLMProvider {}
+      factory.register('custom', CustomAdapter);
+
+      expect(factory.isProviderSupported('CUSTOM')).toBe(true);
+      expect(factory.createAdapter({ provider: 'custom' }, mockLogger)).toBeInstanceOf(CustomAdapter);
+    });
+
+    test('should reject classes that do not implement the LLMProvider interface', () => {
+      class NotAnAdapter {
+        generateTests() {}
+      }
+
+      expect(() => factory.register('broken', NotAnAdapter))
+        .toThrow('does not implement the LLMProvider interface (missing: improveTests');
+    });
+
+    test('should default to openai provider', () => {
+      expect(factory.createAdapter({ apiKey: 'key', model: 'gpt-4' }, mockLogger)).toBeInstanceOf(OpenAIAdapter);
+    });
+  });
+
+  describe('plugin loading', () => {
+    test('should load a plugin package by name from plugin paths', async () => {
+      const packageDir = path.join(pluginDir, 'node_modules', 'my-llm-plugin');
+      await fs.mkdir(packageDir, { recursive: true });
+      await fs.writeFile(path.join(packageDir, 'index.js'), pluginSource);
+
+      const adapter = factory.createAdapter({
+        provider: 'my-llm-plugin',
+        pluginPaths: [pluginDir]
+      }, mockLogger);
+
+      expect(adapter).toBeInstanceOf(LLMProvider);
+      expect(adapter.getInfo().name).toBe('Plugin');
+      await expect(adapter.generateTests()).resolves.toBe('plugin tests');
+      expect(factory.isProviderSupported('my-llm-plugin')).toBe(true);
+    });
+
+    test('should load a plugin module by path', async () => {
+      const pluginPath = path.join(pluginDir, 'provider.js');
+      await fs.writeFile(pluginPath, pluginSource);
+
+      const adapter = factory.createAdapter({ provider: pluginPath }, mockLogger);
+
+      expect(adapter.getInfo().name).toBe('Plugin');
+    });
+
+    test('should reject plugin modules that do not export an LLMProvider', async () => {
+      const pluginPath = path.join(pluginDir, 'invalid.js');
+      await fs.writeFile(pluginPath, 'module.exports = { hello: "world" };');
+
+      expect(() => factory.createAdapter({ provider: pluginPath }, mockLogger))
+        .toThrow('does not implement the LLMProvider interface');
+    });
+
+    test('should report unknown providers that cannot be resolved', () => {
+      expect(() => factory.createAdapter({ provider: 'no-such-llm-provider' }, mockLogger))
+        .toThrow('Unsupported LLM provider: no-such-llm-provider');
+    });
+  });
+
+  describe('resilience', () => {
+    test('should share one resilience layer per provider and model', () => {
+      const config = { provider: 'openai', apiKey: 'key', model: 'gpt-4', resilience: { rateLimit: { requestsPerMinute: 60 } } };
+      const first = factory.createAdapter(config, mockLogger);
+      const second = factory.createAdapter(config, mockLogger);
+      const other = factory.createAdapter({ ...config, model: 'gpt-3.5-turbo' }, mockLogger);
+
+      expect(first.getResilience()).toBe(second.getResilience());
+      expect(first.getResilience()).not.toBe(other.getResilience());
+      expect(first.getResilience().rateLimiter.requestsPerMinute).toBe(60);
+    });
+
+    test('should give adapters built without the factory their own layer', () => {
+      const adapter = new OpenAIAdapter({ apiKey: 'key', model: 'gpt-4', resilience: { timeout: 5000 } }, mockLogger);
+
+      expect(adapter.getResilience().timeout).toBe(5000);
+      expect(adapter.getResilience()).toBe(adapter.getResilience());
+    });
+  });
+
+  describe('anthropic', () => {
+    test('should create anthropic adapter', () => {
+      const adapter = factory.createAdapter({
+        provider: 'anthropic',
+        model: 'claude-sonnet-4-5',
+        anthropic: { apiKey: 'key' }
+      }, mockLogger);
+
+      expect(adapter).toBeInstanceOf(AnthropicAdapter);
+    });
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Unit tests for OpenAICompatibleAdapter against a local stub server
+ */
+
+const http = require('http');
+const OpenAICompatibleAdapter = require('../../../lib/adapters/llm/openai-compatible-adapter');
+const LLMAdapterFactory = require('../../../lib/adapters/llm/llm-adapter-factory');
+const { sampleSourceCode, sampleTestCode } = require('../../fixtures/sample-data');
+
+describe('OpenAICompatibleAdapter', () => {
+  let server;
+  let baseURL;
+  let requests;
+  let failures;
+  let requestClosed;
+  let mockLogger;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        const failure = failures.shift();
+        if (failure?.hang) {
+          // Never answer, so only the client can end the request
+          res.on('close', () => requestClosed(req.url));
+          return;
+        }
+        if (failure) {
+          res.writeHead(failure.status, { 'Content-Type': 'application/json', ...failure.headers });
+          res.end(JSON.stringify({ error: { message: 'Service unavailable' } }));
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          id: 'chatcmpl-stub',
+          object: 'chat.completion',
+          created: 0,
+          model: 'stub-model',
+          choices: [{
+            index: 0,
+            finish_reason: 'stop',
+            message: { role: 'assistant', content: `\`\`\`javascript\n${sampleTestCode}\n\`\`\`` }
+          }],
+          usage: { prompt_tokens: 10, completion_tokens: 20, total_tokens: 30 }
+        }));
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    failures = [];
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+  });
+
+  const createAdapter = (overrides = {}) => new OpenAICompatibleAdapter({
+    model: 'llama3.1',
+    maxTokens: 2000,
+    ...overrides,
+    compatible: { baseURL, contextWindow: 8192, ...(overrides.compatible || {}) }
+  }, mockLogger);
+
+  describe('Constructor', () => {
+    test('should accept any model name', () => {
+      const adapter = createAdapter({ model: 'qwen2.5-coder:7b' });
+
+      expect(adapter.getInfo().compatible.model).toBe('qwen2.5-coder:7b');
+    });
+
+    test('should require a base URL', () => {
+      expect(() => new OpenAICompatibleAdapter({ model: 'llama3.1', compatible: {} }, mockLogger))
+        .toThrow('Invalid OpenAI-compatible configuration');
+    });
+
+    test('should require a model', () => {
+      expect(() => new OpenAICompatibleAdapter({ compatible: { baseURL } }, mockLogger))
+        .toThrow('Invalid OpenAI-compatible configuration');
+    });
+  });
+
+  describe('generateTests', () => {
+    test('should call chat completions on the configured base URL', async () => {
+      const adapter = createAdapter();
+
+      const code = await adapter.generateTests(sampleSourceCode, 'calculator.js', {
+        relativeImportPath: '../src/calculator'
+      });
+
+      expect(code).toBe(sampleTestCode);
+      expect(requests).toHaveLength(1);
+      expect(requests[0].url).toBe('/v1/chat/completions');
+      expect(requests[0].body.model).toBe('llama3.1');
+      expect(requests[0].body.messages[1].content).toBe(
+        adapter._buildInitialPrompt(sampleSourceCode, 'calculator.js', {
+          relativeImportPath: '../src/calculator'
+        })
+      );
+    });
+
+    test('should send configured auth headers and no bearer token without api key', async () => {
+      const adapter = createAdapter({ compatible: { headers: { 'X-Api-Key': 'secret' } } });
+
+      await adapter.generateTests(sampleSourceCode, 'calculator.js');
+
+      expect(requests[0].headers['x-api-key']).toBe('secret');
+      expect(requests[0].headers.authorization).toBeUndefined();
+    });
+
+    test('should send bearer token when api key is configured', async () => {
+      const adapter = createAdapter({ apiKey: 'local-key' });
+
+      await adapter.generateTests(sampleSourceCode, 'calculator.js');
+
+      expect(requests[0].headers.authorization).toBe('Bearer local-key');
+    });
+
+    test('should cap max_tokens to the remaining context window', async () => {
+      const adapter = createAdapter({ compatible: { contextWindow: 2100 } });
+
+      await adapter.generateTests(sampleSourceCode, 'calculator.js');
+
+      expect(requests[0].body.max_tokens).toBeLessThan(2000);
+      expect(requests[0].body.max_tokens).toBeGreaterThan(0);
+    });
+
+    test('should reject prompts that exceed the context window', async () => {
+      const adapter = createAdapter({ maxTokens: 10, compatible: { contextWindow: 50 } });
+
+      await expect(adapter.generateTests(sampleSourceCode, 'calculator.js'))
+        .rejects.toThrow('exceeds the context window');
+      expect(requests).toHaveLength(0);
+    });
+  });
+
+  describe('improveTests', () => {
+    test('should send improvement prompt', async () => {
+      const adapter = createAdapter();
+      const survivedMutants = [{
+        mutatorName: 'ArithmeticOperator',
+        location: { start: { line: 5, column: 10 } },
+        replacement: 'a - b'
+      }];
+
+      await adapter.improveTests(sampleSourceCode, sampleTestCode, survivedMutants);
+
+      expect(requests[0].body.messages[1].content).toContain('ArithmeticOperator at line 5');
+    });
+  });
+
+  describe('resilience', () => {
+    test('should retry server errors through the resilience layer only', async () => {
+      failures = [{ status: 503, headers: { 'retry-after-ms': '10' } }];
+      const adapter = createAdapter();
+
+      await expect(adapter.generateTests(sampleSourceCode, 'calculator.js')).resolves.toBe(sampleTestCode);
+      expect(requests).toHaveLength(2);
+    });
+
+    test('should cancel a request that times out', async () => {
+      failures = [{ hang: true }];
+      const closed = new Promise(resolve => { requestClosed = resolve; });
+
+      await expect(createAdapter({ resilience: { timeout: 50, retry: { maxRetries: 0 } } }).generateTests(sampleSourceCode, 'calculator.js'))
+        .rejects.toMatchObject({ code: 'ETIMEDOUT', attempts: 1 });
+      await expect(closed).resolves.toBe('/v1/chat/completions');
+    });
+
+    test('should give up after the configured retries without SDK retries', async () => {
+      failures = [{ status: 503, headers: { 'retry-after-ms': '10' } }, { status: 503, headers: { 'retry-after-ms': '10' } }];
+      const adapter = createAdapter({ resilience: { retry: { maxRetries: 1 } } });
+
+      await expect(adapter.generateTests(sampleSourceCode, 'calculator.js')).rejects.toMatchObject({ status: 503, attempts: 2 });
+      expect(requests).toHaveLength(2);
+    });
+  });
+
+  describe('token usage', () => {
+    test('should record the reported tokens of each call at no cost', async () => {
+      const adapter = createAdapter();
+
+      await adapter.generateTests(sampleSourceCode, 'calculator.js');
+      await adapter.generateTests(sampleSourceCode, 'calculator.js');
+
+      expect(adapter.getUsage().toJSON()).toMatchObject({
+        calls: 2,
+        promptTokens: 20,
+        completionTokens: 40,
+        totalTokens: 60,
+        cost: 0,
+        models: { 'stub-model': { calls: 2 } }
+      });
+    });
+
+    test('should price calls when prices are configured', async () => {
+      const adapter = createAdapter({ pricing: { 'stub-model': { input: 1, output: 1 } } });
+
+      await adapter.generateTests(sampleSourceCode, 'calculator.js');
+
+      expect(adapter.getUsage().toJSON().cost).toBeCloseTo(0.03, 10);
+    });
+  });
+
+  describe('estimateCost', () => {
+    test('should report zero cost for self-hosted models', () => {
+      const estimate = createAdapter().estimateCost('x'.repeat(400));
+
+      expect(estimate.inputTokens).toBe(100);
+      expect(estimate.totalCost).toBe(0);
+    });
+  });
+
+  describe('LLMAdapterFactory integration', () => {
+    test('should create adapter for openai-compatible and local providers', () => {
+      const factory = new LLMAdapterFactory();
+      const config = { model: 'llama3.1', compatible: { baseURL } };
+
+      expect(factory.createAdapter({ ...config, provider: 'openai-compatible' }, mockLogger))
+        .toBeInstanceOf(OpenAICompatibleAdapter);
+      expect(factory.createAdapter({ ...config, provider: 'local' }, mockLogger))
+        .toBeInstanceOf(OpenAICompatibleAdapter);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Unit tests for the shared prompt builder
+ */
+
+const promptBuilder = require('../../../lib/adapters/llm/prompt-builder');
+
+describe('Prompt Builder', () => {
+  describe('buildInitialPrompt', () => {
+    test('should ask for require() in CommonJS projects', () => {
+      const prompt = promptBuilder.buildInitialPrompt('module.exports = 1;', 'a.js', { relativeImportPath: '../src/a' });
+
+      expect(prompt).toContain("require('../src/a')");
+      expect(prompt).not.toContain("from '../src/a'");
+    });
+
+    test('should ask for import syntax for ES modules', () => {
+      const prompt = promptBuilder.buildInitialPrompt('export default 1;', 'a.mjs', {
+        relativeImportPath: '../src/a.mjs',
+        moduleSystem: 'esm'
+      });
+
+      expect(prompt).toContain("import Calculator from '../src/a.mjs'");
+      expect(prompt).toContain('native ES module');
+      expect(prompt).not.toContain('require(');
+    });
+
+    test('should use the test framework prompt context', () => {
+      const prompt = promptBuilder.buildInitialPrompt('module.exports = 1;', 'a.js', {
+        relativeImportPath: '../src/a',
+        testFramework: {
+          name: 'vitest',
+          displayName: 'Vitest',
+          usesImports: true,
+          imports: ["import { describe, it, expect } from 'vitest';"],
+          instructions: ['Use vi.fn() for test doubles']
+        }
+      });
+
+      expect(prompt).toContain('- Use Vitest testing framework');
+      expect(prompt).toContain('- Use vi.fn() for test doubles');
+      expect(prompt).toContain("  import { describe, it, expect } from 'vitest';");
+      expect(prompt).toContain("import Calculator from '../src/a'");
+      expect(prompt).not.toContain('Jest');
+    });
+
+    test('should ask for TypeScript tests for TypeScript sources', () => {
+      const prompt = promptBuilder.buildInitialPrompt('export const a = 1;', 'a.ts', {
+        relativeImportPath: '../src/a',
+        language: 'typescript',
+        moduleSystem: 'commonjs'
+      });
+
+      expect(prompt).toContain('TypeScript code from file "a.ts"');
+      expect(prompt).toContain('```typescript');
+      expect(prompt).toContain("import { Calculator } from '../src/a'");
+    });
+
+    test('should describe the public API', () => {
+      const prompt = promptBuilder.buildInitialPrompt('', 'a.js', {
+        publicApi: {
+          exports: [{ name: 'divide', type: 'named', local: 'divide', kind: 'function' }],
+          classes: [],
+          functions: [{
+            name: 'divide',
+            kind: 'function',
+            params: [{ name: 'a' }, { name: 'b', defaultValue: '1' }],
+            throws: [{ type: 'Error', message: 'Division by zero' }],
+            complexity: 2
+          }]
+        }
+      });
+
+      expect(prompt).toContain('- divide (function, named export)');
+      expect(prompt).toContain('- divide(a, b = 1) throws Error("Division by zero") [2 branches]');
+    });
+  });
+
+  describe('buildImprovementPrompt', () => {
+    const mutants = [{ mutatorName: 'EqualityOperator', location: { start: { line: 3 } }, replacement: 'a <= b' }];
+
+    test('should name the test framework when given', () => {
+      const prompt = promptBuilder.buildImprovementPrompt('src', 'tests', mutants, {
+        language: 'typescript',
+        testFramework: { displayName: 'Mocha', instructions: ['Use Chai assertions'] }
+      });
+
+      expect(prompt).toContain('```typescript\nsrc');
+      expect(prompt).toContain('Use Mocha, matching the style of the existing tests.');
+      expect(prompt).toContain('- Use Chai assertions');
+    });
+
+    test('should show survived mutants as diffs grouped by function', () => {
+      const source = 'function max(a, b) {\n  return a > b ? a : b;\n}';
+      const prompt = promptBuilder.buildImprovementPrompt(source, 'tests', [{
+        mutatorName: 'EqualityOperator',
+        location: { start: { line: 2, column: 10 }, end: { line: 2, column: 15 } },
+        replacement: 'a >= b'
+      }], {
+        sourceFunctions: [{ name: 'max', line: 1, endLine: 3 }]
+      });
+
+      expect(prompt).toContain('### max (lines 1-3)\n- EqualityOperator at line 2: replaced with `a >= b`');
+      expect(prompt).toContain('-  return a > b ? a : b;\n+  return a >= b ? a : b;');
+      expect(prompt).not.toContain('more mutants');
+    });
+
+    test('should ask for a single test in targeted mode', () => {
+      const prompt = promptBuilder.buildImprovementPrompt('src', 'tests', mutants, { targeted: true });
+
+      expect(prompt).toContain('Write exactly ONE new test');
+      expect(prompt).not.toContain('Generate additional or improved tests');
+    });
+  });
+
+  describe('buildRepairPrompt', () => {
+    test('should list failing tests and suite errors', () => {
+      const prompt = promptBuilder.buildRepairPrompt('src', 'tests', [
+        { name: null, message: 'Cannot find module' },
+        { name: 'Calculator divides', message: 'Expected: 0\nReceived: Infinity' }
+      ]);
+
+      expect(prompt).toContain('1. Test suite failed to run\nCannot find module');
+      expect(prompt).toContain('2. Calculator divides\nExpected: 0\nReceived: Infinity');
+      expect(prompt).toContain('Provide the complete corrected test file');
+      expect(promptBuilder.getSystemPrompt('repair')).toContain('Fix failing tests');
+    });
+  });
+
+  describe('parseEquivalenceResponse', () => {
+    test('should read verdicts wrapped in prose or fences', () => {
+      const verdicts = promptBuilder.parseEquivalenceResponse(
+        'Here you go:\n```json\n[{"id": 1, "equivalent": true, "confidence": 0.9, "reason": "loop bound"}, {"equivalent": true}]\n```'
+      );
+
+      expect(verdicts).toEqual([{ id: 1, equivalent: true, confidence: 0.9, reason: 'loop bound' }]);
+      expect(promptBuilder.parseEquivalenceResponse('not sure')).toEqual([]);
+    });
+  });
+
+  describe('extractCodeFromResponse', () => {
+    test('should strip JavaScript and TypeScript fences', () => {
+      expect(promptBuilder.extractCodeFromResponse('```typescript\nconst a = 1;\n```')).toBe('const a = 1;');
+      expect(promptBuilder.extractCodeFromResponse('```javascript\nconst a = 1;\n```')).toBe('const a = 1;');
+    });
+  });
+});
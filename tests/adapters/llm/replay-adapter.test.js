@@ -0,0 +1,156 @@
+/**
+ * Unit tests for ReplayAdapter
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const ReplayAdapter = require('../../../lib/adapters/llm/replay-adapter');
+const LLMAdapterFactory = require('../../../lib/adapters/llm/llm-adapter-factory');
+const { MockLLMAdapter } = require('../../mocks');
+const { sampleSourceCode, sampleTestCode } = require('../../fixtures/sample-data');
+
+describe('ReplayAdapter', () => {
+  let fixturesDir;
+  let mockLogger;
+  let delegate;
+
+  const survivedMutants = [
+    {
+      mutatorName: 'ArithmeticOperator',
+      location: { start: { line: 5, column: 10 } },
+      replacement: 'a - b'
+    }
+  ];
+
+  beforeEach(async () => {
+    fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'replay-fixtures-'));
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+    delegate = new MockLLMAdapter({ responses: [sampleTestCode] });
+    delegate.getInfo = () => ({ name: 'Mock' });
+  });
+
+  afterEach(async () => {
+    await fs.rm(fixturesDir, { recursive: true, force: true });
+  });
+
+  const createAdapter = (mode, withDelegate = mode === 'record') =>
+    new ReplayAdapter(
+      { provider: 'replay', replay: { mode, fixturesDir } },
+      mockLogger,
+      withDelegate ? delegate : null
+    );
+
+  describe('Constructor', () => {
+    test('should default to replay mode', () => {
+      const adapter = new ReplayAdapter({ replay: { fixturesDir } }, mockLogger);
+
+      expect(adapter.mode).toBe('replay');
+      expect(adapter.fixturesDir).toBe(path.resolve(fixturesDir));
+    });
+
+    test('should reject unknown modes', () => {
+      expect(() => createAdapter('stream')).toThrow('Invalid replay configuration');
+    });
+
+    test('should require a delegate in record mode', () => {
+      expect(() => createAdapter('record', false)).toThrow('requires a delegate');
+    });
+  });
+
+  describe('record and replay', () => {
+    test('should record delegate responses keyed by prompt hash', async () => {
+      const recorder = createAdapter('record');
+
+      const code = await recorder.generateTests(sampleSourceCode, 'calculator.js', {
+        relativeImportPath: '../src/calculator'
+      });
+
+      expect(code).toBe(sampleTestCode);
+      const files = await fs.readdir(fixturesDir);
+      expect(files).toHaveLength(1);
+
+      const fixture = JSON.parse(await fs.readFile(path.join(fixturesDir, files[0]), 'utf-8'));
+      expect(fixture.task).toBe('generate');
+      expect(fixture.completion).toBe(sampleTestCode);
+      expect(files[0]).toBe(`${fixture.hash}.json`);
+    });
+
+    test('should replay recorded responses without a delegate', async () => {
+      const context = { relativeImportPath: '../src/calculator' };
+      await createAdapter('record').generateTests(sampleSourceCode, 'calculator.js', context);
+      await createAdapter('record').improveTests(sampleSourceCode, sampleTestCode, survivedMutants);
+
+      const player = createAdapter('replay');
+
+      await expect(player.generateTests(sampleSourceCode, 'calculator.js', context))
+        .resolves.toBe(sampleTestCode);
+      await expect(player.improveTests(sampleSourceCode, sampleTestCode, survivedMutants))
+        .resolves.toBe(sampleTestCode);
+      expect(delegate.getCallCount()).toBe(2);
+    });
+
+    test('should fail when no response was recorded for a prompt', async () => {
+      const player = createAdapter('replay');
+
+      await expect(player.generateTests(sampleSourceCode, 'calculator.js'))
+        .rejects.toThrow('No recorded LLM response for generate prompt');
+    });
+
+    test('should produce different hashes for different tasks', () => {
+      const adapter = createAdapter('replay');
+
+      expect(adapter.getPromptHash('generate', 'prompt'))
+        .not.toBe(adapter.getPromptHash('improve', 'prompt'));
+      expect(adapter.getPromptHash('generate', 'prompt'))
+        .toBe(adapter.getPromptHash('generate', 'prompt'));
+    });
+  });
+
+  describe('isHealthy', () => {
+    test('should be healthy when fixtures directory exists', async () => {
+      await expect(createAdapter('replay').isHealthy()).resolves.toBe(true);
+    });
+
+    test('should be unhealthy when fixtures directory is missing', async () => {
+      const adapter = new ReplayAdapter(
+        { replay: { fixturesDir: path.join(fixturesDir, 'missing') } },
+        mockLogger
+      );
+
+      await expect(adapter.isHealthy()).resolves.toBe(false);
+    });
+  });
+
+  describe('estimateCost', () => {
+    test('should report zero cost when replaying', () => {
+      expect(createAdapter('replay').estimateCost('input').totalCost).toBe(0);
+    });
+  });
+
+  describe('LLMAdapterFactory integration', () => {
+    test('should create replay adapter for replay and fixture providers', () => {
+      const factory = new LLMAdapterFactory();
+
+      expect(factory.createAdapter({ provider: 'replay', replay: { fixturesDir } }, mockLogger))
+        .toBeInstanceOf(ReplayAdapter);
+      expect(factory.createAdapter({ provider: 'fixture', replay: { fixturesDir } }, mockLogger))
+        .toBeInstanceOf(ReplayAdapter);
+      expect(factory.isProviderSupported('replay')).toBe(true);
+    });
+
+    test('should refuse to record from another replay adapter', () => {
+      const factory = new LLMAdapterFactory();
+
+      expect(() => factory.createAdapter({
+        provider: 'replay',
+        replay: { mode: 'record', provider: 'fixture', fixturesDir }
+      }, mockLogger)).toThrow('cannot record from another replay adapter');
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for MutationCache
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const MutationCache = require('../../../lib/adapters/mutation/mutation-cache');
+
+describe('MutationCache', () => {
+  const rawResults = { files: { 'src/a.js': { mutants: [{ id: '1', status: 'Survived' }] } } };
+  let cacheDir;
+  let logger;
+  let cache;
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mutation-cache-'));
+    logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    cache = new MutationCache(cacheDir, logger);
+  });
+
+  afterEach(async () => {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  describe('getName', () => {
+    test('should give paths that only differ in separators their own names', () => {
+      const names = ['src/a-b/c.js', 'src/a/b-c.js', 'src/a/b/c.js', 'src-a/b/c.js'].map(MutationCache.getName);
+
+      expect(new Set(names).size).toBe(4);
+      expect(names[2]).toMatch(/^c\.js-[0-9a-f]{12}$/);
+    });
+
+    test('should name a path the same way on every platform', () => {
+      expect(MutationCache.getName(['src', 'a.js'].join(path.sep))).toBe(MutationCache.getName('src/a.js'));
+    });
+  });
+
+  describe('get and set', () => {
+    test('should return stored results while the key matches', async () => {
+      const key = MutationCache.createKey('source', 'tests', { mutate: ['src/a.js'] });
+      await cache.set('src/a.js', key, rawResults);
+
+      await expect(cache.get('src/a.js', key)).resolves.toEqual(rawResults);
+      await expect(cache.get('src/a.js', MutationCache.createKey('source', 'changed tests', { mutate: ['src/a.js'] }))).resolves.toBeNull();
+      await expect(cache.get('src/a.js', MutationCache.createKey('source', 'tests', { mutate: ['src/a.js:1-3'] }))).resolves.toBeNull();
+    });
+
+    test('should keep the entries of files with similar paths apart', async () => {
+      const key = MutationCache.createKey('source', 'tests');
+      await cache.set('src/a-b.js', key, rawResults);
+
+      await expect(cache.get('src/a/b.js', key)).resolves.toBeNull();
+      await expect(cache.get('src-a-b.js', key)).resolves.toBeNull();
+    });
+
+    test('should miss when nothing was stored', async () => {
+      await expect(cache.get('src/a.js', MutationCache.createKey('source', 'tests'))).resolves.toBeNull();
+    });
+
+    test('should warn rather than fail when the entry cannot be written', async () => {
+      const blocked = new MutationCache(path.join(cacheDir, 'file'), logger);
+      await fs.writeFile(path.join(cacheDir, 'file'), '');
+
+      await blocked.set('src/a.js', MutationCache.createKey('source', 'tests'), rawResults);
+
+      expect(logger.warn).toHaveBeenCalledWith('Could not write mutation cache', expect.objectContaining({ sourceFile: 'src/a.js' }));
+    });
+  });
+
+  describe('clear', () => {
+    test('should remove the results and the incremental report of a file', async () => {
+      const key = MutationCache.createKey('source', 'tests');
+      await cache.set('src/a.js', key, rawResults);
+      await fs.writeFile(cache.getIncrementalFile('src/a.js'), '{}');
+
+      await cache.clear('src/a.js');
+
+      await expect(cache.get('src/a.js', key)).resolves.toBeNull();
+      await expect(fs.readdir(cacheDir)).resolves.toEqual([]);
+    });
+  });
+});
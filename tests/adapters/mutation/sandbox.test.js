@@ -0,0 +1,77 @@
+/**
+ * Unit tests for the per-run mutation sandbox
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Sandbox = require('../../../lib/adapters/mutation/sandbox');
+
+describe('Sandbox', () => {
+  let projectRoot;
+  let mockLogger;
+
+  beforeEach(async () => {
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'sandbox-project-'));
+    await fs.mkdir(path.join(projectRoot, 'src'));
+    await fs.mkdir(path.join(projectRoot, 'node_modules', 'dep'), { recursive: true });
+    await fs.mkdir(path.join(projectRoot, 'reports'));
+    await fs.writeFile(path.join(projectRoot, 'src', 'a.js'), 'module.exports = 1;');
+    await fs.writeFile(path.join(projectRoot, 'package.json'), '{}');
+    await fs.writeFile(path.join(projectRoot, 'reports', 'old.json'), '{}');
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  test('should copy the project, link node_modules and skip run outputs', async () => {
+    const sandbox = await new Sandbox(projectRoot, {}, mockLogger).create();
+
+    expect(sandbox.root).not.toBe(projectRoot);
+    await expect(fs.readFile(sandbox.resolve('src', 'a.js'), 'utf8')).resolves.toBe('module.exports = 1;');
+    expect((await fs.lstat(sandbox.resolve('node_modules'))).isSymbolicLink()).toBe(true);
+    await expect(fs.access(sandbox.resolve('reports'))).rejects.toThrow();
+
+    await sandbox.writeFile('stryker.conf.json', '{}');
+    await expect(fs.access(path.join(projectRoot, 'stryker.conf.json'))).rejects.toThrow();
+
+    await sandbox.cleanup();
+    await expect(fs.access(sandbox.root)).rejects.toThrow();
+  });
+
+  test('should not copy a sandbox parent directory inside the project', async () => {
+    const tempDir = path.join(projectRoot, '.sandboxes');
+    const sandbox = await new Sandbox(projectRoot, { tempDir }, mockLogger).create();
+
+    expect(path.dirname(sandbox.root)).toBe(tempDir);
+    await expect(fs.access(sandbox.resolve('.sandboxes'))).rejects.toThrow();
+
+    await sandbox.cleanup();
+  });
+
+  test('should map project files to sandbox-relative paths', () => {
+    const sandbox = new Sandbox(projectRoot, {}, mockLogger);
+
+    expect(sandbox.relative(path.join(projectRoot, 'src', 'a.js'))).toBe('src/a.js');
+    expect(sandbox.relative('tests/a.test.js')).toBe('tests/a.test.js');
+    expect(() => sandbox.relative('/elsewhere/a.js')).toThrow('File is outside the project directory');
+  });
+
+  test('should only remove its own files when running in place', async () => {
+    const sandbox = await new Sandbox(projectRoot, { enabled: false }, mockLogger).create();
+
+    expect(sandbox.root).toBe(projectRoot);
+    await sandbox.writeFile('.stryker-tmp.conf.json', '{}');
+    await sandbox.cleanup();
+
+    await expect(fs.access(path.join(projectRoot, '.stryker-tmp.conf.json'))).rejects.toThrow();
+    await expect(fs.access(path.join(projectRoot, 'package.json'))).resolves.toBeUndefined();
+  });
+});
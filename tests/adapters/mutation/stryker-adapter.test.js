@@ -0,0 +1,212 @@
+/**
+ * Unit tests for StrykerAdapter configuration and runs
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const StrykerAdapter = require('../../../lib/adapters/mutation/stryker-adapter');
+const MutationCache = require('../../../lib/adapters/mutation/mutation-cache');
+
+describe('StrykerAdapter', () => {
+  let adapter;
+
+  beforeEach(() => {
+    const mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+    adapter = new StrykerAdapter({}, mockLogger);
+  });
+
+  describe('_createStrykerConfig', () => {
+    test('should use the project Jest config for CommonJS JavaScript', () => {
+      const config = adapter._createStrykerConfig('src/a.js', 'tests/a.test.js', {});
+
+      expect(config.mutate).toEqual(['src/a.js']);
+      expect(config.testRunner).toBe('jest');
+      expect(config.plugins).toEqual(['@stryker-mutator/jest-runner']);
+      expect(config.jest).toEqual({ projectType: 'custom', configFile: 'jest.config.js' });
+      expect(config.checkers).toBeUndefined();
+      expect(config.testRunnerNodeArgs).toBeUndefined();
+    });
+
+    test('should take report thresholds from options but never set a break threshold', () => {
+      const config = adapter._createStrykerConfig('src/a.js', 'tests/a.test.js', { thresholds: { high: 90, low: 70, break: 50 } });
+
+      expect(config.thresholds).toEqual({ high: 90, low: 70, break: null });
+    });
+
+    test('should run native ES modules untransformed with VM modules enabled', () => {
+      const config = adapter._createStrykerConfig('src/a.mjs', 'tests/a.test.mjs', { moduleSystem: 'esm' });
+
+      expect(config.jest.config).toEqual({ transform: {} });
+      expect(config.testRunnerNodeArgs).toEqual(['--experimental-vm-modules']);
+    });
+
+    test('should compile TypeScript with ts-jest and type-check mutants', () => {
+      const config = adapter._createStrykerConfig('src/a.ts', 'tests/a.test.ts', {
+        language: 'typescript',
+        tsconfigFile: 'tsconfig.build.json'
+      });
+
+      expect(config.jest.config.transform).toEqual({
+        '^.+\\.(ts|tsx|mts|cts)$': ['ts-jest', { useESM: false }]
+      });
+      expect(config.checkers).toEqual(['typescript']);
+      expect(config.tsconfigFile).toBe('tsconfig.build.json');
+    });
+
+    test('should configure ts-jest for TypeScript ES modules', () => {
+      const config = adapter._createStrykerConfig('src/a.ts', 'tests/a.test.ts', {
+        language: 'typescript',
+        moduleSystem: 'esm'
+      });
+
+      expect(config.jest.config.transform['^.+\\.(ts|tsx|mts|cts)$'][1]).toEqual({ useESM: true });
+      expect(config.jest.config.extensionsToTreatAsEsm).toEqual(['.ts', '.tsx']);
+      expect(config.testRunnerNodeArgs).toEqual(['--experimental-vm-modules']);
+    });
+
+    test('should switch to the Vitest runner', () => {
+      const config = adapter._createStrykerConfig('src/a.ts', 'tests/a.test.ts', {
+        testRunner: 'vitest',
+        language: 'typescript',
+        moduleSystem: 'esm'
+      });
+
+      expect(config.testRunner).toBe('vitest');
+      expect(config.plugins).toEqual(['@stryker-mutator/vitest-runner', '@stryker-mutator/typescript-checker']);
+      expect(config.jest).toBeUndefined();
+      expect(config.testRunnerNodeArgs).toBeUndefined();
+    });
+
+    test('should take the runner from adapter config and pass the spec to Mocha', () => {
+      const mochaAdapter = new StrykerAdapter({ testRunner: 'mocha' }, { info: jest.fn() });
+      const config = mochaAdapter._createStrykerConfig('src/a.js', 'tests/a.test.js', {});
+
+      expect(config.testRunner).toBe('mocha');
+      expect(config.plugins).toEqual(['@stryker-mutator/mocha-runner']);
+      expect(config.mochaOptions).toEqual({ spec: ['tests/a.test.js'] });
+    });
+
+    test('should restrict mutation to line ranges', () => {
+      const config = adapter._createStrykerConfig('src/a.js', 'tests/a.test.js', {
+        mutateRanges: [{ startLine: 3, endLine: 3 }, { startLine: 7, endLine: 9 }]
+      });
+
+      expect(config.mutate).toEqual(['src/a.js:3-3', 'src/a.js:7-9']);
+    });
+
+    test('should only disable bail when asked to', () => {
+      expect(adapter._createStrykerConfig('src/a.js', 'tests/a.test.js', {}).disableBail).toBeUndefined();
+      expect(adapter._createStrykerConfig('src/a.js', 'tests/a.test.js', { disableBail: true }).disableBail).toBe(true);
+    });
+  });
+
+  describe('analyzeResults', () => {
+    test('should report which tests killed each mutant by name', () => {
+      const results = adapter.analyzeResults({
+        files: { 'src/a.js': { mutants: [{ id: '4', mutatorName: 'EqualityOperator', status: 'Killed', killedBy: ['0'] }] } },
+        testFiles: { 'tests/a.test.js': { tests: [{ id: '0', name: 'Calculator divides' }] } }
+      });
+
+      expect(results.killedMutants[0]).toMatchObject({ id: '4', killedBy: ['Calculator divides'] });
+      expect(results.tests).toEqual(['Calculator divides']);
+    });
+  });
+
+  describe('runMutationTests', () => {
+    let projectRoot;
+
+    beforeEach(async () => {
+      projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'stryker-project-'));
+      await fs.mkdir(path.join(projectRoot, 'src'));
+      await fs.mkdir(path.join(projectRoot, 'tests'));
+      await fs.writeFile(path.join(projectRoot, 'src', 'a.js'), 'module.exports = 1;');
+      await fs.writeFile(path.join(projectRoot, 'tests', 'a.test.js'), "test('a', () => {});");
+    });
+
+    afterEach(async () => {
+      await fs.rm(projectRoot, { recursive: true, force: true });
+    });
+
+    test('should run Stryker in a sandbox and leave the project untouched', async () => {
+      let runCwd;
+      jest.spyOn(adapter, '_runStrykerCLI').mockImplementation(async (configPath, cwd) => {
+        runCwd = cwd;
+        const config = JSON.parse(await fs.readFile(configPath, 'utf8'));
+        expect(config.mutate).toEqual(['src/a.js']);
+
+        await fs.mkdir(path.join(cwd, 'reports', 'mutation'), { recursive: true });
+        await fs.writeFile(path.join(cwd, 'reports', 'mutation', 'mutation.html'), '<html></html>');
+        await fs.writeFile(path.join(cwd, 'reports', 'mutation', 'mutation.json'), JSON.stringify({
+          files: { 'src/a.js': { mutants: [{ id: '1', status: 'Killed' }, { id: '2', status: 'Survived' }] } }
+        }));
+      });
+
+      const results = await adapter.runMutationTests(
+        path.join(projectRoot, 'src', 'a.js'),
+        path.join(projectRoot, 'tests', 'a.test.js'),
+        { cwd: projectRoot }
+      );
+
+      expect(runCwd).not.toBe(projectRoot);
+      expect(results.totalMutants).toBe(2);
+      expect(results.killedMutants).toHaveLength(1);
+      await expect(fs.access(runCwd)).rejects.toThrow();
+      expect((await fs.readdir(projectRoot)).sort()).toEqual(['reports', 'src', 'tests']);
+      await expect(fs.readFile(path.join(projectRoot, 'reports', 'mutation', `${MutationCache.getName('src/a.js')}.html`), 'utf8')).resolves.toBe('<html></html>');
+    });
+
+    test('should remove the sandbox when Stryker fails', async () => {
+      let runCwd;
+      jest.spyOn(adapter, '_runStrykerCLI').mockImplementation(async (configPath, cwd) => {
+        runCwd = cwd;
+        throw new Error('Stryker process exited with code 2');
+      });
+
+      await expect(adapter.runMutationTests('src/a.js', 'tests/a.test.js', { cwd: projectRoot }))
+        .rejects.toThrow('Stryker process exited with code 2');
+      await expect(fs.access(runCwd)).rejects.toThrow();
+    });
+
+    test('should reuse cached results until the source or tests change', async () => {
+      const incrementalAdapter = new StrykerAdapter({ incremental: true }, { info: jest.fn(), warn: jest.fn(), error: jest.fn() });
+      const strykerConfigs = [];
+      const run = jest.spyOn(incrementalAdapter, '_runStrykerCLI').mockImplementation(async (configPath, cwd) => {
+        strykerConfigs.push(JSON.parse(await fs.readFile(configPath, 'utf8')));
+        await fs.mkdir(path.join(cwd, 'reports', 'mutation'), { recursive: true });
+        await fs.writeFile(path.join(cwd, 'reports', 'mutation', 'mutation.json'), JSON.stringify({
+          files: { 'src/a.js': { mutants: [{ id: '1', status: 'Survived' }] } }
+        }));
+      });
+      const runOnce = () => incrementalAdapter.runMutationTests('src/a.js', 'tests/a.test.js', { cwd: projectRoot });
+
+      const first = await runOnce();
+      const second = await runOnce();
+      await fs.writeFile(path.join(projectRoot, 'tests', 'a.test.js'), "test('a', () => {}); test('b', () => {});");
+      const third = await runOnce();
+
+      expect(run).toHaveBeenCalledTimes(2);
+      expect([first.fromCache, second.fromCache, third.fromCache]).toEqual([false, true, false]);
+      expect(second.survivedMutants).toHaveLength(1);
+      expect(strykerConfigs[0]).toMatchObject({
+        incremental: true,
+        incrementalFile: path.join(projectRoot, 'reports', 'mutation-cache', `${MutationCache.getName('src/a.js')}.incremental.json`)
+      });
+    });
+
+    test('should not cache runs without incremental mode', async () => {
+      const run = jest.spyOn(adapter, '_runStrykerCLI').mockResolvedValue();
+
+      await adapter.runMutationTests('src/a.js', 'tests/a.test.js', { cwd: projectRoot });
+      await adapter.runMutationTests('src/a.js', 'tests/a.test.js', { cwd: projectRoot });
+
+      expect(run).toHaveBeenCalledTimes(2);
+      await expect(fs.access(path.join(projectRoot, 'reports', 'mutation-cache'))).rejects.toThrow();
+    });
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Unit tests for HtmlReporter
+ */
+
+const HtmlReporter = require('../../../lib/adapters/reporting/html-reporter');
+
+describe('HtmlReporter', () => {
+  const report = {
+    sessionId: 'session_1',
+    status: 'completed',
+    mode: 'generate',
+    model: null,
+    duration: 65000,
+    generatedAt: '2026-01-01T10:00:00.000Z',
+    summary: { totalFiles: 1, completed: 1, failed: 0, averageScore: 75, targetReached: 0, testsAdded: 3, survivedMutants: 1, cost: null },
+    files: [{
+      sourceFile: 'src/math.js',
+      testFile: 'tests/math.test.js',
+      testLink: '../tests/math.test.js',
+      status: 'completed',
+      mutationScore: 75,
+      iterations: 2,
+      history: [{ iteration: 1, mutationScore: 50, testsAdded: 3 }, { iteration: 2, mutationScore: 75, testsAdded: 0 }],
+      testsAdded: 3,
+      survivedMutants: [{
+        mutatorName: 'EqualityOperator',
+        replacement: 'a <= b',
+        line: 2,
+        snippet: [{ number: 2, text: '  return a < b;', highlight: { start: 9, end: 14 } }]
+      }],
+      cost: null,
+      duration: 65000,
+      error: null
+    }]
+  };
+
+  test('should render a self-contained page with links, progression and highlighted survivors', () => {
+    const html = new HtmlReporter().render(report);
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).not.toMatch(/<(script|link)\b[^>]*\bsrc=|<link\b/);
+    expect(html).toContain('<a href="../tests/math.test.js">');
+    expect(html).toContain('<title>50.0% → 75.0%</title>');
+    expect(html).toContain('  return <mark>a &lt; b</mark>;');
+    expect(html).toContain('<code>a &lt;= b</code>');
+    expect(html).toContain('1m 5s');
+  });
+
+  test('should use the configured score bands', () => {
+    const html = new HtmlReporter({ thresholds: { high: 70 } }).render(report);
+
+    expect(html).toContain('<td class="score high">75.0%</td>');
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Unit tests for the mutation result exporters (JUnit XML, SARIF, Markdown)
+ */
+
+const path = require('path');
+const {
+  factory,
+  ReporterFactory,
+  BaseReporter,
+  JUnitReporter,
+  SarifReporter,
+  MarkdownReporter
+} = require('../../../lib/adapters/reporting');
+
+describe('Mutation reporters', () => {
+  const location = (line, column, endColumn) => ({ start: { line, column }, end: { line, column: endColumn } });
+
+  const analyses = [
+    {
+      sourceFile: path.join(process.cwd(), 'src', 'math.js'),
+      testFile: path.join(process.cwd(), 'tests', 'math.test.js'),
+      error: null,
+      mutationResult: {
+        mutationScore: 50,
+        totalMutants: 4,
+        killedCount: 1,
+        survivedCount: 2,
+        timeoutCount: 0,
+        noCoverageCount: 1,
+        equivalentCount: 1,
+        executionTime: 1500,
+        mutants: [
+          { id: '1', mutatorName: 'ArithmeticOperator', replacement: 'a - b', location: location(2, 10, 15), status: 'Killed', killedBy: ['adds'], equivalence: null },
+          { id: '2', mutatorName: 'EqualityOperator', replacement: 'a <= b', location: location(5, 10, 15), status: 'Survived', killedBy: [], equivalence: null },
+          { id: '3', mutatorName: 'StringLiteral', replacement: '""', location: location(7, 3, 9), status: 'Survived', killedBy: [], equivalence: { source: 'llm', confidence: 0.9, reason: 'Log message only' } },
+          { id: '4', mutatorName: 'BlockStatement', replacement: '{}', location: location(9, 1, 2), status: 'NoCoverage', killedBy: [], equivalence: null }
+        ]
+      }
+    },
+    {
+      sourceFile: path.join(process.cwd(), 'src', 'broken.js'),
+      testFile: path.join(process.cwd(), 'tests', 'broken.test.js'),
+      mutationResult: null,
+      error: 'Test file not found: <tests/broken.test.js>'
+    }
+  ];
+
+  describe('ReporterFactory', () => {
+    test('should create reporters by format', () => {
+      expect(factory.getAvailableFormats()).toEqual(['junit', 'sarif', 'markdown']);
+      expect(factory.create('JUnit')).toBeInstanceOf(JUnitReporter);
+      expect(factory.isSupported('sarif')).toBe(true);
+      expect(factory.isSupported('csv')).toBe(false);
+    });
+
+    test('should reject unknown formats', () => {
+      expect(() => new ReporterFactory().create('pdf')).toThrow('Unknown report format: pdf');
+    });
+
+    test('should require reporters to implement render', () => {
+      expect(() => new BaseReporter().render([])).toThrow('render() must be implemented');
+    });
+  });
+
+  describe('JUnitReporter', () => {
+    test('should write one test case per mutant and one suite per file', () => {
+      const xml = new JUnitReporter().render(analyses);
+
+      expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+      expect(xml).toContain('<testsuites name="Mutation testing" tests="5" failures="2" errors="1" skipped="1" time="1.500">');
+      expect(xml).toContain('<testsuite name="src/math.js" tests="4" failures="2" errors="0" skipped="1" time="1.500">');
+      expect(xml).toContain('<property name="mutationScore" value="50.00"/>');
+      expect(xml).toContain('<testcase classname="src/math.js" name="#1 ArithmeticOperator at 2:10 → a - b" time="0"/>');
+      expect(xml).toMatch(/name="#2 EqualityOperator at 5:10 → a &lt;= b" time="0">\s*<failure message="Mutant survived: no test failed" type="Survived">/);
+      expect(xml).toMatch(/<skipped message="Likely equivalent mutant: Log message only"\/>/);
+      expect(xml).toContain('<failure message="Mutant not covered by any test" type="NoCoverage">');
+    });
+
+    test('should report failed analyses as errors with escaped messages', () => {
+      const xml = new JUnitReporter().render([analyses[1]]);
+
+      expect(xml).toContain('<testsuite name="src/broken.js" tests="1" failures="0" errors="1"');
+      expect(xml).toContain('<error message="Test file not found: &lt;tests/broken.test.js&gt;" type="AnalysisError">');
+    });
+
+    test('should drop characters XML cannot hold', () => {
+      const xml = new JUnitReporter().render([{ ...analyses[1], error: 'bad\u0007 output' }]);
+
+      expect(xml).toContain('message="bad output"');
+    });
+  });
+
+  describe('SarifReporter', () => {
+    test('should report survived and uncovered mutants as results with locations', () => {
+      const log = JSON.parse(new SarifReporter().render(analyses));
+      const [run] = log.runs;
+
+      expect(log.version).toBe('2.1.0');
+      expect(run.tool.driver.name).toBe('mutant-test-gen');
+      expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(['survived-mutant', 'no-coverage-mutant']);
+      expect(run.originalUriBaseIds['%SRCROOT%'].uri).toMatch(/^file:\/\/.*\/$/);
+      expect(run.results).toHaveLength(3);
+
+      expect(run.results[0]).toMatchObject({
+        ruleId: 'survived-mutant',
+        level: 'warning',
+        message: { text: 'EqualityOperator mutant survived (replaced with `a <= b`).' },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: 'src/math.js', uriBaseId: '%SRCROOT%' },
+            region: { startLine: 5, startColumn: 10, endLine: 5, endColumn: 15 }
+          }
+        }]
+      });
+      expect(run.results[0].partialFingerprints.mutantKey).toBe('src/math.js:EqualityOperator:5:10:a <= b');
+      expect(run.results[0].suppressions).toBeUndefined();
+      expect(run.results[2].ruleId).toBe('no-coverage-mutant');
+    });
+
+    test('should suppress likely equivalent mutants', () => {
+      const [run] = JSON.parse(new SarifReporter().render(analyses)).runs;
+
+      expect(run.results[1].suppressions).toEqual([{
+        kind: 'external',
+        justification: 'Likely equivalent mutant (llm): Log message only'
+      }]);
+    });
+
+    test('should record failed analyses as tool notifications', () => {
+      const [run] = JSON.parse(new SarifReporter().render(analyses)).runs;
+
+      expect(run.invocations[0].executionSuccessful).toBe(false);
+      expect(run.invocations[0].toolExecutionNotifications[0]).toMatchObject({
+        level: 'error',
+        message: { text: 'Mutation analysis failed: Test file not found: <tests/broken.test.js>' }
+      });
+    });
+  });
+
+  describe('MarkdownReporter', () => {
+    test('should summarize totals and list files in a table', () => {
+      const markdown = new MarkdownReporter().render(analyses);
+
+      expect(markdown).toContain('## Mutation testing report');
+      expect(markdown).toContain('🔴 **Mutation score: 25.0%** · 4 mutants · 1 killed · 2 survived · 0 timeout · 1 no coverage · 1 likely equivalent');
+      expect(markdown).toContain('| `src/math.js` | 🔴 50.0% | 1 | 2 | 1 | 4 |');
+      expect(markdown).toContain('| `src/broken.js` | ❌ Test file not found: &lt;tests/broken.test.js&gt; | – | – | – | – |');
+    });
+
+    test('should list survived mutants in a collapsed section', () => {
+      const markdown = new MarkdownReporter().render(analyses);
+
+      expect(markdown).toContain('<details><summary><code>src/math.js</code>: 2 survived</summary>');
+      expect(markdown).toContain('- EqualityOperator at 5:10 → `a <= b`');
+      expect(markdown).toContain('- StringLiteral at 7:3 → `""` _(likely equivalent)_');
+      expect(markdown).not.toContain('BlockStatement at');
+    });
+
+    test('should cap the listed mutants', () => {
+      const markdown = new MarkdownReporter({ maxMutants: 1 }).render(analyses);
+
+      expect(markdown).toContain('- EqualityOperator at 5:10');
+      expect(markdown).not.toContain('- StringLiteral at 7:3');
+      expect(markdown).toContain('- …and 1 more');
+    });
+
+    test('should use the score bands of the thresholds', () => {
+      const markdown = new MarkdownReporter({ thresholds: { high: 50, low: 20 } }).render([analyses[0]]);
+
+      expect(markdown).toContain('| `src/math.js` | 🟢 50.0% |');
+    });
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * Unit tests for the Jest, Vitest and Mocha test framework adapters
+ */
+
+const fs = require('fs').promises;
+const {
+  factory,
+  JestAdapter,
+  VitestAdapter,
+  MochaAdapter
+} = require('../../../lib/adapters/testing');
+
+describe('Test Framework Adapters', () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+  });
+
+  /**
+   * Stub the CLI run so it writes a report to the --outputFile / output= path
+   */
+  const stubRun = (adapter, report) => jest.spyOn(adapter, '_run').mockImplementation(async (args) => {
+    const outputArg = args.find(arg => /outputFile=|output=/.test(arg));
+    const outputFile = outputArg.split('=')[1].replace(/"/g, '');
+    await fs.writeFile(outputFile, JSON.stringify(report));
+    return { code: 1, stdout: '', stderr: '' };
+  });
+
+  describe('TestFrameworkFactory', () => {
+    test('should create adapters by name', () => {
+      expect(factory.create('jest', {}, mockLogger)).toBeInstanceOf(JestAdapter);
+      expect(factory.create('Vitest', {}, mockLogger)).toBeInstanceOf(VitestAdapter);
+      expect(factory.create('mocha', {}, mockLogger)).toBeInstanceOf(MochaAdapter);
+      expect(factory.getAvailableFrameworks()).toEqual(['jest', 'vitest', 'mocha']);
+    });
+
+    test('should reject unknown frameworks', () => {
+      expect(() => factory.create('jasmine', {}, mockLogger)).toThrow('Unknown test framework: jasmine');
+    });
+  });
+
+  describe('JestAdapter', () => {
+    let adapter;
+
+    beforeEach(() => {
+      adapter = new JestAdapter({}, mockLogger);
+    });
+
+    test('should generate CommonJS and ES module structures', () => {
+      const cjs = adapter.generateTestStructure('src/string-utils.js', { importPath: '../src/string-utils' });
+      expect(cjs.imports).toEqual(["const StringUtils = require('../src/string-utils');"]);
+      expect(cjs.content).toContain("describe('StringUtils', () => {");
+
+      const esm = adapter.generateTestStructure('src/calc.mjs', { importPath: '../src/calc.mjs', moduleSystem: 'esm' });
+      expect(esm.imports).toEqual([
+        "import { jest } from '@jest/globals';",
+        "import Calc from '../src/calc.mjs';"
+      ]);
+    });
+
+    test('should validate syntax by parsing', () => {
+      expect(adapter.validateTestSyntax("test('a', () => { expect(1).toBe(1); });")).toBe(true);
+      expect(adapter.validateTestSyntax("it.each([1])('a', (n) => { expect(n).toBe(1); });")).toBe(true);
+      expect(adapter.validateTestSyntax("test('a', () => { expect(1).toBe(1); ")).toBe(false);
+      expect(adapter.validateTestSyntax("test('a', () => {});")).toBe(false);
+      expect(adapter.validateTestSyntax('// describe( it( expect(')).toBe(false);
+    });
+
+    test('should validate TypeScript tests', () => {
+      const code = "const add = (a: number): number => a; test('a', () => { expect(add(1 as number)).toBe(1); });";
+
+      expect(adapter.validateTestSyntax(code)).toBe(true);
+    });
+
+    test('should merge tests without duplicating imports', () => {
+      const existing = [
+        "const Calculator = require('../src/calculator');",
+        '',
+        "describe('Calculator', () => {",
+        "  test('adds', () => { expect(1).toBe(1); });",
+        '});'
+      ].join('\n');
+      const improved = [
+        "const Calculator = require('../src/calculator');",
+        "const helper = require('./helper');",
+        '',
+        "describe('More', () => {",
+        "  test('subtracts', () => { expect(0).toBe(0); });",
+        '});'
+      ].join('\n');
+
+      const merged = adapter.mergeTests([existing, improved]);
+
+      expect(merged.match(/require\('\.\.\/src\/calculator'\)/g)).toHaveLength(1);
+      expect(merged).toContain("const helper = require('./helper');");
+      expect(merged).toContain("test('subtracts'");
+      expect(merged.match(/describe\(/g)).toHaveLength(2);
+    });
+
+    test('should report merged suites and renamed tests', () => {
+      const existing = "describe('Calculator', () => {\n  test('adds', () => { expect(1).toBe(1); });\n});";
+      const improved = "describe('Calculator', () => {\n  test('adds', () => { expect(2).toBe(2); });\n});";
+
+      const { content, report } = adapter.mergeTestsWithReport([existing, improved]);
+
+      expect(content.match(/describe\(/g)).toHaveLength(1);
+      expect(content).toContain("test('adds (2)'");
+      expect(report.mergedSuites).toEqual(['Calculator']);
+      expect(report.renamedTests).toEqual([{ from: 'Calculator adds', to: 'Calculator adds (2)' }]);
+    });
+
+    test('should remove tests by full name', () => {
+      const code = [
+        "describe('Calculator', () => {",
+        "  test('adds', () => { expect(1).toBe(1); });",
+        "  describe('divide', () => {",
+        "    test('adds', () => { expect(2).toBe(2); });",
+        "    it.each([1, 2])('handles %i', (n) => { expect(n).toBeGreaterThan(0); });",
+        '  });',
+        '});'
+      ].join('\n');
+
+      const { code: updated, removed } = adapter.removeTests(code, [
+        { title: 'adds', fullName: 'Calculator divide adds' },
+        { title: 'handles %i', fullName: 'Calculator divide handles 1' }
+      ]);
+
+      expect(removed).toEqual(['Calculator divide adds', 'Calculator divide handles %i']);
+      expect(updated).toBe([
+        "describe('Calculator', () => {",
+        "  test('adds', () => { expect(1).toBe(1); });",
+        "  describe('divide', () => {",
+        '  });',
+        '});'
+      ].join('\n'));
+    });
+
+    test('should fall back to the title only when no other test has it', () => {
+      const code = [
+        "describe(`${name} basics`, () => {",
+        "  test('adds', () => { expect(1).toBe(1); });",
+        "  test('subtracts', () => { expect(0).toBe(0); });",
+        '});',
+        "describe('divide', () => {",
+        "  test('adds', () => { expect(2).toBe(2); });",
+        '});'
+      ].join('\n');
+
+      const { code: updated, removed, skipped } = adapter.removeTests(code, [
+        { title: 'adds', fullName: 'Calculator basics adds' },
+        { title: 'subtracts', fullName: 'Calculator basics subtracts' }
+      ]);
+
+      expect(removed).toEqual(['subtracts']);
+      expect(skipped).toEqual(['Calculator basics adds']);
+      expect(mockLogger.warn).toHaveBeenCalledWith('Not removing tests whose title is shared with other tests', { tests: ['Calculator basics adds'] });
+      expect(updated).toContain("test('adds', () => { expect(1).toBe(1); });");
+      expect(updated).toContain("test('adds', () => { expect(2).toBe(2); });");
+      expect(updated).not.toContain('subtracts');
+    });
+
+    test('should normalize the JSON report', async () => {
+      stubRun(adapter, {
+        success: false,
+        testResults: [{
+          status: 'failed',
+          startTime: 100,
+          endTime: 350,
+          assertionResults: [
+            { title: 'adds', fullName: 'Calculator adds', ancestorTitles: ['Calculator'], status: 'passed', failureMessages: [] },
+            { title: 'divides', ancestorTitles: ['Calculator'], status: 'failed', failureMessages: ['Expected 2'] },
+            { title: 'later', ancestorTitles: [], status: 'todo', failureMessages: [] }
+          ]
+        }]
+      });
+
+      const results = await adapter.executeTests('tests/calculator.test.js');
+
+      expect(results).toMatchObject({
+        framework: 'jest',
+        success: false,
+        total: 3,
+        passed: 1,
+        failed: 1,
+        skipped: 1,
+        duration: 250,
+        errors: []
+      });
+      expect(results.tests[1]).toMatchObject({ fullName: 'Calculator divides', failureMessage: 'Expected 2' });
+    });
+
+    test('should report suite errors', async () => {
+      stubRun(adapter, {
+        testResults: [{ status: 'failed', message: 'SyntaxError: Unexpected token', assertionResults: [] }]
+      });
+
+      const results = await adapter.executeTests('tests/broken.test.js');
+
+      expect(results.success).toBe(false);
+      expect(results.errors).toEqual(['SyntaxError: Unexpected token']);
+    });
+
+    test('should fail when no report is written', async () => {
+      jest.spyOn(adapter, '_run').mockResolvedValue({ code: 127, stdout: '', stderr: 'jest: not found' });
+
+      await expect(adapter.executeTests('tests/a.test.js')).rejects.toThrow('Jest produced no report (exit code 127): jest: not found');
+    });
+
+    test('should enable VM modules for native ES module tests', () => {
+      expect(adapter._getEnv({ moduleSystem: 'esm' }).NODE_OPTIONS).toContain('--experimental-vm-modules');
+      expect(adapter._getEnv({ moduleSystem: 'commonjs' }).NODE_OPTIONS || '').not.toContain('--experimental-vm-modules');
+    });
+  });
+
+  describe('VitestAdapter', () => {
+    test('should always use imports and vi for test doubles', () => {
+      const adapter = new VitestAdapter({}, mockLogger);
+      const structure = adapter.generateTestStructure('src/calc.js', { importPath: '../src/calc' });
+      const promptContext = adapter.getPromptContext({ moduleSystem: 'commonjs' });
+
+      expect(structure.imports[0]).toContain("from 'vitest'");
+      expect(structure.imports[1]).toBe("import Calc from '../src/calc';");
+      expect(promptContext).toMatchObject({ name: 'vitest', displayName: 'Vitest', usesImports: true });
+      expect(promptContext.instructions.join('\n')).toContain('vi.fn()');
+    });
+
+    test('should run vitest with the json reporter', () => {
+      const adapter = new VitestAdapter({}, mockLogger);
+
+      expect(adapter._getCommand('tests/a.test.ts', '/tmp/report.json')).toEqual([
+        'vitest', 'run', '"tests/a.test.ts"', '--reporter=json', '--outputFile="/tmp/report.json"'
+      ]);
+    });
+  });
+
+  describe('MochaAdapter', () => {
+    let adapter;
+
+    beforeEach(() => {
+      adapter = new MochaAdapter({}, mockLogger);
+    });
+
+    test('should import Chai', () => {
+      expect(adapter.generateTestStructure('src/calc.js').imports[0]).toBe("const { expect } = require('chai');");
+      expect(adapter.generateTestStructure('src/calc.ts', { language: 'typescript' }).imports[0]).toBe("import { expect } from 'chai';");
+    });
+
+    test('should accept Chai assert and should styles', () => {
+      expect(adapter.validateTestSyntax("it('a', () => { assert.equal(1, 1); });")).toBe(true);
+      expect(adapter.validateTestSyntax("specify('a', () => { (1).should.equal(1); });")).toBe(true);
+      expect(adapter.validateTestSyntax("it('a', () => { console.log(1); });")).toBe(false);
+    });
+
+    test('should normalize the JSON report', async () => {
+      stubRun(adapter, {
+        stats: { duration: 42 },
+        passes: [{ title: 'adds', fullTitle: 'Calculator adds', duration: 1 }],
+        failures: [{ title: 'divides', fullTitle: 'Calculator divides', err: { message: 'expected 1 to equal 2' } }],
+        pending: []
+      });
+
+      const results = await adapter.executeTests('tests/calculator.test.js');
+
+      expect(results).toMatchObject({ framework: 'mocha', total: 2, passed: 1, failed: 1, duration: 42 });
+      expect(results.tests[1].failureMessage).toBe('expected 1 to equal 2');
+    });
+  });
+});
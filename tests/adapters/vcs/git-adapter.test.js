@@ -0,0 +1,85 @@
+/**
+ * Unit tests for GitAdapter
+ */
+
+const GitAdapter = require('../../../lib/adapters/vcs/git-adapter');
+
+describe('GitAdapter', () => {
+  describe('parseDiff', () => {
+    test('should collect added and modified line ranges per file', () => {
+      const diff = [
+        'diff --git a/src/a.js b/src/a.js',
+        '--- a/src/a.js',
+        '+++ b/src/a.js',
+        '@@ -3,0 +4,2 @@ function add(a, b) {',
+        '+  if (a === 0) return b;',
+        '+  return a + b;',
+        '@@ -10 +12 @@ module.exports = {',
+        '-  add',
+        '+  add, subtract',
+        '@@ -20,2 +22,0 @@',
+        '-old();',
+        '-older();',
+        'diff --git a/src/b.js b/src/b.js',
+        'new file mode 100644',
+        '--- /dev/null',
+        '+++ b/src/b.js',
+        '@@ -0,0 +1,3 @@',
+        '+a',
+        '+b',
+        '+c'
+      ].join('\n');
+
+      const ranges = GitAdapter.parseDiff(diff);
+
+      expect([...ranges.keys()]).toEqual(['src/a.js', 'src/b.js']);
+      expect(ranges.get('src/a.js')).toEqual([{ startLine: 4, endLine: 5 }, { startLine: 12, endLine: 12 }]);
+      expect(ranges.get('src/b.js')).toEqual([{ startLine: 1, endLine: 3 }]);
+    });
+
+    test('should merge adjacent hunks and drop files with only deletions', () => {
+      const diff = [
+        '+++ b/src/a.js',
+        '@@ -1,2 +1,2 @@',
+        '@@ -5 +3,2 @@',
+        '+++ b/src/removed-lines.js',
+        '@@ -4,3 +3,0 @@'
+      ].join('\n');
+
+      const ranges = GitAdapter.parseDiff(diff);
+
+      expect(ranges.get('src/a.js')).toEqual([{ startLine: 1, endLine: 4 }]);
+      expect(ranges.has('src/removed-lines.js')).toBe(false);
+    });
+  });
+
+  describe('getChangedFiles', () => {
+    test('should report tracked changes with ranges and untracked files without', async () => {
+      const adapter = new GitAdapter({}, { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() });
+      adapter._git = jest.fn(async ([command]) => ({
+        'rev-parse': '/repo\n',
+        'merge-base': 'abc123\n',
+        diff: '+++ b/src/a.js\n@@ -1 +1 @@\n',
+        'ls-files': 'src/new.js\n'
+      })[command]);
+
+      const changes = await adapter.getChangedFiles({ base: 'develop' });
+
+      expect(adapter._git).toHaveBeenCalledWith(['merge-base', 'develop', 'HEAD']);
+      expect(changes).toEqual([
+        { filePath: '/repo/src/a.js', ranges: [{ startLine: 1, endLine: 1 }] },
+        { filePath: '/repo/src/new.js', ranges: null }
+      ]);
+    });
+
+    test('should explain when the base branch cannot be found', async () => {
+      const adapter = new GitAdapter({}, { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() });
+      adapter._git = jest.fn(async ([command]) => {
+        if (command === 'merge-base') throw new Error('Not a valid object name main');
+        return '/repo\n';
+      });
+
+      await expect(adapter.getChangedFiles()).rejects.toThrow('Cannot compare with main: Not a valid object name main');
+    });
+  });
+});
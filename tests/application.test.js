@@ -0,0 +1,55 @@
+/**
+ * Unit tests for the application layer
+ */
+
+const path = require('path');
+const { createApplication } = require('../lib/application');
+
+describe('MutantTestGenApplication', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createApplication({
+      llm: { provider: 'openai', apiKey: 'test-key', model: 'gpt-4o' },
+      logging: { level: 'error', console: false },
+      targetMutationScore: 90,
+      maxIterations: 4
+    });
+  });
+
+  describe('generateChanged', () => {
+    const ranges = [{ startLine: 3, endLine: 7 }];
+
+    beforeEach(() => {
+      app.vcs = {
+        getChangedFiles: jest.fn().mockResolvedValue([
+          { filePath: path.resolve('src/a.js'), ranges },
+          { filePath: path.resolve('src/b.js'), ranges }
+        ])
+      };
+      app.storageProvider = { fileExists: jest.fn(async file => file === path.join('tests', 'a.test.js')) };
+      app.batchProcessUseCase = { execute: jest.fn().mockResolvedValue({ successfulFiles: 2 }) };
+    });
+
+    test('should improve tested files and generate the others, mutating the changed lines', async () => {
+      await app.generateChanged({ outputDir: 'tests' });
+      const { files, config } = app.batchProcessUseCase.execute.mock.calls[0][0];
+
+      expect(files).toEqual([
+        { sourcePath: path.resolve('src/a.js'), mode: 'improve', mutateRanges: ranges },
+        { sourcePath: path.resolve('src/b.js'), mode: 'generate', mutateRanges: ranges }
+      ]);
+      expect(config).toMatchObject({ runMutationAnalysis: true, useFeedbackLoop: false });
+    });
+
+    test('should pass the feedback loop settings on to generated files', async () => {
+      await app.generateChanged({ outputDir: 'tests', useFeedbackLoop: true });
+
+      expect(app.batchProcessUseCase.execute.mock.calls[0][0].config).toMatchObject({
+        useFeedbackLoop: true,
+        targetMutationScore: 90,
+        maxIterations: 4
+      });
+    });
+  });
+});
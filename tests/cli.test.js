@@ -0,0 +1,87 @@
+/**
+ * Tests for the command line interface
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+/**
+ * Stand-in for `npx stryker run`: logs like Stryker and writes a report with every mutant killed
+ */
+const FAKE_NPX = `#!/usr/bin/env node
+const fs = require('fs');
+console.log('INFO ProjectReader Found 1 of 2 file(s) to be mutated.');
+console.log('All tests/math.test.js');
+fs.mkdirSync('reports/mutation', { recursive: true });
+fs.writeFileSync('reports/mutation/mutation.json', JSON.stringify({
+  schemaVersion: '1.0',
+  thresholds: { high: 80, low: 60 },
+  files: {
+    'src/math.js': {
+      language: 'javascript',
+      source: 'module.exports = (a, b) => a + b;',
+      mutants: [{
+        id: '0',
+        mutatorName: 'ArithmeticOperator',
+        replacement: 'a - b',
+        location: { start: { line: 1, column: 28 }, end: { line: 1, column: 33 } },
+        status: 'Killed',
+        killedBy: ['0']
+      }]
+    }
+  }
+}));
+`;
+
+/**
+ * Run the CLI in a directory
+ * @param {Array<string>} args - Arguments
+ * @param {Object} options - Options ({ cwd, env })
+ * @returns {Promise<Object>} Outcome ({ code, stdout, stderr })
+ */
+function runCli(args, options) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { ...options, timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+describe('cli', () => {
+  let projectDir;
+  let env;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mutant-test-gen-cli-'));
+    await fs.mkdir(path.join(projectDir, 'src'));
+    await fs.mkdir(path.join(projectDir, 'tests'));
+    await fs.mkdir(path.join(projectDir, 'bin'));
+    await fs.writeFile(path.join(projectDir, 'src', 'math.js'), 'module.exports = (a, b) => a + b;\n');
+    await fs.writeFile(path.join(projectDir, 'tests', 'math.test.js'), "test('adds', () => {});\n");
+    await fs.writeFile(path.join(projectDir, 'bin', 'npx'), FAKE_NPX, { mode: 0o755 });
+
+    env = { ...process.env, PATH: `${path.join(projectDir, 'bin')}${path.delimiter}${process.env.PATH}` };
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  // The stand-in npx is a shebang script
+  const unixTest = process.platform === 'win32' ? test.skip : test;
+
+  describe('analyze', () => {
+    unixTest('should write nothing but the result to stdout with --output-format json', async () => {
+      const { code, stdout, stderr } = await runCli(['analyze', 'src/math.js', '--output-format', 'json'], { cwd: projectDir, env });
+
+      expect(code).toBe(0);
+      expect(stderr).toContain('INFO ProjectReader');
+      const result = JSON.parse(stdout);
+      expect(result.files[0].mutationResult).toMatchObject({ mutationScore: 100, killedCount: 1 });
+    });
+  });
+});
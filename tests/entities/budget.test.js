@@ -0,0 +1,111 @@
+/**
+ * Unit tests for Budget entity
+ */
+
+const Budget = require('../../lib/core/entities/budget');
+const TokenUsage = require('../../lib/core/entities/token-usage');
+
+describe('Budget Entity', () => {
+  const usageOf = (...costs) => {
+    const usage = new TokenUsage();
+    costs.forEach(cost => usage.record({ model: 'gpt-4o', promptTokens: 1000, completionTokens: 500, cost }));
+    return usage;
+  };
+
+  describe('limits', () => {
+    test('should not be limited without limits', () => {
+      const budget = new Budget();
+      budget.track(usageOf(100));
+
+      expect(budget.isLimited()).toBe(false);
+      expect(budget.check()).toBeNull();
+    });
+
+    test('should be limited by a parent limit', () => {
+      const budget = new Budget({ maxTokens: 1000 });
+
+      expect(budget.forFile({ maxCost: null }).isLimited()).toBe(true);
+    });
+  });
+
+  describe('check', () => {
+    test('should report an exhausted cost budget', () => {
+      const budget = new Budget({ maxCost: 0.02 });
+      budget.track(usageOf(0.01, 0.01));
+
+      expect(budget.isExhausted()).toBe(true);
+      expect(budget.check()).toEqual({
+        scope: 'session',
+        limit: 'cost',
+        max: 0.02,
+        spent: 0.02,
+        message: 'Session cost budget of $0.0200 is exhausted (spent $0.0200)'
+      });
+    });
+
+    test('should stop before the average call would exceed the budget', () => {
+      const budget = new Budget({ maxTokens: 4000 });
+      budget.track(usageOf(0.01, 0.01));
+
+      expect(budget.isExhausted()).toBe(false);
+      expect(budget.check()).toMatchObject({
+        limit: 'tokens',
+        message: 'Session token budget of 4000 tokens would be exceeded by the next LLM call (spent 3000 tokens, next call ~1500 tokens)'
+      });
+      expect(budget.check({ cost: 0, tokens: 1000 })).toBeNull();
+    });
+
+    test('should count unpriced calls as free', () => {
+      const budget = new Budget({ maxCost: 0.01 });
+      budget.track(usageOf(null, null));
+
+      expect(budget.check()).toBeNull();
+    });
+  });
+
+  describe('file budgets', () => {
+    test('should count file usage against the session', () => {
+      const session = new Budget({ maxCost: 0.05 });
+      const first = session.forFile();
+      const second = session.forFile();
+      const usage = usageOf(0.02, 0.02);
+
+      first.track(usage);
+      first.track(usage);
+
+      expect(session.getSpent().cost).toBeCloseTo(0.04);
+      expect(second.getSpent().calls).toBe(0);
+      expect(second.estimateNextCall()).toEqual({ cost: 0.02, tokens: 1500 });
+      expect(second.check()).toMatchObject({ scope: 'session', limit: 'cost' });
+    });
+
+    test('should report the per-file limit first', () => {
+      const session = new Budget({ maxCost: 1 });
+      const file = session.forFile({ maxCost: 0.01 });
+      file.track(usageOf(0.01));
+
+      expect(file.check().message).toBe('Per-file cost budget of $0.0100 is exhausted (spent $0.0100)');
+      expect(session.check()).toBeNull();
+    });
+
+    test('should create a file budget from the configuration', () => {
+      const budget = Budget.forRequest({ maxCost: 1, perFile: { maxTokens: 500 } });
+
+      expect(budget.scope).toBe('file');
+      expect(budget.maxTokens).toBe(500);
+      expect(budget.parent.maxCost).toBe(1);
+      expect(Budget.forRequest(budget)).toBe(budget);
+    });
+  });
+
+  describe('addPrevious', () => {
+    test('should count usage from earlier runs', () => {
+      const budget = new Budget({ maxCost: 0.05 });
+      budget.addPrevious(usageOf(0.03).toJSON());
+      budget.addPrevious(usageOf(0.02).toJSON());
+
+      expect(budget.getSpent().calls).toBe(2);
+      expect(budget.isExhausted()).toBe(true);
+    });
+  });
+});
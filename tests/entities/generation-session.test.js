@@ -4,6 +4,7 @@
 
 const GenerationSession = require('../../lib/core/entities/generation-session');
 const SourceFile = require('../../lib/core/entities/source-file');
+const TokenUsage = require('../../lib/core/entities/token-usage');
 const { sampleSourceCode, sampleConfig } = require('../fixtures/sample-data');
 
 describe('GenerationSession Entity', () => {
@@ -164,6 +165,22 @@ describe('GenerationSession Entity', () => {
     });
   });
 
+  describe('stop', () => {
+    test('should stop with a reason that is saved and cleared on reopen', () => {
+      const session = new GenerationSession();
+
+      session.stop('budget');
+      const restored = GenerationSession.fromData(session.toData());
+
+      expect(session.isComplete()).toBe(true);
+      expect(restored).toMatchObject({ status: 'stopped', stopReason: 'budget' });
+      expect(restored.getSummary().stopReason).toBe('budget');
+
+      restored.reopen();
+      expect(restored.stopReason).toBeNull();
+    });
+  });
+
   describe('getDuration', () => {
     test('should calculate duration for completed session', async () => {
       const session = new GenerationSession();
@@ -476,6 +493,95 @@ describe('GenerationSession Entity', () => {
     });
   });
 
+  describe('file tracking', () => {
+    test('should track file status and survive a round trip through the session store', () => {
+      const session = new GenerationSession({ llm: { apiKey: 'secret' } });
+      session.addFile('src/a.js', 'tests/a.test.js');
+      session.addFile('src/b.js', 'tests/b.test.js');
+
+      session.startFile('src/a.js');
+      session.completeFile('src/a.js', { success: true, iterations: 2, mutationScore: 90 });
+      session.startFile('src/b.js');
+
+      const data = JSON.parse(JSON.stringify(session.toData()));
+      const restored = GenerationSession.fromData(data);
+
+      expect(JSON.stringify(data)).not.toContain('secret');
+      expect(restored.id).toBe(session.id);
+      expect(restored.getUnfinishedFiles().map(file => file.sourcePath)).toEqual(['src/b.js']);
+      expect(restored.totalIterations).toBe(2);
+      expect(restored.getSummary()).toMatchObject({ totalFiles: 2, processedFiles: 1, averageMutationScore: 90 });
+    });
+
+    test('should replace the result of a retried file', () => {
+      const session = new GenerationSession();
+      session.addFile('src/a.js', 'tests/a.test.js');
+
+      session.startFile('src/a.js');
+      session.failFile('src/a.js', new Error('timeout'));
+      session.startFile('src/a.js');
+      session.completeFile('src/a.js', { success: true, iterations: 1 });
+
+      expect(session.results).toEqual([{ sourceFile: 'src/a.js', success: true, iterations: 1 }]);
+      expect(session.getFile('src/a.js')).toMatchObject({ status: 'completed', error: null });
+    });
+  });
+
+  describe('summarizeResult', () => {
+    const usage = (cost, totalTokens) => ({ ...TokenUsage.empty(), calls: 1, promptTokens: totalTokens, totalTokens, cost });
+
+    test('should record score progression and final survivors of a feedback loop', () => {
+      const survivor = { id: 7, mutatorName: 'ArithmeticOperator', replacement: 'a - b', location: { start: { line: 2, column: 10 }, end: { line: 2, column: 15 } } };
+
+      const outcome = GenerationSession.summarizeResult({
+        success: true,
+        feedbackResult: {
+          totalIterations: 2,
+          finalScore: 75,
+          iterations: [
+            { number: 1, mutationResult: { mutationScore: 50, survivedMutants: [survivor, survivor] }, testCases: 3, testsAdded: 2, duration: 4000, usage: usage(0.02, 1500) },
+            { number: 2, mutationResult: { mutationScore: 75, survivedMutants: [survivor] }, testCases: 5, testsAdded: 0, duration: 3000 }
+          ]
+        }
+      });
+
+      expect(outcome.history).toEqual([
+        { iteration: 1, mutationScore: 50, survived: 2, testCases: 3, testsAdded: 2, duration: 4000, cost: 0.02, tokens: 1500 },
+        { iteration: 2, mutationScore: 75, survived: 1, testCases: 5, testsAdded: 0, duration: 3000, cost: null, tokens: null }
+      ]);
+      expect(outcome.survivedMutants).toEqual([{ mutatorName: 'ArithmeticOperator', replacement: 'a - b', location: survivor.location }]);
+    });
+
+    test('should keep run details in the file record only', () => {
+      const session = new GenerationSession();
+      session.addFile('src/a.js', 'tests/a.test.js');
+
+      session.completeFile('src/a.js', GenerationSession.summarizeResult({ success: true, originalScore: 40, improvedScore: 70, newTestCases: 3 }));
+
+      expect(session.getFile('src/a.js').history.map(entry => [entry.mutationScore, entry.testsAdded])).toEqual([[40, 3], [70, 0]]);
+      expect(session.results[0]).not.toHaveProperty('history');
+    });
+
+    test('should record the token usage and cost of a file', () => {
+      const session = new GenerationSession();
+      session.addFile('src/a.js', 'tests/a.test.js');
+      session.addFile('src/b.js', 'tests/b.test.js');
+
+      session.completeFile('src/a.js', GenerationSession.summarizeResult({ success: true, usage: usage(0.25, 3000) }));
+      session.completeFile('src/b.js', GenerationSession.summarizeResult({ success: true, feedbackResult: { usage: usage(0.5, 6000), iterations: [] } }));
+
+      expect(session.getFile('src/a.js')).toMatchObject({ cost: 0.25, usage: { totalTokens: 3000 } });
+      expect(session.results[0]).toMatchObject({ cost: 0.25 });
+      expect(session.results[0]).not.toHaveProperty('usage');
+      expect(session.getPerformanceMetrics()).toMatchObject({
+        totalTokens: 9000,
+        totalCost: 0.75,
+        avgCostPerFile: 0.375,
+        usage: { calls: 2, promptTokens: 9000 }
+      });
+    });
+  });
+
   describe('_generateId', () => {
     test('should generate unique IDs', () => {
       const session1 = new GenerationSession();
@@ -87,6 +87,26 @@ describe('MutationResult Entity', () => {
     });
   });
 
+  describe('setEquivalentMutants', () => {
+    test('should exclude equivalent mutants from the adjusted score only', () => {
+      const result = new MutationResult(sourceFile, testFile);
+      const equivalent = { id: 3 };
+      result.setResults({
+        mutationScore: 50,
+        killedMutants: [{ id: 1 }, { id: 2 }],
+        survivedMutants: [equivalent, { id: 4 }]
+      });
+
+      result.setEquivalentMutants([equivalent]);
+
+      expect(result.mutationScore).toBe(50);
+      expect(result.adjustedMutationScore).toBeCloseTo(66.67, 2);
+      expect(result.getKillableSurvivors()).toEqual([{ id: 4 }]);
+      expect(result.hasReachedTarget(60)).toBe(true);
+      expect(result.equivalentMutants).toEqual([equivalent]);
+    });
+  });
+
   describe('hasReachedTarget', () => {
     test('should return true when target is reached', () => {
       const result = new MutationResult(sourceFile, testFile, 85);
@@ -424,12 +444,28 @@ describe('MutationResult Entity', () => {
       expect(json).toHaveProperty('totalMutants', 20);
       expect(json).toHaveProperty('killedCount', 1);
       expect(json).toHaveProperty('survivedCount', 1);
+      expect(json.survivedMutants).toEqual([{ mutatorName: 'Test', location: { start: { line: 1, column: 1 } }, replacement: undefined }]);
       expect(json).toHaveProperty('executionTime', 3000);
       expect(json).toHaveProperty('problematicMutators');
       expect(json).toHaveProperty('coverageGaps');
       expect(json).toHaveProperty('suggestions');
     });
 
+    test('should list every mutant with its status in source order', () => {
+      const result = new MutationResult(sourceFile, testFile);
+      result.setResults({
+        totalMutants: 3,
+        killedMutants: [{ id: '1', mutatorName: 'A', location: { start: { line: 4, column: 2 } }, killedBy: ['adds'] }],
+        survivedMutants: [{ id: '2', mutatorName: 'B', location: { start: { line: 2, column: 9 } } }],
+        noCoverageMutants: [{ id: '3', mutatorName: 'C', location: { start: { line: 2, column: 3 } } }]
+      });
+
+      const { mutants } = result.toJSON();
+
+      expect(mutants.map(mutant => [mutant.id, mutant.status])).toEqual([['3', 'NoCoverage'], ['2', 'Survived'], ['1', 'Killed']]);
+      expect(mutants[2]).toMatchObject({ killedBy: ['adds'], equivalence: null });
+    });
+
     test('should be serializable to JSON string', () => {
       const result = new MutationResult(sourceFile, testFile, 80);
 
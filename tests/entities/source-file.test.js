@@ -122,6 +122,45 @@ describe('SourceFile Entity', () => {
     });
   });
 
+  describe('getChangedFunctions', () => {
+    const original = [
+      'function add(a, b) {',
+      '  return a + b;',
+      '}',
+      '',
+      'class Calculator {',
+      '  divide(a, b) {',
+      '    return a / b;',
+      '  }',
+      '}',
+      '',
+      'module.exports = { add, Calculator };'
+    ].join('\n');
+
+    test('should return only functions whose body changed', () => {
+      const sourceFile = new SourceFile('/calc.js', original);
+      const updated = original.replace('return a / b;', "if (b === 0) throw new Error('Division by zero');\n    return a / b;");
+
+      const changed = sourceFile.getChangedFunctions(updated);
+
+      expect(changed.map(fn => `${fn.className}.${fn.name}`)).toEqual(['Calculator.divide']);
+      expect(changed[0]).toMatchObject({ line: 6, endLine: 9 });
+    });
+
+    test('should ignore moved functions and report new ones', () => {
+      const sourceFile = new SourceFile('/calc.js', original);
+      const updated = `// Calculator helpers\n\nfunction negate(a) {\n  return -a;\n}\n\n${original}`;
+
+      expect(sourceFile.getChangedFunctions(updated).map(fn => fn.name)).toEqual(['negate']);
+    });
+
+    test('should return null when the new content cannot be parsed', () => {
+      const sourceFile = new SourceFile('/calc.js', original);
+
+      expect(sourceFile.getChangedFunctions('function add(a, b {')).toBeNull();
+    });
+  });
+
   describe('updateContent', () => {
     test('should update content and recalculate metrics', () => {
       const sourceFile = new SourceFile('/test.js', 'old content');
@@ -243,9 +282,32 @@ describe('SourceFile Entity', () => {
       const sourceFile = new SourceFile('/test.js', content);
       const functions = sourceFile.extractFunctions();
 
-      // Note: The current regex might not catch all arrow functions
-      // This is a known limitation that could be improved
-      expect(functions).toBeDefined();
+      expect(functions).toHaveLength(1);
+      expect(functions[0]).toMatchObject({ name: 'subtract', kind: 'arrow', line: 2 });
+      expect(functions[0].params.map(param => param.name)).toEqual(['a', 'b']);
+    });
+
+    test('should not mistake control flow for function calls', () => {
+      const content = `
+        function check(value) {
+          if (value) {
+            while (value--) {}
+          }
+          for (let i = 0; i < 3; i++) {}
+        }
+      `;
+      const sourceFile = new SourceFile('/test.js', content);
+
+      expect(sourceFile.extractFunctions().map(fn => fn.name)).toEqual(['check']);
+    });
+
+    test('should fall back to regex extraction when content cannot be parsed', () => {
+      const content = 'function add(a, b) { return a + b;\nfunction (';
+      const sourceFile = new SourceFile('/test.js', content);
+
+      expect(sourceFile.analyze()).toBeNull();
+      expect(sourceFile.extractFunctions()[0]).toEqual({ name: 'add', line: 1, signature: 'function add(a, b)' });
+      expect(sourceFile.getComplexityMetrics().functions).toBe(1);
     });
 
     test('should extract method functions', () => {
@@ -270,6 +332,64 @@ describe('SourceFile Entity', () => {
     });
   });
 
+  describe('analyze', () => {
+    test('should cache analysis until content changes', () => {
+      const sourceFile = new SourceFile('/test.js', 'function a() {}');
+      const analysis = sourceFile.analyze();
+
+      expect(sourceFile.analyze()).toBe(analysis);
+
+      sourceFile.updateContent('function a() {} function b() {}');
+
+      expect(sourceFile.analyze()).not.toBe(analysis);
+      expect(sourceFile.analyze().functions).toHaveLength(2);
+    });
+
+    test('should report cyclomatic complexity', () => {
+      const content = 'function f(a, b) { if (a && b) { return 1; } return a ? 2 : 3; }';
+      const metrics = new SourceFile('/test.js', content).getComplexityMetrics();
+
+      expect(metrics.cyclomatic).toBe(4);
+      expect(metrics.maxFunctionComplexity).toBe(4);
+    });
+  });
+
+  describe('getPublicApi', () => {
+    test('should list exported classes and functions only', () => {
+      const content = `
+        class Calculator {
+          add(a, b) { return a + b; }
+          #round(value) { return value; }
+        }
+        function helper() {}
+        function internal() {}
+        module.exports = { Calculator, helper };
+      `;
+      const api = new SourceFile('/calc.js', content).getPublicApi();
+
+      expect(api.moduleType).toBe('commonjs');
+      expect(api.exports.map(entry => entry.name)).toEqual(['Calculator', 'helper']);
+      expect(api.classes.map(cls => cls.name)).toEqual(['Calculator']);
+      expect(api.classes[0].methods.map(method => method.name)).toEqual(['add']);
+      expect(api.functions.map(fn => fn.name)).toEqual(['helper']);
+    });
+
+    test('should list everything when nothing is exported', () => {
+      const api = new SourceFile('/script.js', 'function main() {} class Runner {}').getPublicApi();
+
+      expect(api.exports).toEqual([]);
+      expect(api.functions.map(fn => fn.name)).toEqual(['main']);
+      expect(api.classes.map(cls => cls.name)).toEqual(['Runner']);
+    });
+
+    test('should use regex-extracted functions when content cannot be parsed', () => {
+      const api = new SourceFile('/broken.js', 'function add(a) {').getPublicApi();
+
+      expect(api.moduleType).toBe('unknown');
+      expect(api.functions.map(fn => fn.name)).toEqual(['add']);
+    });
+  });
+
   describe('toJSON', () => {
     test('should convert to JSON representation', () => {
       const sourceFile = new SourceFile('/test.js', sampleSourceCode);
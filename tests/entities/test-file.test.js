@@ -64,6 +64,11 @@ describe('TestFile Entity', () => {
       expect(testFile.getSourceFileName()).toBe('utils.js');
     });
 
+    test('should keep TypeScript and ES module extensions', () => {
+      expect(new TestFile('/path/to/utils.test.ts', sampleTestCode).getSourceFileName()).toBe('utils.ts');
+      expect(new TestFile('/path/to/utils.test.mjs', sampleTestCode).getSourceFileName()).toBe('utils.mjs');
+    });
+
     test('should handle file names without .test.js', () => {
       const testFile = new TestFile('/path/to/myfile.js', sampleTestCode);
 
@@ -0,0 +1,112 @@
+/**
+ * Unit tests for TokenUsage entity
+ */
+
+const TokenUsage = require('../../lib/core/entities/token-usage');
+
+describe('TokenUsage Entity', () => {
+  const call = (overrides = {}) => ({
+    task: 'generate',
+    model: 'gpt-4o',
+    promptTokens: 1000,
+    completionTokens: 500,
+    latency: 1200,
+    cost: 0.01,
+    ...overrides
+  });
+
+  describe('record', () => {
+    test('should record calls with defaults for missing fields', () => {
+      const usage = new TokenUsage();
+
+      const recorded = usage.record({ task: 'classify' });
+
+      expect(recorded).toMatchObject({
+        task: 'classify',
+        model: null,
+        promptTokens: 0,
+        completionTokens: 0,
+        latency: 0,
+        cost: null,
+        estimated: false
+      });
+      expect(recorded.timestamp).toEqual(expect.any(String));
+      expect(usage.calls).toHaveLength(1);
+    });
+  });
+
+  describe('summarize', () => {
+    test('should add up tokens, latency and cost per model', () => {
+      const usage = new TokenUsage();
+      usage.record(call());
+      usage.record(call({ task: 'improve', cost: 0.02 }));
+      usage.record(call({ model: 'gpt-4o-mini', promptTokens: 100, completionTokens: 50, cost: 0.001, estimated: true }));
+
+      const summary = usage.toJSON();
+
+      expect(summary).toMatchObject({
+        calls: 3,
+        promptTokens: 2100,
+        completionTokens: 1050,
+        totalTokens: 3150,
+        latency: 3600,
+        unpricedCalls: 0,
+        estimatedCalls: 1
+      });
+      expect(summary.cost).toBeCloseTo(0.031, 10);
+      expect(summary.models['gpt-4o']).toMatchObject({ calls: 2, promptTokens: 2000, completionTokens: 1000 });
+      expect(summary.models['gpt-4o'].cost).toBeCloseTo(0.03, 10);
+    });
+
+    test('should leave the cost unknown when no call had a price', () => {
+      const usage = new TokenUsage();
+      usage.record(call({ model: 'my-model', cost: null }));
+
+      expect(usage.toJSON()).toMatchObject({ calls: 1, cost: null, unpricedCalls: 1 });
+      expect(usage.toJSON().models['my-model'].cost).toBeNull();
+    });
+
+    test('should count the priced calls when only some have a price', () => {
+      const usage = new TokenUsage();
+      usage.record(call({ model: 'my-model', cost: null }));
+      usage.record(call());
+
+      expect(usage.toJSON()).toMatchObject({ cost: 0.01, unpricedCalls: 1 });
+    });
+  });
+
+  describe('checkpoint and since', () => {
+    test('should summarize the calls made after a checkpoint', () => {
+      const usage = new TokenUsage();
+      usage.record(call());
+      const checkpoint = usage.checkpoint();
+      usage.record(call({ promptTokens: 10, completionTokens: 5 }));
+
+      expect(usage.since(checkpoint)).toMatchObject({ calls: 1, totalTokens: 15 });
+      expect(usage.since(usage.checkpoint())).toEqual(TokenUsage.empty());
+    });
+  });
+
+  describe('merge', () => {
+    test('should add up summaries and skip missing ones', () => {
+      const first = new TokenUsage();
+      first.record(call());
+      const second = new TokenUsage();
+      second.record(call({ model: 'claude-sonnet-4-5', cost: 0.02 }));
+
+      const merged = TokenUsage.merge([first.toJSON(), null, second.toJSON()]);
+
+      expect(merged).toMatchObject({ calls: 2, totalTokens: 3000, latency: 2400 });
+      expect(merged.cost).toBeCloseTo(0.03, 10);
+      expect(Object.keys(merged.models)).toEqual(['gpt-4o', 'claude-sonnet-4-5']);
+    });
+
+    test('should keep an unknown cost unknown', () => {
+      const unpriced = new TokenUsage();
+      unpriced.record(call({ cost: null }));
+
+      expect(TokenUsage.merge([unpriced.toJSON(), TokenUsage.empty()]).cost).toBeNull();
+      expect(TokenUsage.merge([]).cost).toBe(0);
+    });
+  });
+});
@@ -44,10 +44,10 @@ describe('Generated Test', () => {
     `.trim();
   }
 
-  async improveTests(sourceCode, existingTests, survivedMutants) {
+  async improveTests(sourceCode, existingTests, survivedMutants, context = {}) {
     this.calls.push({
       method: 'improveTests',
-      args: { sourceCode, existingTests, survivedMutants },
+      args: { sourceCode, existingTests, survivedMutants, context },
       timestamp: Date.now()
     });
 
@@ -80,6 +80,46 @@ describe('Improved Test', () => {
     `.trim();
   }
 
+  async repairTests(sourceCode, testCode, failures, context = {}) {
+    this.calls.push({
+      method: 'repairTests',
+      args: { sourceCode, testCode, failures, context },
+      timestamp: Date.now()
+    });
+
+    if (this.shouldFail) {
+      throw new Error('LLM API Error: Mock failure');
+    }
+
+    if (this.responses.length > 0) {
+      const response = this.responses[this.responseIndex % this.responses.length];
+      this.responseIndex++;
+      return response.testCode || response;
+    }
+
+    return testCode;
+  }
+
+  async classifyMutants(sourceCode, mutants, context = {}) {
+    this.calls.push({
+      method: 'classifyMutants',
+      args: { sourceCode, mutants, context },
+      timestamp: Date.now()
+    });
+
+    if (this.shouldFail) {
+      throw new Error('LLM API Error: Mock failure');
+    }
+
+    if (this.responses.length > 0) {
+      const response = this.responses[this.responseIndex % this.responses.length];
+      this.responseIndex++;
+      return response.verdicts || response;
+    }
+
+    return [];
+  }
+
   getCallCount() {
     return this.calls.length;
   }
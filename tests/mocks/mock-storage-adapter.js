@@ -100,6 +100,18 @@ class MockStorageAdapter {
     return JSON.parse(this.storage.get(sessionPath));
   }
 
+  async listSessions() {
+    return [...this.storage.entries()]
+      .filter(([filePath]) => filePath.startsWith('session-'))
+      .map(([, content]) => JSON.parse(content));
+  }
+
+  async listFiles(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    const matcher = new RegExp(`^${escaped.split('**/').map(part => part.replace(/\*/g, '[^/]*')).join('(?:.*/)?')}$`);
+    return [...this.storage.keys()].filter(filePath => matcher.test(filePath));
+  }
+
   getCallCount() {
     return this.calls.length;
   }
@@ -130,6 +142,10 @@ class MockStorageAdapter {
     return this.saveFile(filePath, content);
   }
 
+  async fileExists(filePath) {
+    return this.exists(filePath);
+  }
+
   getInfo() {
     return {
       type: 'mock-storage',
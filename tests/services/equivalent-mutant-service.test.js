@@ -0,0 +1,139 @@
+/**
+ * Unit tests for EquivalentMutantService and the static equivalence heuristics
+ */
+
+const EquivalentMutantService = require('../../lib/core/services/equivalent-mutant-service');
+const { detectEquivalentMutant } = require('../../lib/utils/equivalence-heuristics');
+const SourceFile = require('../../lib/core/entities/source-file');
+const { MockStorageAdapter, MockLLMAdapter } = require('../mocks');
+
+const source = [
+  'function sum(items) {',
+  '  let total = 0;',
+  '  for (let i = 0; i < items.length; i++) {',
+  '    total += items[i];',
+  '  }',
+  '  return total > 100 ? 100 : total;',
+  '}'
+].join('\n');
+
+const reformatted = {
+  mutatorName: 'EqualityOperator',
+  replacement: 'i<items.length',
+  location: { start: { line: 3, column: 19 }, end: { line: 3, column: 35 } }
+};
+const loopBoundInclusive = {
+  mutatorName: 'EqualityOperator',
+  replacement: 'i <= items.length',
+  location: { start: { line: 3, column: 19 }, end: { line: 3, column: 35 } }
+};
+const cap = {
+  mutatorName: 'EqualityOperator',
+  replacement: 'total >= 100',
+  location: { start: { line: 6, column: 10 }, end: { line: 6, column: 21 } }
+};
+const capInverted = { ...cap, replacement: 'total <= 100' };
+
+describe('detectEquivalentMutant', () => {
+  test('should not flag the boundary mutants Stryker emits for comparisons', () => {
+    expect(detectEquivalentMutant(source, loopBoundInclusive)).toBeNull();
+    expect(detectEquivalentMutant(source, { ...loopBoundInclusive, replacement: 'i >= items.length' })).toBeNull();
+    expect(detectEquivalentMutant(source, capInverted)).toBeNull();
+  });
+
+  test('should recognise boundary flips of a clamp whose branches are the compared values', () => {
+    expect(detectEquivalentMutant(source, cap)).toEqual(expect.objectContaining({ confidence: 0.9 }));
+    expect(detectEquivalentMutant(source.replace('100 : total', '0 : total'), cap)).toBeNull();
+  });
+
+  test('should recognise arithmetic on a neutral right operand', () => {
+    const expressions = ['ratio * 1', 'base - 0', 'ratio * 2', '1 * ratio'];
+    const code = expressions.map((expression, index) => `const v${index} = ${expression};`).join('\n');
+    const arithmetic = (line, replacement) => ({
+      mutatorName: 'ArithmeticOperator',
+      replacement,
+      location: { start: { line, column: 12 }, end: { line, column: 12 + expressions[line - 1].length } }
+    });
+
+    expect(detectEquivalentMutant(code, arithmetic(1, 'ratio / 1'))).toEqual(expect.objectContaining({ confidence: 1 }));
+    expect(detectEquivalentMutant(code, arithmetic(2, 'base + 0'))).toEqual(expect.objectContaining({ confidence: 0.9 }));
+    expect(detectEquivalentMutant(code, arithmetic(3, 'ratio / 2'))).toBeNull();
+    expect(detectEquivalentMutant(code, arithmetic(4, '1 / ratio'))).toBeNull();
+  });
+
+  test('should recognise replacements that only change formatting', () => {
+    const noOp = { ...cap, replacement: 'total  > 100' };
+    expect(detectEquivalentMutant(source, noOp)).toEqual(expect.objectContaining({ confidence: 1 }));
+  });
+});
+
+describe('EquivalentMutantService', () => {
+  let storage;
+  let logger;
+  let service;
+  let sourceFile;
+
+  beforeEach(() => {
+    storage = new MockStorageAdapter();
+    logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    service = new EquivalentMutantService(storage, logger, { suppressionFile: 'suppressions.json' });
+    sourceFile = new SourceFile('src/sum.js', source);
+  });
+
+  test('should use heuristics first and ask the LLM about the rest', async () => {
+    const llmAdapter = new MockLLMAdapter();
+    llmAdapter.setResponses([[
+      { id: 1, equivalent: false, confidence: 0.9, reason: 'inputs 1..4 differ' },
+      { id: 2, equivalent: true, confidence: 0.95, reason: 'totals never reach 100' }
+    ]]);
+
+    const verdicts = await service.classify(sourceFile, [reformatted, cap, loopBoundInclusive, capInverted], { llmAdapter });
+
+    expect(verdicts.map(verdict => [verdict.source, verdict.equivalent])).toEqual([
+      ['heuristic', true],
+      ['heuristic', true],
+      ['llm', false],
+      ['llm', true]
+    ]);
+    expect(llmAdapter.getLastCall().args.mutants).toEqual([loopBoundInclusive, capInverted]);
+  });
+
+  test('should ignore LLM verdicts below the confidence threshold', async () => {
+    const llmAdapter = new MockLLMAdapter();
+    llmAdapter.setResponses([[{ id: 1, equivalent: true, confidence: 0.5, reason: 'maybe' }]]);
+
+    const [verdict] = await service.classify(sourceFile, [capInverted], { llmAdapter });
+
+    expect(verdict.equivalent).toBe(false);
+  });
+
+  test('should treat survivors as killable when the LLM fails', async () => {
+    const llmAdapter = new MockLLMAdapter();
+    llmAdapter.setShouldFail(true);
+
+    const [verdict] = await service.classify(sourceFile, [capInverted], { llmAdapter });
+
+    expect(verdict.equivalent).toBe(false);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('LLM equivalence check failed'), expect.any(Object));
+  });
+
+  test('should honour suppressions after the mutated line moves', async () => {
+    const added = await service.suppress(sourceFile, [cap, cap], { reason: 'cap is unobservable' });
+    const saved = JSON.parse(await storage.readFile('suppressions.json'));
+
+    expect(added).toBe(1);
+    expect(saved.suppressions[0]).toEqual(expect.objectContaining({
+      file: 'src/sum.js',
+      mutatorName: 'EqualityOperator',
+      replacement: 'total >= 100',
+      lineText: 'return total > 100 ? 100 : total;',
+      reason: 'cap is unobservable'
+    }));
+
+    const moved = new SourceFile('src/sum.js', `// header\n${source}`);
+    const movedCap = { ...cap, location: { start: { line: 7, column: 10 }, end: { line: 7, column: 21 } } };
+    const [verdict] = await service.classify(moved, [movedCap], { useLLM: false });
+
+    expect(verdict).toEqual(expect.objectContaining({ equivalent: true, source: 'suppression', reason: 'cap is unobservable' }));
+  });
+});
@@ -0,0 +1,362 @@
+/**
+ * Unit tests for FeedbackLoopService
+ */
+
+const FeedbackLoopService = require('../../lib/core/services/feedback-loop-service');
+const TestGenerationService = require('../../lib/core/services/test-generation-service');
+const MutationAnalysisService = require('../../lib/core/services/mutation-analysis-service');
+const SourceFile = require('../../lib/core/entities/source-file');
+const MutationResult = require('../../lib/core/entities/mutation-result');
+const TokenUsage = require('../../lib/core/entities/token-usage');
+const Budget = require('../../lib/core/entities/budget');
+const { JestAdapter } = require('../../lib/adapters/testing');
+const { MockLLMAdapter, MockStorageAdapter } = require('../mocks');
+const { sampleSourceCode } = require('../fixtures/sample-data');
+
+describe('FeedbackLoopService', () => {
+  let mockLogger;
+  let mockLLMProvider;
+  let framework;
+  let mutationAnalysisService;
+  let service;
+  let sourceFile;
+
+  const survivor = (line, mutatorName, replacement) => ({
+    mutatorName,
+    replacement,
+    status: 'Survived',
+    location: { start: { line, column: 5 }, end: { line, column: 10 } }
+  });
+  const mutationResult = (survivedMutants, mutationScore) => {
+    const result = new MutationResult(sourceFile, null);
+    result.setResults({ mutationScore, totalMutants: 4, survivedMutants });
+    return result;
+  };
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+    mockLLMProvider = new MockLLMAdapter();
+    framework = new JestAdapter({}, mockLogger);
+    jest.spyOn(framework, 'executeTests').mockResolvedValue({ success: true, passed: 1, failed: 0, tests: [], errors: [] });
+
+    mutationAnalysisService = {
+      runMutationAnalysis: jest.fn(),
+      verifyKills: jest.fn(),
+      getRecommendations: jest.fn().mockReturnValue([])
+    };
+    service = new FeedbackLoopService(
+      new TestGenerationService(mockLLMProvider, new MockStorageAdapter(), mockLogger, framework),
+      mutationAnalysisService,
+      mockLogger
+    );
+    sourceFile = new SourceFile('/src/calculator.js', sampleSourceCode);
+  });
+
+  describe('equivalent mutants', () => {
+    test('should stop when only likely equivalent mutants survive', async () => {
+      const loopBound = survivor(3, 'EqualityOperator', 'i !== n');
+      const result = mutationResult([loopBound], 75);
+      result.setEquivalentMutants([loopBound]);
+
+      mockLLMProvider.setResponses(["describe('Calculator', () => {\n  test('adds', () => { expect(1 + 1).toBe(2); });\n});"]);
+      mutationAnalysisService.runMutationAnalysis.mockResolvedValue(result);
+
+      const results = await service.executeFeedbackLoop(sourceFile, {
+        targetMutationScore: 100,
+        maxIterations: 3,
+        llmAdapter: mockLLMProvider,
+        mutationOptions: { timeoutMS: 5000 }
+      });
+
+      expect(mutationAnalysisService.runMutationAnalysis).toHaveBeenCalledWith(sourceFile, results.testFile, {
+        timeoutMS: 5000,
+        llmAdapter: mockLLMProvider
+      });
+      expect(mockLLMProvider.calls.filter(call => call.method === 'improveTests')).toHaveLength(0);
+      expect(results.totalIterations).toBe(1);
+    });
+  });
+
+  describe('token usage', () => {
+    test('should record the usage of each iteration and of the whole loop', async () => {
+      const usage = new TokenUsage();
+      mockLLMProvider.getUsage = () => usage;
+      ['generateTests', 'improveTests'].forEach(method => {
+        const original = mockLLMProvider[method].bind(mockLLMProvider);
+        mockLLMProvider[method] = (...args) => {
+          usage.record({ task: method, model: 'gpt-4o', promptTokens: 100, completionTokens: 50, cost: 0.01 });
+          return original(...args);
+        };
+      });
+
+      mockLLMProvider.setResponses(["describe('Calculator', () => {\n  test('adds', () => { expect(1 + 1).toBe(2); });\n});"]);
+      mutationAnalysisService.runMutationAnalysis
+        .mockResolvedValueOnce(mutationResult([survivor(2, 'ArithmeticOperator', 'a - b')], 50))
+        .mockResolvedValueOnce(mutationResult([], 100));
+
+      const results = await service.executeFeedbackLoop(sourceFile, {
+        targetMutationScore: 80,
+        maxIterations: 3,
+        llmAdapter: mockLLMProvider
+      });
+
+      expect(results.iterations.map(iteration => iteration.usage.calls)).toEqual([1, 0]);
+      expect(results.iterations[0].usage).toMatchObject({ totalTokens: 150, cost: 0.01 });
+      expect(results.usage).toMatchObject({ calls: 2, totalTokens: 300, cost: 0.02 });
+    });
+
+    test('should leave usage empty for adapters that record none', async () => {
+      mutationAnalysisService.runMutationAnalysis.mockResolvedValue(mutationResult([], 100));
+
+      const results = await service.executeFeedbackLoop(sourceFile, {
+        targetMutationScore: 80,
+        maxIterations: 1,
+        llmAdapter: mockLLMProvider
+      });
+
+      expect(results.usage).toBeNull();
+      expect(results.iterations[0].usage).toBeNull();
+    });
+  });
+
+  describe('budget', () => {
+    let usage;
+
+    beforeEach(() => {
+      usage = new TokenUsage();
+      mockLLMProvider.getUsage = () => usage;
+      const generateTests = mockLLMProvider.generateTests.bind(mockLLMProvider);
+      mockLLMProvider.generateTests = (...args) => {
+        usage.record({ task: 'generateTests', model: 'gpt-4o', promptTokens: 1000, completionTokens: 500, cost: 0.4 });
+        return generateTests(...args);
+      };
+      mockLLMProvider.setResponses(["describe('Calculator', () => {\n  test('adds', () => { expect(1 + 1).toBe(2); });\n});"]);
+    });
+
+    test('should stop before an improvement that would exceed the budget', async () => {
+      const budget = new Budget({ maxCost: 0.5 });
+      budget.track(usage);
+      mutationAnalysisService.runMutationAnalysis.mockResolvedValue(mutationResult([survivor(2, 'ArithmeticOperator', 'a - b')], 50));
+
+      const results = await service.executeFeedbackLoop(sourceFile, {
+        targetMutationScore: 80,
+        maxIterations: 3,
+        llmAdapter: mockLLMProvider,
+        budget
+      });
+
+      expect(mockLLMProvider.calls.filter(call => call.method === 'improveTests')).toHaveLength(0);
+      expect(results.stopReason).toBe('budget');
+      expect(results.totalIterations).toBe(1);
+      expect(results.finalScore).toBe(50);
+      expect(results.testFile.content).toContain("test('adds'");
+      expect(results.budgetExceeded).toMatchObject({ scope: 'session', limit: 'cost', max: 0.5 });
+      expect(results.iterations[0].budgetExceeded.message).toContain('would be exceeded by the next LLM call');
+    });
+
+    test('should keep iterating within the budget', async () => {
+      const budget = new Budget({ maxCost: 10 });
+      budget.track(usage);
+      mutationAnalysisService.runMutationAnalysis
+        .mockResolvedValueOnce(mutationResult([survivor(2, 'ArithmeticOperator', 'a - b')], 50))
+        .mockResolvedValueOnce(mutationResult([], 100));
+
+      const results = await service.executeFeedbackLoop(sourceFile, {
+        targetMutationScore: 80,
+        maxIterations: 3,
+        llmAdapter: mockLLMProvider,
+        budget
+      });
+
+      expect(results.stopReason).toBe('target-reached');
+      expect(results.budgetExceeded).toBeNull();
+      expect(results.totalIterations).toBe(2);
+    });
+
+    test('should not generate tests once the budget is exhausted', async () => {
+      const budget = new Budget({ maxCost: 0.5 });
+      usage.record({ task: 'generateTests', model: 'gpt-4o', promptTokens: 1000, completionTokens: 500, cost: 0.5 });
+      budget.track(usage);
+
+      await expect(service.executeFeedbackLoop(sourceFile, {
+        targetMutationScore: 80,
+        maxIterations: 3,
+        llmAdapter: mockLLMProvider,
+        budget
+      })).rejects.toMatchObject({
+        message: 'LLM budget exhausted before generating tests: Session cost budget of $0.5000 is exhausted (spent $0.5000)',
+        budgetExceeded: { scope: 'session', limit: 'cost' }
+      });
+      expect(mockLLMProvider.calls).toHaveLength(0);
+    });
+
+    test('should stop adding targeted tests when the next one would exceed the budget', async () => {
+      const add = survivor(2, 'ArithmeticOperator', 'a - b');
+      const divide = survivor(5, 'EqualityOperator', 'b !== 0');
+      const budget = new Budget({ maxCost: 1 });
+      budget.track(usage);
+      const improveTests = mockLLMProvider.improveTests.bind(mockLLMProvider);
+      mockLLMProvider.improveTests = (...args) => {
+        usage.record({ task: 'improveTests', model: 'gpt-4o', promptTokens: 1000, completionTokens: 500, cost: 0.4 });
+        return improveTests(...args);
+      };
+      mockLLMProvider.setResponses([
+        "describe('Calculator', () => {\n  test('adds', () => { expect(1 + 1).toBe(2); });\n});",
+        "describe('Calculator', () => {\n  test('rejects zero divisors', () => { expect(() => 1).not.toThrow(); });\n});"
+      ]);
+      mutationAnalysisService.runMutationAnalysis.mockResolvedValue(mutationResult([add, divide], 50));
+      mutationAnalysisService.verifyKills.mockResolvedValue({ killed: [{ mutant: add, killedBy: ['Calculator rejects zero divisors'] }], survived: [] });
+
+      const results = await service.executeFeedbackLoop(sourceFile, {
+        targetMutationScore: 80,
+        maxIterations: 3,
+        llmAdapter: mockLLMProvider,
+        improvementOptions: { mode: 'targeted' },
+        budget
+      });
+      const improvements = results.iterations[0].improvements;
+
+      expect(mockLLMProvider.calls.filter(call => call.method === 'improveTests')).toHaveLength(1);
+      expect(improvements.targets).toHaveLength(1);
+      expect(improvements.budgetExceeded.message).toContain('would be exceeded by the next LLM call');
+      expect(mutationAnalysisService.verifyKills).toHaveBeenCalledWith(sourceFile, results.testFile, [add], {});
+      expect(results.stopReason).toBe('budget');
+      expect(results.totalIterations).toBe(1);
+    });
+
+    test('should judge equivalent mutants without the LLM once the budget is exhausted', async () => {
+      const budget = new Budget({ maxCost: 0.7 });
+      budget.track(usage);
+      mutationAnalysisService.runMutationAnalysis.mockResolvedValue(mutationResult([], 100));
+
+      await service.executeFeedbackLoop(sourceFile, {
+        targetMutationScore: 80,
+        maxIterations: 1,
+        llmAdapter: mockLLMProvider,
+        budget
+      });
+
+      expect(mutationAnalysisService.runMutationAnalysis).toHaveBeenCalledWith(sourceFile, expect.anything(), { llmAdapter: null });
+    });
+  });
+
+  describe('targeted mode', () => {
+    test('should keep only the targeted tests that kill their mutant', async () => {
+      const add = survivor(2, 'ArithmeticOperator', 'a - b');
+      const divide = survivor(5, 'EqualityOperator', 'b !== 0');
+      const divideBlock = survivor(5, 'BlockStatement', '{}');
+
+      mockLLMProvider.setResponses([
+        "describe('Calculator', () => {\n  test('adds', () => { expect(1 + 1).toBe(2); });\n});",
+        "describe('Calculator', () => {\n  test('rejects zero divisors', () => { expect(() => 1).not.toThrow(); });\n});",
+        "describe('Calculator', () => {\n  test('adds negatives', () => { expect(-1 + -1).toBe(-2); });\n});"
+      ]);
+      mutationAnalysisService.runMutationAnalysis
+        .mockResolvedValueOnce(mutationResult([add, divide, divideBlock], 25))
+        .mockResolvedValueOnce(mutationResult([], 100));
+      mutationAnalysisService.verifyKills.mockResolvedValue({
+        killed: [{ mutant: add, killedBy: ['Calculator adds negatives'] }],
+        survived: [divide, divideBlock]
+      });
+
+      const results = await service.executeFeedbackLoop(sourceFile, {
+        targetMutationScore: 80,
+        maxIterations: 2,
+        llmAdapter: mockLLMProvider,
+        improvementOptions: { mode: 'targeted' }
+      });
+      const improvements = results.iterations[0].improvements;
+
+      // The line with two survivors is targeted first, as one cluster
+      const improveCalls = mockLLMProvider.calls.filter(call => call.method === 'improveTests');
+      expect(improveCalls.map(call => call.args.survivedMutants.length)).toEqual([2, 1]);
+      expect(improveCalls[0].args.context.targeted).toBe(true);
+      expect(mutationAnalysisService.verifyKills).toHaveBeenCalledWith(sourceFile, results.testFile, [divide, divideBlock, add], {});
+
+      expect(improvements).toMatchObject({
+        mode: 'targeted',
+        survivedMutantsTargeted: 3,
+        keptTests: ['Calculator adds negatives'],
+        droppedTests: ['Calculator rejects zero divisors'],
+        kills: [{ mutatorName: 'ArithmeticOperator', line: 2, replacement: 'a - b', killedBy: ['Calculator adds negatives'] }]
+      });
+      expect(improvements.targets.map(target => target.line)).toEqual([5, 2]);
+      expect(results.testFile.content).toContain("test('adds negatives'");
+      expect(results.testFile.content).not.toContain('rejects zero divisors');
+      expect(results.targetReached).toBe(true);
+    });
+
+    test('should keep every new test that kills the targeted mutant', async () => {
+      const add = survivor(2, 'ArithmeticOperator', 'a - b');
+      const bothKillers = ['Calculator adds negatives', 'Calculator adds zero'];
+      // Stryker stops at the first killing test unless bail is disabled
+      const mutationEngine = {
+        runMutationTests: jest.fn(async (sourcePath, testPath, options) => ({
+          killedMutants: [{ ...add, id: '3', killedBy: options.disableBail ? bothKillers : bothKillers.slice(0, 1) }],
+          timeoutMutants: [],
+          survivedMutants: []
+        }))
+      };
+      const analysis = new MutationAnalysisService(mutationEngine, new MockStorageAdapter(), mockLogger);
+      mutationAnalysisService.verifyKills.mockImplementation((...args) => analysis.verifyKills(...args));
+
+      mockLLMProvider.setResponses([
+        "describe('Calculator', () => {\n  test('adds', () => { expect(1 + 1).toBe(2); });\n});",
+        "describe('Calculator', () => {\n  test('adds negatives', () => { expect(-1 + -1).toBe(-2); });\n  test('adds zero', () => { expect(1 + 0).toBe(1); });\n});"
+      ]);
+      mutationAnalysisService.runMutationAnalysis
+        .mockResolvedValueOnce(mutationResult([add], 75))
+        .mockResolvedValueOnce(mutationResult([], 100));
+
+      const results = await service.executeFeedbackLoop(sourceFile, {
+        targetMutationScore: 80,
+        maxIterations: 2,
+        llmAdapter: mockLLMProvider,
+        improvementOptions: { mode: 'targeted' }
+      });
+      const improvements = results.iterations[0].improvements;
+
+      expect(improvements.keptTests).toEqual(bothKillers);
+      expect(improvements.droppedTests).toEqual([]);
+      expect(results.testFile.content).toContain("test('adds negatives'");
+      expect(results.testFile.content).toContain("test('adds zero'");
+    });
+
+    test('should skip verification when every new test fails on the original code', async () => {
+      const add = survivor(2, 'ArithmeticOperator', 'a - b');
+      const original = "describe('Calculator', () => {\n  test('adds', () => { expect(1 + 1).toBe(2); });\n});";
+
+      mockLLMProvider.setResponses([
+        original,
+        "describe('Calculator', () => {\n  test('adds wrongly', () => { expect(1 + 1).toBe(3); });\n});"
+      ]);
+      mutationAnalysisService.runMutationAnalysis.mockResolvedValue(mutationResult([add], 50));
+      framework.executeTests
+        .mockResolvedValueOnce({ success: true, passed: 1, failed: 0, tests: [], errors: [] })
+        .mockResolvedValue({
+          success: false,
+          passed: 1,
+          failed: 1,
+          tests: [{ title: 'adds wrongly', fullName: 'Calculator adds wrongly', status: 'failed', failureMessage: 'Expected: 3' }],
+          errors: []
+        });
+
+      const results = await service.executeFeedbackLoop(sourceFile, {
+        targetMutationScore: 80,
+        maxIterations: 1,
+        llmAdapter: mockLLMProvider,
+        baselineOptions: { maxRepairAttempts: 0 },
+        improvementOptions: { mode: 'targeted' }
+      });
+
+      expect(mutationAnalysisService.verifyKills).not.toHaveBeenCalled();
+      expect(results.iterations[0].improvements.droppedTests).toEqual(['Calculator adds wrongly']);
+      expect(results.testFile.content).not.toContain('adds wrongly');
+    });
+  });
+});
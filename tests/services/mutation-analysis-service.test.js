@@ -0,0 +1,143 @@
+/**
+ * Unit tests for MutationAnalysisService
+ */
+
+const MutationAnalysisService = require('../../lib/core/services/mutation-analysis-service');
+const SourceFile = require('../../lib/core/entities/source-file');
+const TestFile = require('../../lib/core/entities/test-file');
+const MutationResult = require('../../lib/core/entities/mutation-result');
+const { factory: reporterFactory } = require('../../lib/adapters/reporting');
+const { MockStorageAdapter } = require('../mocks');
+
+describe('MutationAnalysisService', () => {
+  let mutationEngine;
+  let service;
+  let sourceFile;
+  let testFile;
+
+  beforeEach(() => {
+    mutationEngine = { runMutationTests: jest.fn() };
+    service = new MutationAnalysisService(mutationEngine, new MockStorageAdapter(), {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    });
+    sourceFile = new SourceFile('src/calc.js', 'module.exports = (a, b) => a > b;');
+    testFile = new TestFile('tests/calc.test.js', "test('a', () => {});", sourceFile);
+  });
+
+  describe('runMutationAnalysis', () => {
+    test('should exclude likely equivalent survivors from the adjusted score', async () => {
+      const equivalent = { mutatorName: 'EqualityOperator', replacement: 'a >= b', location: { start: { line: 1, column: 28 } } };
+      const killable = { mutatorName: 'BooleanLiteral', replacement: 'true', location: { start: { line: 1, column: 28 } } };
+      const equivalentMutantService = {
+        classify: jest.fn().mockResolvedValue([
+          { mutant: equivalent, equivalent: true, source: 'llm', confidence: 0.9, reason: 'unobservable' },
+          { mutant: killable, equivalent: false, source: 'llm', confidence: 0.9, reason: '' }
+        ])
+      };
+      const llmAdapter = {};
+      service = new MutationAnalysisService(mutationEngine, new MockStorageAdapter(), service.logger, equivalentMutantService);
+      mutationEngine.runMutationTests.mockResolvedValue({
+        mutationScore: 50,
+        killedMutants: [{ mutatorName: 'ArithmeticOperator' }, { mutatorName: 'ArithmeticOperator' }],
+        survivedMutants: [equivalent, killable]
+      });
+
+      const result = await service.runMutationAnalysis(sourceFile, testFile, {
+        generateReport: false,
+        equivalence: { minConfidence: 0.7 },
+        llmAdapter
+      });
+
+      expect(mutationEngine.runMutationTests.mock.calls[0][2]).not.toHaveProperty('llmAdapter');
+      expect(equivalentMutantService.classify).toHaveBeenCalledWith(sourceFile, [equivalent, killable], { minConfidence: 0.7, llmAdapter });
+      expect(result.equivalentMutants).toEqual([equivalent]);
+      expect(equivalent.equivalence).toEqual({ source: 'llm', confidence: 0.9, reason: 'unobservable' });
+      expect(result.mutationScore).toBe(50);
+      expect(result.adjustedMutationScore).toBeCloseTo(66.67, 2);
+    });
+
+    test('should skip classification when disabled', async () => {
+      const equivalentMutantService = { classify: jest.fn() };
+      service = new MutationAnalysisService(mutationEngine, new MockStorageAdapter(), service.logger, equivalentMutantService);
+      mutationEngine.runMutationTests.mockResolvedValue({ mutationScore: 0, survivedMutants: [{ mutatorName: 'BooleanLiteral' }] });
+
+      await service.runMutationAnalysis(sourceFile, testFile, { generateReport: false, equivalence: { enabled: false } });
+
+      expect(equivalentMutantService.classify).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('minimizeTests', () => {
+    test('should keep the fewest tests that kill every killed mutant', async () => {
+      const killed = (id, killedBy, coveredBy = killedBy) => ({ id, mutatorName: 'EqualityOperator', killedBy, coveredBy });
+      mutationEngine.runMutationTests.mockResolvedValue({
+        mutationScore: 80,
+        tests: ['calc adds', 'calc adds again', 'calc compares', 'calc compares and adds', 'calc runs'],
+        killedMutants: [
+          killed('1', ['calc adds', 'calc adds again', 'calc compares and adds']),
+          killed('2', ['calc compares', 'calc compares and adds']),
+          killed('3', ['calc compares'])
+        ],
+        timeoutMutants: [{ id: '4', mutatorName: 'BlockStatement', killedBy: [], coveredBy: ['calc adds again'] }]
+      });
+
+      const minimization = await service.minimizeTests(sourceFile, testFile, { timeoutMS: 5000 });
+
+      expect(mutationEngine.runMutationTests).toHaveBeenCalledWith('src/calc.js', 'tests/calc.test.js', expect.objectContaining({
+        timeoutMS: 5000,
+        disableBail: true,
+        incremental: false,
+        keepReport: false
+      }));
+      expect(minimization.keptTests).toEqual(['calc adds again', 'calc compares']);
+      expect(minimization.redundantTests).toEqual(['calc adds', 'calc compares and adds', 'calc runs']);
+      expect(minimization.killedMutants).toBe(4);
+    });
+  });
+
+  describe('verifyKills', () => {
+    test('should re-run only the targeted lines and match mutants by location', async () => {
+      const greater = { mutatorName: 'EqualityOperator', replacement: 'a >= b', location: { start: { line: 1, column: 28 } } };
+      const negated = { mutatorName: 'BooleanLiteral', replacement: '!(a > b)', location: { start: { line: 1, column: 28 } } };
+      mutationEngine.runMutationTests.mockResolvedValue({
+        killedMutants: [{ ...greater, id: '7', killedBy: ['calc compares equal values'] }],
+        timeoutMutants: [],
+        survivedMutants: [{ ...negated, id: '8' }]
+      });
+
+      const verification = await service.verifyKills(sourceFile, testFile, [greater, negated], { timeoutMS: 5000 });
+
+      expect(mutationEngine.runMutationTests).toHaveBeenCalledWith('src/calc.js', 'tests/calc.test.js', expect.objectContaining({
+        timeoutMS: 5000,
+        mutateRanges: [{ startLine: 1, endLine: 1 }],
+        disableBail: true,
+        incremental: false,
+        keepReport: false
+      }));
+      expect(verification.killed).toEqual([{ mutant: greater, killedBy: ['calc compares equal values'] }]);
+      expect(verification.survived).toEqual([negated]);
+    });
+  });
+
+  describe('exportResults', () => {
+    test('should render reporter formats with the reporter factory', () => {
+      service = new MutationAnalysisService(mutationEngine, new MockStorageAdapter(), service.logger, null, reporterFactory);
+      const result = new MutationResult(sourceFile, testFile);
+      result.setResults({
+        mutationScore: 0,
+        totalMutants: 1,
+        survivedMutants: [{ id: '1', mutatorName: 'EqualityOperator', replacement: 'a >= b', location: { start: { line: 1, column: 28 }, end: { line: 1, column: 33 } } }]
+      });
+
+      const xml = service.exportResults(result, 'junit');
+      const log = JSON.parse(service.exportResults(result, 'sarif'));
+
+      expect(xml).toContain('<testsuite name="src/calc.js" tests="1" failures="1"');
+      expect(log.runs[0].results[0].locations[0].physicalLocation.artifactLocation.uri).toBe('src/calc.js');
+      expect(service.exportResults(result, 'summary')).toMatchObject({ score: 0, survived: 1 });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for QualityGateService
+ */
+
+const QualityGateService = require('../../lib/core/services/quality-gate-service');
+
+/**
+ * Build an analysis as produced by AnalyzeTestsUseCase
+ * @param {string} sourceFile - Source file path
+ * @param {Object} counts - Mutant counts
+ * @returns {Object} Analysis
+ */
+function createAnalysis(sourceFile, { killed = 0, survived = 0, equivalent = 0 }) {
+  const total = killed + survived;
+  const score = total > 0 ? (killed / total) * 100 : 0;
+  const valid = total - equivalent;
+
+  return {
+    sourceFile,
+    testFile: sourceFile.replace('src/', 'tests/').replace('.js', '.test.js'),
+    mutationResult: {
+      mutationScore: score,
+      adjustedMutationScore: valid > 0 ? (killed / valid) * 100 : score,
+      totalMutants: total,
+      killedCount: killed,
+      survivedCount: survived,
+      timeoutCount: 0,
+      noCoverageCount: 0,
+      equivalentCount: equivalent
+    },
+    error: null
+  };
+}
+
+describe('QualityGateService', () => {
+  let logger;
+
+  beforeEach(() => {
+    logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  });
+
+  test('should use the threshold of the longest matching directory', () => {
+    const service = new QualityGateService(logger, {
+      failUnder: 60,
+      thresholds: { src: 70, './src/core/': 90 }
+    });
+
+    expect(service.getThreshold('src/core/parser.js')).toBe(90);
+    expect(service.getThreshold('src/utils.js')).toBe(70);
+    expect(service.getThreshold('src/core-legacy/a.js')).toBe(70);
+    expect(service.getThreshold('lib/a.js')).toBe(60);
+  });
+
+  test('should fail files below their threshold and files that were not analyzed', () => {
+    const service = new QualityGateService(logger, { failUnder: 60, thresholds: { 'src/core': 90 } });
+
+    const verdict = service.evaluate([
+      createAnalysis('src/core/parser.js', { killed: 8, survived: 2 }),
+      createAnalysis('src/utils.js', { killed: 7, survived: 3 }),
+      { sourceFile: 'src/broken.js', testFile: 'tests/broken.test.js', mutationResult: null, error: 'Test file not found' }
+    ]);
+
+    expect(verdict.passed).toBe(false);
+    expect(verdict.files.map(file => [file.sourceFile, file.threshold, file.passed])).toEqual([
+      ['src/core/parser.js', 90, false],
+      ['src/utils.js', 60, true],
+      ['src/broken.js', 60, false]
+    ]);
+    expect(verdict.files[2].error).toBe('Test file not found');
+  });
+
+  test('should score the aggregate from mutant counts rather than averaging files', () => {
+    const service = new QualityGateService(logger, { failUnder: 50, aggregateFailUnder: 80 });
+
+    const verdict = service.evaluate([
+      createAnalysis('src/small.js', { killed: 1, survived: 0 }),
+      createAnalysis('src/large.js', { killed: 60, survived: 39 })
+    ]);
+
+    expect(verdict.files.every(file => file.passed)).toBe(true);
+    expect(verdict.aggregate).toMatchObject({ score: 61, threshold: 80, passed: false, detected: 61, valid: 100 });
+    expect(verdict.passed).toBe(false);
+  });
+
+  test('should exclude equivalent mutants unless raw scores are requested', () => {
+    const service = new QualityGateService(logger, { failUnder: 80 });
+    const analyses = [createAnalysis('src/a.js', { killed: 7, survived: 3, equivalent: 2 })];
+
+    expect(service.evaluate(analyses).passed).toBe(true);
+    expect(service.evaluate(analyses, { useAdjustedScore: false }).passed).toBe(false);
+  });
+
+  test('should let options override config, ignoring undefined values', () => {
+    const service = new QualityGateService(logger, { failUnder: 60 });
+    const analyses = [createAnalysis('src/a.js', { killed: 7, survived: 3 })];
+
+    expect(service.evaluate(analyses, { failUnder: undefined }).passed).toBe(true);
+    expect(service.evaluate(analyses, { failUnder: 75 }).passed).toBe(false);
+  });
+
+  test('should pass everything when no thresholds are set', () => {
+    const service = new QualityGateService(logger);
+
+    const verdict = service.evaluate([createAnalysis('src/a.js', { killed: 1, survived: 9 })]);
+
+    expect(verdict.passed).toBe(true);
+    expect(verdict.files[0].threshold).toBeNull();
+  });
+});
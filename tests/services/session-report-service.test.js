@@ -0,0 +1,84 @@
+/**
+ * Unit tests for SessionReportService
+ */
+
+const SessionReportService = require('../../lib/core/services/session-report-service');
+const { MockStorageAdapter } = require('../mocks');
+
+describe('SessionReportService', () => {
+  let storage;
+  let service;
+
+  const session = {
+    sessionId: 'session_1',
+    status: 'failed',
+    startTime: '2026-01-01T10:00:00.000Z',
+    endTime: '2026-01-01T10:02:00.000Z',
+    request: { mode: 'generate', outputDir: 'tests' },
+    metadata: { model: 'gpt-4' },
+    files: [
+      {
+        sourcePath: 'src/math.js',
+        outputPath: 'tests/math.test.js',
+        status: 'completed',
+        mutationScore: 75,
+        iterations: 2,
+        targetReached: false,
+        history: [
+          { iteration: 1, mutationScore: 50, testsAdded: 2 },
+          { iteration: 2, mutationScore: 75, testsAdded: 1 }
+        ],
+        survivedMutants: [
+          { mutatorName: 'ArithmeticOperator', replacement: 'a - b', location: { start: { line: 2, column: 10 }, end: { line: 2, column: 15 } } }
+        ],
+        cost: 0.02,
+        startedAt: '2026-01-01T10:00:00.000Z',
+        completedAt: '2026-01-01T10:01:30.000Z'
+      },
+      { sourcePath: 'src/other.js', outputPath: 'tests/other.test.js', status: 'failed', error: 'LLM timeout' }
+    ]
+  };
+
+  beforeEach(() => {
+    storage = new MockStorageAdapter();
+    storage.setFile('src/math.js', 'function add(a, b) {\n  return a + b;\n}\n\nmodule.exports = { add };');
+    service = new SessionReportService(storage, { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() });
+  });
+
+  test('should summarize the session and each file', async () => {
+    const report = await service.buildReport(session, { reportPath: 'reports/run.html' });
+
+    expect(report).toMatchObject({ sessionId: 'session_1', mode: 'generate', model: 'gpt-4', duration: 120000 });
+    expect(report.summary).toEqual({
+      totalFiles: 2,
+      completed: 1,
+      failed: 1,
+      averageScore: 75,
+      targetReached: 0,
+      testsAdded: 3,
+      survivedMutants: 1,
+      cost: 0.02
+    });
+    expect(report.files[0]).toMatchObject({ testLink: '../tests/math.test.js', testsAdded: 3, duration: 90000 });
+    expect(report.files[1]).toMatchObject({ status: 'failed', error: 'LLM timeout', history: [], survivedMutants: [], cost: null });
+  });
+
+  test('should attach source lines with the mutated columns to survivors', async () => {
+    const report = await service.buildReport(session);
+
+    expect(report.files[0].survivedMutants[0].snippet).toEqual([
+      { number: 1, text: 'function add(a, b) {', highlight: null },
+      { number: 2, text: '  return a + b;', highlight: { start: 9, end: 14 } },
+      { number: 3, text: '}', highlight: null },
+      { number: 4, text: '', highlight: null }
+    ]);
+  });
+
+  test('should leave snippets out when the source cannot be read', async () => {
+    storage.reset();
+
+    const report = await service.buildReport(session);
+
+    expect(report.files[0].survivedMutants[0]).toMatchObject({ line: 2, snippet: null });
+  });
+});
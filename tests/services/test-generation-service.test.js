@@ -5,6 +5,9 @@
 const TestGenerationService = require('../../lib/core/services/test-generation-service');
 const SourceFile = require('../../lib/core/entities/source-file');
 const TestFile = require('../../lib/core/entities/test-file');
+const TokenUsage = require('../../lib/core/entities/token-usage');
+const Budget = require('../../lib/core/entities/budget');
+const { JestAdapter, MochaAdapter } = require('../../lib/adapters/testing');
 const { MockLLMAdapter, MockStorageAdapter } = require('../mocks');
 const { sampleSourceCode, sampleTestCode } = require('../fixtures/sample-data');
 
@@ -376,6 +379,151 @@ describe('TestGenerationService', () => {
     });
   });
 
+  describe('with a test framework adapter', () => {
+    let mochaService;
+
+    beforeEach(() => {
+      mochaService = new TestGenerationService(
+        mockLLMProvider,
+        mockStorageProvider,
+        mockLogger,
+        new MochaAdapter({}, mockLogger)
+      );
+    });
+
+    test('should add the framework prompt context', async () => {
+      const context = await mochaService._prepareGenerationContext(sourceFile, {});
+
+      expect(context.testFramework).toMatchObject({ name: 'mocha', displayName: 'Mocha' });
+      expect(context.testFramework.imports).toEqual(["const { expect } = require('chai');"]);
+    });
+
+    test('should validate with the framework parser', async () => {
+      const chaiTests = new TestFile('/tests/calc.test.js', "it('adds', () => { assert.equal(1, 1); });", sourceFile);
+
+      await expect(mochaService._validateGeneratedTests(chaiTests)).resolves.toBeUndefined();
+    });
+
+    test('should pass framework context when improving tests', async () => {
+      const testFile = new TestFile('/tests/calculator.test.js', sampleTestCode, sourceFile);
+      mockLLMProvider.setResponses([sampleTestCode]);
+
+      await mochaService.improveTests(sourceFile, testFile, []);
+
+      expect(mockLLMProvider.getLastCall().args.context).toMatchObject({
+        fileName: 'calculator.js',
+        language: 'javascript',
+        moduleSystem: 'commonjs',
+        testFramework: { name: 'mocha' }
+      });
+    });
+  });
+
+  describe('ensureGreenBaseline', () => {
+    const failingCode = [
+      "describe('Calculator', () => {",
+      "  test('adds', () => { expect(1 + 1).toBe(2); });",
+      "  test('divides', () => { expect(1 / 0).toBe(0); });",
+      '});'
+    ].join('\n');
+    const run = (failed = []) => ({
+      success: failed.length === 0,
+      passed: 1,
+      failed: failed.length,
+      tests: [
+        { title: 'adds', fullName: 'Calculator adds', status: 'passed' },
+        ...failed.map(title => ({ title, fullName: `Calculator ${title}`, status: 'failed', failureMessage: 'Expected: 0 Received: Infinity' }))
+      ],
+      errors: []
+    });
+    let framework;
+    let jestService;
+    let testFile;
+
+    beforeEach(() => {
+      framework = new JestAdapter({}, mockLogger);
+      jestService = new TestGenerationService(mockLLMProvider, mockStorageProvider, mockLogger, framework);
+      testFile = new TestFile('tests/calculator.test.js', failingCode, sourceFile);
+    });
+
+    test('should skip without a test framework', async () => {
+      const baseline = await service.ensureGreenBaseline(sourceFile, testFile);
+
+      expect(baseline).toMatchObject({ success: false, skipped: true, attempts: 0 });
+    });
+
+    test('should accept a passing suite without repairs', async () => {
+      jest.spyOn(framework, 'executeTests').mockResolvedValue(run());
+
+      const baseline = await jestService.ensureGreenBaseline(sourceFile, testFile);
+
+      expect(baseline).toMatchObject({ success: true, attempts: 1, repairs: 0, failures: [] });
+      expect(mockStorageProvider.storage.get('tests/calculator.test.js')).toBe(failingCode);
+      expect(framework.executeTests).toHaveBeenCalledWith('tests/calculator.test.js', expect.objectContaining({ moduleSystem: 'commonjs' }));
+    });
+
+    test('should send failures to the LLM for repair', async () => {
+      const repaired = failingCode.replace('expect(1 / 0).toBe(0)', 'expect(1 / 0).toBe(Infinity)');
+      jest.spyOn(framework, 'executeTests').mockResolvedValueOnce(run(['divides'])).mockResolvedValueOnce(run());
+      mockLLMProvider.setResponses([repaired]);
+
+      const baseline = await jestService.ensureGreenBaseline(sourceFile, testFile);
+
+      expect(baseline).toMatchObject({ success: true, attempts: 2, repairs: 1 });
+      expect(baseline.failures).toEqual([{ name: 'Calculator divides', message: 'Expected: 0 Received: Infinity' }]);
+      expect(mockLLMProvider.getLastCall().method).toBe('repairTests');
+      expect(testFile.content).toBe(repaired);
+    });
+
+    test('should drop tests that still fail after the repair attempts', async () => {
+      jest.spyOn(framework, 'executeTests')
+        .mockResolvedValueOnce(run(['divides']))
+        .mockResolvedValueOnce(run(['divides']))
+        .mockResolvedValueOnce(run());
+      mockLLMProvider.setResponses([failingCode]);
+
+      const baseline = await jestService.ensureGreenBaseline(sourceFile, testFile, { maxRepairAttempts: 1 });
+
+      expect(baseline).toMatchObject({ success: true, repairs: 1, droppedTests: ['Calculator divides'] });
+      expect(testFile.content).toContain("test('adds'");
+      expect(testFile.content).not.toContain("test('divides'");
+    });
+
+    test('should drop failing tests without a repair once the budget is exhausted', async () => {
+      const usage = new TokenUsage();
+      usage.record({ model: 'gpt-4o', promptTokens: 1000, completionTokens: 500, cost: 0.05 });
+      const budget = new Budget({ maxCost: 0.05 });
+      budget.track(usage);
+      jest.spyOn(framework, 'executeTests').mockResolvedValueOnce(run(['divides'])).mockResolvedValueOnce(run());
+
+      const baseline = await jestService.ensureGreenBaseline(sourceFile, testFile, { budget });
+
+      expect(mockLLMProvider.calls).toHaveLength(0);
+      expect(baseline).toMatchObject({ success: true, repairs: 0, droppedTests: ['Calculator divides'] });
+      expect(baseline.budgetExceeded).toMatchObject({ scope: 'session', limit: 'cost' });
+    });
+
+    test('should restore the fallback content when the suite cannot run green', async () => {
+      jest.spyOn(framework, 'executeTests').mockResolvedValue({ ...run(), success: false, errors: ['Cannot find module'] });
+
+      const baseline = await jestService.ensureGreenBaseline(sourceFile, testFile, {
+        maxRepairAttempts: 0,
+        fallbackContent: sampleTestCode
+      });
+
+      expect(baseline).toMatchObject({ success: false, restored: true, errors: ['Cannot find module'] });
+      expect(testFile.content).toBe(sampleTestCode);
+    });
+
+    test('should skip when the tests cannot be executed', async () => {
+      jest.spyOn(framework, 'executeTests').mockRejectedValue(new Error('Jest produced no report (exit code 127)'));
+
+      const baseline = await jestService.ensureGreenBaseline(sourceFile, testFile);
+
+      expect(baseline).toMatchObject({ success: false, skipped: true, errors: ['Jest produced no report (exit code 127)'] });
+    });
+  });
+
   describe('_generateTestFilePath', () => {
     test('should generate test file path from source file', () => {
       const path = service._generateTestFilePath(sourceFile);
@@ -385,10 +533,35 @@ describe('TestGenerationService', () => {
     });
 
     test('should handle different file extensions', () => {
-      const tsFile = new SourceFile('/src/utils.ts', 'const x = 5;');
+      const tsFile = new SourceFile('/src/utils.ts', 'const x = 5;', 'typescript');
       const path = service._generateTestFilePath(tsFile);
 
-      expect(path).toContain('utils.test.js');
+      expect(path).toContain('utils.test.ts');
+    });
+
+    test('should keep ES module extension', () => {
+      const esmFile = new SourceFile('/src/utils.mjs', 'export const x = 5;', 'javascript', 'esm');
+
+      expect(service._generateTestFilePath(esmFile)).toBe('tests/utils.test.mjs');
+    });
+  });
+
+  describe('_calculateRelativeImportPath', () => {
+    test('should drop .js extension for CommonJS', () => {
+      expect(service._calculateRelativeImportPath('tests/calc.test.js', 'src/calc.js')).toBe('../src/calc');
+    });
+
+    test('should keep extension for native ES modules', () => {
+      const format = { language: 'javascript', moduleSystem: 'esm' };
+
+      expect(service._calculateRelativeImportPath('tests/calc.test.js', 'src/calc.js', format)).toBe('../src/calc.js');
+      expect(service._calculateRelativeImportPath('tests/calc.test.mjs', 'src/calc.mjs', format)).toBe('../src/calc.mjs');
+    });
+
+    test('should drop TypeScript extension', () => {
+      const format = { language: 'typescript', moduleSystem: 'esm' };
+
+      expect(service._calculateRelativeImportPath('tests/calc.test.ts', 'src/calc.ts', format)).toBe('../src/calc');
     });
 
     test('should handle files with multiple dots', () => {
@@ -0,0 +1,64 @@
+/**
+ * Unit tests for AnalyzeTestsUseCase
+ */
+
+const { AnalyzeTestsUseCase } = require('../../lib/core/use-cases');
+const { MockStorageAdapter } = require('../mocks');
+
+describe('AnalyzeTestsUseCase', () => {
+  let storage;
+  let mutationAnalysisService;
+  let useCase;
+
+  beforeEach(() => {
+    storage = new MockStorageAdapter();
+    storage.setFile('src/a.js', 'module.exports = (x) => x > 0;');
+    storage.setFile('tests/a.test.js', "test('a', () => {});");
+
+    mutationAnalysisService = {
+      runMutationAnalysis: jest.fn().mockResolvedValue({ toJSON: () => ({ mutationScore: 50 }) }),
+      getRecommendations: jest.fn().mockReturnValue([{ priority: 'medium', title: 'Improve mutation score' }])
+    };
+    useCase = new AnalyzeTestsUseCase(mutationAnalysisService, storage, {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    });
+  });
+
+  test('should report the mutation result and recommendations without changing the tests', async () => {
+    const result = await useCase.execute({
+      sourcePath: 'src/a.js',
+      testPath: 'tests/a.test.js',
+      config: { mutationOptions: { incremental: false } }
+    });
+
+    const [sourceFile, testFile, options] = mutationAnalysisService.runMutationAnalysis.mock.calls[0];
+    expect(sourceFile.content).toBe('module.exports = (x) => x > 0;');
+    expect(testFile.content).toBe("test('a', () => {});");
+    expect(options).toEqual({ incremental: false });
+    expect(result).toEqual({
+      sourceFile: 'src/a.js',
+      testFile: 'tests/a.test.js',
+      mutationResult: { mutationScore: 50 },
+      recommendations: [{ priority: 'medium', title: 'Improve mutation score' }],
+      success: true
+    });
+    expect(await storage.readFile('tests/a.test.js')).toBe("test('a', () => {});");
+  });
+
+  test('should give the mutation engine the path of the test file', async () => {
+    await useCase.execute({ sourcePath: 'src/a.js', testPath: 'tests/a.test.js' });
+
+    const [sourceFile, testFile] = mutationAnalysisService.runMutationAnalysis.mock.calls[0];
+    expect(sourceFile.filePath).toBe('src/a.js');
+    expect(testFile.filePath).toBe('tests/a.test.js');
+    expect(testFile.sourceFile).toBe(sourceFile);
+  });
+
+  test('should fail when the test file is missing', async () => {
+    await expect(useCase.execute({ sourcePath: 'src/a.js', testPath: 'tests/missing.test.js' })).rejects.toThrow();
+    expect(mutationAnalysisService.runMutationAnalysis).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,348 @@
+/**
+ * Unit tests for BatchProcessUseCase sessions
+ */
+
+const { BatchProcessUseCase, GenerateTestsUseCase } = require('../../lib/core/use-cases');
+const TokenUsage = require('../../lib/core/entities/token-usage');
+const { MockStorageAdapter } = require('../mocks');
+
+describe('BatchProcessUseCase', () => {
+  let storage;
+  let generateTestsUseCase;
+  let useCase;
+
+  beforeEach(() => {
+    storage = new MockStorageAdapter();
+    storage.setFile('src/a.js', 'module.exports = 1;');
+    storage.setFile('src/b.js', 'module.exports = 2;');
+    storage.setFile('src/a.test.js', "test('a', () => {});");
+
+    generateTestsUseCase = { execute: jest.fn() };
+    useCase = new BatchProcessUseCase(generateTestsUseCase, { execute: jest.fn() }, storage, {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    });
+  });
+
+  test('should record per-file progress in a saved session', async () => {
+    generateTestsUseCase.execute.mockImplementation(async ({ sourcePath }) => {
+      if (sourcePath === 'src/b.js') throw new Error('LLM timeout');
+      return {
+        success: true,
+        feedbackResult: { totalIterations: 2, finalScore: 85, targetReached: true, testFile: { version: 3 } }
+      };
+    });
+
+    const result = await useCase.execute({ sourcePattern: 'src/*.js', outputDir: 'tests', config: { concurrency: 1 } });
+    const saved = await storage.loadSession(result.sessionId);
+
+    expect(result).toMatchObject({ totalFiles: 2, successfulFiles: 1, failedFiles: 1 });
+    expect(saved.status).toBe('failed');
+    expect(saved.request).toEqual({ sourcePattern: 'src/*.js', outputDir: 'tests', mode: 'generate' });
+    expect(saved.files).toEqual([
+      expect.objectContaining({ sourcePath: 'src/a.js', outputPath: 'tests/a.test.js', status: 'completed', iterations: 2, mutationScore: 85, testFileVersion: 3 }),
+      expect.objectContaining({ sourcePath: 'src/b.js', status: 'failed', error: 'LLM timeout' })
+    ]);
+  });
+
+  test('should resume only the files that did not complete', async () => {
+    generateTestsUseCase.execute
+      .mockResolvedValueOnce({ success: true })
+      .mockRejectedValueOnce(new Error('crash'))
+      .mockResolvedValueOnce({ success: true, mutationResult: { mutationScore: 70 } });
+
+    const first = await useCase.execute({ sourcePattern: 'src/*.js', outputDir: 'tests', config: { concurrency: 1 } });
+    const resumed = await useCase.resume({ sessionId: first.sessionId, config: { concurrency: 1 } });
+    const saved = await storage.loadSession(first.sessionId);
+
+    expect(generateTestsUseCase.execute).toHaveBeenCalledTimes(3);
+    expect(generateTestsUseCase.execute.mock.calls[2][0]).toMatchObject({ sourcePath: 'src/b.js', outputPath: 'tests/b.test.js' });
+    expect(resumed).toMatchObject({ sessionId: first.sessionId, skippedFiles: 1, successfulFiles: 2, failedFiles: 0 });
+    expect(saved.status).toBe('completed');
+    expect(saved.results.map(result => result.sourceFile)).toEqual(['src/a.js', 'src/b.js']);
+  });
+
+  test('should run the feedback loop for resumed files when asked to', async () => {
+    const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    const feedbackLoopService = {
+      executeFeedbackLoop: jest.fn().mockResolvedValue({
+        totalIterations: 2,
+        finalScore: 90,
+        targetReached: true,
+        stopReason: 'target-reached',
+        testFile: { getContent: () => "test('b', () => {});", version: 2 }
+      })
+    };
+    generateTestsUseCase.execute.mockResolvedValueOnce({ success: true }).mockRejectedValueOnce(new Error('crash'));
+    const first = await useCase.execute({ sourcePattern: 'src/*.js', outputDir: 'tests', config: { concurrency: 1 } });
+
+    const generate = new GenerateTestsUseCase(null, null, feedbackLoopService, { createAdapter: () => ({}) }, storage, logger);
+    useCase = new BatchProcessUseCase(generate, { execute: jest.fn() }, storage, logger);
+    const resumed = await useCase.resume({
+      sessionId: first.sessionId,
+      config: { concurrency: 1, useFeedbackLoop: true, targetMutationScore: 90, maxIterations: 5 }
+    });
+    const saved = await storage.loadSession(first.sessionId);
+
+    expect(feedbackLoopService.executeFeedbackLoop).toHaveBeenCalledTimes(1);
+    expect(feedbackLoopService.executeFeedbackLoop.mock.calls[0][0].filePath).toBe('src/b.js');
+    expect(feedbackLoopService.executeFeedbackLoop.mock.calls[0][1]).toMatchObject({ targetMutationScore: 90, maxIterations: 5 });
+    expect(storage.storage.get('tests/b.test.js')).toBe("test('b', () => {});");
+    expect(resumed).toMatchObject({ skippedFiles: 1, successfulFiles: 2 });
+    expect(saved.files[1]).toMatchObject({ status: 'completed', iterations: 2, mutationScore: 90 });
+  });
+
+  test('should resume under the settings the session was started with unless overridden', async () => {
+    generateTestsUseCase.execute.mockResolvedValueOnce({ success: true }).mockRejectedValueOnce(new Error('crash'));
+    const first = await useCase.execute({
+      sourcePattern: 'src/*.js',
+      outputDir: 'tests',
+      config: {
+        concurrency: 1,
+        useFeedbackLoop: true,
+        targetMutationScore: 90,
+        maxIterations: 5,
+        budget: { maxCost: 1, maxTokens: null, perFile: { maxTokens: 5000 } }
+      }
+    });
+
+    expect((await storage.loadSession(first.sessionId)).request).toEqual({
+      sourcePattern: 'src/*.js',
+      outputDir: 'tests',
+      mode: 'generate',
+      useFeedbackLoop: true,
+      targetMutationScore: 90,
+      maxIterations: 5,
+      budget: { maxCost: 1, perFile: { maxTokens: 5000 } }
+    });
+
+    generateTestsUseCase.execute.mockResolvedValue({ success: true });
+    await useCase.resume({ sessionId: first.sessionId, config: { concurrency: 1, maxIterations: 2, budget: { maxCost: 2, perFile: {} } } });
+    const [{ useFeedbackLoop, config }] = generateTestsUseCase.execute.mock.calls[2];
+
+    expect(useFeedbackLoop).toBe(true);
+    expect(config).toMatchObject({ targetMutationScore: 90, maxIterations: 2 });
+    expect(config.budget).toMatchObject({ scope: 'file', maxTokens: 5000 });
+    expect(config.budget.parent.maxCost).toBe(2);
+    expect((await storage.loadSession(first.sessionId)).request).toMatchObject({ maxIterations: 2, budget: { maxCost: 2 } });
+  });
+
+  test('should treat files left running by a crash as unfinished', async () => {
+    generateTestsUseCase.execute.mockResolvedValue({ success: true });
+    await storage.saveSession({
+      sessionId: 'session_1',
+      status: 'started',
+      startTime: new Date().toISOString(),
+      request: { sourcePattern: 'src/*.js', outputDir: 'tests', mode: 'generate' },
+      files: [
+        { sourcePath: 'src/a.js', outputPath: 'tests/a.test.js', status: 'completed' },
+        { sourcePath: 'src/b.js', outputPath: 'tests/b.test.js', status: 'running' }
+      ]
+    });
+
+    const result = await useCase.resume({ sessionId: 'session_1' });
+
+    expect(generateTestsUseCase.execute).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ skippedFiles: 1, successfulFiles: 2 });
+  });
+
+  test('should analyze each file against its existing test file', async () => {
+    const analyzeTestsUseCase = { execute: jest.fn().mockResolvedValue({ success: true, mutationResult: { mutationScore: 60 } }) };
+    useCase = new BatchProcessUseCase(generateTestsUseCase, { execute: jest.fn() }, storage, { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }, analyzeTestsUseCase);
+
+    const result = await useCase.execute({ sourcePattern: 'src/*.js', outputDir: 'tests', mode: 'analyze', config: { concurrency: 1 } });
+    const saved = await storage.loadSession(result.sessionId);
+
+    expect(analyzeTestsUseCase.execute.mock.calls.map(([request]) => request.testPath)).toEqual(['tests/a.test.js', 'tests/b.test.js']);
+    expect(generateTestsUseCase.execute).not.toHaveBeenCalled();
+    expect(saved.files[0]).toMatchObject({ status: 'completed', mutationScore: 60 });
+  });
+
+  test('should report progress events while processing files', async () => {
+    generateTestsUseCase.execute.mockImplementation(async ({ sourcePath }) => {
+      if (sourcePath === 'src/b.js') throw new Error('LLM timeout');
+      return { success: true, mutationResult: { mutationScore: 75 } };
+    });
+    const events = [];
+
+    const result = await useCase.execute({
+      sourcePattern: 'src/*.js',
+      outputDir: 'tests',
+      config: { concurrency: 1 },
+      onProgress: event => events.push(event)
+    });
+
+    expect(events.map(event => event.type)).toEqual([
+      'batch:start', 'file:start', 'file:complete', 'file:start', 'file:failed', 'batch:complete'
+    ]);
+    expect(events[2].file).toMatchObject({ sourcePath: 'src/a.js', status: 'completed', mutationScore: 75 });
+    expect(events[4].file).toMatchObject({ sourcePath: 'src/b.js', status: 'failed', error: 'LLM timeout' });
+    expect(events[5]).toMatchObject({ sessionId: result.sessionId, successfulFiles: 1, failedFiles: 1 });
+    expect(result.files).toHaveLength(2);
+  });
+
+  test('should keep processing when the progress listener throws', async () => {
+    generateTestsUseCase.execute.mockResolvedValue({ success: true });
+
+    const result = await useCase.execute({
+      sourcePattern: 'src/*.js',
+      outputDir: 'tests',
+      onProgress: () => { throw new Error('closed pipe'); }
+    });
+
+    expect(result.successfulFiles).toBe(2);
+  });
+
+  test('should stop scheduling files once the budget is spent and resume them later', async () => {
+    generateTestsUseCase.execute.mockImplementation(async ({ config }) => {
+      const usage = new TokenUsage();
+      usage.record({ model: 'gpt-4o', promptTokens: 1000, completionTokens: 500, cost: 0.04 });
+      config.budget.track(usage);
+      return { success: true, usage: usage.toJSON() };
+    });
+    const events = [];
+
+    const first = await useCase.execute({
+      sourcePattern: 'src/*.js',
+      outputDir: 'tests',
+      config: { concurrency: 1, budget: { maxCost: 0.05 } },
+      onProgress: event => events.push(event)
+    });
+    const stopped = await storage.loadSession(first.sessionId);
+
+    expect(generateTestsUseCase.execute).toHaveBeenCalledTimes(1);
+    expect(first).toMatchObject({ successfulFiles: 1, failedFiles: 0, pendingFiles: 1, stopReason: 'budget' });
+    expect(first.budgetExceeded).toMatchObject({ scope: 'session', limit: 'cost', max: 0.05 });
+    expect(first.usage).toMatchObject({ calls: 1, cost: 0.04 });
+    expect(stopped).toMatchObject({ status: 'stopped', stopReason: 'budget' });
+    expect(stopped.files[1]).toMatchObject({ sourcePath: 'src/b.js', status: 'pending' });
+    expect(events[events.length - 1]).toMatchObject({ type: 'batch:complete', pendingFiles: 1, stopReason: 'budget' });
+
+    const resumed = await useCase.resume({ sessionId: first.sessionId, config: { concurrency: 1, budget: { maxCost: 0.1 } } });
+
+    expect(generateTestsUseCase.execute).toHaveBeenCalledTimes(2);
+    expect(resumed).toMatchObject({ skippedFiles: 1, successfulFiles: 2, pendingFiles: 0, stopReason: null });
+    expect((await storage.loadSession(first.sessionId)).status).toBe('completed');
+  });
+
+  test('should count the session budget across earlier runs when resuming', async () => {
+    generateTestsUseCase.execute.mockImplementation(async ({ config }) => {
+      const usage = new TokenUsage();
+      usage.record({ model: 'gpt-4o', promptTokens: 1000, completionTokens: 500, cost: 0.04 });
+      config.budget.track(usage);
+      return { success: true, usage: usage.toJSON() };
+    });
+
+    const first = await useCase.execute({ sourcePattern: 'src/*.js', outputDir: 'tests', config: { concurrency: 1, budget: { maxCost: 0.05 } } });
+    const resumed = await useCase.resume({ sessionId: first.sessionId, config: { concurrency: 1, budget: { maxCost: 0.05 } } });
+
+    expect(generateTestsUseCase.execute).toHaveBeenCalledTimes(1);
+    expect(resumed).toMatchObject({ successfulFiles: 1, pendingFiles: 1, stopReason: 'budget' });
+  });
+
+  test('should give each file its own budget under the session budget', async () => {
+    generateTestsUseCase.execute.mockResolvedValue({ success: true });
+
+    await useCase.execute({
+      sourcePattern: 'src/*.js',
+      outputDir: 'tests',
+      config: { concurrency: 1, budget: { maxCost: 1, perFile: { maxTokens: 5000 } } }
+    });
+
+    const [[{ config: first }], [{ config: second }]] = generateTestsUseCase.execute.mock.calls;
+    expect(first.budget).toMatchObject({ scope: 'file', maxTokens: 5000, maxCost: null });
+    expect(first.budget.parent).toBe(second.budget.parent);
+    expect(first.budget.parent.maxCost).toBe(1);
+  });
+
+  test('should apply per-file modes and mutate ranges, also when resuming', async () => {
+    const improveTestsUseCase = { execute: jest.fn().mockRejectedValueOnce(new Error('crash')).mockResolvedValue({ success: true }) };
+    useCase = new BatchProcessUseCase(generateTestsUseCase, improveTestsUseCase, storage, { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() });
+    generateTestsUseCase.execute.mockResolvedValue({ success: true });
+    const ranges = [{ startLine: 3, endLine: 7 }];
+
+    const first = await useCase.execute({
+      files: [
+        { sourcePath: 'src/a.js', mode: 'improve', mutateRanges: ranges },
+        { sourcePath: 'src/b.js', mutateRanges: null }
+      ],
+      outputDir: 'tests',
+      config: { concurrency: 1, mutationOptions: { timeout: 1000 } }
+    });
+    await useCase.resume({ sessionId: first.sessionId, config: { concurrency: 1, mutationOptions: { timeout: 1000 } } });
+
+    expect(improveTestsUseCase.execute).toHaveBeenCalledTimes(2);
+    improveTestsUseCase.execute.mock.calls.forEach(([request]) => {
+      expect(request).toMatchObject({ sourcePath: 'src/a.js', testPath: 'tests/a.test.js' });
+      expect(request.config.mutationOptions).toEqual({ timeout: 1000, mutateRanges: ranges });
+    });
+    expect(generateTestsUseCase.execute).toHaveBeenCalledTimes(1);
+    expect(generateTestsUseCase.execute.mock.calls[0][0].config.mutationOptions).toEqual({ timeout: 1000 });
+  });
+
+  describe('changed files', () => {
+    const ranges = [{ startLine: 3, endLine: 7 }];
+    const files = [
+      { sourcePath: 'src/a.js', mode: 'improve', mutateRanges: ranges },
+      { sourcePath: 'src/b.js', mode: 'generate', mutateRanges: ranges }
+    ];
+    let logger;
+    let improveTestsUseCase;
+    let testGenerationService;
+    let mutationAnalysisService;
+    let feedbackLoopService;
+
+    beforeEach(() => {
+      logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+      improveTestsUseCase = { execute: jest.fn().mockResolvedValue({ success: true }) };
+      testGenerationService = {
+        generateInitialTests: jest.fn().mockResolvedValue({ getContent: () => "test('b', () => {});", extractTestCases: () => [] }),
+        ensureGreenBaseline: jest.fn().mockResolvedValue({ success: true, skipped: false })
+      };
+      mutationAnalysisService = { runMutationAnalysis: jest.fn().mockResolvedValue({ toJSON: () => ({ mutationScore: 80 }) }) };
+      feedbackLoopService = {
+        executeFeedbackLoop: jest.fn().mockResolvedValue({ totalIterations: 1, finalScore: 80, testFile: { getContent: () => '', version: 1 } })
+      };
+      const generate = new GenerateTestsUseCase(
+        testGenerationService,
+        mutationAnalysisService,
+        feedbackLoopService,
+        { createAdapter: () => ({}) },
+        storage,
+        logger
+      );
+      useCase = new BatchProcessUseCase(generate, improveTestsUseCase, storage, logger);
+    });
+
+    test('should mutate only the changed lines of new files', async () => {
+      await useCase.execute({
+        files,
+        outputDir: 'tests',
+        config: { concurrency: 1, runMutationAnalysis: true, mutationOptions: { timeout: 1000 } }
+      });
+
+      expect(improveTestsUseCase.execute.mock.calls[0][0].config.mutationOptions).toEqual({ timeout: 1000, mutateRanges: ranges });
+      expect(feedbackLoopService.executeFeedbackLoop).not.toHaveBeenCalled();
+      expect(mutationAnalysisService.runMutationAnalysis).toHaveBeenCalledTimes(1);
+      expect(mutationAnalysisService.runMutationAnalysis.mock.calls[0][2]).toMatchObject({ timeout: 1000, mutateRanges: ranges });
+    });
+
+    test('should run the feedback loop on the changed lines of new files', async () => {
+      await useCase.execute({
+        files,
+        outputDir: 'tests',
+        config: { concurrency: 1, useFeedbackLoop: true, maxIterations: 2, mutationOptions: { timeout: 1000 } }
+      });
+
+      expect(improveTestsUseCase.execute.mock.calls[0][0].config.mutationOptions).toEqual({ timeout: 1000, mutateRanges: ranges });
+      expect(testGenerationService.generateInitialTests).not.toHaveBeenCalled();
+      expect(feedbackLoopService.executeFeedbackLoop).toHaveBeenCalledTimes(1);
+      expect(feedbackLoopService.executeFeedbackLoop.mock.calls[0][1]).toMatchObject({
+        maxIterations: 2,
+        mutationOptions: { timeout: 1000, mutateRanges: ranges }
+      });
+    });
+  });
+});
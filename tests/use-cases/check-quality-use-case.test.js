@@ -0,0 +1,71 @@
+/**
+ * Unit tests for CheckQualityUseCase
+ */
+
+const { CheckQualityUseCase } = require('../../lib/core/use-cases');
+const QualityGateService = require('../../lib/core/services/quality-gate-service');
+const { MockStorageAdapter } = require('../mocks');
+
+describe('CheckQualityUseCase', () => {
+  let storage;
+  let analyzeTestsUseCase;
+  let useCase;
+
+  beforeEach(() => {
+    const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+    storage = new MockStorageAdapter();
+    storage.setFile('src/a.js', 'module.exports = 1;');
+    storage.setFile('src/b.js', 'module.exports = 2;');
+    storage.setFile('src/a.test.js', "test('a', () => {});");
+
+    analyzeTestsUseCase = {
+      execute: jest.fn(async ({ sourcePath }) => {
+        if (sourcePath === 'src/b.js') throw new Error('Test file not found');
+        return { mutationResult: { mutationScore: 75, adjustedMutationScore: 75, totalMutants: 4, killedCount: 3, survivedCount: 1 } };
+      })
+    };
+    useCase = new CheckQualityUseCase(analyzeTestsUseCase, new QualityGateService(logger, { failUnder: 70 }), storage, logger);
+  });
+
+  test('should analyze every source file of a glob pair against its tests directory', async () => {
+    const events = [];
+
+    const verdict = await useCase.execute({
+      pairs: [{ source: 'src/*.js', testsDir: 'tests' }],
+      config: { concurrency: 1 },
+      onProgress: event => events.push(event.type)
+    });
+
+    expect(analyzeTestsUseCase.execute.mock.calls.map(([request]) => [request.sourcePath, request.testPath])).toEqual([
+      ['src/a.js', 'tests/a.test.js'],
+      ['src/b.js', 'tests/b.test.js']
+    ]);
+    expect(verdict.passed).toBe(false);
+    expect(verdict.files.map(file => [file.sourceFile, file.passed, file.error])).toEqual([
+      ['src/a.js', true, null],
+      ['src/b.js', false, 'Test file not found']
+    ]);
+    expect(verdict.analyses.map(analysis => [analysis.sourceFile, analysis.testFile, analysis.error])).toEqual([
+      ['src/a.js', 'tests/a.test.js', null],
+      ['src/b.js', 'tests/b.test.js', 'Test file not found']
+    ]);
+    expect(events).toEqual(['file:start', 'file:complete', 'file:start', 'file:failed']);
+  });
+
+  test('should apply gate options from the request', async () => {
+    const verdict = await useCase.execute({
+      pairs: [{ source: 'src/a.js', test: 'tests/custom.test.js' }],
+      gate: { failUnder: 80 }
+    });
+
+    expect(analyzeTestsUseCase.execute.mock.calls[0][0].testPath).toBe('tests/custom.test.js');
+    expect(verdict.files[0]).toMatchObject({ score: 75, threshold: 80, passed: false });
+    expect(verdict.aggregate).toMatchObject({ score: 75, threshold: 80, passed: false });
+  });
+
+  test('should fail when no source files match', async () => {
+    await expect(useCase.execute({ pairs: [{ source: 'lib/*.js', testsDir: 'tests' }] }))
+      .rejects.toThrow('No source files to check');
+  });
+});
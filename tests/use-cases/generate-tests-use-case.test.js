@@ -0,0 +1,71 @@
+/**
+ * Unit tests for GenerateTestsUseCase
+ */
+
+const { GenerateTestsUseCase } = require('../../lib/core/use-cases');
+const TestFile = require('../../lib/core/entities/test-file');
+const TokenUsage = require('../../lib/core/entities/token-usage');
+const Budget = require('../../lib/core/entities/budget');
+const { MockStorageAdapter } = require('../mocks');
+
+describe('GenerateTestsUseCase', () => {
+  let storage;
+  let usage;
+  let testGenerationService;
+  let mutationAnalysisService;
+  let useCase;
+
+  beforeEach(() => {
+    storage = new MockStorageAdapter();
+    storage.setFile('src/a.js', 'module.exports = (a, b) => a + b;');
+
+    usage = new TokenUsage();
+    const llmAdapter = { getUsage: () => usage };
+    testGenerationService = {
+      generateInitialTests: jest.fn().mockImplementation(async sourceFile => {
+        usage.record({ task: 'generate', model: 'gpt-4o', promptTokens: 1000, completionTokens: 500, cost: 0.4 });
+        return new TestFile('tests/a.test.js', "test('adds', () => {});", sourceFile);
+      }),
+      ensureGreenBaseline: jest.fn().mockResolvedValue({ success: true, skipped: false })
+    };
+    mutationAnalysisService = {
+      runMutationAnalysis: jest.fn().mockResolvedValue({ toJSON: () => ({ mutationScore: 100 }) })
+    };
+    useCase = new GenerateTestsUseCase(
+      testGenerationService,
+      mutationAnalysisService,
+      { executeFeedbackLoop: jest.fn() },
+      { createAdapter: jest.fn().mockReturnValue(llmAdapter) },
+      storage,
+      { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+    );
+  });
+
+  describe('budget without the feedback loop', () => {
+    test('should not generate tests once the budget is exhausted', async () => {
+      const budget = new Budget({ maxCost: 0.5 });
+      budget.addPrevious({ calls: 1, promptTokens: 1000, completionTokens: 500, totalTokens: 1500, cost: 0.5 });
+
+      await expect(useCase.execute({
+        sourcePath: 'src/a.js',
+        outputPath: 'tests/a.test.js',
+        config: { budget }
+      })).rejects.toThrow('LLM budget exhausted before generating tests: Session cost budget of $0.5000 is exhausted');
+      expect(testGenerationService.generateInitialTests).not.toHaveBeenCalled();
+    });
+
+    test('should check the budget before repairs and equivalence judging', async () => {
+      const result = await useCase.execute({
+        sourcePath: 'src/a.js',
+        outputPath: 'tests/a.test.js',
+        config: { runMutationAnalysis: true, budget: { maxCost: 0.7 } }
+      });
+
+      const baselineOptions = testGenerationService.ensureGreenBaseline.mock.calls[0][2];
+      expect(baselineOptions.budget).toBeInstanceOf(Budget);
+      expect(baselineOptions.budget.getSpent().cost).toBe(0.4);
+      expect(mutationAnalysisService.runMutationAnalysis).toHaveBeenCalledWith(expect.anything(), expect.anything(), { llmAdapter: null });
+      expect(result.success).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for ImproveTestsUseCase
+ */
+
+const { ImproveTestsUseCase } = require('../../lib/core/use-cases');
+const TestFile = require('../../lib/core/entities/test-file');
+const TokenUsage = require('../../lib/core/entities/token-usage');
+const { MockStorageAdapter } = require('../mocks');
+
+describe('ImproveTestsUseCase', () => {
+  const survivor = { mutatorName: 'ArithmeticOperator', replacement: 'a - b', location: { start: { line: 1, column: 30 } } };
+  const mutationResult = (mutationScore, survivedMutants) => ({
+    mutationScore,
+    adjustedMutationScore: mutationScore,
+    survivedMutants,
+    equivalentMutants: [],
+    getKillableSurvivors: () => survivedMutants,
+    toJSON: () => ({ mutationScore })
+  });
+
+  let storage;
+  let llmAdapter;
+  let llmAdapterFactory;
+  let testGenerationService;
+  let mutationAnalysisService;
+  let useCase;
+
+  beforeEach(() => {
+    storage = new MockStorageAdapter();
+    storage.setFile('src/a.js', 'module.exports = (a, b) => a + b;');
+    storage.setFile('tests/a.test.js', "test('adds', () => {});");
+
+    const usage = new TokenUsage();
+    llmAdapter = { getUsage: () => usage };
+    llmAdapterFactory = { createAdapter: jest.fn().mockReturnValue(llmAdapter) };
+    testGenerationService = {
+      improveTests: jest.fn().mockImplementation(async () => {
+        usage.record({ task: 'improve', model: 'gpt-4o', promptTokens: 800, completionTokens: 200, cost: 0.004 });
+        return new TestFile('a.test.js', "test('adds', () => {});\ntest('subtracts', () => {});", 'tests/a.test.js');
+      })
+    };
+    mutationAnalysisService = {
+      runMutationAnalysis: jest.fn()
+        .mockResolvedValueOnce(mutationResult(50, [survivor]))
+        .mockResolvedValueOnce(mutationResult(100, []))
+    };
+    useCase = new ImproveTestsUseCase(testGenerationService, mutationAnalysisService, storage, {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    }, llmAdapterFactory);
+  });
+
+  test('should improve the tests with an adapter for the configured LLM and report its usage', async () => {
+    const result = await useCase.execute({
+      sourcePath: 'src/a.js',
+      testPath: 'tests/a.test.js',
+      config: { llm: { provider: 'openai', model: 'gpt-4o' }, mutationOptions: { incremental: false } }
+    });
+
+    expect(llmAdapterFactory.createAdapter).toHaveBeenCalledWith({ provider: 'openai', model: 'gpt-4o' }, expect.any(Object));
+    expect(testGenerationService.improveTests.mock.calls[0][3]).toEqual({ llmAdapter });
+    expect(mutationAnalysisService.runMutationAnalysis.mock.calls[0][2]).toEqual({ incremental: false, llmAdapter });
+    expect(mutationAnalysisService.runMutationAnalysis.mock.calls[0][1].filePath).toBe('tests/a.test.js');
+    expect(result).toMatchObject({ originalScore: 50, improvedScore: 100, newTestCases: 1 });
+    expect(result.usage).toMatchObject({ calls: 1, totalTokens: 1000, cost: 0.004 });
+    expect(await storage.readFile('tests/a.test.js')).toContain("test('subtracts'");
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for WatchTestsUseCase
+ */
+
+const { WatchTestsUseCase } = require('../../lib/core/use-cases');
+const { MockStorageAdapter } = require('../mocks');
+
+const SOURCE = [
+  'function add(a, b) {',
+  '  return a + b;',
+  '}',
+  '',
+  'function subtract(a, b) {',
+  '  return a - b;',
+  '}',
+  '',
+  'module.exports = { add, subtract };'
+].join('\n');
+
+describe('WatchTestsUseCase', () => {
+  let storage;
+  let listeners;
+  let improveTestsUseCase;
+  let useCase;
+  let events;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    storage = new MockStorageAdapter();
+    storage.setFile('src/math.js', SOURCE);
+    storage.setFile('tests/math.test.js', "test('add', () => {});");
+
+    listeners = new Map();
+    storage.watchFile = jest.fn((filePath, callback) => {
+      listeners.set(filePath, callback);
+      return { close: jest.fn(), path: filePath };
+    });
+
+    improveTestsUseCase = { execute: jest.fn().mockResolvedValue({ originalScore: 50, improvedScore: 100, newTestCases: 2 }) };
+    useCase = new WatchTestsUseCase(improveTestsUseCase, storage, { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() });
+    events = [];
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const change = async (watcher, content, eventType = 'change') => {
+    storage.setFile('src/math.js', content);
+    listeners.get('src/math.js')(eventType);
+    await jest.advanceTimersByTimeAsync(100);
+    await watcher.idle();
+  };
+
+  test('should debounce changes and mutate only the changed functions', async () => {
+    const watcher = await useCase.execute({ sourcePattern: 'src/*.js', testsDir: 'tests', debounce: 100, onEvent: event => events.push(event) });
+
+    storage.setFile('src/math.js', SOURCE.replace('a - b', 'b - a'));
+    listeners.get('src/math.js')('change');
+    await jest.advanceTimersByTimeAsync(50);
+    await change(watcher, SOURCE.replace('a - b', 'a - b - 0'));
+
+    expect(improveTestsUseCase.execute).toHaveBeenCalledTimes(1);
+    expect(improveTestsUseCase.execute.mock.calls[0][0]).toMatchObject({
+      sourcePath: 'src/math.js',
+      testPath: 'tests/math.test.js',
+      outputPath: 'tests/math.test.js',
+      config: { mutationOptions: { mutateRanges: [{ startLine: 5, endLine: 7 }] } }
+    });
+    expect(events.map(event => event.type)).toEqual(['watch:start', 'file:change', 'file:start', 'file:complete']);
+    expect(events[3]).toMatchObject({ functions: ['subtract'], previousScore: 50, file: { status: 'completed', mutationScore: 100 } });
+
+    await watcher.close();
+    expect(events[events.length - 1].type).toBe('watch:stop');
+  });
+
+  test('should skip saves without content or function changes', async () => {
+    const watcher = await useCase.execute({ sourcePattern: 'src/*.js', testsDir: 'tests', debounce: 100, onEvent: event => events.push(event) });
+
+    await change(watcher, SOURCE);
+    await change(watcher, `// Math helpers\n${SOURCE}`);
+    await change(watcher, 'function add(a, b {');
+
+    expect(improveTestsUseCase.execute).not.toHaveBeenCalled();
+    expect(events.filter(event => event.type === 'file:skipped').map(event => event.reason)).toEqual([
+      'No function bodies changed',
+      'Source could not be parsed'
+    ]);
+
+    await watcher.close();
+  });
+
+  test('should report files without tests and keep watching after failures', async () => {
+    const watcher = await useCase.execute({ sourcePattern: 'src/*.js', testsDir: 'other-tests', debounce: 100, onEvent: event => events.push(event) });
+
+    await change(watcher, SOURCE.replace('a + b', 'b + a'));
+    expect(events[events.length - 1]).toMatchObject({ type: 'file:skipped', reason: expect.stringContaining('No test file') });
+
+    storage.setFile('other-tests/math.test.js', "test('add', () => {});");
+    improveTestsUseCase.execute.mockRejectedValueOnce(new Error('Stryker crashed'));
+    await change(watcher, SOURCE.replace('a + b', 'b + a + 0'));
+    await change(watcher, SOURCE.replace('a + b', 'a + b + 0'), 'rename');
+
+    expect(events.filter(event => event.type.startsWith('file:')).map(event => event.type).slice(-4)).toEqual([
+      'file:failed', 'file:change', 'file:start', 'file:complete'
+    ]);
+    expect(storage.watchFile).toHaveBeenCalledTimes(2);
+
+    await watcher.close();
+  });
+
+  test('should fail when no source files match', async () => {
+    await expect(useCase.execute({ sourcePattern: 'lib/*.js' })).rejects.toThrow('No source files found matching pattern: lib/*.js');
+  });
+});
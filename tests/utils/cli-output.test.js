@@ -0,0 +1,176 @@
+/**
+ * Unit tests for machine-readable CLI output
+ */
+
+const {
+  CliOutput,
+  describeFile,
+  createFileRecord,
+  createResult,
+  formatUsage,
+  formatStopReason,
+  parseReportOption,
+  createAnalysis,
+  createBatchAnalyses
+} = require('../../lib/utils/cli-output');
+
+/**
+ * Collect what is written to a stream
+ * @returns {Object} Stream with a `lines()` helper
+ */
+function createStream() {
+  const chunks = [];
+  return {
+    write: chunk => chunks.push(chunk),
+    text: () => chunks.join(''),
+    lines: () => chunks.join('').trim().split('\n').map(line => JSON.parse(line))
+  };
+}
+
+describe('cli-output', () => {
+  test('should describe session file records and single-file results the same way', () => {
+    const fromSession = describeFile({
+      sourcePath: 'src/a.js',
+      outputPath: 'tests/a.test.js',
+      status: 'completed',
+      iterations: 2,
+      mutationScore: 85,
+      targetReached: true
+    });
+    const fromResult = describeFile(createFileRecord('src/a.js', 'tests/a.test.js', {
+      success: true,
+      feedbackResult: { totalIterations: 2, finalScore: 85, targetReached: true }
+    }));
+
+    expect(fromResult).toEqual(fromSession);
+    expect(fromSession).toEqual({
+      sourceFile: 'src/a.js',
+      testFile: 'tests/a.test.js',
+      status: 'completed',
+      success: true,
+      mutationScore: 85,
+      iterations: 2,
+      targetReached: true,
+      error: null,
+      cost: null,
+      tokens: null
+    });
+  });
+
+  test('should summarize files in the result object', () => {
+    const result = createResult('generate', [
+      { sourceFile: 'src/a.js', success: true },
+      { sourceFile: 'src/b.js', success: false, error: 'LLM timeout' }
+    ], { sessionId: 'session_1' });
+
+    expect(result).toMatchObject({
+      command: 'generate',
+      success: false,
+      summary: { totalFiles: 2, successful: 1, failed: 1 },
+      sessionId: 'session_1'
+    });
+  });
+
+  test('should add up the token usage and cost of the files', () => {
+    const usage = { calls: 1, totalTokens: 1500, cost: 0.0125 };
+    const file = describeFile(createFileRecord('src/a.js', 'tests/a.test.js', { success: true, usage }));
+    const result = createResult('generate', [
+      file,
+      { sourceFile: 'src/b.js', success: true, cost: null, tokens: 500 },
+      { sourceFile: 'src/c.js', success: true, cost: null, tokens: null }
+    ]);
+
+    expect(file).toMatchObject({ cost: 0.0125, tokens: 1500 });
+    expect(result.summary).toMatchObject({ totalTokens: 2000, totalCost: 0.0125 });
+    expect(formatUsage(result.summary)).toBe('LLM usage: 2,000 tokens, cost $0.0125');
+    expect(formatUsage({ totalTokens: 10, totalCost: null })).toContain('cost unknown');
+    expect(formatUsage(createResult('analyze', []).summary)).toBeNull();
+  });
+
+  test('should describe runs stopped by their budget', () => {
+    const budgetExceeded = { scope: 'session', limit: 'cost', max: 1, spent: 1, message: 'Session cost budget of $1.0000 is exhausted (spent $1.0000)' };
+
+    expect(formatStopReason({ stopReason: 'budget', budgetExceeded })).toBe(`Stopped early: ${budgetExceeded.message}`);
+    expect(formatStopReason({ stopReason: 'target-reached', budgetExceeded: null })).toBeNull();
+    expect(formatStopReason({})).toBeNull();
+  });
+
+  test('should stream events and the result as NDJSON', () => {
+    const stream = createStream();
+    const output = new CliOutput('ndjson', stream);
+
+    output.event({ type: 'file:start', sessionId: 'session_1', file: { sourcePath: 'src/a.js', outputPath: 'tests/a.test.js', status: 'running' } });
+    output.result(createResult('generate', []));
+
+    const [event, result] = stream.lines();
+    expect(event).toMatchObject({ type: 'file:start', sessionId: 'session_1', file: { sourceFile: 'src/a.js', status: 'running' } });
+    expect(event.timestamp).toBeDefined();
+    expect(result).toMatchObject({ type: 'result', command: 'generate', success: true });
+  });
+
+  test('should print only the result in JSON and nothing in text format', () => {
+    const jsonStream = createStream();
+    const json = new CliOutput('json', jsonStream);
+    json.event({ type: 'batch:start' });
+    json.error('analyze', new Error('No source files found'));
+
+    const textStream = createStream();
+    const text = new CliOutput('text', textStream);
+    text.event({ type: 'batch:start' });
+    text.result(createResult('analyze', []));
+
+    expect(JSON.parse(jsonStream.text())).toEqual({ command: 'analyze', success: false, error: 'No source files found' });
+    expect(textStream.text()).toBe('');
+    expect(text.isText).toBe(true);
+  });
+
+  test('should reject unknown formats', () => {
+    expect(() => new CliOutput('xml')).toThrow('Unknown output format: xml');
+  });
+
+  describe('parseReportOption', () => {
+    test('should collect format and path pairs', () => {
+      const reports = parseReportOption('sarif:C:\\out\\mutants.sarif', parseReportOption('JUnit:reports/junit.xml'));
+
+      expect(reports).toEqual([
+        { format: 'junit', path: 'reports/junit.xml' },
+        { format: 'sarif', path: 'C:\\out\\mutants.sarif' }
+      ]);
+    });
+
+    test('should reject unknown formats and missing paths', () => {
+      expect(() => parseReportOption('pdf:out.pdf')).toThrow('Unknown report format: pdf');
+      expect(() => parseReportOption('markdown')).toThrow('Missing report path: use markdown:<path>');
+      expect(() => parseReportOption('markdown:')).toThrow('Missing report path');
+    });
+  });
+
+  describe('createAnalysis', () => {
+    test('should use the last analyzed feedback iteration', () => {
+      const final = { toJSON: () => ({ mutationScore: 90 }) };
+      const result = { feedbackResult: { iterations: [{ mutationResult: { toJSON: () => ({ mutationScore: 50 }) } }, { mutationResult: final }, { error: 'x' }] } };
+
+      expect(createAnalysis('src/a.js', 'tests/a.test.js', result)).toEqual({
+        sourceFile: 'src/a.js',
+        testFile: 'tests/a.test.js',
+        mutationResult: { mutationScore: 90 },
+        error: null
+      });
+    });
+
+    test('should pair batch results with their session records', () => {
+      const analyses = createBatchAnalyses({
+        files: [{ sourcePath: 'src/a.js', outputPath: 'tests/a.test.js' }, { sourcePath: 'src/b.js', outputPath: 'tests/b.test.js' }],
+        processedFiles: [
+          { sourcePath: 'src/b.js', success: false, error: 'boom' },
+          { sourcePath: 'src/a.js', success: true, mutationResult: { mutationScore: 70 } }
+        ]
+      });
+
+      expect(analyses).toEqual([
+        { sourceFile: 'src/b.js', testFile: 'tests/b.test.js', mutationResult: null, error: 'boom' },
+        { sourceFile: 'src/a.js', testFile: 'tests/a.test.js', mutationResult: { mutationScore: 70 }, error: null }
+      ]);
+    });
+  });
+});
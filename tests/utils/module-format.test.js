@@ -0,0 +1,82 @@
+/**
+ * Unit tests for module format detection
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const moduleFormat = require('../../lib/utils/module-format');
+
+describe('Module Format', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'module-format-'));
+    moduleFormat.clearCache();
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('detectLanguage', () => {
+    test('should detect TypeScript extensions', () => {
+      expect(moduleFormat.detectLanguage('src/a.ts')).toBe('typescript');
+      expect(moduleFormat.detectLanguage('src/a.tsx')).toBe('typescript');
+      expect(moduleFormat.detectLanguage('src/a.mts')).toBe('typescript');
+    });
+
+    test('should default to JavaScript', () => {
+      expect(moduleFormat.detectLanguage('src/a.js')).toBe('javascript');
+      expect(moduleFormat.detectLanguage('src/a.mjs')).toBe('javascript');
+    });
+  });
+
+  describe('detectModuleSystem', () => {
+    test('should use explicit extensions', () => {
+      expect(moduleFormat.detectModuleSystem(path.join(tempDir, 'a.mjs'))).toBe('esm');
+      expect(moduleFormat.detectModuleSystem(path.join(tempDir, 'a.cjs'))).toBe('commonjs');
+    });
+
+    test('should read "type" from the nearest package.json', async () => {
+      await fs.mkdir(path.join(tempDir, 'esm', 'src'), { recursive: true });
+      await fs.writeFile(path.join(tempDir, 'esm', 'package.json'), JSON.stringify({ type: 'module' }));
+      await fs.mkdir(path.join(tempDir, 'cjs'));
+      await fs.writeFile(path.join(tempDir, 'cjs', 'package.json'), JSON.stringify({ name: 'cjs' }));
+
+      expect(moduleFormat.detectModuleSystem(path.join(tempDir, 'esm', 'src', 'a.js'))).toBe('esm');
+      expect(moduleFormat.detectModuleSystem(path.join(tempDir, 'cjs', 'a.js'))).toBeNull();
+      expect(moduleFormat.findPackageType(path.join(tempDir, 'cjs', 'a.js'))).toBe('commonjs');
+    });
+  });
+
+  describe('getTestFileName', () => {
+    test('should mirror the source extension', () => {
+      expect(moduleFormat.getTestFileName('src/calculator.js')).toBe('calculator.test.js');
+      expect(moduleFormat.getTestFileName('src/calculator.ts')).toBe('calculator.test.ts');
+      expect(moduleFormat.getTestFileName('src/view.tsx')).toBe('view.test.tsx');
+      expect(moduleFormat.getTestFileName('src/calculator.mjs')).toBe('calculator.test.mjs');
+    });
+  });
+
+  describe('isSourceFile', () => {
+    test('should accept JavaScript and TypeScript sources only', () => {
+      expect(moduleFormat.isSourceFile('src/a.js')).toBe(true);
+      expect(moduleFormat.isSourceFile('src/view.tsx')).toBe(true);
+      expect(moduleFormat.isSourceFile('src/a.cjs')).toBe(true);
+      expect(moduleFormat.isSourceFile('src/a.test.js')).toBe(false);
+      expect(moduleFormat.isSourceFile('src/a.spec.ts')).toBe(false);
+      expect(moduleFormat.isSourceFile('types/index.d.ts')).toBe(false);
+      expect(moduleFormat.isSourceFile('README.md')).toBe(false);
+    });
+  });
+
+  describe('formatImportSpecifier', () => {
+    test('should strip extensions for CommonJS and TypeScript only', () => {
+      expect(moduleFormat.formatImportSpecifier('../src/a.js')).toBe('../src/a');
+      expect(moduleFormat.formatImportSpecifier('../src/a.cjs')).toBe('../src/a.cjs');
+      expect(moduleFormat.formatImportSpecifier('../src/a.js', { moduleSystem: 'esm' })).toBe('../src/a.js');
+      expect(moduleFormat.formatImportSpecifier('../src/a.ts', { language: 'typescript', moduleSystem: 'esm' })).toBe('../src/a');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit tests for survived-mutant prompt context
+ */
+
+const {
+  createMutantDiff,
+  findEnclosingFunction,
+  describeSurvivedMutants
+} = require('../../lib/utils/mutant-context');
+
+describe('Mutant Context', () => {
+  const source = [
+    'class Calculator {',
+    '  divide(a, b) {',
+    '    if (b === 0) {',
+    "      throw new Error('Division by zero');",
+    '    }',
+    '    return a / b;',
+    '  }',
+    '',
+    '  add(a, b) {',
+    '    return a + b;',
+    '  }',
+    '}'
+  ].join('\n');
+  const functions = [
+    { name: 'divide', className: 'Calculator', line: 2, endLine: 7 },
+    { name: 'add', className: 'Calculator', line: 9, endLine: 11 }
+  ];
+  const mutant = (mutatorName, line, startColumn, endColumn, replacement) => ({
+    mutatorName,
+    replacement,
+    location: { start: { line, column: startColumn }, end: { line, column: endColumn } }
+  });
+
+  test('should diff the mutated line against the original with context', () => {
+    const diff = createMutantDiff(source, mutant('EqualityOperator', 3, 9, 16, 'b !== 0'), 1);
+
+    expect(diff).toBe([
+      '@@ -2,3 +2,3 @@',
+      '   divide(a, b) {',
+      '-    if (b === 0) {',
+      '+    if (b !== 0) {',
+      "       throw new Error('Division by zero');"
+    ].join('\n'));
+    expect(createMutantDiff(source, { mutatorName: 'X', location: { start: { line: 3 } } })).toBeNull();
+  });
+
+  test('should find the innermost enclosing function', () => {
+    expect(findEnclosingFunction(functions, 4).name).toBe('divide');
+    expect(findEnclosingFunction([{ name: 'outer', line: 1, endLine: 12 }, ...functions], 10).name).toBe('add');
+    expect(findEnclosingFunction(functions, 12)).toBeNull();
+  });
+
+  test('should group mutants by function in source order', () => {
+    const { text, groups, omitted } = describeSurvivedMutants(source, [
+      mutant('ArithmeticOperator', 10, 12, 17, 'a - b'),
+      mutant('EqualityOperator', 3, 9, 16, 'b !== 0'),
+      mutant('ConditionalExpression', 3, 9, 16, 'false')
+    ], { functions });
+
+    expect(groups.map(group => group.functionName)).toEqual(['Calculator.divide', 'Calculator.add']);
+    expect(groups[0].mutants).toHaveLength(2);
+    expect(text).toContain('### Calculator.divide (lines 2-7)\n- EqualityOperator at line 3: replaced with `b !== 0`\n```diff');
+    expect(text).toContain('+    return a - b;');
+    expect(omitted).toBe(0);
+  });
+
+  test('should spread a small budget across functions and mutators', () => {
+    const mutants = [
+      mutant('EqualityOperator', 3, 9, 16, 'b !== 0'),
+      mutant('EqualityOperator', 3, 9, 16, 'b == 0'),
+      mutant('ConditionalExpression', 3, 9, 16, 'false'),
+      mutant('ArithmeticOperator', 10, 12, 17, 'a - b')
+    ];
+
+    const { groups, selected, omitted } = describeSurvivedMutants(source, mutants, { functions, tokenBudget: 150 });
+
+    expect(selected).toBe(3);
+    expect(omitted).toBe(1);
+    expect(groups.flatMap(group => group.mutants.map(m => m.mutatorName)).sort())
+      .toEqual(['ArithmeticOperator', 'ConditionalExpression', 'EqualityOperator']);
+  });
+
+  test('should keep one mutant when none fits the budget', () => {
+    const { selected } = describeSurvivedMutants(source, [mutant('EqualityOperator', 3, 9, 16, 'b !== 0')], { tokenBudget: 1 });
+
+    expect(selected).toBe(1);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Unit tests for LLM token pricing
+ */
+
+const { getPrice, priceTokens, estimateTokens } = require('../../lib/utils/pricing');
+
+describe('pricing', () => {
+  describe('getPrice', () => {
+    test('should match model names by their longest known prefix', () => {
+      expect(getPrice('gpt-4o-mini-2024-07-18')).toEqual({ input: 0.00015, output: 0.0006 });
+      expect(getPrice('gpt-4o-2024-08-06')).toEqual({ input: 0.0025, output: 0.01 });
+      expect(getPrice('gpt-4-0613')).toEqual({ input: 0.03, output: 0.06 });
+      expect(getPrice('claude-haiku-4-5')).toEqual({ input: 0.001, output: 0.005 });
+    });
+
+    test('should return null for unknown models', () => {
+      expect(getPrice('llama3.1')).toBeNull();
+      expect(getPrice(null)).toBeNull();
+    });
+
+    test('should prefer configured prices', () => {
+      const pricing = { 'gpt-4o': { input: 0.002, output: 0.008 }, llama: { input: 0, output: 0 } };
+
+      expect(getPrice('gpt-4o-2024-08-06', pricing)).toEqual({ input: 0.002, output: 0.008 });
+      expect(getPrice('llama3.1', pricing)).toEqual({ input: 0, output: 0 });
+      expect(getPrice('anything', { input: 0.5, output: 1 })).toEqual({ input: 0.5, output: 1 });
+    });
+  });
+
+  describe('priceTokens', () => {
+    test('should price prompt and completion tokens per 1K', () => {
+      expect(priceTokens('gpt-4', 1000, 500)).toBeCloseTo(0.06, 10);
+      expect(priceTokens('my-model', 1000, 500)).toBeNull();
+    });
+  });
+
+  describe('estimateTokens', () => {
+    test('should estimate four characters per token', () => {
+      expect(estimateTokens('x'.repeat(401))).toBe(101);
+      expect(estimateTokens(undefined)).toBe(0);
+    });
+  });
+});
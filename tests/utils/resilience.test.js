@@ -0,0 +1,238 @@
+/**
+ * Unit tests for the LLM resilience layer
+ */
+
+const {
+  LLMResilience,
+  RateLimiter,
+  CircuitBreaker,
+  parseRetryAfter,
+  isRetryable
+} = require('../../lib/utils/resilience');
+
+describe('resilience', () => {
+  const httpError = (status, headers = {}) => Object.assign(new Error(`status ${status}`), { status, headers });
+
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('parseRetryAfter', () => {
+    test('should read milliseconds, seconds and HTTP dates', () => {
+      jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+
+      expect(parseRetryAfter({ 'retry-after-ms': '250', 'retry-after': '9' })).toBe(250);
+      expect(parseRetryAfter({ 'Retry-After': '2' })).toBe(2000);
+      expect(parseRetryAfter(new Headers({ 'retry-after': 'Thu, 01 Jan 2026 00:00:05 GMT' }))).toBe(5000);
+      expect(parseRetryAfter({})).toBeNull();
+      expect(parseRetryAfter(undefined)).toBeNull();
+    });
+  });
+
+  describe('isRetryable', () => {
+    test('should retry rate limits, server errors, timeouts and dropped connections', () => {
+      expect(isRetryable(httpError(429))).toBe(true);
+      expect(isRetryable(httpError(503))).toBe(true);
+      expect(isRetryable(Object.assign(new Error('timed out'), { code: 'ETIMEDOUT' }))).toBe(true);
+      expect(isRetryable(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } }))).toBe(true);
+    });
+
+    test('should not retry client errors or an open circuit', () => {
+      expect(isRetryable(httpError(400))).toBe(false);
+      expect(isRetryable(httpError(401))).toBe(false);
+      expect(isRetryable(Object.assign(new Error('open'), { code: 'CIRCUIT_OPEN' }))).toBe(false);
+      expect(isRetryable(new Error('Invalid response'))).toBe(false);
+    });
+  });
+
+  describe('RateLimiter', () => {
+    test('should hold requests over the per-minute request limit', async () => {
+      jest.useFakeTimers({ now: 0 });
+      const limiter = new RateLimiter({ requestsPerMinute: 2 });
+      const acquired = [];
+
+      await limiter.acquire();
+      jest.advanceTimersByTime(10000);
+      await limiter.acquire();
+      limiter.acquire().then(() => acquired.push(Date.now()));
+
+      await jest.advanceTimersByTimeAsync(49999);
+      expect(acquired).toEqual([]);
+      await jest.advanceTimersByTimeAsync(1);
+      expect(acquired).toEqual([60000]);
+    });
+
+    test('should hold requests over the per-minute token limit, counting the tokens used', async () => {
+      jest.useFakeTimers({ now: 0 });
+      const limiter = new RateLimiter({ tokensPerMinute: 1000 });
+
+      limiter.settle(await limiter.acquire(900), 300);
+      jest.advanceTimersByTime(1000);
+      limiter.settle(await limiter.acquire(600), 600);
+
+      expect(limiter.getWait(200)).toBe(59000);
+      expect(limiter.getWait(100)).toBe(0);
+    });
+
+    test('should let a request larger than the token limit run in an empty window', async () => {
+      jest.useFakeTimers({ now: 0 });
+      const limiter = new RateLimiter({ tokensPerMinute: 100 });
+
+      expect(limiter.getWait(500)).toBe(0);
+      await limiter.acquire(500);
+      expect(limiter.getWait(500)).toBe(60000);
+    });
+
+    test('should pause every request', () => {
+      jest.useFakeTimers({ now: 0 });
+      const limiter = new RateLimiter();
+
+      limiter.pause(3000);
+      limiter.pause(1000);
+
+      expect(limiter.getWait()).toBe(3000);
+    });
+  });
+
+  describe('CircuitBreaker', () => {
+    test('should open after consecutive failures and let one trial through after the reset timeout', () => {
+      jest.useFakeTimers({ now: 0 });
+      const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeout: 10000 });
+
+      breaker.recordFailure();
+      expect(() => breaker.check()).not.toThrow();
+      breaker.recordFailure();
+
+      expect(() => breaker.check()).toThrow('LLM provider circuit is open after 2 consecutive failures; retry in 10s');
+      jest.advanceTimersByTime(10000);
+      expect(() => breaker.check()).not.toThrow();
+      expect(() => breaker.check()).toThrow(expect.objectContaining({ code: 'CIRCUIT_OPEN' }));
+
+      breaker.recordFailure();
+      expect(breaker.state).toBe('open');
+      jest.advanceTimersByTime(10000);
+      breaker.check();
+      breaker.recordSuccess();
+      expect(breaker.state).toBe('closed');
+    });
+
+    test('should never open when disabled', () => {
+      const breaker = new CircuitBreaker({ failureThreshold: 0 });
+
+      for (let i = 0; i < 10; i++) breaker.recordFailure();
+
+      expect(() => breaker.check()).not.toThrow();
+    });
+  });
+
+  describe('LLMResilience', () => {
+    const createResilience = (options = {}) => new LLMResilience({
+      retry: { maxRetries: 3, baseDelay: 1, maxDelay: 5 },
+      ...options
+    }, mockLogger);
+
+    test('should retry retryable errors until the request succeeds', async () => {
+      const request = jest.fn()
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))
+        .mockResolvedValue('completion');
+
+      await expect(createResilience().execute(request, { task: 'generate' })).resolves.toBe('completion');
+      expect(request).toHaveBeenCalledTimes(3);
+      expect(request.mock.calls[0][0]).toBeInstanceOf(AbortSignal);
+      expect(mockLogger.warn).toHaveBeenCalledTimes(2);
+      expect(mockLogger.warn).toHaveBeenCalledWith('LLM request failed, retrying', expect.objectContaining({ task: 'generate', attempt: 1, status: 503 }));
+    });
+
+    test('should give up after maxRetries with the last error', async () => {
+      const request = jest.fn().mockRejectedValue(httpError(500));
+
+      await expect(createResilience({ retry: { maxRetries: 2, baseDelay: 1 } }).execute(request))
+        .rejects.toMatchObject({ status: 500, attempts: 3 });
+      expect(request).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not retry client errors', async () => {
+      const request = jest.fn().mockRejectedValue(httpError(401));
+
+      await expect(createResilience().execute(request)).rejects.toMatchObject({ status: 401, attempts: 1 });
+      expect(request).toHaveBeenCalledTimes(1);
+    });
+
+    test('should wait as long as Retry-After asks and pause other requests', async () => {
+      jest.useFakeTimers({ now: 0 });
+      const resilience = createResilience({ retry: { maxRetries: 3, baseDelay: 1, maxDelay: 5000 } });
+      const request = jest.fn()
+        .mockRejectedValueOnce(httpError(429, { 'retry-after': '2' }))
+        .mockResolvedValue('completion');
+
+      const result = resilience.execute(request);
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(resilience.rateLimiter.getWait()).toBe(2000);
+      await jest.advanceTimersByTimeAsync(1999);
+      expect(request).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(1);
+      await expect(result).resolves.toBe('completion');
+      expect(request).toHaveBeenCalledTimes(2);
+    });
+
+    test('should give up when Retry-After asks for longer than maxDelay', async () => {
+      const resilience = createResilience({ retry: { maxRetries: 3, baseDelay: 1, maxDelay: 5000 } });
+      const request = jest.fn().mockRejectedValue(httpError(429, { 'retry-after': '60' }));
+
+      await expect(resilience.execute(request)).rejects.toMatchObject({ status: 429, attempts: 1, retryAfter: 60000 });
+      expect(request).toHaveBeenCalledTimes(1);
+      expect(resilience.rateLimiter.getWait()).toBe(0);
+    });
+
+    test('should time out slow attempts and abort them', async () => {
+      let signal;
+      const request = jest.fn().mockImplementationOnce(requestSignal => {
+        signal = requestSignal;
+        return new Promise(() => {});
+      }).mockResolvedValue('completion');
+
+      await expect(createResilience({ timeout: 20 }).execute(request)).resolves.toBe('completion');
+      expect(signal.aborted).toBe(true);
+      expect(signal.reason).toMatchObject({ code: 'ETIMEDOUT', message: 'LLM request timed out after 20ms' });
+    });
+
+    test('should fail fast while the circuit is open', async () => {
+      const resilience = createResilience({ retry: { maxRetries: 0 }, circuitBreaker: { failureThreshold: 2, resetTimeout: 60000 } });
+      const request = jest.fn().mockRejectedValue(httpError(502));
+
+      await expect(resilience.execute(request)).rejects.toMatchObject({ status: 502 });
+      await expect(resilience.execute(request)).rejects.toMatchObject({ status: 502 });
+      await expect(resilience.execute(request)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+      expect(request).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not count rate limits as provider failures', async () => {
+      const resilience = createResilience({ retry: { maxRetries: 0 }, circuitBreaker: { failureThreshold: 1 } });
+
+      await expect(resilience.execute(() => Promise.reject(httpError(429)))).rejects.toMatchObject({ status: 429 });
+
+      expect(resilience.circuitBreaker.state).toBe('closed');
+    });
+
+    test('should count the tokens a request used against the token limit', async () => {
+      const resilience = createResilience({ rateLimit: { tokensPerMinute: 10000 } });
+
+      await resilience.execute(() => Promise.resolve('completion'), { estimatedTokens: 3000, getTokens: () => 1200 });
+
+      expect(resilience.rateLimiter.entries.map(entry => entry.tokens)).toEqual([1200]);
+    });
+  });
+});
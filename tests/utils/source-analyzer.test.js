@@ -0,0 +1,160 @@
+/**
+ * Unit tests for AST source analysis
+ */
+
+const { analyzeSource } = require('../../lib/utils/source-analyzer');
+
+describe('Source Analyzer', () => {
+  describe('functions', () => {
+    test('should describe params, defaults and rest params', () => {
+      const analysis = analyzeSource('function connect(host, port = 80, { secure } = {}, ...rest) {}');
+      const [fn] = analysis.functions;
+
+      expect(fn.name).toBe('connect');
+      expect(fn.kind).toBe('function');
+      expect(fn.signature).toBe('function connect(host, port = 80, { secure } = {}, ...rest)');
+      expect(fn.params).toEqual([
+        { name: 'host' },
+        { name: 'port', defaultValue: '80' },
+        { name: '{ secure }', defaultValue: '{}' },
+        { name: 'rest', rest: true }
+      ]);
+    });
+
+    test('should name functions from assignments and object keys', () => {
+      const content = `
+        const a = () => {};
+        let b = function () {};
+        const obj = { c: () => {}, d() {} };
+        Foo.prototype.e = function () {};
+        [1, 2].map(x => x * 2);
+      `;
+      const names = analyzeSource(content).functions.map(fn => fn.name);
+
+      expect(names).toEqual(['a', 'b', 'c', 'd', 'e']);
+    });
+
+    test('should collect thrown errors without those of nested functions', () => {
+      const content = `
+        function divide(a, b) {
+          if (b === 0) throw new RangeError('Division by zero');
+          if (typeof a !== 'number') throw new TypeError(\`Expected number, got \${typeof a}\`);
+          const fail = () => { throw new Error('inner'); };
+          return a / b;
+        }
+      `;
+      const [divide] = analyzeSource(content).functions;
+
+      expect(divide.throws).toEqual([
+        { line: 3, type: 'RangeError', message: 'Division by zero' },
+        { line: 4, type: 'TypeError', message: 'Expected number, got ${typeof a}' }
+      ]);
+    });
+
+    test('should compute per-function cyclomatic complexity', () => {
+      const content = `
+        function classify(value) {
+          switch (value) {
+            case 1: return 'one';
+            case 2: return 'two';
+            default: return value ?? 'none';
+          }
+        }
+        function loop(items) {
+          for (const item of items) {
+            try { item(); } catch (error) { return false; }
+          }
+          return items.length > 0 || null;
+        }
+      `;
+      const functions = analyzeSource(content).functions;
+
+      expect(functions.map(fn => fn.complexity)).toEqual([4, 4]);
+    });
+  });
+
+  describe('classes', () => {
+    test('should describe methods, accessors and static members', () => {
+      const content = `
+        class Store extends Base {
+          constructor(name) { super(); }
+          static create() {}
+          get size() { return 0; }
+          set size(value) {}
+          async load() {}
+          handle = (event) => event;
+        }
+      `;
+      const [store] = analyzeSource(content).classes;
+
+      expect(store.name).toBe('Store');
+      expect(store.superClass).toBe('Base');
+      expect(store.methods.map(method => [method.name, method.kind, method.static, method.async])).toEqual([
+        ['constructor', 'constructor', false, false],
+        ['create', 'method', true, false],
+        ['size', 'getter', false, false],
+        ['size', 'setter', false, false],
+        ['load', 'method', false, true],
+        ['handle', 'arrow', false, false]
+      ]);
+      expect(store.methods.every(method => method.className === 'Store')).toBe(true);
+    });
+  });
+
+  describe('exports', () => {
+    test('should detect CommonJS exports', () => {
+      const content = `
+        class Calculator {}
+        const helper = () => {};
+        module.exports = Calculator;
+        module.exports.helper = helper;
+        exports.VERSION = '1.0';
+      `;
+      const analysis = analyzeSource(content);
+
+      expect(analysis.moduleType).toBe('commonjs');
+      expect(analysis.exports.map(entry => [entry.name, entry.type, entry.kind])).toEqual([
+        ['default', 'default', 'class'],
+        ['helper', 'named', 'function'],
+        ['VERSION', 'named', 'value']
+      ]);
+      expect(analysis.classes[0].exported).toBe(true);
+      expect(analysis.functions[0].exported).toBe(true);
+    });
+
+    test('should detect ES module exports', () => {
+      const content = `
+        export default function main() {}
+        export const add = (a, b) => a + b;
+        const sub = (a, b) => a - b;
+        export { sub as subtract };
+        export * from './more';
+      `;
+      const analysis = analyzeSource(content);
+
+      expect(analysis.moduleType).toBe('esm');
+      expect(analysis.exports.map(entry => [entry.name, entry.type, entry.kind])).toEqual([
+        ['default', 'default', 'function'],
+        ['add', 'named', 'function'],
+        ['subtract', 'named', 'function'],
+        ['*', 'reexport', 'reexport']
+      ]);
+    });
+  });
+
+  describe('TypeScript', () => {
+    test('should parse type annotations when the file name is TypeScript', () => {
+      const content = 'export function greet(name: string, times: number = 1): string { return name; }';
+      const analysis = analyzeSource(content, { fileName: 'greet.ts' });
+
+      expect(analysis.functions[0].params).toEqual([
+        { name: 'name', type: 'string' },
+        { name: 'times', type: 'number', defaultValue: '1' }
+      ]);
+    });
+  });
+
+  test('should return null for unparseable content', () => {
+    expect(analyzeSource('function (')).toBeNull();
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for structural test merging
+ */
+
+const { mergeTestCode } = require('../../lib/utils/test-merger');
+
+describe('Test Merger', () => {
+  const existing = [
+    "const Calculator = require('../src/calculator');",
+    '',
+    "describe('Calculator', () => {",
+    '  let calc;',
+    '',
+    '  beforeEach(() => {',
+    '    calc = new Calculator();',
+    '  });',
+    '',
+    "  test('adds', () => {",
+    '    expect(calc.add(1, 2)).toBe(3);',
+    '  });',
+    '',
+    "  describe('divide', () => {",
+    "    it('divides', () => {",
+    '      expect(calc.divide(4, 2)).toBe(2);',
+    '    });',
+    '  });',
+    '});',
+    ''
+  ].join('\n');
+
+  test('should deduplicate imports and add new ones after the existing imports', () => {
+    const incoming = [
+      "const Calculator = require('../src/calculator');",
+      "const { format } = require('../src/format');",
+      '',
+      "describe('Calculator', () => {",
+      "  test('formats', () => { expect(format(calc.add(1, 1))).toBe('2'); });",
+      '});'
+    ].join('\n');
+
+    const { code, report } = mergeTestCode(existing, incoming);
+
+    expect(code.match(/require\('\.\.\/src\/calculator'\)/g)).toHaveLength(1);
+    expect(code.startsWith("const Calculator = require('../src/calculator');\nconst { format } = require('../src/format');\n\n")).toBe(true);
+    expect(report.addedImports).toEqual(["const { format } = require('../src/format');"]);
+  });
+
+  test('should merge suites by title at every level', () => {
+    const incoming = [
+      "describe('Calculator', () => {",
+      "  describe('divide', () => {",
+      "    it('throws on zero', () => {",
+      '      expect(() => calc.divide(1, 0)).toThrow();',
+      '    });',
+      '  });',
+      '});'
+    ].join('\n');
+
+    const { code, report } = mergeTestCode(existing, incoming);
+
+    expect(code.match(/describe\('divide'/g)).toHaveLength(1);
+    expect(code).toContain([
+      "    it('divides', () => {",
+      '      expect(calc.divide(4, 2)).toBe(2);',
+      '    });',
+      '',
+      "    it('throws on zero', () => {",
+      '      expect(() => calc.divide(1, 0)).toThrow();',
+      '    });',
+      '  });'
+    ].join('\n'));
+    expect(report.mergedSuites).toEqual(['Calculator', 'Calculator divide']);
+    expect(report.addedTests).toEqual(['Calculator divide throws on zero']);
+  });
+
+  test('should add unmatched suites with their tests', () => {
+    const incoming = "describe('Parser', () => {\n  test('parses', () => { expect(1).toBe(1); });\n});";
+
+    const { code, report } = mergeTestCode(existing, incoming);
+
+    expect(code.endsWith("});\n\ndescribe('Parser', () => {\n  test('parses', () => { expect(1).toBe(1); });\n});\n")).toBe(true);
+    expect(report.addedSuites).toEqual(['Parser']);
+    expect(report.addedTests).toEqual(['Parser parses']);
+  });
+
+  test('should rename colliding tests and skip identical ones', () => {
+    const incoming = [
+      "describe('Calculator', () => {",
+      "  test('adds', () => {",
+      '    expect(calc.add(1, 2)).toBe(3);',
+      '  });',
+      "  test('adds', () => {",
+      '    expect(calc.add(-1, 1)).toBe(0);',
+      '  });',
+      '});'
+    ].join('\n');
+
+    const { code, report } = mergeTestCode(existing, incoming);
+
+    expect(code).toContain("test('adds (2)', () => {\n    expect(calc.add(-1, 1)).toBe(0);");
+    expect(report.skippedTests).toEqual(['Calculator adds']);
+    expect(report.renamedTests).toEqual([{ from: 'Calculator adds', to: 'Calculator adds (2)' }]);
+  });
+
+  test('should skip colliding tests when configured', () => {
+    const incoming = "describe('Calculator', () => {\n  test('adds', () => { expect(calc.add(0, 0)).toBe(0); });\n});";
+
+    const { code, report } = mergeTestCode(existing, incoming, { onCollision: 'skip' });
+
+    expect(code).toBe(existing);
+    expect(report.skippedTests).toEqual(['Calculator adds']);
+  });
+
+  test('should not redeclare helpers or duplicate hooks', () => {
+    const incoming = [
+      "describe('Calculator', () => {",
+      '  let calc;',
+      '  let spy;',
+      '  beforeEach(() => { calc = new Calculator(2); });',
+      '});'
+    ].join('\n');
+
+    const { code, report } = mergeTestCode(existing, incoming);
+
+    expect(code.match(/let calc;/g)).toHaveLength(1);
+    expect(code).toContain("  let spy;\n\n  test('adds'");
+    expect(report.addedHelpers).toEqual(['spy']);
+    expect(report.skippedHooks).toEqual(['Calculator beforeEach']);
+  });
+
+  test('should append when either side does not parse', () => {
+    const { code, report } = mergeTestCode('existing tests', 'new tests');
+
+    expect(code).toBe('existing tests\n\nnew tests\n');
+    expect(report.fallback).toBe(true);
+  });
+});